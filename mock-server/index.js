@@ -0,0 +1,143 @@
+/**
+ * Mock API Server
+ * Serves the strategy endpoints the app uses from the sample results in
+ * src/assets/data.json, so screen runs can be tried without the backend.
+ * Backtest jobs finish one horizon per MOCK_HORIZON_MS milliseconds.
+ *
+ * Usage: npm run mock-server, then choose "Local mock" in the app's
+ * environment switcher, or start the app with
+ *   REACT_APP_API_BASE_URL=http://localhost:4000/api
+ *   REACT_APP_EXECUTION_MODE=jobs (optional)
+ *
+ * Environment: PORT (4000), MOCK_HORIZON_MS (1500), MOCK_FAIL_JOBS (set to
+ * make every job fail halfway)
+ */
+
+const http = require("http");
+const { randomUUID } = require("crypto");
+const sample = require("../src/assets/data.json");
+
+const PORT = Number(process.env.PORT) || 4000;
+const HORIZON_MS = Number(process.env.MOCK_HORIZON_MS) || 1500;
+const FAIL_JOBS = Boolean(process.env.MOCK_FAIL_JOBS);
+
+/** Jobs by id: { startedAt, cancelled } */
+const jobs = new Map();
+
+/**
+ * Sends a JSON response with CORS headers for the dev server
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {Object} [body] - Response body
+ */
+const send = (res, status, body) => {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Authorization, Content-Type",
+    "Access-Control-Allow-Methods": "GET, POST, DELETE, OPTIONS",
+  });
+  res.end(body === undefined ? "" : JSON.stringify(body));
+};
+
+/**
+ * Sample results with the submitted data as the strategy name, so the
+ * settings, ranking and universe read back like from the backend
+ * @param {Object} [data] - Execute data
+ * @returns {Object} Results output
+ */
+const resultsFor = (data) => {
+  if (!data) return sample;
+  const stratName = JSON.stringify(data);
+  return {
+    ...sample,
+    pfst: sample.pfst.map((stats) => ({ ...stats, strat_name: stratName })),
+  };
+};
+
+/**
+ * Status of a job at the current time
+ * @param {string} id - Job id
+ * @param {Object} job - Job record
+ * @returns {Object} Job status
+ */
+const jobStatus = (id, job) => {
+  const total = job.output.pfst.length;
+  const finished = Math.min(
+    total,
+    Math.floor((Date.now() - job.startedAt) / HORIZON_MS)
+  );
+  const base = { job_id: id, progress: Math.round((finished / total) * 100) };
+
+  if (job.cancelled) return { ...base, status: "cancelled" };
+  if (FAIL_JOBS && finished >= total / 2) {
+    return { ...base, status: "failed", error: "Mock backtest failure" };
+  }
+  if (finished === total) {
+    return { ...base, status: "done", output: job.output };
+  }
+  return {
+    ...base,
+    status: finished === 0 ? "queued" : "running",
+    output: { pfst: job.output.pfst.slice(0, finished) },
+  };
+};
+
+/**
+ * Reads a JSON request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<Object>} Parsed body, empty when there is none
+ */
+const readBody = (req) =>
+  new Promise((resolve) => {
+    let raw = "";
+    req.on("data", (chunk) => (raw += chunk));
+    req.on("end", () => {
+      try {
+        resolve(raw ? JSON.parse(raw) : {});
+      } catch (error) {
+        resolve({});
+      }
+    });
+  });
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  const path = url.pathname.replace(/^\/api/, "");
+  const jobMatch = path.match(/^\/strategy\/jobs\/([\w-]+)$/);
+
+  if (req.method === "OPTIONS") return send(res, 204);
+
+  if (req.method === "POST" && path === "/strategy/execute") {
+    const body = await readBody(req);
+    return setTimeout(
+      () => send(res, 200, { status: "Success", output: resultsFor(body.data) }),
+      HORIZON_MS
+    );
+  }
+  if (req.method === "POST" && path === "/strategy/jobs") {
+    const body = await readBody(req);
+    const id = randomUUID();
+    jobs.set(id, { startedAt: Date.now(), output: resultsFor(body.data) });
+    return send(res, 202, { job_id: id, status: "queued", progress: 0 });
+  }
+  if (jobMatch && jobs.has(jobMatch[1])) {
+    const job = jobs.get(jobMatch[1]);
+    if (req.method === "DELETE") {
+      job.cancelled = true;
+      return send(res, 200, { job_id: jobMatch[1], status: "cancelled" });
+    }
+    if (req.method === "GET") return send(res, 200, jobStatus(jobMatch[1], job));
+  }
+  if (req.method === "GET" && path === "/strategy/strategies") {
+    return send(res, 200, sample);
+  }
+  if (req.method === "POST" && path === "/strategy/save") {
+    return send(res, 200, { message: "Strategy updated successfully" });
+  }
+  return send(res, 404, { detail: `No mock for ${req.method} ${path}` });
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock API listening on http://localhost:${PORT}/api`);
+});
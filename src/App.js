@@ -3,6 +3,7 @@
  * Serves as the root component of the application
  * Handles routing and authentication context
  * Integrates Google OAuth for authentication
+ * Asks for a new login when the session expires
  */
 
 import React, { useState, useEffect } from "react";
@@ -12,6 +13,9 @@ import { GoogleOAuthProvider } from "@react-oauth/google";
 import { AuthProvider } from './context/AuthContext';
 import StrategyDetails from './components/SharedStrategy';
 import GoogleAuthCallback from './components/GoogleAuthCallback';
+import SessionExpiredDialog from './components/SessionExpiredDialog';
+import EnvironmentSwitcher from './components/EnvironmentSwitcher';
+import { getAppConfig } from './utils/appConfig';
 
 /**
  * Main Application Component
@@ -21,7 +25,7 @@ import GoogleAuthCallback from './components/GoogleAuthCallback';
  */
 const App = () => {
   return (
-    <GoogleOAuthProvider clientId={process.env.REACT_APP_GOOGLE_CLIENT_ID}>
+    <GoogleOAuthProvider clientId={getAppConfig().googleClientId}>
       <BrowserRouter>
         <AuthProvider>
           <Routes>
@@ -29,6 +33,8 @@ const App = () => {
             <Route path="/google/callback" element={<GoogleAuthCallback />} />
             <Route path="*" element={<AppRoutes />} />
           </Routes>
+          <SessionExpiredDialog />
+          <EnvironmentSwitcher />
         </AuthProvider>
       </BrowserRouter>
     </GoogleOAuthProvider>
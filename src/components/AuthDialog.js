@@ -6,6 +6,7 @@
 
 import React, { useState, useEffect } from "react";
 import {
+  Alert,
   Dialog,
   DialogTitle,
   DialogContent,
@@ -37,9 +38,10 @@ import { getToken } from "../utils/auth";
  * @param {Object} props - Component props
  * @param {boolean} props.open - Controls dialog visibility
  * @param {Function} props.handleClose - Function to close the dialog
+ * @param {string} [props.message] - Notice shown above the login form
  * @returns {React.ReactElement} Authentication dialog with multiple tabs
  */
-const AuthDialog = ({ open, handleClose }) => {
+const AuthDialog = ({ open, handleClose, message }) => {
   /** Current tab index (0: login, 1: signup) */
   const [tabIndex, setTabIndex] = useState(0);
   /** Authentication hook for handling auth operations */
@@ -232,6 +234,11 @@ const AuthDialog = ({ open, handleClose }) => {
         </Tabs>
 
         <DialogContent>
+          {message && (
+            <Alert severity="info" sx={{ mb: 1 }}>
+              {message}
+            </Alert>
+          )}
           <form onSubmit={handleSubmit}>
             {tabIndex === 1 && (
               <TextField
@@ -0,0 +1,59 @@
+/**
+ * Backtest Progress Component Module
+ * Progress bar shown above the results while a backtest job runs, whose
+ * horizons appear in the results as they finish
+ */
+
+import { Box, Button, LinearProgress, Paper, Typography } from "@mui/material";
+import theme from "../styles/theme";
+import { RESULT_HORIZONS } from "../config/backtest";
+
+/**
+ * Backtest Progress Component
+ *
+ * @param {Object} props - Component props
+ * @param {number} props.progress - Percentage done
+ * @param {number} props.completedHorizons - Horizons finished so far
+ * @param {Function} props.onCancel - Cancels the job
+ * @returns {React.ReactElement} Progress bar
+ */
+const BacktestProgress = ({ progress, completedHorizons, onCancel }) => (
+  <Paper
+    elevation={0}
+    sx={{
+      p: 2,
+      mb: 2,
+      border: `1px solid ${theme.palette.divider}`,
+      position: "sticky",
+      top: 0,
+      zIndex: 2,
+    }}
+  >
+    <Box
+      sx={{
+        display: "flex",
+        alignItems: "center",
+        justifyContent: "space-between",
+        gap: 2,
+        mb: 1,
+      }}
+    >
+      <Typography variant="body2" sx={{ fontWeight: "bold" }}>
+        Backtesting… {progress}%
+      </Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ ml: "auto" }}>
+        {completedHorizons} of {RESULT_HORIZONS.length} horizons ready
+      </Typography>
+      <Button size="small" color="inherit" onClick={onCancel}>
+        Cancel
+      </Button>
+    </Box>
+    <LinearProgress
+      variant="determinate"
+      value={progress}
+      aria-label="Backtest progress"
+    />
+  </Paper>
+);
+
+export default BacktestProgress;
@@ -0,0 +1,292 @@
+/**
+ * Backtest Settings Panel Component Module
+ * Collapsible panel next to the query editor for the backtest period,
+ * rebalance frequency, weighting scheme, maximum number of holdings, the
+ * benchmark index, and the trading costs and tax treatment of net returns.
+ * Collapsed, it shows the current settings as chips; the chips are also
+ * exported for the results and shared pages.
+ */
+
+import { useState } from "react";
+import {
+  Box,
+  Button,
+  Chip,
+  Collapse,
+  MenuItem,
+  Paper,
+  TextField,
+  Typography,
+} from "@mui/material";
+import TuneIcon from "@mui/icons-material/Tune";
+import ExpandMoreIcon from "@mui/icons-material/ExpandMore";
+import ExpandLessIcon from "@mui/icons-material/ExpandLess";
+import theme from "../styles/theme";
+import {
+  DATA_START_YEAR,
+  DATA_END_YEAR,
+  REBALANCE_FREQUENCIES,
+  WEIGHTING_SCHEMES,
+  BENCHMARKS,
+  TAX_TREATMENTS,
+  DEFAULT_BACKTEST_SETTINGS,
+} from "../config/backtest";
+import {
+  normalizeBacktestSettings,
+  describeBacktestSettings,
+  getBenchmarkName,
+} from "../utils/backtestSettings";
+import { describeRanking } from "../utils/queryCodec";
+
+/**
+ * Shared props of the panel's input fields
+ * @constant {Object}
+ */
+const FIELD_PROPS = {
+  size: "small",
+  sx: { backgroundColor: theme.palette.background.paper, minWidth: 120 },
+};
+
+/**
+ * Every year of the backtest data
+ * @constant {Array<number>}
+ */
+const YEARS = Array.from(
+  { length: DATA_END_YEAR - DATA_START_YEAR + 1 },
+  (_, index) => DATA_START_YEAR + index
+);
+
+/**
+ * Settings as a row of chips, for the collapsed panel and the results pages
+ * The results pages add the query's ranking clause, which also decides the
+ * holdings
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.settings - Settings to show
+ * @param {Object|null} [props.ranking] - Ranking clause of the query
+ * @returns {React.ReactElement} Settings chips
+ */
+export const BacktestSettingsChips = ({ settings, ranking = null }) =>
+  [
+    ...describeBacktestSettings(settings),
+    ...(ranking ? [{ label: "Ranking", value: describeRanking(ranking) }] : []),
+  ].map(({ label, value }) => (
+    <Chip
+      key={label}
+      size="small"
+      variant="outlined"
+      label={`${label}: ${value}`}
+    />
+  ));
+
+/**
+ * Backtest Settings Panel Component
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.settings - Current settings
+ * @param {Function} props.onChange - Called with the updated settings
+ * @returns {React.ReactElement} Settings panel
+ */
+const BacktestSettingsPanel = ({ settings, onChange }) => {
+  const [expanded, setExpanded] = useState(false);
+  const { startYear, endYear, rebalance, weighting, weightCap, tax } =
+    normalizeBacktestSettings(settings);
+  const customBenchmark = String(settings.customBenchmark ?? "").trim();
+
+  /**
+   * Updates one setting
+   * @param {string} field - Setting name
+   * @returns {Function} Change handler for the field's input
+   */
+  const update = (field) => (event) =>
+    onChange({ ...settings, [field]: event.target.value });
+
+  return (
+    <Paper
+      elevation={0}
+      sx={{
+        p: 2,
+        mb: 2,
+        border: `1px solid ${theme.palette.divider}`,
+        backgroundColor: theme.palette.background.default,
+      }}
+    >
+      <Box
+        sx={{
+          display: "flex",
+          alignItems: "center",
+          flexWrap: "wrap",
+          gap: 1,
+        }}
+      >
+        <Button
+          onClick={() => setExpanded(!expanded)}
+          startIcon={<TuneIcon />}
+          endIcon={expanded ? <ExpandLessIcon /> : <ExpandMoreIcon />}
+          sx={{ fontWeight: "bold" }}
+          aria-expanded={expanded}
+        >
+          Backtest settings
+        </Button>
+        {!expanded && <BacktestSettingsChips settings={settings} />}
+      </Box>
+
+      <Collapse in={expanded}>
+        <Box sx={{ display: "flex", flexWrap: "wrap", gap: 2, mt: 2 }}>
+          <TextField
+            {...FIELD_PROPS}
+            select
+            label="Start year"
+            value={startYear}
+            onChange={update("startYear")}
+          >
+            {YEARS.map((year) => (
+              <MenuItem key={year} value={year}>
+                {year}
+              </MenuItem>
+            ))}
+          </TextField>
+          <TextField
+            {...FIELD_PROPS}
+            select
+            label="End year"
+            value={endYear}
+            onChange={update("endYear")}
+          >
+            {YEARS.filter((year) => year >= startYear).map((year) => (
+              <MenuItem key={year} value={year}>
+                {year}
+              </MenuItem>
+            ))}
+          </TextField>
+          <TextField
+            {...FIELD_PROPS}
+            select
+            label="Rebalance"
+            value={rebalance}
+            onChange={update("rebalance")}
+          >
+            {REBALANCE_FREQUENCIES.map((option) => (
+              <MenuItem key={option.value} value={option.value}>
+                {option.label}
+              </MenuItem>
+            ))}
+          </TextField>
+          <TextField
+            {...FIELD_PROPS}
+            select
+            label="Weighting"
+            value={weighting}
+            onChange={update("weighting")}
+            sx={{ ...FIELD_PROPS.sx, minWidth: 220 }}
+          >
+            {WEIGHTING_SCHEMES.map((option) => (
+              <MenuItem key={option.value} value={option.value}>
+                {option.label}
+              </MenuItem>
+            ))}
+          </TextField>
+          {weighting === "capped" && (
+            <TextField
+              {...FIELD_PROPS}
+              type="number"
+              label="Cap per stock (%)"
+              value={settings.weightCap ?? weightCap}
+              onChange={update("weightCap")}
+              inputProps={{ min: 1, max: 100 }}
+            />
+          )}
+          <TextField
+            {...FIELD_PROPS}
+            type="number"
+            label="Max holdings"
+            placeholder="All"
+            value={settings.maxHoldings ?? ""}
+            onChange={update("maxHoldings")}
+            inputProps={{ min: 1 }}
+            InputLabelProps={{ shrink: true }}
+          />
+          <TextField
+            {...FIELD_PROPS}
+            select
+            label="Benchmark"
+            value={settings.benchmark ?? DEFAULT_BACKTEST_SETTINGS.benchmark}
+            onChange={update("benchmark")}
+            sx={{ ...FIELD_PROPS.sx, minWidth: 180 }}
+          >
+            {BENCHMARKS.map((option) => (
+              <MenuItem key={option.value} value={option.value}>
+                {option.label}
+              </MenuItem>
+            ))}
+          </TextField>
+          {settings.benchmark === "custom" && (
+            <TextField
+              {...FIELD_PROPS}
+              label="Benchmark index"
+              placeholder="e.g. Nifty Next 50"
+              value={settings.customBenchmark ?? ""}
+              onChange={update("customBenchmark")}
+              error={!customBenchmark}
+              helperText={
+                customBenchmark
+                  ? undefined
+                  : `${getBenchmarkName()} is used until an index is named`
+              }
+            />
+          )}
+          <TextField
+            {...FIELD_PROPS}
+            type="number"
+            label="Brokerage (bps)"
+            value={settings.brokerageBps ?? ""}
+            onChange={update("brokerageBps")}
+            inputProps={{ min: 0, max: 500, step: 0.5 }}
+          />
+          <TextField
+            {...FIELD_PROPS}
+            type="number"
+            label="Slippage (bps)"
+            value={settings.slippageBps ?? ""}
+            onChange={update("slippageBps")}
+            inputProps={{ min: 0, max: 500, step: 0.5 }}
+          />
+          <TextField
+            {...FIELD_PROPS}
+            select
+            label="Tax"
+            value={tax}
+            onChange={update("tax")}
+            sx={{ ...FIELD_PROPS.sx, minWidth: 180 }}
+          >
+            {TAX_TREATMENTS.map((option) => (
+              <MenuItem key={option.value} value={option.value}>
+                {option.label}
+              </MenuItem>
+            ))}
+          </TextField>
+          <Button
+            size="small"
+            onClick={() => onChange(DEFAULT_BACKTEST_SETTINGS)}
+          >
+            Reset
+          </Button>
+        </Box>
+        <Typography
+          variant="caption"
+          color="text.secondary"
+          component="div"
+          sx={{ mt: 1 }}
+        >
+          Data covers {DATA_START_YEAR}–{DATA_END_YEAR}. Leave max holdings
+          empty to hold every stock that passes the screen. Brokerage and
+          slippage are charged on each side of every trade; with costs or
+          tax set, results also show a net return estimated from the gross
+          backtest.
+        </Typography>
+      </Collapse>
+    </Paper>
+  );
+};
+
+export default BacktestSettingsPanel;
@@ -0,0 +1,81 @@
+/**
+ * Environment Switcher Component Module
+ * Development control pointing the app at another backend, e.g. staging or
+ * the local mock server. Shown only while the switcher is on (see
+ * config/environments).
+ */
+
+import React, { useState } from "react";
+import { Chip, ListItemText, Menu, MenuItem, Tooltip } from "@mui/material";
+import DnsOutlinedIcon from "@mui/icons-material/DnsOutlined";
+import { getAppConfig, selectEnvironment } from "../utils/appConfig";
+import { DEFAULT_ENVIRONMENT } from "../config/environments";
+
+/**
+ * Environment Switcher Component
+ * Choosing an environment logs out and reloads the app against it
+ *
+ * @returns {React.ReactElement|null} Environment chip with its menu
+ */
+const EnvironmentSwitcher = () => {
+  /** Anchor of the environment menu */
+  const [anchorEl, setAnchorEl] = useState(null);
+  const { environment, environments, environmentSwitcher, apiBaseUrl } =
+    getAppConfig();
+
+  if (!environmentSwitcher) return null;
+
+  const current = environments.find(({ id }) => id === environment);
+
+  /**
+   * Switches to an environment
+   * @param {string} environmentId - Chosen environment
+   */
+  const handleSelect = (environmentId) => {
+    setAnchorEl(null);
+    if (selectEnvironment(environmentId)) window.location.reload();
+  };
+
+  return (
+    <>
+      <Tooltip title={`API: ${apiBaseUrl}`}>
+        <Chip
+          icon={<DnsOutlinedIcon />}
+          label={current.label}
+          color={environment === DEFAULT_ENVIRONMENT ? "default" : "warning"}
+          size="small"
+          onClick={(event) => setAnchorEl(event.currentTarget)}
+          sx={{
+            position: "fixed",
+            left: 16,
+            bottom: 16,
+            zIndex: (theme) => theme.zIndex.snackbar,
+            boxShadow: 2,
+          }}
+        />
+      </Tooltip>
+      <Menu
+        anchorEl={anchorEl}
+        open={Boolean(anchorEl)}
+        onClose={() => setAnchorEl(null)}
+        anchorOrigin={{ vertical: "top", horizontal: "left" }}
+        transformOrigin={{ vertical: "bottom", horizontal: "left" }}
+      >
+        {environments.map((option) => (
+          <MenuItem
+            key={option.id}
+            selected={option.id === environment}
+            onClick={() => handleSelect(option.id)}
+          >
+            <ListItemText
+              primary={option.label}
+              secondary={option.apiBaseUrl || "Build and config.json"}
+            />
+          </MenuItem>
+        ))}
+      </Menu>
+    </>
+  );
+};
+
+export default EnvironmentSwitcher;
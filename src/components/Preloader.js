@@ -1,21 +1,26 @@
 /**
  * Preloader Component Module
  * Provides a full-screen loading overlay with a circular progress indicator
- * Includes a frosted glass effect and animated loading text
+ * Includes a frosted glass effect, animated loading text and an optional
+ * cancel button
  */
 
 import React from "react";
 import CircularProgress from "@mui/material/CircularProgress";
 import Box from "@mui/material/Box";
+import Button from "@mui/material/Button";
 
 /**
  * Preloader Component
  * Renders a full-screen loading overlay with a centered circular progress indicator
  * and loading text
  * 
+ * @param {Object} props - Component props
+ * @param {Function} [props.onCancel] - Shows a cancel button calling it
+ * @param {number} [props.progress] - Percentage done, shown beside the text
  * @returns {React.ReactElement} Full-screen loading overlay
  */
-const Preloader = () => {
+const Preloader = ({ onCancel, progress }) => {
   return (
     <Box
       sx={{
@@ -57,8 +62,22 @@ const Preloader = () => {
             textTransform: "uppercase",
           }}
         >
-          Loading...
+          Loading...{typeof progress === "number" && ` ${progress}%`}
         </span>
+        {onCancel && (
+          <Button
+            variant="outlined"
+            onClick={onCancel}
+            sx={{
+              mt: 1,
+              color: "#fff",
+              borderColor: "rgba(255, 255, 255, 0.7)",
+              "&:hover": { borderColor: "#fff" },
+            }}
+          >
+            Cancel
+          </Button>
+        )}
       </Box>
     </Box>
   );
@@ -0,0 +1,543 @@
+/**
+ * Query Builder Component Module
+ * Form mode of the screener query editor: one row per condition with
+ * metric, period, operator, value and AND/OR connector, plus nested
+ * groups. The builder keeps no query of its own; it reads the editor text
+ * through the query parser and writes every edit back as text through the
+ * query codec, so both modes always show the same conditions. A ranking
+ * clause is edited in the text and kept as is through builder edits; a
+ * query with sweep ranges is only edited in the text, as rows hold one
+ * value per threshold and period.
+ */
+
+import { useState, useEffect } from "react";
+import {
+  Alert,
+  Box,
+  Button,
+  IconButton,
+  ListSubheader,
+  MenuItem,
+  Paper,
+  TextField,
+  ToggleButton,
+  Typography,
+} from "@mui/material";
+import AddIcon from "@mui/icons-material/Add";
+import DeleteOutlineIcon from "@mui/icons-material/DeleteOutline";
+import PlaylistAddIcon from "@mui/icons-material/PlaylistAdd";
+import theme from "../styles/theme";
+import {
+  analyzeQuery,
+  BETWEEN_SIGN,
+  DEFAULT_CONSIS_PERIOD,
+  DEFAULT_CONSIS_WINDOW,
+} from "../utils/queryParser";
+import { treeToText, describeRanking } from "../utils/queryCodec";
+import {
+  treeToRows,
+  rowsToTree,
+  createConditionRow,
+  createGroupRow,
+} from "../utils/queryRows";
+import {
+  METRICS,
+  ALL_PERIODS,
+  getMetricById,
+  getMetricsByCategory,
+} from "../config/metrics";
+
+/**
+ * Operators offered for a condition, as sign codes and labels
+ * @constant {Array<{sign: string, label: string}>}
+ */
+const OPERATORS = [
+  { sign: "gt", label: ">" },
+  { sign: "gte", label: ">=" },
+  { sign: "lt", label: "<" },
+  { sign: "lte", label: "<=" },
+  { sign: "eq", label: "=" },
+  { sign: "neq", label: "!=" },
+  { sign: BETWEEN_SIGN, label: "between" },
+];
+
+/**
+ * Value of the "Against" select that compares with a number
+ * @constant {string}
+ */
+const AGAINST_VALUE = "value";
+
+/**
+ * Shared props for the compact selects and inputs of a row
+ * @constant {Object}
+ */
+const FIELD_PROPS = {
+  size: "small",
+  sx: { backgroundColor: theme.palette.background.paper },
+};
+
+/**
+ * Copies the display fields of a registry metric into a node metric
+ * @param {Object} metric - Registry metric
+ * @returns {{id: number, name: string, unit: string}} Node metric
+ */
+const toNodeMetric = (metric) => ({
+  id: metric.id,
+  name: metric.name,
+  unit: metric.unit,
+});
+
+/**
+ * Menu items for a metric select, grouped by category
+ * @param {Function} [include] - Optional filter on registry metrics
+ * @returns {Array<React.ReactElement>} Menu items and subheaders
+ */
+const metricMenuItems = (include = () => true) =>
+  getMetricsByCategory().flatMap(({ category, metrics }) => {
+    const shown = metrics.filter(include);
+    if (shown.length === 0) return [];
+    return [
+      <ListSubheader key={category}>{category}</ListSubheader>,
+      ...shown.map((metric) => (
+        <MenuItem key={metric.id} value={metric.id}>
+          {metric.name}
+        </MenuItem>
+      )),
+    ];
+  });
+
+/**
+ * Number input that commits on blur or Enter
+ * Keeps its own draft so partial input such as "-" or "0." is not
+ * reformatted while typing
+ *
+ * @param {Object} props - Component props
+ * @param {number} props.value - Committed value
+ * @param {Function} props.onCommit - Called with the new number
+ * @param {string} props.label - Field label
+ * @returns {React.ReactElement} Value field
+ */
+const ValueField = ({ value, onCommit, label }) => {
+  const [draft, setDraft] = useState(String(value));
+
+  useEffect(() => {
+    setDraft(String(value));
+  }, [value]);
+
+  const commit = () => {
+    const number = Number(draft);
+    if (draft.trim() !== "" && Number.isFinite(number)) {
+      if (number !== value) onCommit(number);
+    } else {
+      setDraft(String(value));
+    }
+  };
+
+  return (
+    <TextField
+      {...FIELD_PROPS}
+      label={label}
+      value={draft}
+      onChange={(event) => setDraft(event.target.value)}
+      onBlur={commit}
+      onKeyDown={(event) => {
+        if (event.key === "Enter") commit();
+      }}
+      inputProps={{ inputMode: "decimal" }}
+      sx={{ ...FIELD_PROPS.sx, width: 100 }}
+    />
+  );
+};
+
+/**
+ * Condition Fields Component
+ * Edits one condition node; fields the row does not show are kept
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.node - Parser condition node
+ * @param {Function} props.onChange - Called with the updated node
+ * @returns {React.ReactElement} Condition fields
+ */
+const ConditionFields = ({ node, onChange }) => {
+  const metric = getMetricById(node.metric.id);
+  const periods = metric?.periods || ALL_PERIODS;
+  const consistency = node.consistency || {
+    count: DEFAULT_CONSIS_PERIOD,
+    window: DEFAULT_CONSIS_WINDOW,
+  };
+
+  const changeMetric = (id) => {
+    const next = getMetricById(id);
+    const updated = { ...node, metric: toNodeMetric(next) };
+    if (!next.periods.includes(node.period)) {
+      updated.period = next.defaultPeriod;
+    }
+    // A metric on the right-hand side must share the unit
+    if (node.compareTo && node.compareTo.metric.unit !== next.unit) {
+      delete updated.compareTo;
+      updated.threshold = 0;
+    }
+    onChange(updated);
+  };
+
+  const changeSign = (sign) => {
+    const updated = { ...node, sign };
+    if (sign === BETWEEN_SIGN) {
+      delete updated.compareTo;
+      updated.threshold = node.threshold ?? 0;
+      updated.upperThreshold = node.upperThreshold ?? updated.threshold;
+    } else {
+      delete updated.upperThreshold;
+    }
+    onChange(updated);
+  };
+
+  const changeAgainst = (against) => {
+    const updated = { ...node };
+    if (against === AGAINST_VALUE) {
+      delete updated.compareTo;
+      onChange({ ...updated, threshold: 0 });
+      return;
+    }
+    const other = getMetricById(against);
+    delete updated.threshold;
+    onChange({
+      ...updated,
+      compareTo: {
+        metric: toNodeMetric(other),
+        period: node.compareTo?.period || other.defaultPeriod,
+      },
+    });
+  };
+
+  const changeConsistency = (count, window) => {
+    const updated = { ...node, consistency: { count, window } };
+    if (count === DEFAULT_CONSIS_PERIOD && window === DEFAULT_CONSIS_WINDOW) {
+      delete updated.consistency;
+    }
+    onChange(updated);
+  };
+
+  return (
+    <>
+      <TextField
+        {...FIELD_PROPS}
+        select
+        label="Metric"
+        value={node.metric.id}
+        onChange={(event) => changeMetric(event.target.value)}
+        sx={{ ...FIELD_PROPS.sx, minWidth: 190 }}
+      >
+        {metricMenuItems()}
+      </TextField>
+      <TextField
+        {...FIELD_PROPS}
+        select
+        label="Years"
+        value={node.period}
+        onChange={(event) =>
+          onChange({ ...node, period: Number(event.target.value) })
+        }
+        sx={{ ...FIELD_PROPS.sx, width: 80 }}
+      >
+        {periods.map((period) => (
+          <MenuItem key={period} value={period}>
+            {period}
+          </MenuItem>
+        ))}
+      </TextField>
+      <TextField
+        {...FIELD_PROPS}
+        select
+        label="Operator"
+        value={node.sign}
+        onChange={(event) => changeSign(event.target.value)}
+        sx={{ ...FIELD_PROPS.sx, width: 110 }}
+      >
+        {OPERATORS.map((operator) => (
+          <MenuItem key={operator.sign} value={operator.sign}>
+            {operator.label}
+          </MenuItem>
+        ))}
+      </TextField>
+      {node.sign === BETWEEN_SIGN ? (
+        <>
+          <ValueField
+            label="From"
+            value={node.threshold}
+            onCommit={(threshold) => onChange({ ...node, threshold })}
+          />
+          <ValueField
+            label="To"
+            value={node.upperThreshold}
+            onCommit={(upperThreshold) => onChange({ ...node, upperThreshold })}
+          />
+        </>
+      ) : (
+        <>
+          <TextField
+            {...FIELD_PROPS}
+            select
+            label="Against"
+            value={node.compareTo ? node.compareTo.metric.id : AGAINST_VALUE}
+            onChange={(event) => changeAgainst(event.target.value)}
+            sx={{ ...FIELD_PROPS.sx, minWidth: 120 }}
+          >
+            <MenuItem value={AGAINST_VALUE}>Value</MenuItem>
+            {metricMenuItems((candidate) => candidate.unit === node.metric.unit)}
+          </TextField>
+          {node.compareTo ? (
+            <TextField
+              {...FIELD_PROPS}
+              select
+              label="Years"
+              value={node.compareTo.period}
+              onChange={(event) =>
+                onChange({
+                  ...node,
+                  compareTo: {
+                    ...node.compareTo,
+                    period: Number(event.target.value),
+                  },
+                })
+              }
+              sx={{ ...FIELD_PROPS.sx, width: 80 }}
+            >
+              {ALL_PERIODS.map((period) => (
+                <MenuItem key={period} value={period}>
+                  {period}
+                </MenuItem>
+              ))}
+            </TextField>
+          ) : (
+            <ValueField
+              label="Value"
+              value={node.threshold}
+              onCommit={(threshold) => onChange({ ...node, threshold })}
+            />
+          )}
+        </>
+      )}
+      <TextField
+        {...FIELD_PROPS}
+        select
+        label="Holds in"
+        value={consistency.count}
+        onChange={(event) =>
+          changeConsistency(Number(event.target.value), consistency.window)
+        }
+        sx={{ ...FIELD_PROPS.sx, width: 90 }}
+      >
+        {ALL_PERIODS.filter((count) => count <= consistency.window).map(
+          (count) => (
+            <MenuItem key={count} value={count}>
+              {count}
+            </MenuItem>
+          )
+        )}
+      </TextField>
+      <TextField
+        {...FIELD_PROPS}
+        select
+        label="of last"
+        value={consistency.window}
+        onChange={(event) => {
+          const window = Number(event.target.value);
+          changeConsistency(Math.min(consistency.count, window), window);
+        }}
+        sx={{ ...FIELD_PROPS.sx, width: 90 }}
+      >
+        {ALL_PERIODS.map((window) => (
+          <MenuItem key={window} value={window}>
+            {window}
+          </MenuItem>
+        ))}
+      </TextField>
+    </>
+  );
+};
+
+/**
+ * Row List Component
+ * Renders a row list with connectors, recursing into group rows
+ *
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.rows - Row list
+ * @param {Function} props.onRowsChange - Called with the updated row list
+ * @returns {React.ReactElement} Rows and add buttons
+ */
+const RowList = ({ rows, onRowsChange }) => {
+  const updateRow = (index, row) =>
+    onRowsChange(rows.map((current, i) => (i === index ? row : current)));
+
+  const removeRow = (index) => {
+    const remaining = rows.filter((_, i) => i !== index);
+    if (remaining.length > 0) {
+      remaining[0] = { ...remaining[0], connector: undefined };
+    }
+    onRowsChange(remaining);
+  };
+
+  const connector = rows.length > 0 ? "AND" : undefined;
+
+  return (
+    <Box sx={{ display: "flex", flexDirection: "column", gap: 1.5 }}>
+      {rows.map((row, index) => (
+        <Box key={index}>
+          {index > 0 && (
+            <TextField
+              {...FIELD_PROPS}
+              select
+              value={row.connector || "AND"}
+              onChange={(event) =>
+                updateRow(index, { ...row, connector: event.target.value })
+              }
+              sx={{ ...FIELD_PROPS.sx, width: 90, mb: 1.5 }}
+              inputProps={{ "aria-label": "Connector" }}
+            >
+              <MenuItem value="AND">AND</MenuItem>
+              <MenuItem value="OR">OR</MenuItem>
+            </TextField>
+          )}
+          <Box
+            sx={{
+              display: "flex",
+              flexWrap: "wrap",
+              alignItems: "center",
+              gap: 1,
+              ...(row.type === "group" && {
+                p: 1.5,
+                border: `1px dashed ${theme.palette.primary.main}`,
+                borderRadius: 1,
+              }),
+            }}
+          >
+            <ToggleButton
+              value="not"
+              size="small"
+              selected={row.negated}
+              onChange={() => updateRow(index, { ...row, negated: !row.negated })}
+              color="error"
+              sx={{ px: 1.5, fontWeight: "bold" }}
+            >
+              NOT
+            </ToggleButton>
+            {row.type === "group" ? (
+              <Box sx={{ flex: 1 }}>
+                <RowList
+                  rows={row.rows}
+                  onRowsChange={(groupRows) =>
+                    updateRow(index, { ...row, rows: groupRows })
+                  }
+                />
+              </Box>
+            ) : (
+              <ConditionFields
+                node={row.node}
+                onChange={(node) => updateRow(index, { ...row, node })}
+              />
+            )}
+            <IconButton
+              aria-label={row.type === "group" ? "Remove group" : "Remove condition"}
+              onClick={() => removeRow(index)}
+              size="small"
+              sx={{ "&:hover": { color: theme.palette.error.main } }}
+            >
+              <DeleteOutlineIcon fontSize="small" />
+            </IconButton>
+          </Box>
+        </Box>
+      ))}
+      <Box sx={{ display: "flex", gap: 1 }}>
+        <Button
+          size="small"
+          startIcon={<AddIcon />}
+          onClick={() => onRowsChange([...rows, createConditionRow(connector)])}
+        >
+          Add condition
+        </Button>
+        <Button
+          size="small"
+          startIcon={<PlaylistAddIcon />}
+          onClick={() => onRowsChange([...rows, createGroupRow(connector)])}
+        >
+          Add group
+        </Button>
+      </Box>
+    </Box>
+  );
+};
+
+/**
+ * Query Builder Component
+ * Shows the editor text as rows; while the text has errors the rows
+ * cannot be derived, so the builder asks for the text to be fixed first
+ * instead of discarding what does not parse. Ranges would be lost the
+ * same way, so a swept query is left to the text editor too.
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.query - Current editor text
+ * @param {Function} props.onChange - Called with the regenerated query text
+ * @returns {React.ReactElement} Row-based query builder
+ */
+const QueryBuilder = ({ query, onChange }) => {
+  const { tree, ranking, diagnostics, sweeps } = query.trim()
+    ? analyzeQuery(query, METRICS)
+    : { tree: null, ranking: null, diagnostics: [], sweeps: [] };
+
+  if (diagnostics.length > 0) {
+    return (
+      <Alert severity="warning" sx={{ mb: 2 }}>
+        The query text has {diagnostics.length} error
+        {diagnostics.length === 1 ? "" : "s"}. Fix{" "}
+        {diagnostics.length === 1 ? "it" : "them"} in the text editor to
+        continue in the builder.
+      </Alert>
+    );
+  }
+
+  if (sweeps.length > 0) {
+    return (
+      <Alert severity="info" sx={{ mb: 2 }}>
+        The query sweeps {sweeps.length === 1 ? "a range" : "ranges"} of
+        values. Edit {sweeps.length === 1 ? "it" : "them"} in the text
+        editor, or replace {sweeps.length === 1 ? "it" : "them"} with a single
+        value to continue in the builder.
+      </Alert>
+    );
+  }
+
+  const handleRowsChange = (rows) => {
+    const nextTree = rowsToTree(rows);
+    onChange(nextTree ? treeToText(nextTree, ranking) : "");
+  };
+
+  return (
+    <Paper
+      elevation={0}
+      sx={{
+        p: 2,
+        mb: 2,
+        border: `1px solid ${theme.palette.divider}`,
+        backgroundColor: theme.palette.background.default,
+      }}
+    >
+      {!tree && (
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+          No conditions yet. Add one to start building the screen.
+        </Typography>
+      )}
+      <RowList
+        rows={treeToRows(tree)}
+        onRowsChange={handleRowsChange}
+      />
+      {ranking && (
+        <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+          Ranking: {describeRanking(ranking)}. Edit it in the text editor.
+        </Typography>
+      )}
+    </Paper>
+  );
+};
+
+export default QueryBuilder;
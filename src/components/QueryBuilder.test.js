@@ -0,0 +1,25 @@
+import { render, screen } from "@testing-library/react";
+import QueryBuilder from "./QueryBuilder";
+
+test("a swept query is left to the text editor so its range survives", () => {
+  const onChange = jest.fn();
+  render(
+    <QueryBuilder
+      query={"Average ROCE 5 Years > {10..25 step 5} AND\nAverage DE 5 Years < 1"}
+      onChange={onChange}
+    />
+  );
+
+  expect(screen.getByText(/sweeps a range of values/)).toBeInTheDocument();
+  // No rows to edit, so nothing can write the range back as one value
+  expect(screen.queryByRole("button", { name: /add condition/i })).toBeNull();
+  expect(onChange).not.toHaveBeenCalled();
+});
+
+test("a query without ranges is edited in rows", () => {
+  render(<QueryBuilder query="Average DE 5 Years < 1" onChange={jest.fn()} />);
+
+  expect(
+    screen.getByRole("button", { name: /add condition/i })
+  ).toBeInTheDocument();
+});
@@ -0,0 +1,114 @@
+/**
+ * Query Diagnostics Component Module
+ * Shows parse problems of the screener query editor: a message list with
+ * line/column positions and an underlay that underlines the offending text
+ */
+
+import { Box, Typography } from "@mui/material";
+import ErrorOutlineIcon from "@mui/icons-material/ErrorOutline";
+import theme from "../styles/theme";
+
+/**
+ * Splits text into plain and erroneous segments
+ * Zero-width spans (e.g. a value missing at the end) get a visible blank
+ *
+ * @param {string} text - Query text
+ * @param {Array<Object>} diagnostics - Diagnostics with start and end offsets
+ * @returns {Array<{text: string, error: boolean}>} Ordered segments
+ */
+const toSegments = (text, diagnostics) => {
+  const segments = [];
+  let pos = 0;
+  diagnostics.forEach(({ start, end }) => {
+    if (start < pos) return;
+    if (start > pos) segments.push({ text: text.slice(pos, start), error: false });
+    segments.push({
+      text: end > start ? text.slice(start, end) : "  ",
+      error: true,
+    });
+    pos = Math.max(end, start);
+  });
+  segments.push({ text: text.slice(pos), error: false });
+  return segments;
+};
+
+/**
+ * Diagnostic Underlay Component
+ * Mirrors the editor text with transparent glyphs so only the wavy
+ * underlines show through. Must be placed over the multiline TextField.
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.text - Current query text
+ * @param {Array<Object>} props.diagnostics - Diagnostics from analyzeQuery
+ * @returns {React.ReactElement|null} Underlay element
+ */
+export const DiagnosticUnderlay = ({ text, diagnostics }) => {
+  if (diagnostics.length === 0) return null;
+
+  return (
+    <Box
+      aria-hidden
+      sx={{
+        ...theme.typography.body1,
+        position: "absolute",
+        top: 0,
+        left: 0,
+        right: 0,
+        padding: "16.5px 14px",
+        lineHeight: 1.5,
+        color: "transparent",
+        whiteSpace: "pre-wrap",
+        overflowWrap: "break-word",
+        pointerEvents: "none",
+        zIndex: 1,
+      }}
+    >
+      {toSegments(text, diagnostics).map((segment, index) =>
+        segment.error ? (
+          <span
+            key={index}
+            style={{
+              textDecoration: `underline wavy ${theme.palette.error.main}`,
+              textDecorationSkipInk: "none",
+            }}
+          >
+            {segment.text}
+          </span>
+        ) : (
+          <span key={index}>{segment.text}</span>
+        )
+      )}
+    </Box>
+  );
+};
+
+/**
+ * Query Diagnostics Component
+ * Lists each problem with its line and column
+ *
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.diagnostics - Diagnostics from analyzeQuery
+ * @returns {React.ReactElement|null} Diagnostics list
+ */
+const QueryDiagnostics = ({ diagnostics }) => {
+  if (diagnostics.length === 0) return null;
+
+  return (
+    <Box sx={{ mt: -1, mb: 2 }} role="alert">
+      {diagnostics.map((diagnostic) => (
+        <Box
+          key={`${diagnostic.start}-${diagnostic.message}`}
+          sx={{ display: "flex", alignItems: "center", gap: 1, mb: 0.5 }}
+        >
+          <ErrorOutlineIcon color="error" sx={{ fontSize: 18 }} />
+          <Typography variant="body2" color="error">
+            Line {diagnostic.line}, column {diagnostic.column}:{" "}
+            {diagnostic.message}
+          </Typography>
+        </Box>
+      ))}
+    </Box>
+  );
+};
+
+export default QueryDiagnostics;
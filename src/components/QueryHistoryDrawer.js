@@ -0,0 +1,156 @@
+/**
+ * Query History Drawer Component Module
+ * Lists the queries run from this browser, newest first, with their run
+ * time and headline CAGR and downside risk, and lets the user reopen one
+ */
+
+import {
+  Box,
+  Button,
+  Divider,
+  Drawer,
+  IconButton,
+  List,
+  ListItem,
+  ListItemButton,
+  Typography,
+} from "@mui/material";
+import DeleteOutlineIcon from "@mui/icons-material/DeleteOutline";
+import CloseIcon from "@mui/icons-material/Close";
+import useQueryHistory from "../hooks/useQueryHistory";
+
+/**
+ * Formats a fraction as a percentage
+ * @param {number} value - Fraction, e.g. 0.1834
+ * @returns {string} Percentage, e.g. "18.34%"
+ */
+const formatPercent = (value) => `${(value * 100).toFixed(2)}%`;
+
+/**
+ * Query History Drawer Component
+ *
+ * @param {Object} props - Component props
+ * @param {boolean} props.open - Whether the drawer is shown
+ * @param {Function} props.onClose - Called to close the drawer
+ * @param {Function} props.onSelect - Called with the chosen history entry
+ * @returns {React.ReactElement} History drawer
+ */
+const QueryHistoryDrawer = ({ open, onClose, onSelect }) => {
+  const { entries, removeEntry, clearHistory } = useQueryHistory();
+
+  return (
+    <Drawer anchor="right" open={open} onClose={onClose} elevation={2}>
+      <Box sx={{ width: { xs: 300, sm: 400 }, p: 2 }}>
+        <Box
+          sx={{
+            display: "flex",
+            alignItems: "center",
+            justifyContent: "space-between",
+            mb: 1,
+          }}
+        >
+          <Typography variant="h6" sx={{ fontWeight: "bold" }}>
+            Query History
+          </Typography>
+          <IconButton onClick={onClose} size="small" aria-label="Close history">
+            <CloseIcon fontSize="small" />
+          </IconButton>
+        </Box>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Runs from this browser. Select one to reopen its query and results.
+        </Typography>
+        <Divider />
+
+        {entries.length === 0 ? (
+          <Typography variant="body2" color="text.secondary" sx={{ mt: 2 }}>
+            No queries run yet.
+          </Typography>
+        ) : (
+          <List disablePadding>
+            {entries.map((entry) => (
+              <ListItem
+                key={entry.id}
+                disablePadding
+                divider
+                secondaryAction={
+                  <IconButton
+                    edge="end"
+                    size="small"
+                    aria-label="Remove from history"
+                    onClick={() => removeEntry(entry.id)}
+                  >
+                    <DeleteOutlineIcon fontSize="small" />
+                  </IconButton>
+                }
+              >
+                <ListItemButton
+                  onClick={() => onSelect(entry)}
+                  sx={{ display: "block", py: 1.5, pr: 6 }}
+                >
+                  <Typography
+                    variant="body2"
+                    sx={{
+                      fontFamily: "monospace",
+                      whiteSpace: "pre-wrap",
+                      wordBreak: "break-word",
+                      display: "-webkit-box",
+                      WebkitLineClamp: 3,
+                      WebkitBoxOrient: "vertical",
+                      overflow: "hidden",
+                    }}
+                  >
+                    {entry.query}
+                  </Typography>
+                  <Typography
+                    variant="caption"
+                    color="text.secondary"
+                    component="div"
+                    sx={{ mt: 0.5 }}
+                  >
+                    {new Date(entry.executedAt).toLocaleString()}
+                  </Typography>
+                  <Box sx={{ display: "flex", gap: 2, mt: 0.5 }}>
+                    {entry.summary ? (
+                      <>
+                        <Typography variant="caption" color="primary">
+                          CAGR {formatPercent(entry.summary.cagr)}
+                        </Typography>
+                        <Typography variant="caption" color="error">
+                          Risk {formatPercent(entry.summary.risk)}
+                        </Typography>
+                      </>
+                    ) : (
+                      <Typography variant="caption" color="text.secondary">
+                        No results recorded
+                      </Typography>
+                    )}
+                    {!entry.response && entry.summary && (
+                      <Typography variant="caption" color="text.secondary">
+                        Query only
+                      </Typography>
+                    )}
+                  </Box>
+                </ListItemButton>
+              </ListItem>
+            ))}
+          </List>
+        )}
+
+        {entries.length > 0 && (
+          <Box sx={{ display: "flex", justifyContent: "flex-end", mt: 2 }}>
+            <Button
+              size="small"
+              color="error"
+              onClick={clearHistory}
+              startIcon={<DeleteOutlineIcon />}
+            >
+              Clear History
+            </Button>
+          </Box>
+        )}
+      </Box>
+    </Drawer>
+  );
+};
+
+export default QueryHistoryDrawer;
@@ -0,0 +1,62 @@
+/**
+ * Query Resolutions Component Module
+ * Shows which registry metric each alias or loosely written phrase in the
+ * screener query editor was resolved to, and which period was assumed
+ */
+
+import { Box, Chip, Typography } from "@mui/material";
+
+/**
+ * Builds the chip label for one resolution
+ * @param {Object} resolution - Resolution from analyzeQuery
+ * @returns {string} Label, e.g. "P/E → PE (Trailing), 1 Years (default)"
+ */
+const toLabel = ({ phrase, metric, period, defaultPeriod }) =>
+  `${phrase} → ${metric.name}, ${period} Years${
+    defaultPeriod ? " (default)" : ""
+  }`;
+
+/**
+ * Query Resolutions Component
+ * Only phrases that differ from the canonical name, were matched despite a
+ * typo, or had their period filled in are listed
+ *
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.resolutions - Resolutions from analyzeQuery
+ * @returns {React.ReactElement|null} Resolution chips
+ */
+const QueryResolutions = ({ resolutions }) => {
+  const shown = resolutions.filter(
+    (resolution) =>
+      resolution.defaultPeriod ||
+      resolution.fuzzy ||
+      resolution.phrase.toLowerCase() !== resolution.metric.name.toLowerCase()
+  );
+  if (shown.length === 0) return null;
+
+  return (
+    <Box sx={{ mt: -1, mb: 2 }}>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 0.5 }}>
+        Interpreted as:
+      </Typography>
+      <Box sx={{ display: "flex", flexWrap: "wrap", gap: 1 }}>
+        {shown.map((resolution) => (
+          <Chip
+            key={resolution.start}
+            size="small"
+            variant="outlined"
+            color={resolution.fuzzy ? "warning" : "primary"}
+            label={toLabel(resolution)}
+            title={
+              resolution.fuzzy
+                ? "Closest match for a phrase not in the metric catalog"
+                : undefined
+            }
+          />
+        ))}
+      </Box>
+    </Box>
+  );
+};
+
+export default QueryResolutions;
@@ -14,8 +14,7 @@ import {
   Box,
   ThemeProvider,
 } from "@mui/material";
-import axios from "axios";
-import { API_ENDPOINTS } from "../config/config";
+import { resetPassword } from "../utils/apiClient";
 import theme from "../styles/theme"; // Import the custom theme
 import Header from "../components/Header";
 import Snackbar from "@mui/material/Snackbar";
@@ -82,21 +81,14 @@ const ResetPassword = () => {
       formDataToSend.append("token", token);
       formDataToSend.append("new_password", formData.new_password);
 
-      const res = await axios.post(
-        API_ENDPOINTS.RESET_PASSWORD,
-        formDataToSend, // Send as FormData
-        {
-          headers: {
-            "Content-Type": "multipart/form-data", // Important!
-          },
-        }
-      );
+      // Sent as multipart/form-data
+      const res = await resetPassword(formDataToSend);
 
-      showSnackbar(res.data.message);
+      showSnackbar(res.message);
       navigate("/");
     } catch (err) {
-      console.error(err.response);
-      showSnackbar(err.response?.data?.detail || "Something went wrong.");
+      console.error(err);
+      showSnackbar(err.message);
     }
   };
 
@@ -0,0 +1,169 @@
+/**
+ * Result Cache Drawer Component Module
+ * Management view of the local result cache: the cached runs with their
+ * age and size, the time-to-live, and removing one run or all of them
+ */
+
+import {
+  Box,
+  Button,
+  Divider,
+  Drawer,
+  FormControl,
+  IconButton,
+  InputLabel,
+  List,
+  ListItem,
+  MenuItem,
+  Select,
+  Typography,
+} from "@mui/material";
+import DeleteOutlineIcon from "@mui/icons-material/DeleteOutline";
+import CloseIcon from "@mui/icons-material/Close";
+import useResultCache from "../hooks/useResultCache";
+import { RESULT_CACHE_TTL_OPTIONS } from "../config/resultCache";
+
+/**
+ * Formats a size in bytes
+ * @param {number} bytes - Size
+ * @returns {string} Size, e.g. "12.3 KB"
+ */
+const formatSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+/**
+ * Result Cache Drawer Component
+ *
+ * @param {Object} props - Component props
+ * @param {boolean} props.open - Whether the drawer is shown
+ * @param {Function} props.onClose - Called to close the drawer
+ * @returns {React.ReactElement} Cache drawer
+ */
+const ResultCacheDrawer = ({ open, onClose }) => {
+  const { entries, totalSize, ttl, setTtl, removeEntry, clearCache } =
+    useResultCache(open);
+
+  return (
+    <Drawer anchor="right" open={open} onClose={onClose} elevation={2}>
+      <Box sx={{ width: { xs: 300, sm: 400 }, p: 2 }}>
+        <Box
+          sx={{
+            display: "flex",
+            alignItems: "center",
+            justifyContent: "space-between",
+            mb: 1,
+          }}
+        >
+          <Typography variant="h6" sx={{ fontWeight: "bold" }}>
+            Result Cache
+          </Typography>
+          <IconButton onClick={onClose} size="small" aria-label="Close cache">
+            <CloseIcon fontSize="small" />
+          </IconButton>
+        </Box>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Results kept in this browser. Running an identical query with the
+          same settings and universe shows them instead of a new backtest.
+        </Typography>
+        <Box
+          sx={{
+            display: "flex",
+            alignItems: "center",
+            justifyContent: "space-between",
+            gap: 2,
+            mb: 2,
+          }}
+        >
+          <FormControl size="small" sx={{ minWidth: 160 }}>
+            <InputLabel id="result-cache-ttl">Keep results for</InputLabel>
+            <Select
+              labelId="result-cache-ttl"
+              label="Keep results for"
+              value={ttl}
+              onChange={(event) => setTtl(event.target.value)}
+            >
+              {RESULT_CACHE_TTL_OPTIONS.map((option) => (
+                <MenuItem key={option.value} value={option.value}>
+                  {option.label}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          <Typography variant="body2" color="text.secondary">
+            {entries.length} {entries.length === 1 ? "result" : "results"},{" "}
+            {formatSize(totalSize)}
+          </Typography>
+        </Box>
+        <Divider />
+
+        {entries.length === 0 ? (
+          <Typography variant="body2" color="text.secondary" sx={{ mt: 2 }}>
+            No cached results.
+          </Typography>
+        ) : (
+          <List disablePadding>
+            {entries.map((entry) => (
+              <ListItem
+                key={entry.key}
+                divider
+                sx={{ display: "block", py: 1.5, pr: 6 }}
+                secondaryAction={
+                  <IconButton
+                    edge="end"
+                    size="small"
+                    aria-label="Remove from cache"
+                    onClick={() => removeEntry(entry.key)}
+                  >
+                    <DeleteOutlineIcon fontSize="small" />
+                  </IconButton>
+                }
+              >
+                <Typography
+                  variant="body2"
+                  sx={{
+                    fontFamily: "monospace",
+                    whiteSpace: "pre-wrap",
+                    wordBreak: "break-word",
+                    display: "-webkit-box",
+                    WebkitLineClamp: 3,
+                    WebkitBoxOrient: "vertical",
+                    overflow: "hidden",
+                  }}
+                >
+                  {entry.query}
+                </Typography>
+                <Typography
+                  variant="caption"
+                  color="text.secondary"
+                  component="div"
+                  sx={{ mt: 0.5 }}
+                >
+                  {new Date(entry.cachedAt).toLocaleString()} ·{" "}
+                  {formatSize(entry.size)}
+                </Typography>
+              </ListItem>
+            ))}
+          </List>
+        )}
+
+        {entries.length > 0 && (
+          <Box sx={{ display: "flex", justifyContent: "flex-end", mt: 2 }}>
+            <Button
+              size="small"
+              color="error"
+              onClick={clearCache}
+              startIcon={<DeleteOutlineIcon />}
+            >
+              Clear Cache
+            </Button>
+          </Box>
+        )}
+      </Box>
+    </Drawer>
+  );
+};
+
+export default ResultCacheDrawer;
@@ -0,0 +1,310 @@
+/**
+ * Robustness Check Component Module
+ * Runs variants of the strategy shown, each with one condition's threshold
+ * or period moved a little, and shows how far mean CAGR, downside risk and
+ * Sharpe move per condition as a tornado chart, with a robustness score.
+ * Shown beside the results highlights, so a strategy fitted to its exact
+ * parameters shows before it is saved.
+ */
+
+import { useMemo, useState } from "react";
+import {
+  Box,
+  Button,
+  Chip,
+  LinearProgress,
+  ToggleButton,
+  ToggleButtonGroup,
+  Typography,
+} from "@mui/material";
+import TuneIcon from "@mui/icons-material/Tune";
+import * as d3 from "d3";
+import theme from "../styles/theme";
+import useRunBatch from "../hooks/useRunBatch";
+import { useResults } from "../hooks/useResults";
+import { sessionResultKey } from "../utils/resultsStore";
+import {
+  getRobustnessVariants,
+  summarizeRobustness,
+} from "../utils/robustness";
+import { SWEEP_MEASURES } from "../config/sweep";
+
+/**
+ * Layout of the tornado chart in SVG units
+ * @constant {Object}
+ */
+const CHART = { width: 640, labelWidth: 260, rowHeight: 30, padding: 50 };
+
+/**
+ * Writes a shift of a measure
+ * @param {number} shift - Change of the weighted average
+ * @param {Object} measure - Measure from SWEEP_MEASURES
+ * @returns {string} Shift text, e.g. "+1.2 pts"
+ */
+const formatShift = (shift, measure) => {
+  const sign = shift > 0 ? "+" : shift < 0 ? "−" : "";
+  return measure.percent
+    ? `${sign}${Math.abs(shift * 100).toFixed(1)} pts`
+    : `${sign}${Math.abs(shift).toFixed(2)}`;
+};
+
+/**
+ * Tornado chart of the shifts of one measure, widest span on top
+ *
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.conditions - Conditions from
+ *   summarizeRobustness
+ * @param {Object} props.measure - Measure from SWEEP_MEASURES
+ * @returns {React.ReactElement} Chart
+ */
+const TornadoChart = ({ conditions, measure }) => {
+  const rows = conditions
+    .map(({ text, shifts }) => ({ text, ...shifts[measure.value] }))
+    .sort((a, b) => b.high - b.low - (a.high - a.low));
+  const extent =
+    d3.max(rows, (row) => Math.max(-row.low, row.high)) || Number.EPSILON;
+  const x = d3
+    .scaleLinear()
+    .domain([-extent, extent])
+    .range([CHART.labelWidth + CHART.padding, CHART.width - CHART.padding]);
+  const height = rows.length * CHART.rowHeight + 10;
+  const worse = theme.palette.error.main;
+  const better = theme.palette.success.main;
+
+  return (
+    <svg
+      viewBox={`0 0 ${CHART.width} ${height}`}
+      width="100%"
+      role="img"
+      aria-label={`Shift of ${measure.label} per condition`}
+    >
+      {rows.map((row, index) => {
+        const y = index * CHART.rowHeight + 5;
+        const barY = y + 6;
+        const barHeight = CHART.rowHeight - 12;
+        const label =
+          row.text.length > 36 ? `${row.text.slice(0, 35)}…` : row.text;
+        return (
+          <g key={row.text + index}>
+            <title>{row.text}</title>
+            <text
+              x={0}
+              y={y + CHART.rowHeight / 2 + 4}
+              fontSize={12}
+              fill={theme.palette.text.primary}
+            >
+              {label}
+            </text>
+            <rect
+              x={x(row.low)}
+              y={barY}
+              width={x(0) - x(row.low)}
+              height={barHeight}
+              fill={measure.higherIsBetter ? worse : better}
+            />
+            <rect
+              x={x(0)}
+              y={barY}
+              width={x(row.high) - x(0)}
+              height={barHeight}
+              fill={measure.higherIsBetter ? better : worse}
+            />
+            {row.low < 0 && (
+              <text
+                x={x(row.low) - 4}
+                y={y + CHART.rowHeight / 2 + 4}
+                fontSize={11}
+                textAnchor="end"
+                fill={theme.palette.text.secondary}
+              >
+                {formatShift(row.low, measure)}
+              </text>
+            )}
+            {row.high > 0 && (
+              <text
+                x={x(row.high) + 4}
+                y={y + CHART.rowHeight / 2 + 4}
+                fontSize={11}
+                fill={theme.palette.text.secondary}
+              >
+                {formatShift(row.high, measure)}
+              </text>
+            )}
+          </g>
+        );
+      })}
+      <line
+        x1={x(0)}
+        x2={x(0)}
+        y1={0}
+        y2={height}
+        stroke={theme.palette.text.primary}
+      />
+    </svg>
+  );
+};
+
+/**
+ * Robustness Check Component
+ *
+ * @param {Object} props - Component props
+ * @param {string|Object} props.stored - strat_name literal or execute data
+ *   of the strategy shown
+ * @param {Object} props.baseResponse - Execute response of the strategy
+ * @returns {React.ReactElement|null} Check, or nothing when the strategy's
+ *   conditions cannot be read or have nothing to vary
+ */
+const RobustnessCheck = ({ stored, baseResponse }) => {
+  const { batch, startBatch, stopBatch } = useRunBatch();
+  const [measureValue, setMeasureValue] = useState(SWEEP_MEASURES[0].value);
+  const measure = SWEEP_MEASURES.find((item) => item.value === measureValue);
+
+  const plan = useMemo(() => {
+    if (!stored) return null;
+    try {
+      return getRobustnessVariants(stored);
+    } catch (error) {
+      return null;
+    }
+  }, [stored]);
+
+  const results = useResults(
+    (batch?.runs || []).map((run) => sessionResultKey(run.sessionId))
+  );
+
+  if (!plan || plan.variants.length === 0) return null;
+
+  /**
+   * Runs every variant of the strategy
+   */
+  const handleStart = () => {
+    startBatch({
+      id: crypto.randomUUID(),
+      conditions: plan.conditions,
+      runs: plan.variants.map((variant) => ({
+        ...variant,
+        sessionId: crypto.randomUUID(),
+      })),
+    });
+  };
+
+  if (!batch) {
+    return (
+      <Box sx={{ mt: 3, textAlign: "center" }}>
+        <Button
+          variant="outlined"
+          color="primary"
+          onClick={handleStart}
+          startIcon={<TuneIcon />}
+          sx={{ borderRadius: 1 }}
+        >
+          Check Robustness
+        </Button>
+        <Typography
+          variant="caption"
+          color="text.secondary"
+          component="div"
+          sx={{ mt: 1 }}
+        >
+          Runs {plan.variants.length} variants, moving each threshold by ±10%
+          and ±20% and each period by a year
+        </Typography>
+      </Box>
+    );
+  }
+
+  const summary = summarizeRobustness(
+    baseResponse,
+    batch.conditions,
+    batch.runs,
+    results.map((result) => (result.status === "success" ? result.data : null))
+  );
+  const finished = results.filter(
+    (result) => !["idle", "loading"].includes(result.status)
+  ).length;
+
+  return (
+    <Box sx={{ mt: 3 }}>
+      <Box
+        sx={{
+          display: "flex",
+          alignItems: "center",
+          justifyContent: "center",
+          flexWrap: "wrap",
+          gap: 1,
+          mb: 1,
+        }}
+      >
+        <Typography sx={{ color: "text.primary", fontSize: "1.2rem" }}>
+          Robustness
+        </Typography>
+        {summary.score !== null && (
+          <Chip
+            color={summary.rating.color}
+            label={`${summary.score}/100 · ${summary.rating.label}`}
+            sx={{ fontWeight: "bold" }}
+          />
+        )}
+      </Box>
+      <Box
+        sx={{
+          display: "flex",
+          alignItems: "center",
+          justifyContent: "center",
+          gap: 2,
+          mb: 1,
+        }}
+      >
+        <Typography variant="body2" color="text.secondary">
+          {finished} of {batch.runs.length} variants done
+        </Typography>
+        {batch.running ? (
+          <Button size="small" color="inherit" onClick={stopBatch}>
+            Stop
+          </Button>
+        ) : (
+          <Button size="small" color="inherit" onClick={handleStart}>
+            Run Again
+          </Button>
+        )}
+      </Box>
+      {batch.running && (
+        <LinearProgress
+          variant="determinate"
+          value={(finished / batch.runs.length) * 100}
+          aria-label="Robustness check progress"
+          sx={{ mb: 2 }}
+        />
+      )}
+      <Box sx={{ display: "flex", justifyContent: "center", mb: 1 }}>
+        <ToggleButtonGroup
+          value={measureValue}
+          exclusive
+          size="small"
+          color="primary"
+          onChange={(event, value) => value && setMeasureValue(value)}
+          aria-label="Robustness measure"
+        >
+          {SWEEP_MEASURES.map((item) => (
+            <ToggleButton key={item.value} value={item.value}>
+              {item.label}
+            </ToggleButton>
+          ))}
+        </ToggleButtonGroup>
+      </Box>
+      <TornadoChart conditions={summary.conditions} measure={measure} />
+      <Typography
+        variant="caption"
+        color="text.secondary"
+        component="div"
+        sx={{ textAlign: "center" }}
+      >
+        Bars span the lowest and highest change of the average{" "}
+        {measure.label.toLowerCase()} when a condition's threshold or period
+        is moved. Long bars mean the results depend on that exact value.
+      </Typography>
+    </Box>
+  );
+};
+
+export default RobustnessCheck;
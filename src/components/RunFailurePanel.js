@@ -0,0 +1,52 @@
+/**
+ * Run Failure Panel Component Module
+ * Shown above the query editor when a screen run or strategy load failed,
+ * timed out or was cancelled. The editor stays open below it, so the query
+ * can be fixed before retrying.
+ */
+
+import { Alert, AlertTitle, Button } from "@mui/material";
+import ReplayIcon from "@mui/icons-material/Replay";
+
+/**
+ * Run Failure Panel Component
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.status - Request status from the results store
+ * @param {string} [props.error] - Message of the failure
+ * @param {Function} props.onRetry - Runs the request again
+ * @param {Function} props.onDismiss - Hides the panel
+ * @returns {React.ReactElement|null} Panel, or nothing unless the run failed
+ *   or was cancelled
+ */
+const RunFailurePanel = ({ status, error, onRetry, onDismiss }) => {
+  if (status !== "error" && status !== "cancelled") return null;
+  const cancelled = status === "cancelled";
+
+  return (
+    <Alert
+      severity={cancelled ? "info" : "error"}
+      onClose={onDismiss}
+      action={
+        <Button
+          color="inherit"
+          size="small"
+          startIcon={<ReplayIcon />}
+          onClick={onRetry}
+        >
+          Retry
+        </Button>
+      }
+      sx={{ mb: 2 }}
+    >
+      <AlertTitle>
+        {cancelled ? "The run was cancelled" : "The run failed"}
+      </AlertTitle>
+      {cancelled
+        ? "Nothing was changed. Edit the query or run it again."
+        : `${error || "Something went wrong."} Edit the query or try again.`}
+    </Alert>
+  );
+};
+
+export default RunFailurePanel;
@@ -12,6 +12,7 @@ import {
   Typography,
   Paper,
   Button,
+  Link,
 } from "@mui/material";
 import { ThemeProvider } from "@mui/material/styles";
 import theme from "../styles/theme";
@@ -22,25 +23,90 @@ import DialogTitle from "@mui/material/DialogTitle";
 import DialogActions from "@mui/material/DialogActions";
 import Checkbox from "@mui/material/Checkbox";
 import FormControlLabel from "@mui/material/FormControlLabel";
-import { useNavigate } from "react-router-dom";
+import { useNavigate, Link as RouterLink } from "react-router-dom";
 import useExecuteQuery from "../hooks/useExecuteQuery";
+import useUndoableState from "../hooks/useUndoableState";
 import Snackbar from "@mui/material/Snackbar";
 import SnackbarContent from "@mui/material/SnackbarContent";
 import IconButton from "@mui/material/IconButton";
 import AuthDialog from "./AuthDialog";
+import Tooltip from "@mui/material/Tooltip";
 import ClearIcon from "@mui/icons-material/Clear";
+import UndoIcon from "@mui/icons-material/Undo";
+import RedoIcon from "@mui/icons-material/Redo";
 import CloseIcon from "@mui/icons-material/Close";
 import ContentPasteIcon from "@mui/icons-material/ContentPaste";
+import { analyzeQuery, buildFilters } from "../utils/queryParser";
+import QueryDiagnostics, { DiagnosticUnderlay } from "./QueryDiagnostics";
+import QueryResolutions from "./QueryResolutions";
+import { METRICS, getMetricById } from "../config/metrics";
+import { breakLines } from "../utils/queryCodec";
+import { getCompletions, applyCompletion } from "../utils/queryCompletion";
+import { addQueryHistoryEntry } from "../utils/queryHistory";
+import { readCachedResult, writeCachedResult } from "../utils/resultCache";
+import { toSettingsPayload } from "../utils/backtestSettings";
+import { normalizeUniverse } from "../utils/universe";
+import { expandSweep } from "../utils/parameterSweep";
+import { getAppConfig } from "../utils/appConfig";
+
+/**
+ * Private-use character marking the cursor while the text is reformatted
+ * @constant {string}
+ */
+const CURSOR_MARK = "\uE000";
+
+/**
+ * Finds where the cursor belongs after an undo or redo: the end of the
+ * region that differs between the two texts
+ *
+ * @param {string} before - Text before the step
+ * @param {string} after - Text after the step
+ * @returns {number} Cursor offset in the new text
+ */
+const changeEnd = (before, after) => {
+  let prefix = 0;
+  while (prefix < after.length && before[prefix] === after[prefix]) prefix++;
+  let suffix = 0;
+  while (
+    suffix < before.length &&
+    suffix < after.length &&
+    before[before.length - 1 - suffix] === after[after.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+  return Math.max(prefix, after.length - suffix);
+};
 
 const SearchInput = forwardRef(
-  ({ onSearchButtonClick, onDirectStrategyExecution, hasStrategyId = false, initialQuery = "" }, ref) => {
-    const [query, setQuery] = useState(
+  (
+    {
+      onSearchButtonClick,
+      onDirectStrategyExecution,
+      hasStrategyId = false,
+      initialQuery = "",
+      syncedQuery,
+      onQueryChange,
+      settings,
+      universe,
+      onSweepStart,
+    },
+    ref
+  ) => {
+    const {
+      value: query,
+      setValue: setQuery,
+      undo,
+      redo,
+      canUndo,
+      canRedo,
+    } = useUndoableState(
       initialQuery ||
         "DE CAGR 1 Years >= 25 AND\nPBIDT CAGR 9 Years < 40 AND\nAverage DE 6 Years > 16"
     );
     const [selectedOption, setSelectedOption] = useState("");
+    const [selectedMetric, setSelectedMetric] = useState(null);
     const [description, setDescription] = useState("Custom query example:");
-    const [formula, setFormula] = useState(`Market capitalization > 500 AND
+    const [formula, setFormula] = useState(`Sales growth > 15 AND
 Price to earning < 15 AND
 Return on capital employed > 22%
 `);
@@ -49,15 +115,42 @@ Return on capital employed > 22%
     const [strategyName, setStrategyName] = useState("");
     const [isPublic, setIsPublic] = useState(false);
     const [shareableLink, setShareableLink] = useState("");
-    const { executeQuery, saveStrategy } = useExecuteQuery();
+    const { executeQuery, saveStrategy, restoreResponse } = useExecuteQuery();
     const [snackbarOpen, setSnackbarOpen] = useState(false);
     const [snackbarMessage, setSnackbarMessage] = useState("");
+    const [cursor, setCursor] = useState(0);
+    const textareaRef = useRef(null);
+    const pendingCursorRef = useRef(null);
+    const restoreCursorRef = useRef(false);
+    const previousQueryRef = useRef(query);
+    const sessionIdRef = useRef(crypto.randomUUID());
+    // Settings the current session was run with, saved with the strategy
+    const sessionSettingsRef = useRef(null);
 
     useEffect(() => {
       if (initialQuery) {
         setQuery(initialQuery);
       }
-    }, [initialQuery]);
+    }, [initialQuery, setQuery]);
+
+    // Text pushed in by the visual builder or the query history; an object
+    // so that repeating the same text still applies after the user has typed
+    // in between. A past run also brings its session and settings for saving.
+    useEffect(() => {
+      if (syncedQuery) {
+        setQuery(syncedQuery.text);
+        if (syncedQuery.sessionId) {
+          sessionIdRef.current = syncedQuery.sessionId;
+          sessionSettingsRef.current = syncedQuery.settings || null;
+        }
+      }
+    }, [syncedQuery, setQuery]);
+
+    useEffect(() => {
+      if (onQueryChange) {
+        onQueryChange(query);
+      }
+    }, [query, onQueryChange]);
 
     // Use useImperativeHandle to expose methods
     useImperativeHandle(ref, () => ({
@@ -68,332 +161,117 @@ Return on capital employed > 22%
         }
         setSaveDialogOpen(true);
       },
+      // Runs a new backtest even when the result is cached
+      rerunQuery: () => handleRunQuery({ useCache: false }),
     }));
-    const options = [
-      {
-        id: 1,
-        name: "Average DE",
-        description:
-          "Debt-to-Equity Ratio measures a company's financial leverage.",
-        formula: "Total Debt / Total Equity",
-      },
-      {
-        id: 2,
-        name: "Average ROCE",
-        description:
-          "Return on Capital Employed indicates profitability and efficiency in using capital.",
-        formula: "EBIT / Capital Employed",
-      },
-      {
-        id: 3,
-        name: "Average ROE",
-        description:
-          "Return on Equity measures profitability relative to shareholders' equity.",
-        formula: "Net Income / Shareholder's Equity",
-      },
-      {
-        id: 4,
-        name: "Average CFO/PBIT",
-        description:
-          "Cash Flow from Operations to Profit Before Interest and Tax measures cash efficiency.",
-        formula: "CFO / PBIT",
-      },
-      {
-        id: 5,
-        name: "DE CAGR",
-        description: "Compounded Annual Growth Rate of Debt-to-Equity Ratio.",
-        formula: "((Ending DE / Beginning DE)^(1/Years)) - 1",
-      },
-      {
-        id: 6,
-        name: "ROCE CAGR",
-        description:
-          "Compounded Annual Growth Rate of Return on Capital Employed.",
-        formula: "((Ending ROCE / Beginning ROCE)^(1/Years)) - 1",
-      },
-      {
-        id: 7,
-        name: "ROE CAGR",
-        description: "Compounded Annual Growth Rate of Return on Equity.",
-        formula: "((Ending ROE / Beginning ROE)^(1/Years)) - 1",
-      },
-      {
-        id: 8,
-        name: "NetSales CAGR",
-        description: "Compounded Annual Growth Rate of Net Sales.",
-        formula: "((Ending Net Sales / Beginning Net Sales)^(1/Years)) - 1",
-      },
-      {
-        id: 9,
-        name: "PBIDT CAGR",
-        description:
-          "Compounded Annual Growth Rate of Profit Before Interest, Depreciation, and Taxes.",
-        formula: "((Ending PBIDT / Beginning PBIDT)^(1/Years)) - 1",
-      },
-      {
-        id: 10,
-        name: "PBIT CAGR",
-        description:
-          "Compounded Annual Growth Rate of Profit Before Interest and Taxes.",
-        formula: "((Ending PBIT / Beginning PBIT)^(1/Years)) - 1",
-      },
-      {
-        id: 11,
-        name: "PBT CAGR",
-        description: "Compounded Annual Growth Rate of Profit Before Tax.",
-        formula: "((Ending PBT / Beginning PBT)^(1/Years)) - 1",
-      },
-      {
-        id: 12,
-        name: "PAT CAGR",
-        description: "Compounded Annual Growth Rate of Profit After Tax.",
-        formula: "((Ending PAT / Beginning PAT)^(1/Years)) - 1",
-      },
-      {
-        id: 13,
-        name: "CFO CAGR",
-        description:
-          "Compounded Annual Growth Rate of Cash Flow from Operations.",
-        formula: "((Ending CFO / Beginning CFO)^(1/Years)) - 1",
-      },
-      {
-        id: 14,
-        name: "FCFF CAGR",
-        description: "Compounded Annual Growth Rate of Free Cash Flow to Firm.",
-        formula: "((Ending FCFF / Beginning FCFF)^(1/Years)) - 1",
-      },
-      {
-        id: 15,
-        name: "CFO/PBIT CAGR",
-        description:
-          "Compounded Annual Growth Rate of Cash Flow from Operations to Profit Before Interest and Tax.",
-        formula: "((Ending CFO/PBIT / Beginning CFO/PBIT)^(1/Years)) - 1",
-      },
-      {
-        id: 16,
-        name: "PE (Trailing)",
-        description:
-          "Trailing Price-to-Earnings Ratio measures a company's valuation based on past earnings.",
-        formula: "Market Price per Share / EPS (Trailing)",
-      },
-      {
-        id: 17,
-        name: "PE (1 Yr Forward)",
-        description:
-          "One-year forward Price-to-Earnings Ratio estimates valuation based on projected earnings.",
-        formula: "Market Price per Share / EPS (Projected 1 Yr)",
-      },
-      {
-        id: 18,
-        name: "PE (2 Yr Forward)",
-        description:
-          "Two-year forward Price-to-Earnings Ratio estimates valuation based on projected earnings.",
-        formula: "Market Price per Share / EPS (Projected 2 Yr)",
-      },
-      {
-        id: 19,
-        name: "Price / CFO",
-        description:
-          "Price to Cash Flow from Operations Ratio measures valuation relative to cash generation.",
-        formula: "Market Capitalization / CFO",
-      },
-      {
-        id: 20,
-        name: "Price / FCFF",
-        description:
-          "Price to Free Cash Flow to Firm Ratio measures valuation relative to free cash flows.",
-        formula: "Market Capitalization / FCFF",
-      },
-    ];
-
-    function generateOptionsWithYears(options) {
-      let newOptions = [];
-
-      options.forEach((option) => {
-        for (let year = 1; year <= 10; year++) {
-          newOptions.push({
-            id: option.id,
-            name: `${option.name} ${year} Years`,
-            looking_period: year,
-            original_name: option.name,
-          });
-        }
-      });
+    const {
+      tree: queryTree,
+      ranking,
+      diagnostics,
+      resolutions,
+      sweeps,
+    } = query.trim()
+      ? analyzeQuery(query, METRICS)
+      : {
+          tree: null,
+          ranking: null,
+          diagnostics: [],
+          resolutions: [],
+          sweeps: [],
+        };
+    const hasErrors = diagnostics.length > 0;
 
-      return newOptions;
-    }
+    const completions = getCompletions(query, Math.min(cursor, query.length));
 
-    const newOptions = generateOptionsWithYears(options);
-    const optionKeys = newOptions.map((option) => option.name);
+    // Show details of the metric under the cursor
+    const activeMetricId = resolutions.find(
+      (resolution) => resolution.start <= cursor && cursor <= resolution.end
+    )?.metric.id;
+    useEffect(() => {
+      const metric = getMetricById(activeMetricId);
+      if (metric) {
+        setSelectedMetric(metric);
+        setSelectedOption(metric.name);
+        setDescription(metric.description);
+        setFormula(metric.formula);
+      }
+    }, [activeMetricId]);
 
-    const formatQuery = (input) => {
-      return input
-        .replace(/\b(AND|OR)\b(?!\n)/gi, "$1\n")
-        .replace(/\n\s+/g, "\n")
-        .trim();
-    };
+    // Restore the cursor after the text was rewritten programmatically
+    useEffect(() => {
+      const previous = previousQueryRef.current;
+      previousQueryRef.current = query;
+      if (restoreCursorRef.current) {
+        restoreCursorRef.current = false;
+        pendingCursorRef.current = changeEnd(previous, query);
+        setCursor(pendingCursorRef.current);
+      }
+      const position = pendingCursorRef.current;
+      if (position === null || !textareaRef.current) return;
+      pendingCursorRef.current = null;
+      textareaRef.current.focus();
+      textareaRef.current.setSelectionRange(position, position);
+    }, [query]);
 
     const handleChange = (event) => {
       let newValue = event.target.value;
+      let caret = event.target.selectionStart ?? newValue.length;
       if (/\b(AND|OR)\b/i.test(newValue)) {
-        newValue = formatQuery(newValue);
+        const marked = breakLines(
+          newValue.slice(0, caret) + CURSOR_MARK + newValue.slice(caret)
+        ).replace(`\n${CURSOR_MARK} `, `\n${CURSOR_MARK}`);
+        caret = marked.indexOf(CURSOR_MARK);
+        const formatted = marked.replace(CURSOR_MARK, "");
+        if (formatted !== newValue) pendingCursorRef.current = caret;
+        newValue = formatted;
       }
 
-      setQuery(newValue);
-
-      const words = newValue.trim().split(/\s+/);
-      const lastWord = words[words.length - 1];
-
-      const selectedObj = options.find(
-        (option) => option.name.toLowerCase() === lastWord.toLowerCase()
-      );
-      if (selectedObj) {
-        setSelectedOption(selectedObj.name);
-        setDescription(selectedObj.description);
-        setFormula(selectedObj.formula);
-      }
+      setQuery(newValue, { merge: true });
+      setCursor(caret);
     };
 
-    const handleSelect = (event, newValue) => {
-      if (!newValue) return;
-
-      let words = query.trim().split(/\s+/);
-
-      if (words.length > 0 && !options[words[words.length - 1]]) {
-        words[words.length - 1] = newValue;
-      } else {
-        words.push(newValue);
-      }
-
-      let updatedQuery = words.join(" ");
-      if (/\b(AND|OR)\b/i.test(updatedQuery)) {
-        updatedQuery = formatQuery(updatedQuery);
-      }
-
-      setQuery(updatedQuery);
-
-      const selectedNewOption = newOptions.find((opt) => opt.name === newValue);
-
-      if (selectedNewOption) {
-        const originalOption = options.find(
-          (opt) => opt.name === selectedNewOption.original_name
-        );
-
-        if (originalOption) {
-          setSelectedOption(originalOption.name);
-          setDescription(originalOption.description);
-          setFormula(originalOption.formula);
-        }
-      }
-
-      setTimeout(() => {
-        const textarea = document.querySelector("textarea");
-        if (textarea) {
-          textarea.setSelectionRange(updatedQuery.length, updatedQuery.length);
-          textarea.scrollTop = textarea.scrollHeight;
-        }
-      }, 0);
+    const handleUndo = () => {
+      if (!canUndo) return;
+      restoreCursorRef.current = true;
+      undo();
     };
 
-    const parseExpression = (expression) => {
-      try {
-        const pattern = /^(.*?)\s*(\d+)\s*Years?\s*([<>]=?|=)\s*(\d+)$/;
-        const parts = expression.match(pattern);
-
-        if (!parts) {
-          return null;
-        }
-
-        const [_, fullName, period, operator, value] = parts;
-
-        const matchingOption = newOptions.find(
-          (opt) =>
-            opt.name.toLowerCase().startsWith(fullName.trim().toLowerCase()) &&
-            opt.looking_period === parseInt(period)
-        );
-
-        if (!matchingOption) {
-          return null;
-        }
-
-        const originalOption = options.find(
-          (opt) => opt.name === matchingOption.original_name
-        );
-
-        if (!originalOption) {
-          return null;
-        }
-
-        const signMap = {
-          ">": "gt",
-          ">=": "gte",
-          "<": "lt",
-          "<=": "lte",
-          "=": "eq",
-        };
+    const handleRedo = () => {
+      if (!canRedo) return;
+      restoreCursorRef.current = true;
+      redo();
+    };
 
-        const result = {
-          Data: {
-            param: {
-              name: originalOption.name,
-              id: originalOption.id,
-            },
-            period: parseInt(period),
-            sign: signMap[operator] || "eq",
-            threshold: value,
-            consisPeriod: 10,
-          },
-        };
-        return result;
-      } catch (error) {
-        console.error("Error parsing expression:", error);
-        return null;
+    // Undo/redo replace the browser's own, which reformatting breaks
+    const handleKeyDown = (event) => {
+      if (!event.ctrlKey && !event.metaKey) return;
+      const key = event.key.toLowerCase();
+      if (key === "z" && !event.shiftKey) {
+        event.preventDefault();
+        handleUndo();
+      } else if ((key === "z" && event.shiftKey) || key === "y") {
+        event.preventDefault();
+        handleRedo();
       }
     };
 
-    const parseQuery = (queryString) => {
-      try {
-        // Remove trailing AND/OR and clean up spaces
-        const cleanQuery = queryString
-          .replace(/\b(AND|OR)\s*$/i, "")
-          .replace(/\s+/g, " ")
-          .trim();
-
-        // Split by AND/OR operators
-        const parts = cleanQuery.split(/\b(AND|OR)\b/i);
-
-        const results = [];
-
-        for (let i = 0; i < parts.length; i++) {
-          const part = parts[i].trim();
-
-          if (!part) continue;
-
-          if (part.toUpperCase() === "AND" || part.toUpperCase() === "OR") {
-            if (results.length > 0) {
-              results[results.length - 1].Operator = part.toUpperCase();
-            }
-            continue;
-          }
-
-          const parsedExpression = parseExpression(part);
-          if (parsedExpression) {
-            results.push({
-              ...parsedExpression,
-              Operator: "AND",
-            });
-          }
-        }
+    const handleSelect = (event, completion) => {
+      // Enter without a highlighted suggestion arrives as plain text
+      if (!completion || typeof completion === "string") return;
 
-        return results;
-      } catch (error) {
-        console.error("Error parsing query:", error);
-        return [];
-      }
+      const updated = applyCompletion(query, completions, completion);
+      pendingCursorRef.current = updated.cursor;
+      setQuery(updated.text);
+      setCursor(updated.cursor);
     };
+
     const [open, setOpen] = useState(false);
-    const sessionIdRef = useRef(crypto.randomUUID());
-    const handleRunQuery = async () => {
+    /**
+     * Runs the query, or shows the cached result of identical execute data
+     * @param {Object} [options] - Run options
+     * @param {boolean} [options.useCache=true] - Whether to serve from the cache
+     */
+    const handleRunQuery = async ({ useCache = true } = {}) => {
       const isLoggedIn = !!localStorage.getItem("userName");
 
       // Check if user is not logged in
@@ -414,31 +292,100 @@ Return on capital employed > 22%
         return;
       }
 
-      const parsedResults = parseQuery(query);
+      // Block execution while the editor shows errors
+      if (hasErrors) {
+        showSnackbar(
+          `Fix the ${diagnostics.length} highlighted ${
+            diagnostics.length === 1 ? "error" : "errors"
+          } before running the query`
+        );
+        return;
+      }
 
-      // Handle invalid query format
-      if (parsedResults.length === 0) {
-        showSnackbar(`No valid expressions found in query. 
-  Expected format: "Metric Name X Year operator Value"
-  Example: "Average DE 2 Year >= 30 AND ROE CAGR 3 Year < 40"`);
+      // A query with ranges runs once per combination of their values
+      if (sweeps.length > 0) {
+        if (!onSweepStart) {
+          showSnackbar("Ranges can only be run from the main query editor");
+          return;
+        }
+        const sweepSettings = toSettingsPayload(settings);
+        const sweepUniverse = normalizeUniverse(universe);
+        onSweepStart({
+          id: crypto.randomUUID(),
+          query,
+          sweeps,
+          settings: sweepSettings,
+          universe: sweepUniverse,
+          runs: expandSweep(query, sweeps).map((run) => {
+            const parsed = analyzeQuery(run.query, METRICS);
+            return {
+              ...run,
+              sessionId: crypto.randomUUID(),
+              data: {
+                ...buildFilters(parsed.tree, parsed.ranking),
+                settings: sweepSettings,
+                universe: sweepUniverse,
+              },
+            };
+          }),
+        });
         return;
       }
 
-      // Format query results
-      const formattedResults = { filters: parsedResults };
+      const formattedResults = {
+        ...buildFilters(queryTree, ranking),
+        settings: toSettingsPayload(settings),
+        universe: normalizeUniverse(universe),
+      };
       setQueryResults(formattedResults);
-      onSearchButtonClick(query, sessionIdRef.current);
+
+      // An identical run reopens the cached result and its session
+      const cached = useCache ? await readCachedResult(formattedResults) : null;
+      if (cached) {
+        sessionIdRef.current = cached.sessionId;
+        sessionSettingsRef.current = formattedResults.settings;
+        restoreResponse(cached.sessionId, cached.response);
+        onSearchButtonClick(
+          query,
+          cached.sessionId,
+          formattedResults.settings,
+          formattedResults.universe,
+          cached.cachedAt
+        );
+        return;
+      }
+
+      // Every run is its own backtest, so it can be reopened from the history
+      const sessionId = crypto.randomUUID();
+      sessionIdRef.current = sessionId;
+      sessionSettingsRef.current = formattedResults.settings;
+      onSearchButtonClick(
+        query,
+        sessionId,
+        formattedResults.settings,
+        formattedResults.universe
+      );
 
       const user = localStorage.getItem("userName");
 
       try {
         // Execute query with valid results
-        const data = await executeQuery(
-          formattedResults,
-          sessionIdRef.current,
-          user
-        );
+        const data = await executeQuery(formattedResults, sessionId, user);
         console.log("Data", data);
+        if (data?.output) {
+          addQueryHistoryEntry({
+            query,
+            sessionId,
+            settings: formattedResults.settings,
+            universe: formattedResults.universe,
+            response: data,
+          });
+          writeCachedResult(formattedResults, {
+            query,
+            sessionId,
+            response: data,
+          });
+        }
       } catch (error) {
         showSnackbar("Failed to execute query.");
       }
@@ -453,13 +400,18 @@ Return on capital employed > 22%
       try {
         // Generate a unique identifier
         const uniqueId = Math.random().toString(36).substr(2, 8);
-        const shareLink = isPublic ? `/strategy/shared/${uniqueId}` : null;
+        const shareLink = isPublic
+          ? `${getAppConfig().shareBaseUrl}/${uniqueId}`
+          : null;
 
         // Save strategy to backend
+        const runSettings =
+          sessionSettingsRef.current || toSettingsPayload(settings);
         const response = await saveStrategy(
           sessionIdRef.current,
           strategyName,
-          isPublic
+          isPublic,
+          runSettings
         );
         if (response?.message !== "Strategy updated successfully") {
           throw new Error(response?.message || "Failed to save strategy");
@@ -470,6 +422,7 @@ Return on capital employed > 22%
           id: uniqueId,
           name: strategyName,
           query: query,
+          settings: runSettings,
           isPublic: isPublic,
           shareLink: shareLink,
           createdAt: new Date().toISOString(),
@@ -485,12 +438,8 @@ Return on capital employed > 22%
         );
 
         if (isPublic) {
-          setShareableLink(window.location.origin + shareLink);
-          showSnackbar(
-            `Strategy saved! Shareable link: ${
-              window.location.origin + shareLink
-            }`
-          );
+          setShareableLink(shareLink);
+          showSnackbar(`Strategy saved! Shareable link: ${shareLink}`);
         } else {
           showSnackbar("Strategy saved successfully!");
         }
@@ -551,21 +500,13 @@ Return on capital employed > 22%
                 <Autocomplete
                   value={query}
                   onChange={handleSelect}
-                  options={optionKeys}
+                  options={completions.items}
                   freeSolo
                   disableClearable
-                  filterOptions={(opts, { inputValue }) => {
-                    const expressions = inputValue.split(/\b(AND|OR)\b/i);
-                    const lastExpression =
-                      expressions[expressions.length - 1].trim();
-                    return !lastExpression
-                      ? opts
-                      : opts.filter((option) =>
-                          option
-                            .toLowerCase()
-                            .startsWith(lastExpression.toLowerCase())
-                        );
-                  }}
+                  filterOptions={(items) => items}
+                  getOptionLabel={(option) =>
+                    typeof option === "string" ? option : option.label
+                  }
                   renderInput={(params) => (
                     <TextField
                       {...params}
@@ -573,7 +514,13 @@ Return on capital employed > 22%
                       multiline
                       minRows={6}
                       value={query}
+                      error={hasErrors}
                       onChange={handleChange}
+                      onKeyDown={handleKeyDown}
+                      onSelect={(event) =>
+                        setCursor(event.target.selectionStart ?? 0)
+                      }
+                      inputRef={textareaRef}
                       placeholder="Type the query here..."
                       InputProps={{
                         ...params.InputProps,
@@ -583,6 +530,7 @@ Return on capital employed > 22%
                         mb: 2,
                         "& .MuiOutlinedInput-root": {
                           backgroundColor: theme.palette.background.paper,
+                          pr: 14,
                         },
                         "& .MuiInputBase-input": {
                           lineHeight: 1.5,
@@ -591,37 +539,86 @@ Return on capital employed > 22%
                       }}
                     />
                   )}
-                  renderOption={(props, option) => (
-                    <Box
-                      component="li"
-                      {...props}
+                  renderOption={(props, option) => {
+                    const { key, ...optionProps } = props;
+                    return (
+                      <Box
+                        component="li"
+                        key={key}
+                        {...optionProps}
+                        sx={{
+                          py: 1,
+                          px: 2,
+                          display: "flex",
+                          justifyContent: "space-between",
+                          gap: 2,
+                        }}
+                      >
+                        <span>{option.label}</span>
+                        {option.detail && (
+                          <Typography variant="caption" color="text.secondary">
+                            {option.detail}
+                          </Typography>
+                        )}
+                      </Box>
+                    );
+                  }}
+                />
+                <DiagnosticUnderlay text={query} diagnostics={diagnostics} />
+                <Box
+                  sx={{
+                    position: "absolute",
+                    right: 8,
+                    top: 8,
+                    display: "flex",
+                    gap: 0.5,
+                  }}
+                >
+                  <Tooltip title="Undo (Ctrl+Z)">
+                    <span>
+                      <IconButton
+                        onClick={handleUndo}
+                        disabled={!canUndo}
+                        size="small"
+                        aria-label="Undo"
+                        sx={{ color: theme.palette.grey[500] }}
+                      >
+                        <UndoIcon fontSize="small" />
+                      </IconButton>
+                    </span>
+                  </Tooltip>
+                  <Tooltip title="Redo (Ctrl+Shift+Z)">
+                    <span>
+                      <IconButton
+                        onClick={handleRedo}
+                        disabled={!canRedo}
+                        size="small"
+                        aria-label="Redo"
+                        sx={{ color: theme.palette.grey[500] }}
+                      >
+                        <RedoIcon fontSize="small" />
+                      </IconButton>
+                    </span>
+                  </Tooltip>
+                  {query && (
+                    <IconButton
+                      onClick={() => setQuery("")}
+                      size="small"
+                      aria-label="Clear query"
                       sx={{
-                        py: 1,
-                        px: 2,
+                        color: theme.palette.grey[500],
+                        "&:hover": {
+                          color: theme.palette.error.main,
+                        },
                       }}
                     >
-                      {option}
-                    </Box>
+                      <ClearIcon fontSize="small" />
+                    </IconButton>
                   )}
-                />
-                {query && (
-                  <IconButton
-                    onClick={() => setQuery("")}
-                    size="small"
-                    sx={{
-                      position: "absolute",
-                      right: 8,
-                      top: 8,
-                      color: theme.palette.grey[500],
-                      "&:hover": {
-                        color: theme.palette.error.main,
-                      },
-                    }}
-                  >
-                    <ClearIcon fontSize="small" />
-                  </IconButton>
-                )}
+                </Box>
               </Box>
+              <QueryDiagnostics diagnostics={diagnostics} />
+              <QueryResolutions resolutions={resolutions} />
               <Box
                 sx={{
                   display: "flex",
@@ -630,8 +627,9 @@ Return on capital employed > 22%
               >
                 <Button
                   variant="contained"
-                  onClick={handleRunQuery}
+                  onClick={() => handleRunQuery()}
                   color="primary"
+                  disabled={hasErrors && !hasStrategyId}
                   sx={{
                     borderRadius: 1,
                     px: 3,
@@ -645,7 +643,12 @@ Return on capital employed > 22%
                   }}
                 >
                   <PlayArrowIcon />
-                  Execute
+                  {sweeps.length > 0 && !hasStrategyId
+                    ? `Run Sweep (${sweeps.reduce(
+                        (runs, sweep) => runs * sweep.values.length,
+                        1
+                      )} runs)`
+                    : "Execute"}
                 </Button>
                 <Button
                   variant="outlined"
@@ -748,6 +751,23 @@ Return on capital employed > 22%
                       </Typography>
                     </Box>
                   )}
+                  {selectedMetric && (
+                    <Box sx={{ mt: 1.5 }}>
+                      <Typography variant="caption" color="text.secondary">
+                        {selectedMetric.category} &middot; {selectedMetric.unit}
+                        {selectedMetric.aliases.length > 0 &&
+                          ` · also: ${selectedMetric.aliases.join(", ")}`}
+                      </Typography>
+                      <Typography variant="body2" sx={{ mt: 0.5 }}>
+                        <Link
+                          component={RouterLink}
+                          to={`/guides/backtesting#${selectedMetric.guideAnchor}`}
+                        >
+                          Learn more in the guide
+                        </Link>
+                      </Typography>
+                    </Box>
+                  )}
                 </>
               ) : (
                 <Typography variant="body2" color="text.secondary">
@@ -834,12 +854,74 @@ Return on capital employed > 22%
                     </li>
                     <li>
                       <Typography variant="body2">
-                        Start typing to see available metrics
+                        AND is applied before OR; use parentheses to group,
+                        e.g. A AND (B OR C)
+                      </Typography>
+                    </li>
+                    <li>
+                      <Typography variant="body2">
+                        Suggestions follow the cursor: metrics first, then
+                        periods and operators, typical values for the metric,
+                        and finally AND/OR
+                      </Typography>
+                    </li>
+                    <li>
+                      <Typography variant="body2">
+                        Ctrl+Z and Ctrl+Shift+Z undo and redo edits step by
+                        step; past runs can be reopened from History
+                      </Typography>
+                    </li>
+                    <li>
+                      <Typography variant="body2">
+                        Plain names such as ROCE, P/E or return on capital
+                        employed work too; leave out the period to use the
+                        default (5 years, 1 year for valuation multiples)
+                      </Typography>
+                    </li>
+                    <li>
+                      <Typography variant="body2">
+                        Use comparison operators: &gt;, &lt;, &gt;=, &lt;=, =,
+                        != or a range such as BETWEEN 10 AND 20
+                      </Typography>
+                    </li>
+                    <li>
+                      <Typography variant="body2">
+                        Compare two metrics of the same unit, e.g. PAT CAGR 5
+                        Years &gt; NetSales CAGR 5 Years
+                      </Typography>
+                    </li>
+                    <li>
+                      <Typography variant="body2">
+                        Put NOT before a condition or a group in parentheses
+                        to exclude matches
+                      </Typography>
+                    </li>
+                    <li>
+                      <Typography variant="body2">
+                        Values can be negative or decimal. Returns and growth
+                        rates are in percent (22 or 22%); for ratios such as
+                        DE or PE, 50% means 0.5
+                      </Typography>
+                    </li>
+                    <li>
+                      <Typography variant="body2">
+                        Add &quot;in 7 of last 10 years&quot; (or CONSISTENT 7)
+                        after a condition to require it in only some years;
+                        by default it must hold in all of the last 10
+                      </Typography>
+                    </li>
+                    <li>
+                      <Typography variant="body2">
+                        End the query with RANK BY ROCE DESC LIMIT 25, or a
+                        weighted SCORE 0.5*ROCE + 0.5*-PE LIMIT 25, to keep
+                        only the best ranked stocks
                       </Typography>
                     </li>
                     <li>
                       <Typography variant="body2">
-                        Use comparison operators: &gt;, &lt;, &gt;=, &lt;=, =
+                        Sweep a threshold or period of up to two conditions
+                        with a range, e.g. ROCE 5 Years &gt; {"{10..25 step 5}"},
+                        to compare every combination in a heatmap
                       </Typography>
                     </li>
                   </ul>
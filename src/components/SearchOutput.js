@@ -43,42 +43,87 @@ import {
 } from "@mui/material";
 import ShareIcon from "@mui/icons-material/Share";
 import ContentCopyIcon from "@mui/icons-material/ContentCopy";
+import BlockIcon from "@mui/icons-material/Block";
 import useExecuteQuery from "../hooks/useExecuteQuery";
+import { sessionResultKey, strategyResultKey } from "../utils/resultsStore";
+import { getCompletedHorizons } from "../utils/backtestJobs";
+import {
+  toQueryText,
+  readStoredRanking,
+  describeRanking,
+} from "../utils/queryCodec";
+import {
+  readBacktestSettings,
+  describeBacktestSettings,
+  getBenchmarkName,
+} from "../utils/backtestSettings";
+import {
+  hasCosts,
+  getCostAssumptions,
+  estimateNetReturn,
+} from "../utils/netReturns";
+import { readUniverse, describeUniverse } from "../utils/universe";
+import { BacktestSettingsChips } from "./BacktestSettingsPanel";
+import { UniverseChips } from "./UniversePanel";
+import RobustnessCheck from "./RobustnessCheck";
+import { weightedAverage } from "../utils/pfstStats";
+import { getAppConfig } from "../utils/appConfig";
 import { OutputOutlined } from "@mui/icons-material";
 
-const SearchOutput = forwardRef((props, ref) => {
-  const { responseData, loadStrategy } = useExecuteQuery();
-  const [portfolioData, setPortfolioData] = useState({
-    ippf: {},
-    pfst: [],
-    calyears: [],
-  });
+/**
+ * Portfolio shown until the result arrives
+ * @constant {Object}
+ */
+const EMPTY_PORTFOLIO = { ippf: {}, pfst: [], calyears: [] };
 
-  useEffect(() => {
-    console.log("SearchOutput - responseData:", responseData);
-    if (responseData && responseData.output) {
-      console.log(
-        "SearchOutput - setting portfolio data:",
-        responseData.output
-      );
-      setPortfolioData(responseData.output);
-    }
-  }, [responseData]);
-
-  // Load strategy data when strategyId is provided and shouldLoadStrategy is true
-  useEffect(() => {
-    if (props.strategyId && props.shouldLoadStrategy) {
-      console.log("SearchOutput - Loading strategy:", props.strategyId);
-      loadStrategy(props.strategyId);
-    }
-  }, [props.strategyId, props.shouldLoadStrategy, loadStrategy]);
+const SearchOutput = forwardRef((props, ref) => {
+  // A strategy being reloaded shows its saved result, a run its session's
+  const resultKey =
+    props.strategyId && props.shouldLoadStrategy
+      ? strategyResultKey(props.strategyId)
+      : sessionResultKey(props.sessionId);
+  // The page starts the request; the output only shows its result
+  const { responseData } = useExecuteQuery(resultKey);
+  const portfolioData = responseData?.output || EMPTY_PORTFOLIO;
 
   const { strategyId, sessionId } = props;
+  // Settings of a fresh run come from the page; saved strategies carry theirs
+  const backtestSettings =
+    props.settings ||
+    readBacktestSettings(
+      portfolioData.ippf?.strat_name || portfolioData.pfst[0]?.strat_name
+    );
+  const benchmarkName = getBenchmarkName(backtestSettings);
+  // The ranking clause that trimmed the holdings, if the query had one
+  const ranking = readStoredRanking(
+    portfolioData.ippf?.strat_name || portfolioData.pfst[0]?.strat_name
+  );
+  const universe =
+    props.universe ||
+    readUniverse(
+      portfolioData.ippf?.strat_name || portfolioData.pfst[0]?.strat_name
+    );
+  // Net returns are estimated here from the gross results and the holdings
+  const showNet = hasCosts(backtestSettings);
+  const costAssumptions = getCostAssumptions(
+    backtestSettings,
+    portfolioData.ippf
+  );
   const years = Object.keys(portfolioData.ippf)
     .filter((year) => !isNaN(year)) // Filter out non-numeric values
     .sort((a, b) => b - a); // Sort in descending order
 
   const [selectedYearPortfolio, setSelectedYearPortfolio] = useState(years[0]);
+
+  // A running job may send the portfolio after the first horizons
+  useEffect(() => {
+    setSelectedYearPortfolio((year) => {
+      if (year in portfolioData.ippf) return year;
+      return Object.keys(portfolioData.ippf)
+        .filter((key) => !isNaN(key))
+        .sort((a, b) => b - a)[0];
+    });
+  }, [portfolioData.ippf]);
   const [selectedYear, setSelectedYear] = useState(1);
   const [highlightedChart, setHighlightedChart] = useState(null);
   const [maxReturnYear, setMaxReturnYear] = useState(1);
@@ -98,7 +143,12 @@ const SearchOutput = forwardRef((props, ref) => {
   const columns = [
     { field: "year", headerName: "YEAR", width: 150 },
     { field: "yourStrategy", headerName: "YOUR STRATEGY", width: 200 },
-    { field: "nifty50", headerName: "NIFTY50", type: "number", width: 200 },
+    {
+      field: "benchmark",
+      headerName: benchmarkName.toUpperCase(),
+      type: "number",
+      width: 200,
+    },
   ];
   const safeParseFloat = (value) => {
     if (typeof value === "string") {
@@ -112,7 +162,7 @@ const SearchOutput = forwardRef((props, ref) => {
       id: year.id || `year-${year.year}-${index}`,
       year: parseInt(year.year),
       yourStrategy: parseFloat((year.portfolio_cagr * 100).toFixed(2)),
-      nifty50: parseFloat((year.index_cagr * 100).toFixed(2)),
+      benchmark: parseFloat((year.index_cagr * 100).toFixed(2)),
     })) || [];
 
   const rowsP = portfolioData.ippf?.[selectedYearPortfolio]
@@ -122,7 +172,11 @@ const SearchOutput = forwardRef((props, ref) => {
       .map((name, index) => ({ id: index + 1, name: name.trim() }))
     : [];
   // Modify the timePeriodsToShow array to include all 10 years
-  const timePeriodsToShow = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+  // While a job runs, only the horizons finished so far are shown
+  const completedHorizons = getCompletedHorizons(portfolioData.pfst);
+  const timePeriodsToShow = props.isPartial
+    ? completedHorizons
+    : [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
 
   // Update the labelsSp array to include all 10 years
   const labelsSp = timePeriodsToShow.map((year) => `${year}Y`);
@@ -134,7 +188,7 @@ const SearchOutput = forwardRef((props, ref) => {
         (safeParseFloat(dataPoint?.cagr_mean || 0) * 100).toFixed(2)
       );
     }),
-    nifty50: timePeriodsToShow.map((period) => {
+    benchmark: timePeriodsToShow.map((period) => {
       const dataPoint = portfolioData.pfst?.find((p) => p.nyears === period);
       return parseFloat(
         (safeParseFloat(dataPoint?.index_mean || 0) * 100).toFixed(2)
@@ -142,6 +196,23 @@ const SearchOutput = forwardRef((props, ref) => {
     }),
   };
 
+  if (showNet) {
+    graphData.yourStrategyNet = timePeriodsToShow.map((period) => {
+      const dataPoint = portfolioData.pfst?.find((p) => p.nyears === period);
+      if (!dataPoint) return 0;
+      return parseFloat(
+        (
+          estimateNetReturn(
+            safeParseFloat(dataPoint.cagr_mean || 0),
+            costAssumptions
+          ) * 100
+        ).toFixed(2)
+      );
+    });
+  }
+  const netReturnValue =
+    estimateNetReturn(returnValue / 100, costAssumptions) * 100;
+
   const riskData = {
     yourStrategy: timePeriodsToShow.map((period) => {
       const dataPoint = portfolioData.pfst?.find((p) => p.nyears === period);
@@ -149,7 +220,7 @@ const SearchOutput = forwardRef((props, ref) => {
         (safeParseFloat(dataPoint?.cagr_dwn_std || 0) * 100).toFixed(2)
       );
     }),
-    nifty50: timePeriodsToShow.map((period) => {
+    benchmark: timePeriodsToShow.map((period) => {
       const dataPoint = portfolioData.pfst?.find((p) => p.nyears === period);
       return parseFloat(
         (safeParseFloat(dataPoint?.index_dwn_std || 0) * 100).toFixed(2)
@@ -164,7 +235,7 @@ const SearchOutput = forwardRef((props, ref) => {
         (safeParseFloat(dataPoint?.sharpe_ratio || 0) * 100).toFixed(2)
       );
     }),
-    nifty50: timePeriodsToShow.map((period) => {
+    benchmark: timePeriodsToShow.map((period) => {
       const dataPoint = portfolioData.pfst.find((p) => p.nyears === period);
       return parseFloat(
         (safeParseFloat(dataPoint?.index_SR || 0) * 100).toFixed(2)
@@ -190,7 +261,7 @@ const SearchOutput = forwardRef((props, ref) => {
       size: Math.sqrt(p.nyears) * 5, // Using square root for better visual scaling
       label: `${p.nyears}Y`,
     })),
-    nifty50: portfolioData.pfst.map((p) => ({
+    benchmark: portfolioData.pfst.map((p) => ({
       x: parseFloat((p.index_mean * 100).toFixed(2)),
       y: parseFloat((p.index_dwn_std * 100).toFixed(2)),
       size: Math.sqrt(p.nyears) * 5, // Using square root for better visual scaling
@@ -296,86 +367,24 @@ const SearchOutput = forwardRef((props, ref) => {
   const calculateAverages = () => {
     if (!portfolioData.pfst) return { returnDiff: 0, riskDiff: 0 };
 
-    // Calculate weighted averages based on the number of years
-    let totalWeight = 0;
-    let weightedStrategyReturn = 0;
-    let weightedNiftyReturn = 0;
-    let weightedStrategyRisk = 0;
-    let weightedNiftyRisk = 0;
-
-    portfolioData.pfst.forEach((data) => {
-      const weight = data.nyears; // Use number of years as weight
-      totalWeight += weight;
-
-      weightedStrategyReturn += (data.cagr_mean || 0) * weight;
-      weightedNiftyReturn += (data.index_mean || 0) * weight;
-      weightedStrategyRisk += (data.cagr_dwn_std || 0) * weight;
-      weightedNiftyRisk += (data.index_dwn_std || 0) * weight;
-    });
-
-    // Calculate weighted averages
-    const avgStrategyReturn = weightedStrategyReturn / totalWeight;
-    const avgNiftyReturn = weightedNiftyReturn / totalWeight;
-    const avgStrategyRisk = weightedStrategyRisk / totalWeight;
-    const avgNiftyRisk = weightedNiftyRisk / totalWeight;
+    // Averages weighted by the number of years
+    const avgStrategyReturn = weightedAverage(portfolioData.pfst, "cagr_mean");
+    const avgBenchmarkReturn = weightedAverage(
+      portfolioData.pfst,
+      "index_mean"
+    );
+    const avgStrategyRisk = weightedAverage(portfolioData.pfst, "cagr_dwn_std");
+    const avgBenchmarkRisk = weightedAverage(
+      portfolioData.pfst,
+      "index_dwn_std"
+    );
 
     return {
-      returnDiff: ((avgStrategyReturn - avgNiftyReturn) * 100).toFixed(1),
-      riskDiff: ((avgStrategyRisk - avgNiftyRisk) * 100).toFixed(1),
+      returnDiff: ((avgStrategyReturn - avgBenchmarkReturn) * 100).toFixed(1),
+      riskDiff: ((avgStrategyRisk - avgBenchmarkRisk) * 100).toFixed(1),
     };
   };
 
-  const signMap = {
-    gt: ">",
-    gte: ">=",
-    lt: "<",
-    lte: "<=",
-    eq: "=",
-  };
-
-  const formatQuery = (query) => {
-    try {
-      // First, convert the JS object string to valid JSON
-      const jsonString = query
-        // Add quotes around property names
-        .replace(/([{,])\s*([a-zA-Z0-9_]+)\s*:/g, '$1"$2":')
-        // Add quotes around string values (that aren't already quoted)
-        .replace(/:([ ]*)([a-zA-Z][a-zA-Z0-9_ ]+)([ ]*)([,}])/g, ':$1"$2"$3$4');
-
-      // Now parse as JSON
-      const parsedQuery = JSON.parse(jsonString);
-
-      if (!parsedQuery.filters || !Array.isArray(parsedQuery.filters)) {
-        return "Invalid query format";
-      }
-
-      const filters = parsedQuery.filters.map((filter) => {
-        const { Data, Operator } = filter;
-        if (
-          !Data ||
-          !Data.param ||
-          !Data.sign ||
-          Data.threshold === undefined
-        ) {
-          return "";
-        }
-
-        const { param, sign, threshold } = Data;
-        const mappedSign = signMap[sign] || sign;
-        const operator = Operator ? ` ${Operator}` : "";
-        return `${param.name} ${mappedSign} ${threshold}${operator}`;
-      });
-
-      return filters
-        .join(" ")
-        .replace(/\s+(AND|OR)$/, "")
-        .trim();
-    } catch (error) {
-      console.error("Error parsing query:", error);
-      return "Invalid query";
-    }
-  };
-
   const avgReturnRef = useRef(null);
   const riskRef = useRef(null);
   const sharpeRef = useRef(null);
@@ -469,9 +478,10 @@ const SearchOutput = forwardRef((props, ref) => {
         pdf.text("Query Being Processed:", 10, 35);
 
         // Format and wrap the query text
-        const strategyName =
-          formatQuery(portfolioData.pfst[0]?.strat_name) ||
-          "Portfolio Backtest Analysis";
+        const strategyName = toQueryText(
+          portfolioData.pfst[0]?.strat_name,
+          "Portfolio Backtest Analysis"
+        );
         const maxWidth = pageWidth - 30; // 15mm margin on each side
 
         // Set smaller font size for query text
@@ -509,6 +519,26 @@ const SearchOutput = forwardRef((props, ref) => {
           );
         });
 
+        // Backtest settings under the query
+        pdf.setFontSize(9);
+        pdf.setTextColor(100, 100, 100);
+        pdf.text(
+          safeText(
+            `Backtest settings: ${[
+              ...describeBacktestSettings(backtestSettings),
+              ...(ranking
+                ? [{ label: "Ranking", value: describeRanking(ranking) }]
+                : []),
+              ...describeUniverse(universe),
+            ]
+              .map(({ label, value }) => `${label} ${value}`)
+              .join(" | ")}`
+          ),
+          15,
+          boxTop + queryBoxHeight + 7,
+          { maxWidth: pageWidth - 30 }
+        );
+
         // Adjust subsequent content position based on query box height
         const nextSectionY = 45 + queryBoxHeight + 15;
 
@@ -539,9 +569,9 @@ const SearchOutput = forwardRef((props, ref) => {
           [
             "Year",
             "Your Strategy Return (%)",
-            "Nifty50 Return (%)",
+            `${benchmarkName} Return (%)`,
             "Your Strategy Risk (%)",
-            "Nifty50 Risk (%)",
+            `${benchmarkName} Risk (%)`,
           ],
           ...firstFiveYearsData.map((yearData) => [
             yearData.nyears,
@@ -608,10 +638,10 @@ const SearchOutput = forwardRef((props, ref) => {
         // Calculate positions for colored segments
         const returnPrefix = "• Average Return is ";
         const returnHighlight = `${returnDiff}% points higher`;
-        const returnSuffix = " than Nifty50";
+        const returnSuffix = ` than ${benchmarkName}`;
         const riskPrefix = "• Your Strategy is ";
         const riskHighlight = `${riskDiff}% points more risky`;
-        const riskSuffix = " than Nifty50";
+        const riskSuffix = ` than ${benchmarkName}`;
 
         // Return difference highlight (perfectly aligned)
         pdf.text(returnPrefix, boxMargin, boxContentStartY + lineHeightNew);
@@ -661,8 +691,8 @@ const SearchOutput = forwardRef((props, ref) => {
 
       // Table data for Calendar Year Returns
       const calendarTableData = [
-        ["Year", "Your Strategy (%)", "Nifty50 (%)"],
-        ...rows.map((row) => [row.year, row.yourStrategy, row.nifty50]),
+        ["Year", "Your Strategy (%)", `${benchmarkName} (%)`],
+        ...rows.map((row) => [row.year, row.yourStrategy, row.benchmark]),
       ];
 
       // Table styling
@@ -772,7 +802,8 @@ const SearchOutput = forwardRef((props, ref) => {
           const description = getChartDescription(
             chart.type,
             chart.data,
-            labelsSp
+            labelsSp,
+            benchmarkName
           );
           pdf.setFontSize(9);
           pdf.text(
@@ -870,7 +901,7 @@ const SearchOutput = forwardRef((props, ref) => {
   const [open, setOpen] = useState(false);
   const [snackbarOpen, setSnackbarOpen] = useState(false);
   const [snackbarMessage, setSnackbarMessage] = useState("");
-  const baseUrl = process.env.REACT_SHARE_URL || "http://localhost:3000/strategy/shared";
+  const baseUrl = getAppConfig().shareBaseUrl;
 
   const shareLink = sessionId
     ? `${baseUrl}/${sessionId}`
@@ -890,6 +921,13 @@ const SearchOutput = forwardRef((props, ref) => {
 
   const handleSnackbarClose = () => setSnackbarOpen(false);
 
+  // Companies picked from the portfolio go into the editor's universe
+  const handleExcludeCompany = (company) => {
+    props.onExcludeCompany(company);
+    setSnackbarMessage(`${company} will be excluded from the next run`);
+    setSnackbarOpen(true);
+  };
+
   return (
     <ThemeProvider theme={theme}>
       {isPdfLoading && <Preloader />}
@@ -1019,6 +1057,24 @@ const SearchOutput = forwardRef((props, ref) => {
             Save Strategy
           </Button>
         </Box>
+        <Box
+          sx={{
+            display: "flex",
+            flexWrap: "wrap",
+            alignItems: "center",
+            gap: 1,
+            mb: 1,
+          }}
+        >
+          <Typography variant="body2" color="text.secondary">
+            Backtest settings:
+          </Typography>
+          <BacktestSettingsChips
+            settings={backtestSettings}
+            ranking={ranking}
+          />
+          <UniverseChips universe={universe} />
+        </Box>
         <br />
         {/* Add IDs to tables and charts for PDF generation */}
         <Typography
@@ -1070,6 +1126,27 @@ const SearchOutput = forwardRef((props, ref) => {
                   columns={[
                     { field: "id", headerName: "Sl. No.", width: 70 },
                     { field: "name", headerName: "Company Name", flex: 1 },
+                    ...(props.onExcludeCompany
+                      ? [
+                          {
+                            field: "exclude",
+                            headerName: "",
+                            width: 60,
+                            sortable: false,
+                            renderCell: ({ row }) => (
+                              <Tooltip title="Exclude from the next run">
+                                <IconButton
+                                  size="small"
+                                  onClick={() => handleExcludeCompany(row.name)}
+                                  aria-label={`Exclude ${row.name}`}
+                                >
+                                  <BlockIcon fontSize="small" />
+                                </IconButton>
+                              </Tooltip>
+                            ),
+                          },
+                        ]
+                      : []),
                   ]}
                   sx={{
                     "& .MuiDataGrid-cell": {
@@ -1128,10 +1205,36 @@ const SearchOutput = forwardRef((props, ref) => {
                           fontSize: "1rem",
                         }}
                       >
-                        % return
+                        {showNet ? "% gross" : "% return"}
                       </Typography>
                     </Typography>
                   </Box>
+                  {showNet && (
+                    <Box>
+                      <Typography
+                        variant="h3"
+                        sx={{
+                          color: "primary.main",
+                          fontWeight: "bold",
+                          display: "flex",
+                          alignItems: "baseline",
+                          justifyContent: "center",
+                        }}
+                      >
+                        {netReturnValue.toFixed(1)}
+                        <Typography
+                          component="span"
+                          sx={{
+                            ml: 1,
+                            color: "text.secondary",
+                            fontSize: "1rem",
+                          }}
+                        >
+                          % net (est.)
+                        </Typography>
+                      </Typography>
+                    </Box>
+                  )}
                   <Box>
                     <Typography
                       variant="h3"
@@ -1163,6 +1266,7 @@ const SearchOutput = forwardRef((props, ref) => {
                     <Button
                       key={year}
                       onClick={() => handleYearSelect(year)}
+                      disabled={!completedHorizons.includes(year)}
                       sx={{
                         mr: 1,
                         mb: 1,
@@ -1186,6 +1290,23 @@ const SearchOutput = forwardRef((props, ref) => {
                   ))}
                 </Box>
 
+                {showNet && (
+                  <Typography
+                    variant="caption"
+                    color="text.secondary"
+                    component="div"
+                  >
+                    Backtest returns are gross; the net estimate
+                    assumes{" "}
+                    {(costAssumptions.turnover * 100).toFixed(0)}% of holdings
+                    replaced each year,{" "}
+                    {(costAssumptions.costRate * 10000).toFixed(1)} bps costs
+                    on each side of a trade and{" "}
+                    {(costAssumptions.taxRate * 100).toFixed(1)}% tax on
+                    realized gains.
+                  </Typography>
+                )}
+
                 <Typography
                   sx={{
                     mt: 2,
@@ -1226,7 +1347,7 @@ const SearchOutput = forwardRef((props, ref) => {
                           >
                             {returnDiff}% points higher
                           </span>{" "}
-                          than Nifty50.
+                          than {benchmarkName}.
                         </Typography>
                         <Typography
                           sx={{ color: "text.primary", fontSize: "1rem" }}
@@ -1237,12 +1358,21 @@ const SearchOutput = forwardRef((props, ref) => {
                           >
                             {riskDiff}% points more risky
                           </span>{" "}
-                          than Nifty50
+                          than {benchmarkName}
                         </Typography>
                       </>
                     );
                   })()}
                 </Box>
+                {props.showRobustness && (
+                  <RobustnessCheck
+                    stored={
+                      portfolioData.ippf?.strat_name ||
+                      portfolioData.pfst[0]?.strat_name
+                    }
+                    baseResponse={responseData}
+                  />
+                )}
               </CardContent>
             </Card>
           </Grid>
@@ -1327,6 +1457,7 @@ const SearchOutput = forwardRef((props, ref) => {
                   Average Return
                 </Typography>
                 <LineChartD3
+                  benchmarkName={benchmarkName}
                   data={graphData}
                   labels={labelsSp}
                   dimensions={{
@@ -1347,6 +1478,7 @@ const SearchOutput = forwardRef((props, ref) => {
                   Risk Analysis
                 </Typography>
                 <LineChartD3
+                  benchmarkName={benchmarkName}
                   data={riskData}
                   labels={labelsSp}
                   dimensions={{
@@ -1367,6 +1499,7 @@ const SearchOutput = forwardRef((props, ref) => {
                   Sharpe Ratio
                 </Typography>
                 <LineChartD3
+                  benchmarkName={benchmarkName}
                   data={sharpeData}
                   labels={labelsSp}
                   dimensions={{
@@ -1387,6 +1520,7 @@ const SearchOutput = forwardRef((props, ref) => {
                   High-Low Returns
                 </Typography>
                 <BarChartD3
+                  benchmarkName={benchmarkName}
                   data={highLowData}
                   labels={labelsSp}
                   dimensions={{
@@ -1406,6 +1540,7 @@ const SearchOutput = forwardRef((props, ref) => {
                   Risk vs Return
                 </Typography>
                 <ScatterChartD3
+                  benchmarkName={benchmarkName}
                   data={bubbleData}
                   dimensions={{
                     width:
@@ -1483,6 +1618,7 @@ const SearchOutput = forwardRef((props, ref) => {
                     </Box>
                   </Box>
                   <LineChartD3
+                    benchmarkName={benchmarkName}
                     ref={avgReturnRef}
                     data={graphData}
                     labels={labelsSp}
@@ -1562,6 +1698,7 @@ const SearchOutput = forwardRef((props, ref) => {
                     </Box>
                   </Box>
                   <LineChartD3
+                    benchmarkName={benchmarkName}
                     ref={riskRef}
                     data={riskData}
                     labels={labelsSp}
@@ -1641,6 +1778,7 @@ const SearchOutput = forwardRef((props, ref) => {
                     </Box>
                   </Box>
                   <LineChartD3
+                    benchmarkName={benchmarkName}
                     ref={sharpeRef}
                     data={sharpeData}
                     labels={labelsSp}
@@ -1720,6 +1858,7 @@ const SearchOutput = forwardRef((props, ref) => {
                     </Box>
                   </Box>
                   <BarChartD3
+                    benchmarkName={benchmarkName}
                     ref={highLowRef}
                     data={highLowData}
                     labels={labelsSp}
@@ -1798,6 +1937,7 @@ const SearchOutput = forwardRef((props, ref) => {
                     </Box>
                   </Box>
                   <ScatterChartD3
+                    benchmarkName={benchmarkName}
                     ref={riskReturnRef}
                     data={bubbleData}
                     dimensions={{
@@ -1835,14 +1975,17 @@ const SearchOutput = forwardRef((props, ref) => {
 
 export default SearchOutput;
 // Helper function to generate chart descriptions
-const getChartDescription = (type, data, labels) => {
+const getChartDescription = (type, data, labels, benchmarkName) => {
   switch (type) {
     case "return":
       const oneYearStrategy = data.yourStrategy[0];
-      const oneYearNifty = data.nifty50[0];
+      const oneYearBenchmark = data.benchmark[0];
+      const netNote = data.yourStrategyNet
+        ? ` Net of costs and tax it is an estimated ${data.yourStrategyNet[0].toFixed(1)}%.`
+        : "";
       return `Avg. Return for various investment periods. E.g. Avg. Return over 1-Year Period for Your Strategy is ${oneYearStrategy.toFixed(
         1
-      )}% (vs ${oneYearNifty.toFixed(1)}% for Nifty50).`;
+      )}% (vs ${oneYearBenchmark.toFixed(1)}% for ${benchmarkName}).${netNote}`;
 
     case "risk":
       const minRisk = Math.min(...data.yourStrategy);
@@ -1884,7 +2027,7 @@ const getChartDescription = (type, data, labels) => {
   }
 };
 
-const LineChartD3 = forwardRef(({ data, labels, dimensions, type }, ref) => {
+const LineChartD3 = forwardRef(({ data, labels, dimensions, type, benchmarkName }, ref) => {
   const chartRef = useRef(null);
 
   // Forward the ref to the chart container
@@ -1929,14 +2072,16 @@ const LineChartD3 = forwardRef(({ data, labels, dimensions, type }, ref) => {
 
     const maxValue = Math.max(
       d3.max(data.yourStrategy || []) || 0,
-      d3.max(data.nifty50 || []) || 0
+      d3.max(data.benchmark || []) || 0
     );
+    // Costs can push the net line below zero
+    const minValue = Math.min(d3.min(data.yourStrategyNet || []) || 0, 0);
 
     const x = d3.scaleBand().domain(labels).range([0, width]).padding(0.1);
 
     const y = d3
       .scaleLinear()
-      .domain([0, maxValue * 1.1])
+      .domain([minValue * 1.1, maxValue * 1.1])
       .nice()
       .range([height, 0]);
 
@@ -2029,9 +2174,9 @@ const LineChartD3 = forwardRef(({ data, labels, dimensions, type }, ref) => {
         d3.select(this).attr("stroke-width", 2); // Reset thickness on mouse out
       });
 
-    const nifty50Line = svg
+    const benchmarkLine = svg
       .append("path")
-      .datum(data.nifty50)
+      .datum(data.benchmark)
       .attr("fill", "none")
       .attr("stroke", "#FFC436")
       .attr("stroke-width", 2)
@@ -2043,6 +2188,23 @@ const LineChartD3 = forwardRef(({ data, labels, dimensions, type }, ref) => {
         d3.select(this).attr("stroke-width", 2); // Reset thickness on mouse out
       });
 
+    const yourStrategyNetLine =
+      data.yourStrategyNet &&
+      svg
+        .append("path")
+        .datum(data.yourStrategyNet)
+        .attr("fill", "none")
+        .attr("stroke", "#0174BE")
+        .attr("stroke-width", 2)
+        .attr("stroke-dasharray", "6 4")
+        .attr("d", lineGenerator)
+        .on("mouseover", function () {
+          d3.select(this).attr("stroke-width", 3); // Increase thickness on hover
+        })
+        .on("mouseout", function () {
+          d3.select(this).attr("stroke-width", 2); // Reset thickness on mouse out
+        });
+
     const addDots = (dataset, color, className, name, lineRef) => {
       svg
         .selectAll(`.${className}`)
@@ -2095,16 +2257,28 @@ const LineChartD3 = forwardRef(({ data, labels, dimensions, type }, ref) => {
       yourStrategyLine.node()
     );
     addDots(
-      data.nifty50,
+      data.benchmark,
       "#FFC436",
-      "dot-nifty50",
-      "Nifty50",
-      nifty50Line.node()
+      "dot-benchmark",
+      benchmarkName,
+      benchmarkLine.node()
     );
+    if (yourStrategyNetLine) {
+      addDots(
+        data.yourStrategyNet,
+        "#0174BE",
+        "dot-your-strategy-net",
+        "Your Strategy (net, est.)",
+        yourStrategyNetLine.node()
+      );
+    }
 
     const legendData = [
       { name: "Your Strategy", color: "#0174BE" },
-      { name: "Nifty50", color: "#FFC436" },
+      ...(yourStrategyNetLine
+        ? [{ name: "Your Strategy (net, est.)", color: "#0174BE", dashed: true }]
+        : []),
+      { name: benchmarkName, color: "#FFC436" },
     ];
 
     const legend = svg
@@ -2134,7 +2308,8 @@ const LineChartD3 = forwardRef(({ data, labels, dimensions, type }, ref) => {
       .append("rect")
       .attr("width", window.innerWidth < 600 ? 24 : 19)
       .attr("height", window.innerWidth < 600 ? 24 : 19)
-      .attr("fill", (d) => d.color);
+      .attr("fill", (d) => d.color)
+      .attr("fill-opacity", (d) => (d.dashed ? 0.4 : 1));
 
     legend
       .append("text")
@@ -2152,7 +2327,7 @@ const LineChartD3 = forwardRef(({ data, labels, dimensions, type }, ref) => {
       .style("font-weight", "500");
 
     return () => tooltip.remove();
-  }, [data, labels, dimensions, type]);
+  }, [data, labels, dimensions, type, benchmarkName]);
 
   return (
     <div
@@ -2177,13 +2352,13 @@ const LineChartD3 = forwardRef(({ data, labels, dimensions, type }, ref) => {
           fontSize: window.innerWidth < 600 ? "12px" : "14px",
         }}
       >
-        {getChartDescription(type, data, labels)}
+        {getChartDescription(type, data, labels, benchmarkName)}
       </Typography>
     </div>
   );
 });
 
-const BarChartD3 = forwardRef(({ data, labels, dimensions }, ref) => {
+const BarChartD3 = forwardRef(({ data, labels, dimensions, benchmarkName }, ref) => {
   const chartRef = useRef(null);
 
   // Forward the ref to the chart container
@@ -2319,13 +2494,13 @@ const BarChartD3 = forwardRef(({ data, labels, dimensions }, ref) => {
         key: "highestIndex",
         color: "#FFC436",
         xOffset: offset,
-        label: "Nifty50 - Highest",
+        label: `${benchmarkName} - Highest`,
       },
       {
         key: "lowestIndex",
         color: "#FFC436",
         xOffset: offset + barWidth * 0.5,
-        label: "Nifty50 - Lowest",
+        label: `${benchmarkName} - Lowest`,
       },
     ];
 
@@ -2381,7 +2556,7 @@ const BarChartD3 = forwardRef(({ data, labels, dimensions }, ref) => {
 
     const legendData = [
       { name: "Your Strategy", color: "#0174BE" },
-      { name: "Nifty50", color: "#FFC436" },
+      { name: benchmarkName, color: "#FFC436" },
     ];
 
     const legend = svg
@@ -2423,7 +2598,7 @@ const BarChartD3 = forwardRef(({ data, labels, dimensions }, ref) => {
       .text((d) => d.name);
 
     return () => tooltip.remove(); // Cleanup tooltip on component unmount
-  }, [data, labels, dimensions]);
+  }, [data, labels, dimensions, benchmarkName]);
 
   return (
     <div
@@ -2448,13 +2623,13 @@ const BarChartD3 = forwardRef(({ data, labels, dimensions }, ref) => {
           fontSize: window.innerWidth < 600 ? "12px" : "14px",
         }}
       >
-        {getChartDescription("highLow", data, labels)}
+        {getChartDescription("highLow", data, labels, benchmarkName)}
       </Typography>
     </div>
   );
 });
 
-const ScatterChartD3 = forwardRef(({ data, dimensions }, ref) => {
+const ScatterChartD3 = forwardRef(({ data, dimensions, benchmarkName }, ref) => {
   const chartRef = useRef(null);
 
   // Forward the ref to the chart container
@@ -2592,12 +2767,12 @@ const ScatterChartD3 = forwardRef(({ data, dimensions }, ref) => {
         });
     };
 
-    addBubbles(data.nifty50, "#FFC436", "bubble-nifty");
+    addBubbles(data.benchmark, "#FFC436", "bubble-benchmark");
     addBubbles(data.yourStrategy, "#0174BE", "bubble-strategy");
 
     const legendData = [
       { name: "Your Strategy", color: "#0174BE" },
-      { name: "Nifty50", color: "#FFC436" },
+      { name: benchmarkName, color: "#FFC436" },
     ];
 
     const legend = svg
@@ -2639,7 +2814,7 @@ const ScatterChartD3 = forwardRef(({ data, dimensions }, ref) => {
       .text((d) => d.name);
 
     return () => tooltip.remove();
-  }, [data, dimensions]);
+  }, [data, dimensions, benchmarkName]);
 
   return (
     <div
@@ -2664,7 +2839,7 @@ const ScatterChartD3 = forwardRef(({ data, dimensions }, ref) => {
           fontSize: window.innerWidth < 600 ? "12px" : "14px",
         }}
       >
-        {getChartDescription("riskReturn", data, "")}
+        {getChartDescription("riskReturn", data, "", benchmarkName)}
       </Typography>
     </div>
   );
@@ -0,0 +1,42 @@
+/**
+ * Session Expired Dialog Component Module
+ * Asks the user to log in again when the server rejects their token
+ */
+
+import React, { useCallback, useEffect, useState } from "react";
+import AuthDialog from "./AuthDialog";
+import { AUTH_EXPIRED_EVENT } from "../utils/auth";
+
+/**
+ * Session Expired Dialog Component
+ * Opens the authentication dialog whenever the session expires
+ *
+ * @returns {React.ReactElement} Authentication dialog with an expiry notice
+ */
+const SessionExpiredDialog = () => {
+  /** Whether the dialog is shown */
+  const [open, setOpen] = useState(false);
+
+  /**
+   * Effect opening the dialog when the API client reports a rejected token
+   */
+  useEffect(() => {
+    const handleExpired = () => setOpen(true);
+
+    window.addEventListener(AUTH_EXPIRED_EVENT, handleExpired);
+    return () => window.removeEventListener(AUTH_EXPIRED_EVENT, handleExpired);
+  }, []);
+
+  /** Stable, as AuthDialog effects depend on it */
+  const handleClose = useCallback(() => setOpen(false), []);
+
+  return (
+    <AuthDialog
+      open={open}
+      handleClose={handleClose}
+      message="Your session has expired. Please log in again."
+    />
+  );
+};
+
+export default SessionExpiredDialog;
@@ -16,9 +16,14 @@ import {
 } from "@mui/material";
 import theme from "../styles/theme";
 import useStrategy from "../hooks/useStrategy";
-import axios from "axios";
+import { isCancelledError } from "../utils/apiErrors";
 import Header from "../components/Header";
 import Footer from "../components/Footer";
+import { toQueryText, readStoredRanking } from "../utils/queryCodec";
+import { readBacktestSettings } from "../utils/backtestSettings";
+import { readUniverse } from "../utils/universe";
+import { BacktestSettingsChips } from "./BacktestSettingsPanel";
+import { UniverseChips } from "./UniversePanel";
 
 /**
  * Strategy Details Component
@@ -60,7 +65,7 @@ const StrategyDetails = () => {
       try {
         const data = await getStrategy(strategyId);
       } catch (err) {
-        if (isMounted && !axios.isCancel(err)) {
+        if (isMounted && !isCancelledError(err)) {
           console.error("Fetch error:", err);
           setFetchError(err.message || "Failed to fetch strategy");
         }
@@ -168,9 +173,25 @@ const StrategyDetails = () => {
                 pb: 1,
               }}
             >
-              {currentStrategy.ippf?.strat_name_alias ||
+              {currentStrategy.ippf?.strat_name_alias || "Untitled Strategy"}
+            </Typography>
+
+            {/* Query Section */}
+            <Typography
+              variant="body2"
+              sx={{
+                mb: 4,
+                p: 2,
+                whiteSpace: "pre-wrap",
+                fontFamily: "monospace",
+                bgcolor: "rgba(0, 128, 0, 0.05)",
+                borderRadius: 2,
+              }}
+            >
+              {toQueryText(
                 currentStrategy.ippf?.strat_name ||
-                "Untitled Strategy"}
+                  currentStrategy.pfst?.[0]?.strat_name
+              )}
             </Typography>
 
             {/* Basic Info Section */}
@@ -198,6 +219,42 @@ const StrategyDetails = () => {
               </Typography>
             </Box>
 
+            {/* Backtest Settings Section */}
+            <Box
+              sx={{
+                mb: 4,
+                p: 3,
+                bgcolor: "rgba(0, 128, 0, 0.05)",
+                borderRadius: 2,
+              }}
+            >
+              <Typography
+                variant="h6"
+                gutterBottom
+                sx={{ color: "primary.dark", fontWeight: "bold" }}
+              >
+                Backtest Settings
+              </Typography>
+              <Box sx={{ display: "flex", flexWrap: "wrap", gap: 1 }}>
+                <BacktestSettingsChips
+                  settings={readBacktestSettings(
+                    currentStrategy.ippf?.strat_name ||
+                      currentStrategy.pfst?.[0]?.strat_name
+                  )}
+                  ranking={readStoredRanking(
+                    currentStrategy.ippf?.strat_name ||
+                      currentStrategy.pfst?.[0]?.strat_name
+                  )}
+                />
+                <UniverseChips
+                  universe={readUniverse(
+                    currentStrategy.ippf?.strat_name ||
+                      currentStrategy.pfst?.[0]?.strat_name
+                  )}
+                />
+              </Box>
+            </Box>
+
             {/* Performance Metrics Section */}
             <Box sx={{ mb: 4 }}>
               <Typography
@@ -0,0 +1,274 @@
+/**
+ * Sweep Heatmap Component Module
+ * Results of a parameter sweep: one cell per combination of the swept
+ * values, coloured by the chosen measure and holding period. Cells fill in
+ * as the runs finish, and clicking one opens the full results of its run.
+ */
+
+import { useState } from "react";
+import {
+  Box,
+  Button,
+  ButtonBase,
+  CircularProgress,
+  FormControl,
+  InputLabel,
+  LinearProgress,
+  MenuItem,
+  Paper,
+  Select,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  ToggleButton,
+  ToggleButtonGroup,
+  Tooltip,
+  Typography,
+} from "@mui/material";
+import * as d3 from "d3";
+import theme from "../styles/theme";
+import { useResults } from "../hooks/useResults";
+import { sessionResultKey } from "../utils/resultsStore";
+import {
+  describeSweep,
+  getSweepGrid,
+  readSweepMeasure,
+} from "../utils/parameterSweep";
+import { RESULT_HORIZONS } from "../config/backtest";
+import { SWEEP_MEASURES, DEFAULT_SWEEP_HORIZON } from "../config/sweep";
+
+/**
+ * Writes a swept value as it reads in the query
+ * @param {number} value - Value
+ * @param {Object} sweep - Sweep the value belongs to
+ * @returns {string} Value text
+ */
+const formatSweptValue = (value, sweep) =>
+  `${value}${sweep.percent ? "%" : ""}`;
+
+/**
+ * Writes the value of a measure
+ * @param {number} value - Value
+ * @param {Object} measure - Measure from SWEEP_MEASURES
+ * @returns {string} Value text
+ */
+const formatMeasure = (value, measure) =>
+  measure.percent ? `${(value * 100).toFixed(1)}%` : value.toFixed(2);
+
+/**
+ * Sweep Heatmap Component
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.sweep - Sweep run by useRunBatch
+ * @param {Function} props.onOpenRun - Called with the run of a clicked cell
+ * @param {Function} props.onStop - Stops the sweep
+ * @param {Function} props.onClose - Stops showing the sweep
+ * @returns {React.ReactElement} Heatmap
+ */
+const SweepHeatmap = ({ sweep, onOpenRun, onStop, onClose }) => {
+  const [measureValue, setMeasureValue] = useState(SWEEP_MEASURES[0].value);
+  const [horizon, setHorizon] = useState(DEFAULT_SWEEP_HORIZON);
+  const measure = SWEEP_MEASURES.find((item) => item.value === measureValue);
+
+  const results = useResults(
+    sweep.runs.map((run) => sessionResultKey(run.sessionId))
+  );
+  const resultsBySession = new Map(
+    sweep.runs.map((run, index) => [run.sessionId, results[index]])
+  );
+  const values = results
+    .map((result) => readSweepMeasure(result.data, measure.value, horizon))
+    .filter((value) => value !== null);
+  const finished = results.filter(
+    (result) => !["idle", "loading"].includes(result.status)
+  ).length;
+
+  const [low, high] = d3.extent(values);
+  const color = d3
+    .scaleSequential(d3.interpolateRdYlGn)
+    .domain(measure.higherIsBetter ? [low, high] : [high, low]);
+  const grid = getSweepGrid(sweep.sweeps, sweep.runs);
+  const [columnSweep, rowSweep] = sweep.sweeps;
+
+  /**
+   * Renders the cell of one run
+   * @param {Object} run - Run of the cell
+   * @returns {React.ReactElement} Cell content
+   */
+  const renderCell = (run) => {
+    const result = resultsBySession.get(run.sessionId);
+    if (result.status === "loading") return <CircularProgress size={18} />;
+    if (result.status !== "success") {
+      return (
+        <Typography
+          variant="caption"
+          color={result.status === "idle" ? "text.secondary" : "error"}
+        >
+          {result.status === "idle"
+            ? "—"
+            : result.status === "error"
+            ? "Failed"
+            : "Cancelled"}
+        </Typography>
+      );
+    }
+    const value = readSweepMeasure(result.data, measure.value, horizon);
+    return (
+      <ButtonBase
+        onClick={() => onOpenRun(run)}
+        sx={{
+          width: "100%",
+          height: "100%",
+          minHeight: 44,
+          borderRadius: 1,
+          fontWeight: "bold",
+          bgcolor:
+            value === null
+              ? theme.palette.action.hover
+              : low === high
+              ? color.interpolator()(0.5)
+              : color(value),
+          "&:hover": { outline: `2px solid ${theme.palette.primary.main}` },
+        }}
+      >
+        {value === null ? "n/a" : formatMeasure(value, measure)}
+      </ButtonBase>
+    );
+  };
+
+  return (
+    <Paper
+      elevation={0}
+      sx={{ p: 2, mb: 2, border: `1px solid ${theme.palette.divider}` }}
+    >
+      <Box
+        sx={{
+          display: "flex",
+          alignItems: "center",
+          justifyContent: "space-between",
+          gap: 2,
+          mb: 1,
+        }}
+      >
+        <Typography variant="h6" sx={{ fontWeight: "bold" }}>
+          Parameter Sweep
+        </Typography>
+        <Typography variant="body2" color="text.secondary" sx={{ ml: "auto" }}>
+          {finished} of {sweep.runs.length} runs done
+        </Typography>
+        {sweep.running ? (
+          <Button size="small" color="inherit" onClick={onStop}>
+            Stop
+          </Button>
+        ) : (
+          <Button size="small" color="inherit" onClick={onClose}>
+            Close
+          </Button>
+        )}
+      </Box>
+      {sweep.running && (
+        <LinearProgress
+          variant="determinate"
+          value={(finished / sweep.runs.length) * 100}
+          aria-label="Sweep progress"
+          sx={{ mb: 2 }}
+        />
+      )}
+      <Typography
+        variant="body2"
+        sx={{ fontFamily: "monospace", whiteSpace: "pre-wrap", mb: 2 }}
+      >
+        {sweep.query}
+      </Typography>
+
+      <Box
+        sx={{
+          display: "flex",
+          flexWrap: "wrap",
+          alignItems: "center",
+          gap: 2,
+          mb: 2,
+        }}
+      >
+        <ToggleButtonGroup
+          value={measureValue}
+          exclusive
+          size="small"
+          color="primary"
+          onChange={(event, value) => value && setMeasureValue(value)}
+          aria-label="Heatmap measure"
+        >
+          {SWEEP_MEASURES.map((item) => (
+            <ToggleButton key={item.value} value={item.value}>
+              {item.label}
+            </ToggleButton>
+          ))}
+        </ToggleButtonGroup>
+        <FormControl size="small" sx={{ minWidth: 140 }}>
+          <InputLabel id="sweep-horizon">Holding period</InputLabel>
+          <Select
+            labelId="sweep-horizon"
+            label="Holding period"
+            value={horizon}
+            onChange={(event) => setHorizon(event.target.value)}
+          >
+            {RESULT_HORIZONS.map((years) => (
+              <MenuItem key={years} value={years}>
+                {years} {years === 1 ? "Year" : "Years"}
+              </MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+      </Box>
+
+      <Box sx={{ overflowX: "auto" }}>
+        <Table size="small" sx={{ tableLayout: "fixed", minWidth: 400 }}>
+          <TableHead>
+            <TableRow>
+              <TableCell sx={{ width: 160 }}>
+                <Typography variant="caption" color="text.secondary">
+                  {rowSweep ? `${describeSweep(rowSweep)} ↓ ` : ""}
+                  {describeSweep(columnSweep)} →
+                </Typography>
+              </TableCell>
+              {grid.columns.map((value) => (
+                <TableCell
+                  key={value}
+                  align="center"
+                  sx={{ fontWeight: "bold" }}
+                >
+                  {formatSweptValue(value, columnSweep)}
+                </TableCell>
+              ))}
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {grid.rows.map((row) => (
+              <TableRow key={row.value ?? "all"}>
+                <TableCell sx={{ fontWeight: "bold" }}>
+                  {rowSweep
+                    ? formatSweptValue(row.value, rowSweep)
+                    : measure.label}
+                </TableCell>
+                {row.runs.map((run) => (
+                  <Tooltip key={run.sessionId} title={run.query}>
+                    <TableCell align="center" sx={{ p: 0.5 }}>
+                      {renderCell(run)}
+                    </TableCell>
+                  </Tooltip>
+                ))}
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </Box>
+      <Typography variant="caption" color="text.secondary" sx={{ mt: 1 }}>
+        Greener is better. Click a cell to open the full results of its run.
+      </Typography>
+    </Paper>
+  );
+};
+
+export default SweepHeatmap;
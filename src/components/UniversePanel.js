@@ -0,0 +1,265 @@
+/**
+ * Universe Panel Component Module
+ * Collapsible panel above the query editor that limits the companies a
+ * screen may pick: sectors or industries to include and exclude,
+ * market-cap buckets, and companies to exclude, pasted from a spreadsheet
+ * or picked from the portfolio in the results.
+ * The constraints always show as chips; removing a chip clears it. The
+ * chips are also exported for the results and shared pages.
+ */
+
+import { useState } from "react";
+import {
+  Autocomplete,
+  Box,
+  Button,
+  Chip,
+  Collapse,
+  Paper,
+  TextField,
+  ToggleButton,
+  ToggleButtonGroup,
+  Tooltip,
+  Typography,
+} from "@mui/material";
+import PublicIcon from "@mui/icons-material/Public";
+import ExpandMoreIcon from "@mui/icons-material/ExpandMore";
+import ExpandLessIcon from "@mui/icons-material/ExpandLess";
+import theme from "../styles/theme";
+import {
+  SECTORS,
+  MARKET_CAP_BUCKETS,
+  DEFAULT_UNIVERSE,
+} from "../config/universe";
+import {
+  normalizeUniverse,
+  describeUniverse,
+  parseCompanyList,
+} from "../utils/universe";
+
+/**
+ * Universe constraints as a row of chips
+ * With onChange, each chip can be removed to clear its constraint
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.universe - Universe to show
+ * @param {Function} [props.onChange] - Called with the updated universe
+ * @returns {React.ReactElement} Universe chips
+ */
+export const UniverseChips = ({ universe, onChange }) => {
+  const rows = describeUniverse(universe);
+  if (rows.length === 0) {
+    return (
+      <Chip size="small" variant="outlined" label="Universe: All companies" />
+    );
+  }
+  return rows.map(({ key, label, value }) => (
+    <Chip
+      key={key}
+      size="small"
+      variant="outlined"
+      color="primary"
+      label={`${label}: ${value}`}
+      onDelete={
+        onChange ? () => onChange({ ...universe, [key]: [] }) : undefined
+      }
+    />
+  ));
+};
+
+/**
+ * Sector or industry picker; names outside the list can be typed in
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.label - Field label
+ * @param {Array<string>} props.value - Selected sectors
+ * @param {Function} props.onChange - Called with the new selection
+ * @returns {React.ReactElement} Sector field
+ */
+const SectorField = ({ label, value, onChange }) => (
+  <Autocomplete
+    multiple
+    freeSolo
+    size="small"
+    options={SECTORS}
+    value={value}
+    onChange={(event, sectors) => onChange(sectors)}
+    renderTags={(sectors, getTagProps) =>
+      sectors.map((sector, index) => (
+        <Chip
+          {...getTagProps({ index })}
+          key={sector}
+          size="small"
+          label={sector}
+        />
+      ))
+    }
+    renderInput={(params) => (
+      <TextField
+        {...params}
+        label={label}
+        placeholder="Sector or industry"
+        sx={{ backgroundColor: theme.palette.background.paper }}
+      />
+    )}
+    sx={{ flex: "1 1 280px" }}
+  />
+);
+
+/**
+ * Universe Panel Component
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.universe - Current universe
+ * @param {Function} props.onChange - Called with the updated universe
+ * @returns {React.ReactElement} Universe panel
+ */
+const UniversePanel = ({ universe, onChange }) => {
+  const [expanded, setExpanded] = useState(false);
+  const [pasted, setPasted] = useState("");
+  const current = normalizeUniverse(universe);
+
+  /**
+   * Updates one constraint
+   * @param {string} field - Constraint name
+   * @param {Array<string>} value - New list
+   */
+  const update = (field, value) =>
+    onChange(normalizeUniverse({ ...current, [field]: value }));
+
+  /**
+   * Adds the pasted company names to the exclusion list
+   */
+  const handleAddCompanies = () => {
+    update("excludeCompanies", [
+      ...current.excludeCompanies,
+      ...parseCompanyList(pasted),
+    ]);
+    setPasted("");
+  };
+
+  return (
+    <Paper
+      elevation={0}
+      sx={{
+        p: 2,
+        mb: 2,
+        border: `1px solid ${theme.palette.divider}`,
+        backgroundColor: theme.palette.background.default,
+      }}
+    >
+      <Box
+        sx={{
+          display: "flex",
+          alignItems: "center",
+          flexWrap: "wrap",
+          gap: 1,
+        }}
+      >
+        <Button
+          onClick={() => setExpanded(!expanded)}
+          startIcon={<PublicIcon />}
+          endIcon={expanded ? <ExpandLessIcon /> : <ExpandMoreIcon />}
+          sx={{ fontWeight: "bold" }}
+          aria-expanded={expanded}
+        >
+          Universe
+        </Button>
+        <UniverseChips universe={current} onChange={onChange} />
+      </Box>
+
+      <Collapse in={expanded}>
+        <Box sx={{ display: "flex", flexWrap: "wrap", gap: 2, mt: 2 }}>
+          <SectorField
+            label="Only these sectors"
+            value={current.includeSectors}
+            onChange={(sectors) => update("includeSectors", sectors)}
+          />
+          <SectorField
+            label="Exclude sectors"
+            value={current.excludeSectors}
+            onChange={(sectors) => update("excludeSectors", sectors)}
+          />
+        </Box>
+
+        <Box sx={{ display: "flex", alignItems: "center", gap: 2, mt: 2 }}>
+          <Typography variant="body2" color="text.secondary">
+            Market cap
+          </Typography>
+          <ToggleButtonGroup
+            size="small"
+            color="primary"
+            value={current.marketCaps}
+            onChange={(event, buckets) => update("marketCaps", buckets)}
+            aria-label="Market-cap buckets"
+          >
+            {MARKET_CAP_BUCKETS.map((bucket) => (
+              <Tooltip key={bucket.value} title={bucket.description}>
+                <ToggleButton value={bucket.value}>{bucket.label}</ToggleButton>
+              </Tooltip>
+            ))}
+          </ToggleButtonGroup>
+        </Box>
+
+        <Box
+          sx={{ display: "flex", alignItems: "flex-start", gap: 2, mt: 2 }}
+        >
+          <TextField
+            multiline
+            minRows={2}
+            maxRows={6}
+            size="small"
+            label="Exclude companies"
+            placeholder="Paste a column of company names from Excel"
+            value={pasted}
+            onChange={(event) => setPasted(event.target.value)}
+            sx={{ flex: 1, backgroundColor: theme.palette.background.paper }}
+          />
+          <Button
+            variant="outlined"
+            onClick={handleAddCompanies}
+            disabled={parseCompanyList(pasted).length === 0}
+          >
+            Add
+          </Button>
+        </Box>
+        {current.excludeCompanies.length > 0 && (
+          <Box sx={{ display: "flex", flexWrap: "wrap", gap: 0.5, mt: 1 }}>
+            {current.excludeCompanies.map((company) => (
+              <Chip
+                key={company}
+                size="small"
+                label={company}
+                onDelete={() =>
+                  update(
+                    "excludeCompanies",
+                    current.excludeCompanies.filter((name) => name !== company)
+                  )
+                }
+              />
+            ))}
+          </Box>
+        )}
+
+        <Box
+          sx={{
+            display: "flex",
+            alignItems: "center",
+            justifyContent: "space-between",
+            mt: 1,
+          }}
+        >
+          <Typography variant="caption" color="text.secondary">
+            Leave a field empty to keep every company. Companies can also be
+            excluded from the portfolio in the results.
+          </Typography>
+          <Button size="small" onClick={() => onChange(DEFAULT_UNIVERSE)}>
+            Reset
+          </Button>
+        </Box>
+      </Collapse>
+    </Paper>
+  );
+};
+
+export default UniversePanel;
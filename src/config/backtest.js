@@ -0,0 +1,105 @@
+/**
+ * Backtest Settings Configuration Module
+ * Options and defaults of the backtest settings sent with every screen run.
+ * The defaults are what the backend assumed before settings were sent, so
+ * strategies saved without settings read back as the run they were.
+ */
+
+/**
+ * First year of the backtest data
+ * @constant {number}
+ */
+export const DATA_START_YEAR = 1999;
+
+/**
+ * Last year of the backtest data
+ * @constant {number}
+ */
+export const DATA_END_YEAR = 2022;
+
+/**
+ * Holding periods in years that results are reported for
+ * @constant {Array<number>}
+ */
+export const RESULT_HORIZONS = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+
+/**
+ * Rebalance frequencies
+ * @constant {Array<{value: string, label: string}>}
+ */
+export const REBALANCE_FREQUENCIES = [
+  { value: "annual", label: "Annual" },
+  { value: "semiannual", label: "Semi-annual" },
+  { value: "quarterly", label: "Quarterly" },
+];
+
+/**
+ * Weighting schemes; "capped" is market-cap weighting with a per-stock cap
+ * @constant {Array<{value: string, label: string}>}
+ */
+export const WEIGHTING_SCHEMES = [
+  { value: "equal", label: "Equal weight" },
+  { value: "market_cap", label: "Market-cap weight" },
+  { value: "capped", label: "Capped market-cap weight" },
+];
+
+/**
+ * Benchmark indices the strategy is compared against; "custom" takes the
+ * index name typed by the user
+ * @constant {Array<{value: string, label: string}>}
+ */
+export const BENCHMARKS = [
+  { value: "nifty50", label: "Nifty50" },
+  { value: "nifty500", label: "Nifty500" },
+  { value: "midcap150", label: "Nifty Midcap 150" },
+  { value: "smallcap250", label: "Nifty Smallcap 250" },
+  { value: "custom", label: "Custom" },
+];
+
+/**
+ * Tax treatments of realized gains
+ * @constant {Array<{value: string, label: string}>}
+ */
+export const TAX_TREATMENTS = [
+  { value: "none", label: "Pre-tax" },
+  { value: "india", label: "Indian STCG/LTCG" },
+];
+
+/**
+ * Indian short-term capital gains tax on listed equity (held under a year)
+ * @constant {number}
+ */
+export const STCG_RATE = 0.2;
+
+/**
+ * Indian long-term capital gains tax on listed equity (held a year or more)
+ * @constant {number}
+ */
+export const LTCG_RATE = 0.125;
+
+/**
+ * Default per-stock cap for capped weighting, in percent
+ * @constant {number}
+ */
+export const DEFAULT_WEIGHT_CAP = 10;
+
+/**
+ * Settings used when none are given
+ * maxHoldings null keeps every stock that passes the screen; customBenchmark
+ * is only used with the "custom" benchmark. Costs are in basis points of
+ * each trade and default to none, like the gross results of older runs.
+ * @constant {Object}
+ */
+export const DEFAULT_BACKTEST_SETTINGS = {
+  startYear: DATA_START_YEAR,
+  endYear: DATA_END_YEAR,
+  rebalance: "annual",
+  weighting: "equal",
+  weightCap: DEFAULT_WEIGHT_CAP,
+  maxHoldings: null,
+  benchmark: "nifty50",
+  customBenchmark: "",
+  brokerageBps: 0,
+  slippageBps: 0,
+  tax: "none",
+};
@@ -1,48 +1,98 @@
 /**
  * Configuration file for API endpoints and base URL settings
  * This file centralizes all API endpoint configurations for the application
+ * The URLs the app talks to are set at build time here, and may be
+ * overridden at startup by public/config.json (see utils/appConfig).
  */
 
 /**
- * Base URL for the API server
+ * Settings fixed when the app is built
+ * REACT_APP_API_BASE_URL points the app elsewhere, e.g. at the mock server;
+ * REACT_APP_SHARE_BASE_URL is the start of shared strategy links, which
+ * otherwise follow the page the app is served from.
+ * @constant {Object}
+ */
+export const BUILD_CONFIG = {
+  /** Base URL for the API server */
+  apiBaseUrl:
+    process.env.REACT_APP_API_BASE_URL ||
+    "https://www.fidelfolio-invest.com/api",
+  /** Base URL of shared strategy links */
+  shareBaseUrl:
+    process.env.REACT_APP_SHARE_BASE_URL ||
+    `${window.location.origin}/strategy/shared`,
+  /** Client id of the Google login */
+  googleClientId: process.env.REACT_APP_GOOGLE_CLIENT_ID || "",
+};
+
+/**
+ * How screens are run: "sync" waits for /strategy/execute to answer with
+ * the results; "jobs" submits a backtest job and polls it for progress.
+ * Set with REACT_APP_EXECUTION_MODE.
  * @constant {string}
  */
-const BASE_URL = "https://www.fidelfolio-invest.com/api";
+export const EXECUTION_MODE =
+  process.env.REACT_APP_EXECUTION_MODE === "jobs" ? "jobs" : "sync";
+
+/**
+ * Time between two polls of a backtest job in milliseconds
+ * @constant {number}
+ */
+export const JOB_POLL_INTERVAL = 2000;
+
+/**
+ * Time limits of slow requests in milliseconds, after which they fail with
+ * a timeout and can be retried
+ * @constant {Object}
+ */
+export const REQUEST_TIMEOUTS = {
+  /** Backtest of a screen run */
+  EXECUTE_QUERY: 120000,
+  /** Loading a saved strategy with its results */
+  GET_STRATEGY: 30000,
+  /** Submitting a backtest job, which only queues it */
+  SUBMIT_JOB: 30000,
+  /** One poll of a backtest job; the job itself has no time limit */
+  GET_JOB: 30000,
+};
 
 /**
- * Collection of all API endpoints used throughout the application
+ * Collection of all API endpoints used throughout the application, as paths
+ * from the API base URL
  * @constant {Object}
  */
 export const API_ENDPOINTS = {
   // Authentication Endpoints
   /** Endpoint for user login */
-  LOGIN: `${BASE_URL}/auth/login`,
+  LOGIN: "/auth/login",
   /** Endpoint for user registration */
-  SIGNUP: `${BASE_URL}/auth/signup`,
+  SIGNUP: "/auth/signup",
   /** Endpoint for Google OAuth login */
-  GOOGLE_LOGIN: `${BASE_URL}/auth/google/login`,
+  GOOGLE_LOGIN: "/auth/google/login",
   /** Endpoint for Google OAuth callback */
-  GOOGLE_CALLBACK: `${BASE_URL}/auth/google-callback`,
+  GOOGLE_CALLBACK: "/auth/google-callback",
   /** Endpoint for initiating password reset */
-  FORGOT_PASSWORD: `${BASE_URL}/auth/forgot-password`,
+  FORGOT_PASSWORD: "/auth/forgot-password",
   /** Endpoint for completing password reset */
-  RESET_PASSWORD: `${BASE_URL}/auth/reset-password`,
+  RESET_PASSWORD: "/auth/reset-password",
   /** Endpoint for retrieving user profile details */
-  GET_USER_DETAILS: `${BASE_URL}/auth/get-user-detail`,
+  GET_USER_DETAILS: "/auth/get-user-detail",
   /** Endpoint for updating user profile information */
-  UPDATE_USER_DETAILS: `${BASE_URL}/auth/update-user-details`,
+  UPDATE_USER_DETAILS: "/auth/update-user-details",
 
   // Strategy Endpoints
   /** Endpoint for executing trading strategy queries */
-  EXECUTE_QUERY: `${BASE_URL}/strategy/execute`,
+  EXECUTE_QUERY: "/strategy/execute",
+  /** Endpoint for backtest jobs; append the job id to poll or cancel one */
+  BACKTEST_JOBS: "/strategy/jobs",
   /** Endpoint for modifying existing queries */
-  EDIT_QUERY: `${BASE_URL}/strategy/edit`,
+  EDIT_QUERY: "/strategy/edit",
   /** Endpoint for saving new trading strategies */
-  SAVE_STRATEGY: `${BASE_URL}/strategy/save`,
+  SAVE_STRATEGY: "/strategy/save",
   /** Endpoint for retrieving all available strategies */
-  GET_ALL_STRATEGIES: `${BASE_URL}/strategy/get_all_public_strategies`,
+  GET_ALL_STRATEGIES: "/strategy/get_all_public_strategies",
   /** Endpoint for retrieving user-specific strategies */
-  GET_ALL_STRATEGIES_USER: `${BASE_URL}/strategy/get_all_strategy_user`,
+  GET_ALL_STRATEGIES_USER: "/strategy/get_all_strategy_user",
   /** Endpoint for retrieving a specific strategy */
-  GET_STRATEGY: `${BASE_URL}/strategy/strategies`,
+  GET_STRATEGY: "/strategy/strategies",
 };
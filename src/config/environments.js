@@ -0,0 +1,37 @@
+/**
+ * Environments Configuration Module
+ * Backends the environment switcher can point the app at. The switcher is
+ * for development: it shows when the app runs in development mode, or when
+ * public/config.json turns it on, e.g. on a staging deployment.
+ */
+
+/**
+ * Id of the environment set by the build and config.json
+ * @constant {string}
+ */
+export const DEFAULT_ENVIRONMENT = "default";
+
+/**
+ * Local storage key of the environment chosen in the switcher
+ * @constant {string}
+ */
+export const ENVIRONMENT_STORAGE_KEY = "apiEnvironment";
+
+/**
+ * Built-in environments; each overrides the settings it names
+ * config.json may add environments or change these under "environments".
+ * One without an API base URL is not offered.
+ * @constant {Object}
+ */
+export const ENVIRONMENTS = {
+  [DEFAULT_ENVIRONMENT]: { label: "Default" },
+  staging: {
+    label: "Staging",
+    apiBaseUrl: process.env.REACT_APP_STAGING_API_BASE_URL,
+  },
+  mock: {
+    label: "Local mock",
+    /** Started with npm run mock-server */
+    apiBaseUrl: "http://localhost:4000/api",
+  },
+};
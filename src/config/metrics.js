@@ -0,0 +1,398 @@
+/**
+ * Metric Registry Module
+ * Single source of truth for the metrics the screener can filter on.
+ * The query editor, autocomplete, query renderers and guide pages all read
+ * from this catalog.
+ */
+
+/**
+ * Units a metric can be expressed in
+ * percent: percentage points (ROCE 22 means 22%)
+ * ratio: plain ratio (DE 0.5)
+ * multiple: valuation multiple (PE 15)
+ * @constant {Object.<string, string>}
+ */
+export const METRIC_UNITS = {
+  PERCENT: "percent",
+  RATIO: "ratio",
+  MULTIPLE: "multiple",
+};
+
+/**
+ * Metric categories, in the order the guide lists them
+ * @constant {Object.<string, string>}
+ */
+export const METRIC_CATEGORIES = {
+  LEVERAGE: "Leverage",
+  RETURNS: "Return Ratios",
+  CASH_FLOW: "Cash Flow Quality",
+  GROWTH: "Growth",
+  VALUATION: "Valuation",
+};
+
+/**
+ * Look-back periods (in years) accepted by every metric
+ * @constant {Array<number>}
+ */
+export const ALL_PERIODS = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+
+/**
+ * Period (in years) assumed when a query names a metric without one
+ * Valuation multiples override it with 1, their latest value
+ * @constant {number}
+ */
+export const DEFAULT_PERIOD = 5;
+
+/**
+ * Builds a guide anchor from a metric name, e.g. "metric-pe-trailing"
+ * @param {string} name - Canonical metric name
+ * @returns {string} Anchor id
+ */
+const toAnchor = (name) =>
+  `metric-${name
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "")}`;
+
+/**
+ * Builds the typicalValues entry of a metric
+ * @param {Array<number>} values - Low (25th percentile), median and high
+ *   (75th percentile) values
+ * @returns {{low: number, median: number, high: number}} Typical values
+ */
+const toTypicalValues = ([low, median, high]) => ({ low, median, high });
+
+/**
+ * Describes a compounded growth metric
+ * @param {number} id - Backend parameter id
+ * @param {string} base - Short name of the underlying figure
+ * @param {string} longName - Spelled-out name of the underlying figure
+ * @param {Array<string>} aliases - Alternative names
+ * @param {Array<number>} typical - Typical low, median and high values
+ * @returns {Object} Metric definition
+ */
+const growthMetric = (id, base, longName, aliases, typical) => ({
+  id,
+  name: `${base} CAGR`,
+  aliases,
+  typicalValues: toTypicalValues(typical),
+  unit: METRIC_UNITS.PERCENT,
+  periods: ALL_PERIODS,
+  category: METRIC_CATEGORIES.GROWTH,
+  description: `Compounded Annual Growth Rate of ${longName}.`,
+  formula: `((Ending ${base} / Beginning ${base})^(1/Years)) - 1`,
+});
+
+/**
+ * Metric catalog
+ * Ids match the param ids stored by the backend with each strategy.
+ * typicalValues are rough quartiles across listed companies, in the
+ * metric's own unit; they only seed autocomplete hints.
+ * @constant {Array<Object>}
+ */
+export const METRICS = [
+  {
+    id: 0,
+    name: "Average DE",
+    aliases: ["DE", "Debt to Equity", "Debt-to-Equity", "Debt Equity"],
+    unit: METRIC_UNITS.RATIO,
+    typicalValues: toTypicalValues([0.1, 0.5, 1.2]),
+    periods: ALL_PERIODS,
+    category: METRIC_CATEGORIES.LEVERAGE,
+    description: "Debt-to-Equity Ratio measures a company's financial leverage.",
+    formula: "Total Debt / Total Equity",
+  },
+  {
+    id: 1,
+    name: "Average ROCE",
+    aliases: ["ROCE", "Return on Capital Employed"],
+    unit: METRIC_UNITS.PERCENT,
+    typicalValues: toTypicalValues([8, 14, 22]),
+    periods: ALL_PERIODS,
+    category: METRIC_CATEGORIES.RETURNS,
+    description:
+      "Return on Capital Employed indicates profitability and efficiency in using capital.",
+    formula: "EBIT / Capital Employed",
+  },
+  {
+    id: 2,
+    name: "Average ROE",
+    aliases: ["ROE", "Return on Equity"],
+    unit: METRIC_UNITS.PERCENT,
+    typicalValues: toTypicalValues([7, 13, 20]),
+    periods: ALL_PERIODS,
+    category: METRIC_CATEGORIES.RETURNS,
+    description:
+      "Return on Equity measures profitability relative to shareholders' equity.",
+    formula: "Net Income / Shareholder's Equity",
+  },
+  {
+    id: 3,
+    name: "Average CFO/PBIT",
+    aliases: ["CFO/PBIT", "CFO to PBIT", "Cash Conversion"],
+    unit: METRIC_UNITS.RATIO,
+    typicalValues: toTypicalValues([0.5, 0.8, 1.1]),
+    periods: ALL_PERIODS,
+    category: METRIC_CATEGORIES.CASH_FLOW,
+    description:
+      "Cash Flow from Operations to Profit Before Interest and Tax measures cash efficiency.",
+    formula: "CFO / PBIT",
+  },
+  {
+    ...growthMetric(4, "DE", "Debt-to-Equity Ratio", [
+      "Debt to Equity Growth",
+    ], [-10, 0, 10]),
+    category: METRIC_CATEGORIES.LEVERAGE,
+  },
+  growthMetric(
+    5,
+    "ROCE",
+    "Return on Capital Employed",
+    ["ROCE Growth"],
+    [-8, 0, 8]
+  ),
+  growthMetric(6, "ROE", "Return on Equity", ["ROE Growth"], [-8, 0, 8]),
+  growthMetric(7, "NetSales", "Net Sales", [
+    "Sales Growth",
+    "Revenue Growth",
+    "Net Sales CAGR",
+    "Sales CAGR",
+  ], [5, 10, 16]),
+  growthMetric(8, "PBIDT", "Profit Before Interest, Depreciation, and Taxes", [
+    "EBITDA Growth",
+    "EBITDA CAGR",
+  ], [4, 11, 18]),
+  growthMetric(9, "PBIT", "Profit Before Interest and Taxes", [
+    "EBIT Growth",
+    "EBIT CAGR",
+  ], [3, 11, 19]),
+  growthMetric(10, "PBT", "Profit Before Tax", ["PBT Growth"], [2, 11, 20]),
+  growthMetric(11, "PAT", "Profit After Tax", [
+    "Profit Growth",
+    "Net Profit Growth",
+    "Earnings Growth",
+  ], [2, 11, 20]),
+  {
+    ...growthMetric(12, "CFO", "Cash Flow from Operations", [
+      "Cash Flow Growth",
+      "Operating Cash Flow Growth",
+    ], [0, 10, 20]),
+    category: METRIC_CATEGORIES.CASH_FLOW,
+  },
+  {
+    ...growthMetric(13, "FCFF", "Free Cash Flow to Firm", [
+      "Free Cash Flow Growth",
+      "FCF Growth",
+    ], [-5, 8, 20]),
+    category: METRIC_CATEGORIES.CASH_FLOW,
+  },
+  {
+    ...growthMetric(
+      14,
+      "CFO/PBIT",
+      "Cash Flow from Operations to Profit Before Interest and Tax",
+      ["Cash Conversion Growth"],
+      [-8, 0, 8]
+    ),
+    category: METRIC_CATEGORIES.CASH_FLOW,
+  },
+  {
+    id: 15,
+    name: "PE (Trailing)",
+    aliases: ["PE", "P/E", "Price to Earning", "Price to Earnings", "Trailing PE"],
+    unit: METRIC_UNITS.MULTIPLE,
+    typicalValues: toTypicalValues([12, 22, 40]),
+    periods: ALL_PERIODS,
+    defaultPeriod: 1,
+    category: METRIC_CATEGORIES.VALUATION,
+    description:
+      "Trailing Price-to-Earnings Ratio measures a company's valuation based on past earnings.",
+    formula: "Market Price per Share / EPS (Trailing)",
+  },
+  {
+    id: 16,
+    name: "PE (1 Yr Forward)",
+    aliases: ["Forward PE", "1 Year Forward PE", "Forward P/E"],
+    unit: METRIC_UNITS.MULTIPLE,
+    typicalValues: toTypicalValues([10, 18, 32]),
+    periods: ALL_PERIODS,
+    defaultPeriod: 1,
+    category: METRIC_CATEGORIES.VALUATION,
+    description:
+      "One-year forward Price-to-Earnings Ratio estimates valuation based on projected earnings.",
+    formula: "Market Price per Share / EPS (Projected 1 Yr)",
+  },
+  {
+    id: 17,
+    name: "PE (2 Yr Forward)",
+    aliases: ["2 Year Forward PE", "Two Year Forward PE"],
+    unit: METRIC_UNITS.MULTIPLE,
+    typicalValues: toTypicalValues([9, 15, 27]),
+    periods: ALL_PERIODS,
+    defaultPeriod: 1,
+    category: METRIC_CATEGORIES.VALUATION,
+    description:
+      "Two-year forward Price-to-Earnings Ratio estimates valuation based on projected earnings.",
+    formula: "Market Price per Share / EPS (Projected 2 Yr)",
+  },
+  {
+    id: 18,
+    name: "Price / CFO",
+    aliases: ["P/CFO", "Price to CFO", "Price to Cash Flow"],
+    unit: METRIC_UNITS.MULTIPLE,
+    typicalValues: toTypicalValues([8, 16, 30]),
+    periods: ALL_PERIODS,
+    defaultPeriod: 1,
+    category: METRIC_CATEGORIES.VALUATION,
+    description:
+      "Price to Cash Flow from Operations Ratio measures valuation relative to cash generation.",
+    formula: "Market Capitalization / CFO",
+  },
+  {
+    id: 19,
+    name: "Price / FCFF",
+    aliases: ["P/FCFF", "Price to FCFF", "Price to Free Cash Flow"],
+    unit: METRIC_UNITS.MULTIPLE,
+    typicalValues: toTypicalValues([10, 25, 50]),
+    periods: ALL_PERIODS,
+    defaultPeriod: 1,
+    category: METRIC_CATEGORIES.VALUATION,
+    description:
+      "Price to Free Cash Flow to Firm Ratio measures valuation relative to free cash flows.",
+    formula: "Market Capitalization / FCFF",
+  },
+].map((metric) => ({
+  ...metric,
+  defaultPeriod: metric.defaultPeriod || DEFAULT_PERIOD,
+  guideAnchor: toAnchor(metric.name),
+}));
+
+/**
+ * Finds a metric by its backend id
+ * @param {number|string} id - Backend parameter id
+ * @returns {Object|undefined} Metric definition
+ */
+export const getMetricById = (id) =>
+  METRICS.find((metric) => metric.id === Number(id));
+
+/**
+ * Finds a metric by its canonical name or one of its aliases
+ * @param {string} name - Name to look up, case-insensitive
+ * @returns {Object|undefined} Metric definition
+ */
+export const getMetricByName = (name) => {
+  const wanted = (name || "").trim().toLowerCase();
+  return (
+    METRICS.find((metric) => metric.name.toLowerCase() === wanted) ||
+    METRICS.find((metric) =>
+      metric.aliases.some((alias) => alias.toLowerCase() === wanted)
+    )
+  );
+};
+
+/**
+ * Resolves the metric referenced by a saved filter's param
+ * The name is preferred because strategies saved by older clients used
+ * different ids; the id is the fallback when the name is unknown.
+ *
+ * @param {{name?: string, id?: number}} param - Filter param object
+ * @returns {Object|undefined} Metric definition
+ */
+export const resolveMetric = (param) =>
+  getMetricByName(param?.name) ||
+  (param?.id !== undefined ? getMetricById(param.id) : undefined);
+
+/**
+ * Normalizes a written metric phrase for loose comparison: lower case,
+ * punctuation and repeated spaces collapsed, simple plurals dropped
+ * ("Price-to-Earnings" and "price to earning" both become "price to earning")
+ *
+ * @param {string} phrase - Phrase as written
+ * @returns {string} Normalized phrase
+ */
+export const normalizePhrase = (phrase) =>
+  (phrase || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim()
+    .split(" ")
+    .map((word) => (word.length > 3 ? word.replace(/s$/, "") : word))
+    .join(" ");
+
+/**
+ * Levenshtein distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Number of single-character edits
+ */
+const editDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+/**
+ * Largest edit distance tolerated when matching a misspelt phrase
+ * @constant {number}
+ */
+const MAX_TYPO_DISTANCE = 2;
+
+/**
+ * Resolves a free-form phrase to a metric
+ * Tries the normalized name and aliases first, then a close misspelling
+ * (at most two edits, phrases of five or more characters only). A typo
+ * that is equally close to two metrics is left unresolved.
+ *
+ * @param {string} phrase - Phrase as written, e.g. "return on capital employed"
+ * @param {Array<Object>} [metrics] - Metric catalog, defaults to the registry
+ * @returns {{metric: Object, fuzzy: boolean}|undefined} Match, if any
+ */
+export const matchMetricPhrase = (phrase, metrics = METRICS) => {
+  const wanted = normalizePhrase(phrase);
+  if (!wanted) return undefined;
+  const candidates = metrics.flatMap((metric) =>
+    [metric.name, ...(metric.aliases || [])].map((text) => ({
+      metric,
+      text: normalizePhrase(text),
+    }))
+  );
+
+  const exact = candidates.find((candidate) => candidate.text === wanted);
+  if (exact) return { metric: exact.metric, fuzzy: false };
+  if (wanted.length < 5) return undefined;
+
+  let best;
+  let bestDistance = MAX_TYPO_DISTANCE + 1;
+  let tied = false;
+  candidates.forEach((candidate) => {
+    const distance = editDistance(wanted, candidate.text);
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+      tied = false;
+    } else if (distance === bestDistance && candidate.metric !== best?.metric) {
+      tied = true;
+    }
+  });
+  return best && !tied ? { metric: best.metric, fuzzy: true } : undefined;
+};
+
+/**
+ * Groups the catalog by category, preserving category order
+ * @returns {Array<{category: string, metrics: Array<Object>}>} Grouped metrics
+ */
+export const getMetricsByCategory = () =>
+  Object.values(METRIC_CATEGORIES).map((category) => ({
+    category,
+    metrics: METRICS.filter((metric) => metric.category === category),
+  }));
@@ -0,0 +1,29 @@
+/**
+ * Result Cache Configuration Module
+ * Time-to-live options of the local cache of executed queries. A cached
+ * result older than the chosen time-to-live is run again.
+ */
+
+/**
+ * Hour in milliseconds
+ * @constant {number}
+ */
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Time-to-live options offered in the cache view
+ * @constant {Array<{value: number, label: string}>}
+ */
+export const RESULT_CACHE_TTL_OPTIONS = [
+  { value: HOUR, label: "1 hour" },
+  { value: 24 * HOUR, label: "1 day" },
+  { value: 7 * 24 * HOUR, label: "1 week" },
+  { value: 30 * 24 * HOUR, label: "30 days" },
+];
+
+/**
+ * Time-to-live used until another is chosen; the backtest data changes at
+ * most daily
+ * @constant {number}
+ */
+export const DEFAULT_RESULT_CACHE_TTL = 24 * HOUR;
@@ -0,0 +1,35 @@
+/**
+ * Robustness Check Configuration Module
+ * How the robustness check perturbs a strategy's conditions and how the
+ * shifts in its results are scored
+ */
+
+/**
+ * Relative changes applied to each threshold (and upper bound)
+ * @constant {Array<number>}
+ */
+export const THRESHOLD_PERTURBATIONS = [-0.2, -0.1, 0.1, 0.2];
+
+/**
+ * Changes in years applied to each period
+ * @constant {Array<number>}
+ */
+export const PERIOD_PERTURBATIONS = [-1, 1];
+
+/**
+ * Average relative shift of the results at which the score reaches 0;
+ * variants moving the results by half their value mean the strategy is
+ * fitted to its exact parameters
+ * @constant {number}
+ */
+export const ROBUSTNESS_TOLERANCE = 0.5;
+
+/**
+ * Ratings of a robustness score, highest first
+ * @constant {Array<{min: number, label: string, color: string}>}
+ */
+export const ROBUSTNESS_RATINGS = [
+  { min: 70, label: "Robust", color: "success" },
+  { min: 40, label: "Sensitive", color: "warning" },
+  { min: 0, label: "Fragile", color: "error" },
+];
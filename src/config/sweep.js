@@ -0,0 +1,38 @@
+/**
+ * Parameter Sweep Configuration Module
+ * Measures a sweep's runs are compared by in its heatmap
+ */
+
+/**
+ * Measures offered in the heatmap, read from the run's portfolio statistics
+ * (pfst). Percent measures are fractions shown as percentages; for downside
+ * risk lower is better.
+ * @constant {Array<{value: string, label: string, percent: boolean,
+ *   higherIsBetter: boolean}>}
+ */
+export const SWEEP_MEASURES = [
+  {
+    value: "cagr_mean",
+    label: "Mean CAGR",
+    percent: true,
+    higherIsBetter: true,
+  },
+  {
+    value: "cagr_dwn_std",
+    label: "Downside risk",
+    percent: true,
+    higherIsBetter: false,
+  },
+  {
+    value: "sharpe_ratio",
+    label: "Sharpe ratio",
+    percent: false,
+    higherIsBetter: true,
+  },
+];
+
+/**
+ * Holding period in years the heatmap shows first
+ * @constant {number}
+ */
+export const DEFAULT_SWEEP_HORIZON = 5;
@@ -0,0 +1,57 @@
+/**
+ * Universe Configuration Module
+ * Options of the universe constraints that limit which companies a screen
+ * may pick, sent with every screen run. An empty constraint does not limit
+ * anything, so strategies saved without a universe ran on every company.
+ */
+
+/**
+ * Sectors offered for inclusion and exclusion, following the NSE sector
+ * classification. Industries within a sector can be typed in as well.
+ * @constant {Array<string>}
+ */
+export const SECTORS = [
+  "Automobile and Auto Components",
+  "Capital Goods",
+  "Chemicals",
+  "Construction",
+  "Construction Materials",
+  "Consumer Durables",
+  "Consumer Services",
+  "Diversified",
+  "Fast Moving Consumer Goods",
+  "Financial Services",
+  "Forest Materials",
+  "Healthcare",
+  "Information Technology",
+  "Media, Entertainment & Publication",
+  "Metals & Mining",
+  "Oil, Gas & Consumable Fuels",
+  "Power",
+  "Realty",
+  "Services",
+  "Telecommunication",
+  "Textiles",
+  "Utilities",
+];
+
+/**
+ * Market-cap buckets by rank of full market capitalization (SEBI)
+ * @constant {Array<{value: string, label: string, description: string}>}
+ */
+export const MARKET_CAP_BUCKETS = [
+  { value: "large", label: "Large cap", description: "Top 100 companies" },
+  { value: "mid", label: "Mid cap", description: "101st to 250th company" },
+  { value: "small", label: "Small cap", description: "251st company onwards" },
+];
+
+/**
+ * Universe used when none is given: every company
+ * @constant {Object}
+ */
+export const DEFAULT_UNIVERSE = {
+  includeSectors: [],
+  excludeSectors: [],
+  marketCaps: [],
+  excludeCompanies: [],
+};
@@ -27,13 +27,18 @@ export const AuthProvider = ({ children }) => {
   const [userRole, setUserRoleState] = useState(null);
 
   /**
-   * Initialize authentication state from stored tokens
+   * Initialize authentication state from stored tokens, and follow it when
+   * they change elsewhere, e.g. on logout or when the session expires
    */
   useEffect(() => {
-    const token = getToken();
-    const role = getUserRole();
-    setIsAuthenticated(!!token);
-    setUserRoleState(role);
+    const syncAuth = () => {
+      setIsAuthenticated(!!getToken());
+      setUserRoleState(getUserRole());
+    };
+
+    syncAuth();
+    window.addEventListener("authStateChanged", syncAuth);
+    return () => window.removeEventListener("authStateChanged", syncAuth);
   }, []);
 
   /**
@@ -6,8 +6,8 @@
 
 import { useState } from "react";
 import { useNavigate } from "react-router-dom";
-import axios from "axios";
-import { API_ENDPOINTS } from "../config/config";
+import * as api from "../utils/apiClient";
+import { API_ERROR_KINDS } from "../utils/apiErrors";
 import { useAuth as useAuthContext } from "../context/AuthContext";
 
 /**
@@ -89,11 +89,9 @@ const useAuth = (tabIndex, handleClose) => {
 
     setLoading(true);
     try {
-      const endpoint =
-        tabIndex === 0 ? API_ENDPOINTS.LOGIN : API_ENDPOINTS.SIGNUP;
-      const res = await axios.post(endpoint, formData);
-      console.log(res);
-      updateAuth(res.data.token, res.data.role);
+      const session =
+        tabIndex === 0 ? await api.login(formData) : await api.signup(formData);
+      updateAuth(session.token, session.role);
       navigate(tabIndex === 0 ? "/screens" : "/", {
         state: { openAuth: true },
       });
@@ -102,8 +100,8 @@ const useAuth = (tabIndex, handleClose) => {
 
       window.dispatchEvent(new Event("authStateChanged"));
     } catch (err) {
-      console.error("Error Details:", err.response);
-      showSnackbar(err.response?.data?.detail || "An error occurred");
+      console.error("Error Details:", err);
+      showSnackbar(err.message);
     } finally {
       setLoading(false);
     }
@@ -115,7 +113,7 @@ const useAuth = (tabIndex, handleClose) => {
   const handleGoogleAuth = async () => {
     setLoading(true);
     try {
-      window.location.href = API_ENDPOINTS.GOOGLE_LOGIN;
+      window.location.href = api.getGoogleLoginUrl();
     } catch (error) {
       console.error("Google Authentication Error:", error);
       showSnackbar("Google authentication failed.");
@@ -136,28 +134,16 @@ const useAuth = (tabIndex, handleClose) => {
 
     setLoading(true);
     try {
-      const res = await axios.post(API_ENDPOINTS.FORGOT_PASSWORD, { email });
-      showSnackbar(
-        res.data.message || "Password reset link sent to your email."
-      );
+      const res = await api.forgotPassword(email);
+      showSnackbar(res.message || "Password reset link sent to your email.");
       return true;
     } catch (error) {
       console.error("Forgot Password Error:", error);
-      if (error.response) {
-        if (error.response.status === 404) {
-          showSnackbar("No registered user found with this email address.");
-        } else {
-          showSnackbar(
-            error.response.data?.detail ||
-              error.response.data?.message ||
-              "Failed to send password reset email."
-          );
-        }
-      } else if (error.request) {
-        showSnackbar("No response from server. Please try again.");
-      } else {
-        showSnackbar("An error occurred. Please try again.");
-      }
+      showSnackbar(
+        error.kind === API_ERROR_KINDS.NOT_FOUND
+          ? "No registered user found with this email address."
+          : error.message
+      );
       return false;
     } finally {
       setLoading(false);
@@ -176,15 +162,11 @@ const useAuth = (tabIndex, handleClose) => {
     }
 
     try {
-      const response = await axios.post(API_ENDPOINTS.GET_USER_DETAILS, {
-        email,
-      });
-      return response.data.user_details;
+      const response = await api.getUserDetails(email);
+      return response.user_details;
     } catch (error) {
       console.error("Error fetching user details:", error);
-      showSnackbar(
-        error.response?.data?.message || "Failed to get user details."
-      );
+      showSnackbar(error.message);
       return null;
     }
   };
@@ -195,18 +177,11 @@ const useAuth = (tabIndex, handleClose) => {
    */
   const updateUserDetails = async (userDetails) => {
     try {
-      const response = await axios.put(
-        API_ENDPOINTS.UPDATE_USER_DETAILS,
-        userDetails
-      );
-      showSnackbar(
-        response.data.message || "User details updated successfully."
-      );
+      const response = await api.updateUserDetails(userDetails);
+      showSnackbar(response.message || "User details updated successfully.");
     } catch (error) {
       console.error("Error updating user details:", error);
-      showSnackbar(
-        error.response?.data?.message || "Failed to update user details."
-      );
+      showSnackbar(error.message);
     }
   };
 
@@ -2,137 +2,236 @@
  * Query Execution Hook Module
  * Provides functionality for executing trading queries and saving strategies
  * with proper error handling and loading states
+ * Results live in the results store, keyed by session or strategy id, so
+ * every component following a key sees its result as soon as it arrives.
+ * Runs and strategy loads can be cancelled, time out, and be retried.
+ * In job mode (EXECUTION_MODE "jobs") a run is a backtest job whose
+ * progress and finished horizons show while it runs.
  */
 
-import { useState } from "react";
-import axios from "axios";
-import { API_ENDPOINTS } from "../config/config"; // Adjust path as needed
+import { useCallback } from "react";
+import { EXECUTION_MODE, JOB_POLL_INTERVAL } from "../config/config";
+import * as api from "../utils/apiClient";
+import {
+  ApiError,
+  API_ERROR_KINDS,
+  isCancelledError,
+} from "../utils/apiErrors";
+import resultsStore, {
+  sessionResultKey,
+  strategyResultKey,
+} from "../utils/resultsStore";
+import { readJobStatus } from "../utils/backtestJobs";
+import { escapeLiteralStrings } from "../utils/queryCodec";
+import { toExecutePayload } from "../utils/backtestSettings";
+import { useResult } from "./useResults";
 
-// Create a shared state outside the hook
-let sharedResponseData = null;
-let sharedLoading = false;
-let sharedError = null;
+/**
+ * Reads the message of a failed request
+ * @param {Error} err - Request error
+ * @returns {string} Message to show
+ */
+const readErrorMessage = (err) => err.message;
 
 /**
- * Custom hook for executing trading queries and managing strategy operations
+ * Logs a failed request unless it was cancelled
+ * @param {string} action - What the request did
+ * @param {Error} err - Request error
+ */
+const logRequestError = (action, err) => {
+  if (!isCancelledError(err)) {
+    console.error(`Error ${action}:`, readErrorMessage(err));
+  }
+};
+
+/**
+ * Waits until the next poll of a job
+ * @param {AbortSignal} signal - Signal of the run
+ * @returns {Promise<void>} Rejects as cancelled when the run is aborted
+ */
+const waitForNextPoll = (signal) =>
+  new Promise((resolve, reject) => {
+    if (signal.aborted) {
+      reject(new ApiError(API_ERROR_KINDS.CANCELLED));
+      return;
+    }
+    const timer = setTimeout(resolve, JOB_POLL_INTERVAL);
+    signal.addEventListener(
+      "abort",
+      () => {
+        clearTimeout(timer);
+        reject(new ApiError(API_ERROR_KINDS.CANCELLED));
+      },
+      { once: true }
+    );
+  });
+
+/**
+ * Runs a query as a backtest job
+ * Submits it, then polls the job and reports its progress and the
+ * horizons finished so far until it ends. Aborting the run cancels the job.
  *
- * @returns {Object} Query execution functions and state management
+ * @param {Object} body - Execute request body
+ * @param {AbortSignal} signal - Signal of the run
+ * @param {Function} report - Reports progress and partial results
+ * @returns {Promise<Object>} Results in the execute response shape
  */
-const useExecuteQuery = () => {
-  const [loading, setLoading] = useState(sharedLoading);
-  const [error, setError] = useState(sharedError);
-  const [responseData, setResponseData] = useState(sharedResponseData);
+const runBacktestJob = async (body, signal, report) => {
+  const { job_id: jobId } = await api.submitBacktestJob(body, { signal });
+  const cancelJob = () =>
+    api.cancelBacktestJob(jobId).catch((err) => {
+      logRequestError("cancelling backtest job", err);
+    });
+  // Aborted while the job was being submitted: no abort event is left to
+  // cancel it
+  if (signal.aborted) {
+    cancelJob();
+    throw new ApiError(API_ERROR_KINDS.CANCELLED);
+  }
+  signal.addEventListener("abort", cancelJob, { once: true });
 
-  /**
-   * Load an existing strategy by ID and set in shared state so charts can render
-   */
-  const loadStrategy = async (strategyId) => {
-    if (!strategyId) return null;
-    setLoading(true);
-    sharedLoading = true;
-    setError(null);
-    sharedError = null;
-    try {
-      const token = localStorage.getItem("token");
-      const response = await axios.get(API_ENDPOINTS.GET_STRATEGY, {
-        params: { strategy_id: strategyId },
-        headers: { Authorization: `Bearer ${token}` },
-      });
-      // Normalize to same shape used by execute (with output root)
-      const normalized = { status: "Success", output: response.data };
-      setResponseData(normalized);
-      sharedResponseData = normalized;
-      return normalized;
-    } catch (err) {
-      const errorMessage = err.response?.data || err.message;
-      setError(errorMessage);
-      sharedError = errorMessage;
-      console.error("Error loading strategy:", errorMessage);
-    } finally {
-      setLoading(false);
-      sharedLoading = false;
+  try {
+    for (;;) {
+      const job = readJobStatus(await api.getBacktestJob(jobId, { signal }));
+      if (job.failed) {
+        throw new Error(job.error || "The backtest job failed.");
+      }
+      if (job.done) return job.data;
+      report(job.progress, job.data);
+      await waitForNextPoll(signal);
     }
-  };
+  } finally {
+    signal.removeEventListener("abort", cancelJob);
+  }
+};
+
+/**
+ * Load an existing strategy by ID into the results store so charts can render
+ *
+ * @param {string} strategyId - Strategy identifier
+ * @returns {Promise<Object|undefined>} Strategy in the execute response shape
+ */
+const loadStrategy = async (strategyId) => {
+  if (!strategyId) return null;
+  try {
+    return await resultsStore.runRequest(
+      strategyResultKey(strategyId),
+      async (signal) => {
+        const output = await api.getStrategy(strategyId, { signal });
+        // Normalize to same shape used by execute (with output root)
+        return { status: "Success", output };
+      },
+      readErrorMessage
+    );
+  } catch (err) {
+    logRequestError("loading strategy", err);
+  }
+};
+
+/**
+ * Restores the results of an earlier run, e.g. from the local query history
+ *
+ * @param {string} sessionId - Session the run was executed in
+ * @param {Object} data - Execute response ({ output: {...} })
+ */
+const restoreResponse = (sessionId, data) => {
+  resultsStore.setResult(sessionResultKey(sessionId), data);
+};
+
+/**
+ * Executes a trading query with the provided parameters
+ *
+ * @param {Object} queryResults - The query parameters and data
+ * @param {string} sessionId - Current session identifier
+ * @param {string} userToken - User authentication token
+ * @returns {Promise<Object|undefined>} Query execution results
+ */
+const executeQuery = async (queryResults, sessionId, userToken) => {
+  try {
+    return await resultsStore.runRequest(
+      sessionResultKey(sessionId),
+      async (signal, report) => {
+        const body = {
+          session_id: sessionId,
+          user_token: userToken,
+          // Stored unquoted in strat_name, see queryCodec
+          data: escapeLiteralStrings(toExecutePayload(queryResults)),
+        };
+        if (EXECUTION_MODE === "jobs") {
+          return runBacktestJob(body, signal, report);
+        }
+        return api.executeQuery(body, { signal });
+      },
+      readErrorMessage
+    );
+  } catch (err) {
+    logRequestError("executing query", err);
+  }
+};
+
+/**
+ * Saves a trading strategy with the provided parameters
+ *
+ * @param {string} sessionId - Current session identifier
+ * @param {string} stratNameAlias - Name/alias for the strategy
+ * @param {boolean} isPublic - Whether the strategy should be public
+ * @param {Object} [settings] - Backtest settings the session was run with
+ * @returns {Promise<Object|undefined>} Strategy save operation results
+ */
+const saveStrategy = async (sessionId, stratNameAlias, isPublic, settings) => {
+  try {
+    return await api.saveStrategy({
+      session_id: sessionId,
+      strat_name_alias: stratNameAlias,
+      isPublic: isPublic ? 1 : 0,
+      ...(settings && { settings }),
+    });
+  } catch (err) {
+    logRequestError("saving strategy", err);
+  }
+};
+
+/**
+ * Custom hook for executing trading queries and managing strategy operations
+ * executeQuery, loadStrategy, saveStrategy and restoreResponse are the same
+ * on every render, so effects may depend on them.
+ *
+ * @param {string} [resultKey] - Key whose result, loading and error to follow
+ * @returns {Object} Query execution functions and state management
+ */
+const useExecuteQuery = (resultKey) => {
+  const result = useResult(resultKey);
 
   /**
-   * Executes a trading query with the provided parameters
-   *
-   * @param {Object} queryResults - The query parameters and data
-   * @param {string} sessionId - Current session identifier
-   * @param {string} userToken - User authentication token
-   * @returns {Promise<Object>} Query execution results
+   * Cancels the request in flight on the followed key
    */
-  const executeQuery = async (queryResults, sessionId, userToken) => {
-    setLoading(true);
-    sharedLoading = true;
-    setError(null);
-    sharedError = null;
-    try {
-      const token = localStorage.getItem('token');
-      const response = await axios.post(API_ENDPOINTS.EXECUTE_QUERY, {
-        session_id: sessionId,
-        user_token: userToken,
-        data: queryResults,
-      }, {
-        headers: {
-          'Authorization': `Bearer ${token}`
-        }
-      });
-      console.log("useExecute 1 ", response.data);
-      setResponseData(response.data);
-      sharedResponseData = response.data;
-      return response.data;
-    } catch (err) {
-      const errorMessage = err.response?.data || err.message;
-      setError(errorMessage);
-      sharedError = errorMessage;
-      console.error("Error executing query:", errorMessage);
-    } finally {
-      setLoading(false);
-      sharedLoading = false;
-    }
-  };
+  const cancelRequest = useCallback(() => {
+    if (resultKey) resultsStore.cancelRequest(resultKey);
+  }, [resultKey]);
 
   /**
-   * Saves a trading strategy with the provided parameters
-   *
-   * @param {string} sessionId - Current session identifier
-   * @param {string} stratNameAlias - Name/alias for the strategy
-   * @param {boolean} isPublic - Whether the strategy should be public
-   * @returns {Promise<Object>} Strategy save operation results
+   * Runs the last request of the followed key again
    */
-  const saveStrategy = async (sessionId, stratNameAlias, isPublic) => {
-    setLoading(true);
-    sharedLoading = true;
-    setError(null);
-    sharedError = null;
-    try {
-      const token = localStorage.getItem('token');
-      const response = await axios.post(API_ENDPOINTS.SAVE_STRATEGY, {
-        session_id: sessionId,
-        strat_name_alias: stratNameAlias,
-        isPublic: isPublic ? 1 : 0,
-      }, {
-        headers: {
-          'Authorization': `Bearer ${token}`
-        }
-      });
+  const retryRequest = useCallback(() => {
+    if (!resultKey) return;
+    resultsStore
+      .retryRequest(resultKey)
+      .catch((err) => logRequestError("retrying request", err));
+  }, [resultKey]);
 
-      setResponseData(response.data);
-      sharedResponseData = response.data;
-      return response.data;
-    } catch (err) {
-      const errorMessage = err.response?.data || err.message;
-      setError(errorMessage);
-      sharedError = errorMessage;
-      console.error("Error saving strategy:", errorMessage);
-    } finally {
-      setLoading(false);
-      sharedLoading = false;
-    }
+  return {
+    executeQuery,
+    loadStrategy,
+    saveStrategy,
+    restoreResponse,
+    cancelRequest,
+    retryRequest,
+    status: result.status,
+    progress: result.progress,
+    loading: result.status === "loading",
+    error: result.error,
+    responseData: result.data,
   };
-
-  return { executeQuery, loadStrategy, saveStrategy, loading, error, responseData };
 };
 
 export default useExecuteQuery;
@@ -0,0 +1,47 @@
+/**
+ * Query History Hook Module
+ * Exposes the local history of executed queries and keeps every component
+ * using it in sync with runs recorded elsewhere, including other tabs, and
+ * with the user, as each user sees their own runs
+ */
+
+import { useEffect, useState } from "react";
+import {
+  getQueryHistory,
+  removeQueryHistoryEntry,
+  clearQueryHistory,
+} from "../utils/queryHistory";
+
+/**
+ * Custom hook for reading and managing the query history
+ *
+ * @returns {Object} History entries (newest first) and management functions
+ */
+const useQueryHistory = () => {
+  const [entries, setEntries] = useState(getQueryHistory);
+
+  /**
+   * Effect to follow history changes from other components and tabs
+   */
+  useEffect(() => {
+    const refresh = () => setEntries(getQueryHistory());
+
+    window.addEventListener("queryHistoryChanged", refresh);
+    window.addEventListener("storage", refresh);
+    window.addEventListener("authStateChanged", refresh);
+
+    return () => {
+      window.removeEventListener("queryHistoryChanged", refresh);
+      window.removeEventListener("storage", refresh);
+      window.removeEventListener("authStateChanged", refresh);
+    };
+  }, []);
+
+  return {
+    entries,
+    removeEntry: removeQueryHistoryEntry,
+    clearHistory: clearQueryHistory,
+  };
+};
+
+export default useQueryHistory;
@@ -0,0 +1,52 @@
+/**
+ * Result Cache Hook Module
+ * Exposes the cached results of executed queries with their total size and
+ * time-to-live, and keeps every component using it in sync with changes
+ */
+
+import { useCallback, useEffect, useState } from "react";
+import {
+  listCachedResults,
+  removeCachedResult,
+  clearResultCache,
+  getResultCacheTtl,
+  setResultCacheTtl,
+} from "../utils/resultCache";
+
+/**
+ * Custom hook for reading and managing the result cache
+ *
+ * @param {boolean} [active=true] - Whether to read the cache; a closed view
+ *   skips the IndexedDB reads
+ * @returns {Object} Entries (newest first), size and management functions
+ */
+const useResultCache = (active = true) => {
+  const [entries, setEntries] = useState([]);
+  const [ttl, setTtl] = useState(getResultCacheTtl);
+
+  const refresh = useCallback(async () => {
+    setTtl(getResultCacheTtl());
+    setEntries(await listCachedResults());
+  }, []);
+
+  /**
+   * Effect to follow cache changes made elsewhere
+   */
+  useEffect(() => {
+    if (!active) return undefined;
+    refresh();
+    window.addEventListener("resultCacheChanged", refresh);
+    return () => window.removeEventListener("resultCacheChanged", refresh);
+  }, [active, refresh]);
+
+  return {
+    entries,
+    totalSize: entries.reduce((total, entry) => total + entry.size, 0),
+    ttl,
+    setTtl: setResultCacheTtl,
+    removeEntry: removeCachedResult,
+    clearCache: clearResultCache,
+  };
+};
+
+export default useResultCache;
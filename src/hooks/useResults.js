@@ -0,0 +1,33 @@
+/**
+ * Results Hook Module
+ * Subscribes components to the results store, so a result executed or
+ * loaded by one component shows in every other component following its key
+ */
+
+import { useSyncExternalStore } from "react";
+import resultsStore, { IDLE_RESULT } from "../utils/resultsStore";
+
+/**
+ * Follows the result of one key
+ *
+ * @param {string} [key] - Result key; nothing is followed without one
+ * @returns {Object} Entry ({ status, data, error, ... })
+ */
+export const useResult = (key) =>
+  useSyncExternalStore(resultsStore.subscribe, () =>
+    resultsStore.getResult(key)
+  );
+
+/**
+ * Follows the results of several keys, e.g. the runs of a sweep
+ *
+ * @param {Array<string>} keys - Result keys
+ * @returns {Array<Object>} Entries in the order of the keys
+ */
+export const useResults = (keys) => {
+  const results = useSyncExternalStore(
+    resultsStore.subscribe,
+    resultsStore.getSnapshot
+  );
+  return keys.map((key) => results[key] || IDLE_RESULT);
+};
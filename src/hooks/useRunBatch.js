@@ -0,0 +1,113 @@
+/**
+ * Run Batch Hook Module
+ * Runs a batch of screens one after another so a batch does not flood the
+ * backend: the combinations of a parameter sweep or the variants of a
+ * robustness check. Each run is an ordinary screen run in its own session:
+ * its result lives in the results store, comes from the result cache when
+ * an identical run was cached, and can be opened like any other run.
+ */
+
+import { useState, useRef, useCallback, useEffect } from "react";
+import useExecuteQuery from "./useExecuteQuery";
+import resultsStore, { sessionResultKey } from "../utils/resultsStore";
+import { readCachedResult, writeCachedResult } from "../utils/resultCache";
+
+/**
+ * Custom hook running a batch of screen runs
+ *
+ * Batch shape: { id, runs, running, ... } where every run is at least
+ * { query, sessionId, data } and data is the execute data of the run;
+ * other fields are kept as they are.
+ *
+ * @returns {{batch: Object|null, startBatch: Function, stopBatch: Function,
+ *   clearBatch: Function}} Batch shown and functions to run, stop and
+ *   forget it
+ */
+const useRunBatch = () => {
+  const { executeQuery, restoreResponse } = useExecuteQuery();
+  const [batch, setBatch] = useState(null);
+  /** Batch in progress: { id, stopped, sessionId of the run in flight } */
+  const activeRef = useRef(null);
+
+  /**
+   * Changes the batch shown unless another batch replaced it
+   * @param {string} id - Batch id
+   * @param {Function} change - Returns the changed batch
+   */
+  const updateBatch = (id, change) =>
+    setBatch((current) => (current?.id === id ? change(current) : current));
+
+  /**
+   * Stops the batch in progress; the run in flight is cancelled and the
+   * runs not started yet stay empty
+   */
+  const stopBatch = useCallback(() => {
+    const active = activeRef.current;
+    if (!active) return;
+    activeRef.current = null;
+    active.stopped = true;
+    if (active.sessionId) {
+      resultsStore.cancelRequest(sessionResultKey(active.sessionId));
+    }
+    updateBatch(active.id, (current) => ({ ...current, running: false }));
+  }, []);
+
+  /**
+   * Stops the batch in progress and stops showing it
+   */
+  const clearBatch = useCallback(() => {
+    stopBatch();
+    setBatch(null);
+  }, [stopBatch]);
+
+  /**
+   * Runs every run of a batch, replacing the batch shown
+   * @param {Object} newBatch - Batch to run
+   */
+  const startBatch = useCallback(
+    async (newBatch) => {
+      stopBatch();
+      const active = { id: newBatch.id, stopped: false, sessionId: null };
+      activeRef.current = active;
+      setBatch({ ...newBatch, running: true });
+      const user = localStorage.getItem("userName");
+
+      for (const [index, run] of newBatch.runs.entries()) {
+        const cached = await readCachedResult(run.data);
+        if (active.stopped) return;
+        if (cached) {
+          restoreResponse(cached.sessionId, cached.response);
+          updateBatch(newBatch.id, (current) => ({
+            ...current,
+            runs: current.runs.map((item, i) =>
+              i === index ? { ...item, sessionId: cached.sessionId } : item
+            ),
+          }));
+          continue;
+        }
+
+        active.sessionId = run.sessionId;
+        const data = await executeQuery(run.data, run.sessionId, user);
+        if (data?.output) {
+          writeCachedResult(run.data, {
+            query: run.query,
+            sessionId: run.sessionId,
+            response: data,
+          });
+        }
+        if (active.stopped) return;
+      }
+
+      activeRef.current = null;
+      updateBatch(newBatch.id, (current) => ({ ...current, running: false }));
+    },
+    [executeQuery, restoreResponse, stopBatch]
+  );
+
+  // A batch left running keeps going in the background otherwise
+  useEffect(() => stopBatch, [stopBatch]);
+
+  return { batch, startBatch, stopBatch, clearBatch };
+};
+
+export default useRunBatch;
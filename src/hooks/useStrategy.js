@@ -2,11 +2,14 @@
  * Strategy Management Hook Module
  * Provides functionality for managing trading strategies including fetching,
  * retrieving, and managing strategy data
+ * A retrieved strategy is kept in the results store, where the results
+ * page finds it too.
  */
 
-import { useState } from "react";
-import axios from "axios";
-import { API_ENDPOINTS } from "../config/config";
+import { useCallback, useState } from "react";
+import * as api from "../utils/apiClient";
+import resultsStore, { strategyResultKey } from "../utils/resultsStore";
+import { useResult } from "./useResults";
 
 /**
  * Custom hook for managing trading strategies
@@ -19,7 +22,10 @@ const useStrategy = (userId) => {
   const [allStrategies, setAllStrategies] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
-  const [currentStrategy, setCurrentStrategy] = useState(null);
+  const [currentStrategyId, setCurrentStrategyId] = useState(null);
+  const strategyResult = useResult(
+    currentStrategyId ? strategyResultKey(currentStrategyId) : null
+  );
 
   // Separate pagination states for saved and public strategies
   const [savedPagination, setSavedPagination] = useState({
@@ -41,24 +47,15 @@ const useStrategy = (userId) => {
     setLoading(true);
     setError(null);
     try {
-      const token = localStorage.getItem("token");
-      const response = await axios.get(
-        `${API_ENDPOINTS.GET_ALL_STRATEGIES_USER}`,
-        {
-          params: {
-            user_id: userId,
-            page: page,
-            page_size: pageSize,
-          },
-          headers: {
-            Authorization: `Bearer ${token}`,
-          },
-        }
-      );
-      setStrategies(response.data.strategies);
-      setSavedPagination(response.data.pagination);
+      const data = await api.getUserStrategies({
+        user_id: userId,
+        page: page,
+        page_size: pageSize,
+      });
+      setStrategies(data.strategies);
+      setSavedPagination(data.pagination);
     } catch (err) {
-      setError(err.response?.data?.detail || "Failed to fetch strategies");
+      setError(err.message);
       console.error("Error fetching strategies:", err);
     } finally {
       setLoading(false);
@@ -69,57 +66,44 @@ const useStrategy = (userId) => {
     setLoading(true);
     setError(null);
     try {
-      const token = localStorage.getItem("token");
-      const response = await axios.get(`${API_ENDPOINTS.GET_ALL_STRATEGIES}`, {
-        params: {
-          page: page,
-          page_size: pageSize,
-        },
-        headers: {
-          Authorization: `Bearer ${token}`,
-        },
+      const data = await api.getPublicStrategies({
+        page: page,
+        page_size: pageSize,
       });
-      setAllStrategies(response.data.strategies);
-      setPublicPagination(response.data.pagination);
+      setAllStrategies(data.strategies);
+      setPublicPagination(data.pagination);
     } catch (err) {
-      setError(err.response?.data?.detail || "Failed to fetch strategies");
+      setError(err.message);
       console.error("Error fetching strategies:", err);
     } finally {
       setLoading(false);
     }
   };
 
-  const getStrategy = async (strategyId) => {
+  // Stable, so effects can depend on it without refetching on every render
+  const getStrategy = useCallback(async (strategyId) => {
     if (!strategyId) return null;
 
-    setLoading(true);
-    setError(null);
-    try {
-      const token = localStorage.getItem("token");
-      const response = await axios.get(`${API_ENDPOINTS.GET_STRATEGY}`, {
-        params: { strategy_id: strategyId },
-        headers: {
-          Authorization: `Bearer ${token}`,
-        },
-      });
-      setCurrentStrategy(response.data);
-      return response.data;
-    } catch (err) {
-      const errorMsg = axios.isAxiosError(err)
-        ? err.response?.data?.detail || err.message
-        : "Failed to fetch strategy";
-      setError(errorMsg);
-      throw new Error(errorMsg);
-    } finally {
-      setLoading(false);
-    }
-  };
+    setCurrentStrategyId(strategyId);
+    const result = await resultsStore.runRequest(
+      strategyResultKey(strategyId),
+      async (signal) => {
+        const output = await api.getStrategy(strategyId, { signal });
+        // Same shape as execute responses, as the results page reads them
+        return { status: "Success", output };
+      },
+      (err) => err.message
+    );
+    return result.output;
+  }, []);
+
+  const currentStrategy = strategyResult.data?.output ?? null;
 
   return {
     strategies,
     allStrategies,
-    loading,
-    error,
+    loading: loading || strategyResult.status === "loading",
+    error: error || strategyResult.error,
     savedPagination,
     publicPagination,
     fetchStrategies,
@@ -0,0 +1,88 @@
+/**
+ * Undoable State Hook Module
+ * State with multi-step undo and redo for editors whose text is rewritten
+ * programmatically (reformatting, completions, builder sync), which breaks
+ * the browser's native undo stack
+ */
+
+import { useCallback, useRef, useState } from "react";
+
+/**
+ * Custom hook for state with an undo/redo history
+ * Changes set with { merge: true } within mergeWindow of each other form one
+ * undo step, so undo reverts a burst of typing rather than single keys
+ *
+ * @param {*} initialValue - Initial value
+ * @param {Object} [options] - History options
+ * @param {number} [options.limit=100] - Maximum number of undo steps
+ * @param {number} [options.mergeWindow=1000] - Milliseconds between merged changes
+ * @returns {Object} value, setValue(next, { merge }), undo, redo, canUndo, canRedo
+ */
+const useUndoableState = (
+  initialValue,
+  { limit = 100, mergeWindow = 1000 } = {}
+) => {
+  const [history, setHistory] = useState({
+    past: [],
+    present: initialValue,
+    future: [],
+  });
+  const lastMergeRef = useRef(0);
+
+  const setValue = useCallback(
+    (value, { merge = false } = {}) => {
+      const now = Date.now();
+      const coalesce = merge && now - lastMergeRef.current < mergeWindow;
+      lastMergeRef.current = merge ? now : 0;
+      setHistory((current) => {
+        if (value === current.present) return current;
+        return {
+          past:
+            coalesce && current.past.length > 0
+              ? current.past
+              : [...current.past, current.present].slice(-limit),
+          present: value,
+          future: [],
+        };
+      });
+    },
+    [limit, mergeWindow]
+  );
+
+  const undo = useCallback(() => {
+    lastMergeRef.current = 0;
+    setHistory((current) =>
+      current.past.length === 0
+        ? current
+        : {
+            past: current.past.slice(0, -1),
+            present: current.past[current.past.length - 1],
+            future: [current.present, ...current.future],
+          }
+    );
+  }, []);
+
+  const redo = useCallback(() => {
+    lastMergeRef.current = 0;
+    setHistory((current) =>
+      current.future.length === 0
+        ? current
+        : {
+            past: [...current.past, current.present],
+            present: current.future[0],
+            future: current.future.slice(1),
+          }
+    );
+  }, []);
+
+  return {
+    value: history.present,
+    setValue,
+    undo,
+    redo,
+    canUndo: history.past.length > 0,
+    canRedo: history.future.length > 0,
+  };
+};
+
+export default useUndoableState;
@@ -5,7 +5,8 @@
  * Features animated transitions and responsive design
  */
 
-import React from "react";
+import React, { useEffect } from "react";
+import { useLocation } from "react-router-dom";
 import theme from "../styles/theme";
 import {
   Box,
@@ -28,6 +29,7 @@ import step1Gif from "../assets/h1.gif";
 import step2Gif from "../assets/h2.gif";
 import step3Gif from "../assets/h3.gif";
 import step4Gif from "../assets/h4.gif";
+import { getMetricsByCategory } from "../config/metrics";
 
 /**
  * Collection of GIF assets for tutorial demonstrations
@@ -121,6 +123,20 @@ const GifPlaceholder = () => (
  * @returns {React.ReactElement} Backtesting guide page
  */
 const BackTestingGuide = () => {
+  const location = useLocation();
+
+  /**
+   * Effect to scroll to a metric entry when the URL carries its anchor,
+   * e.g. /guides/backtesting#metric-average-roce from the query editor
+   */
+  useEffect(() => {
+    if (location.hash) {
+      document
+        .getElementById(location.hash.slice(1))
+        ?.scrollIntoView({ behavior: "smooth", block: "center" });
+    }
+  }, [location.hash]);
+
   return (
     <ThemeProvider theme={theme}>
       <Box
@@ -268,6 +284,70 @@ const BackTestingGuide = () => {
                 </Fade>
               ))}
             </Box>
+
+            <Typography
+              variant="h5"
+              sx={{
+                mb: 2,
+                color: theme.palette.primary.main,
+                fontWeight: "600",
+              }}
+            >
+              Metric Reference
+            </Typography>
+            <Typography
+              variant="body1"
+              sx={{ mb: 3, color: theme.palette.text.secondary }}
+            >
+              Every metric takes a look-back period, e.g. "Average ROCE 5
+              Years &gt; 15". Percent metrics are written in percentage
+              points; ratios and multiples are plain numbers.
+            </Typography>
+            {getMetricsByCategory().map(({ category, metrics }) => (
+              <Box key={category} sx={{ mb: 3 }}>
+                <Typography variant="h6" sx={{ fontWeight: "600", mb: 1 }}>
+                  {category}
+                </Typography>
+                <List dense>
+                  {metrics.map((metric) => (
+                    <ListItem
+                      key={metric.id}
+                      id={metric.guideAnchor}
+                      sx={{
+                        py: 0.5,
+                        pl: 0,
+                        alignItems: "flex-start",
+                        scrollMarginTop: "140px",
+                        "&:target": {
+                          bgcolor: "rgba(96, 173, 94, 0.15)",
+                          borderRadius: 1,
+                        },
+                      }}
+                    >
+                      <ListItemIcon sx={{ minWidth: 36, mt: 0.5 }}>
+                        <CheckCircle color="primary" />
+                      </ListItemIcon>
+                      <ListItemText
+                        primary={`${metric.name} (${metric.unit})`}
+                        secondary={`${metric.description} Formula: ${
+                          metric.formula
+                        }. Periods: ${metric.periods[0]}–${
+                          metric.periods[metric.periods.length - 1]
+                        } years.${
+                          metric.aliases.length > 0
+                            ? ` Also written as: ${metric.aliases.join(", ")}.`
+                            : ""
+                        }`}
+                        primaryTypographyProps={{
+                          variant: "body1",
+                          sx: { fontWeight: "bold" },
+                        }}
+                      />
+                    </ListItem>
+                  ))}
+                </List>
+              </Box>
+            ))}
           </Paper>
         </Container>
         <Footer />
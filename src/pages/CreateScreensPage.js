@@ -14,15 +14,38 @@ import {
   Container,
   Grid,
   Fade,
+  Alert,
+  ToggleButton,
+  ToggleButtonGroup,
 } from "@mui/material";
 import { useLocation } from "react-router-dom";
 import Header from "../components/Header";
 import theme from "../styles/theme"; // Import the centralized theme
 import SearchInput from "../components/SearchInput";
 import SearchOutput from "../components/SearchOutput";
-import { useState, useRef, useEffect } from "react";
+import { useState, useRef, useEffect, useCallback } from "react";
 import Preloader from "../components/Preloader";
 import SaveIcon from "@mui/icons-material/Save";
+import NotesIcon from "@mui/icons-material/Notes";
+import ViewListIcon from "@mui/icons-material/ViewList";
+import HistoryIcon from "@mui/icons-material/History";
+import StorageIcon from "@mui/icons-material/Storage";
+import ArrowBackIcon from "@mui/icons-material/ArrowBack";
+import QueryBuilder from "../components/QueryBuilder";
+import QueryHistoryDrawer from "../components/QueryHistoryDrawer";
+import ResultCacheDrawer from "../components/ResultCacheDrawer";
+import BacktestSettingsPanel from "../components/BacktestSettingsPanel";
+import RunFailurePanel from "../components/RunFailurePanel";
+import BacktestProgress from "../components/BacktestProgress";
+import UniversePanel from "../components/UniversePanel";
+import SweepHeatmap from "../components/SweepHeatmap";
+import { DEFAULT_BACKTEST_SETTINGS } from "../config/backtest";
+import { DEFAULT_UNIVERSE } from "../config/universe";
+import { normalizeUniverse } from "../utils/universe";
+import useExecuteQuery from "../hooks/useExecuteQuery";
+import useRunBatch from "../hooks/useRunBatch";
+import { sessionResultKey, strategyResultKey } from "../utils/resultsStore";
+import { getCompletedHorizons } from "../utils/backtestJobs";
 import Footer from "../components/Footer";
 
 /**
@@ -35,10 +58,6 @@ import Footer from "../components/Footer";
 export default function CreateScreens() {
   /** Router location hook for accessing navigation state */
   const location = useLocation();
-  /** State to control search output visibility */
-  const [showOutput, setShowOutput] = useState(false);
-  /** State for loading indicator */
-  const [isLoading, setIsLoading] = useState(false);
   /** State to control query visibility */
   const [isQueryHidden, setIsQueryHidden] = useState(false);
   /** State for query popup dialog */
@@ -51,8 +70,123 @@ export default function CreateScreens() {
   const [sessionId, setSessionId] = useState("");
   /** State to control when to load strategy data */
   const [shouldLoadStrategy, setShouldLoadStrategy] = useState(false);
-  /** Ref for search input component */
+  /**
+   * Ref of the main query editor, which saves and reruns the current run;
+   * the popup editor hands its runs over to it
+   */
   const searchInputRef = useRef(null);
+  /** Editor mode: "text" or "builder" */
+  const [editorMode, setEditorMode] = useState("text");
+  /** Text currently in the main query editor */
+  const [draftQuery, setDraftQuery] = useState("");
+  /** Latest text produced by the builder, pushed into the editor */
+  const [builderQuery, setBuilderQuery] = useState(null);
+  /** State for the query history drawer */
+  const [isHistoryOpen, setIsHistoryOpen] = useState(false);
+  /** Whether the failure panel of the current request was closed */
+  const [isFailureDismissed, setIsFailureDismissed] = useState(false);
+  /** Key of the result shown: the strategy being loaded, or the run */
+  const resultKey =
+    strategyId && shouldLoadStrategy
+      ? strategyResultKey(strategyId)
+      : sessionId
+      ? sessionResultKey(sessionId)
+      : null;
+  const {
+    restoreResponse,
+    loadStrategy,
+    cancelRequest,
+    retryRequest,
+    status,
+    progress,
+    error,
+    responseData,
+  } = useExecuteQuery(resultKey);
+  /** Horizons of a backtest job that are already finished */
+  const completedHorizons =
+    status === "loading" && progress !== null
+      ? getCompletedHorizons(responseData?.output?.pfst).length
+      : 0;
+  // Loading overlay, output and failure panel follow the request; a job
+  // shows its results from the first finished horizon on
+  const isPartial = completedHorizons > 0;
+  const isLoading = status === "loading" && !isPartial;
+  const showOutput = status === "success" || isPartial;
+  /** Backtest settings edited next to the query */
+  const [backtestSettings, setBacktestSettings] = useState(
+    DEFAULT_BACKTEST_SETTINGS
+  );
+  /** Settings of the run shown in the output; null reads them from the strategy */
+  const [runSettings, setRunSettings] = useState(null);
+  /** Universe constraints edited above the query */
+  const [universe, setUniverse] = useState(DEFAULT_UNIVERSE);
+  /** Universe of the run shown in the output; null reads it from the strategy */
+  const [runUniverse, setRunUniverse] = useState(null);
+  /** When the result shown was cached; null for a fresh run */
+  const [runCachedAt, setRunCachedAt] = useState(null);
+  /** State for the result cache drawer */
+  const [isCacheOpen, setIsCacheOpen] = useState(false);
+  /** Parameter sweep shown instead of a single run, if any */
+  const {
+    batch: sweep,
+    startBatch: startSweep,
+    stopBatch: stopSweep,
+    clearBatch: clearSweep,
+  } = useRunBatch();
+  /** Whether one run of the sweep is open in the output */
+  const [isSweepRunOpen, setIsSweepRunOpen] = useState(false);
+
+  /**
+   * Keeps the builder in step with the main editor text
+   * @param {string} query - Editor text
+   */
+  const handleDraftQueryChange = useCallback((query) => {
+    setDraftQuery(query);
+  }, []);
+
+  /**
+   * Applies an edit made in the builder to the main editor
+   * @param {string} query - Query text regenerated by the builder
+   */
+  const handleBuilderChange = (query) => {
+    setDraftQuery(query);
+    setBuilderQuery({ text: query });
+  };
+
+  /**
+   * Reopens a past run from the query history
+   * Its text goes back into the editor and, when its results were kept,
+   * they are shown again without re-running the backtest
+   *
+   * @param {Object} entry - History entry
+   */
+  const handleHistorySelect = (entry) => {
+    setIsHistoryOpen(false);
+    clearSweep();
+    setIsSweepRunOpen(false);
+    setStrategyId("");
+    setShouldLoadStrategy(false);
+    setCurrentQuery(entry.query);
+    setDraftQuery(entry.query);
+    setBuilderQuery({
+      text: entry.query,
+      sessionId: entry.sessionId,
+      settings: entry.settings,
+    });
+    setBacktestSettings(entry.settings || DEFAULT_BACKTEST_SETTINGS);
+    setRunSettings(entry.settings);
+    setUniverse(entry.universe || DEFAULT_UNIVERSE);
+    setRunUniverse(entry.universe || null);
+    setRunCachedAt(null);
+
+    if (entry.response) {
+      restoreResponse(entry.sessionId, entry.response);
+      setSessionId(entry.sessionId);
+    } else {
+      setSessionId("");
+      setIsQueryHidden(false);
+    }
+  };
 
   /**
    * Effect to handle initial query from navigation state
@@ -62,28 +196,38 @@ export default function CreateScreens() {
     if (location.state?.initialQuery) {
       setCurrentQuery(location.state.initialQuery);
       setStrategyId(location.state.strategyId);
+      if (location.state.settings) {
+        setBacktestSettings(location.state.settings);
+      }
+      if (location.state.universe) {
+        setUniverse(location.state.universe);
+      }
       setShouldLoadStrategy(location.state.loadResults); // Reset to false - user needs to click "Execute Query"
-      // Don't automatically execute - just set up the query
-      // User needs to click "Execute Query" button
+      // "View Results" loads the saved results directly, bypassing the
+      // SearchInput parsing; otherwise the user clicks "Execute Query"
+      if (location.state.loadResults && location.state.strategyId) {
+        loadStrategy(location.state.strategyId);
+      }
     }
-  }, [location.state]);
+  }, [location.state, loadStrategy]);
 
   /**
-   * Effect to handle strategy loading when strategyId is provided
-   * This bypasses the SearchInput parsing and directly loads strategy data
+   * Effect to follow the request of the shown result
+   * The query is hidden once results show and shown again when the
+   * request fails or is cancelled, so it can be edited
    */
   useEffect(() => {
-    if (strategyId && shouldLoadStrategy) {
-      // When strategyId is provided and shouldLoadStrategy is true,
-      // directly show the output without going through SearchInput parsing
-      setIsLoading(true);
-      setTimeout(() => {
-        setIsLoading(false);
-        setIsQueryHidden(true);
-        setShowOutput(true);
-      }, 1500);
+    if (status === "error" || status === "cancelled") {
+      setIsQueryHidden(false);
     }
-  }, [strategyId, shouldLoadStrategy]);
+    setIsFailureDismissed(false);
+  }, [status, resultKey]);
+
+  useEffect(() => {
+    if (showOutput) {
+      setIsQueryHidden(true);
+    }
+  }, [showOutput, resultKey]);
 
   /**
    * Handles search button click
@@ -91,30 +235,30 @@ export default function CreateScreens() {
    *
    * @param {string} query - Search query string
    * @param {string} session_id - Session identifier
+   * @param {Object} [settings] - Backtest settings sent with the run
+   * @param {Object} [runUniverse] - Universe constraints sent with the run
+   * @param {number} [cachedAt] - When the result was cached, if it was
    */
-  const handleSearchButtonClick = (query, session_id) => {
+  const handleSearchButtonClick = (
+    query,
+    session_id,
+    settings,
+    runUniverse,
+    cachedAt
+  ) => {
+    clearSweep();
+    setIsSweepRunOpen(false);
     setCurrentQuery(query);
     setSessionId(session_id);
+    setRunSettings(settings || null);
+    setRunUniverse(runUniverse || null);
+    setRunCachedAt(cachedAt || null);
 
-    // If we have a strategyId, load the strategy data directly
+    // If we have a strategyId, load the strategy data directly; otherwise
+    // SearchInput is executing the query under the new session
     if (strategyId) {
-      setShouldLoadStrategy(true); // Trigger strategy loading
-      setIsLoading(true);
-      // Simulate API call delay
-      setTimeout(() => {
-        setIsLoading(false);
-        setIsQueryHidden(true);
-        setShowOutput(true);
-      }, 1500);
-    } else {
-      // Normal flow for new queries - only if no strategyId
-      setIsLoading(true);
-      // Simulate API call delay
-      setTimeout(() => {
-        setIsLoading(false);
-        setIsQueryHidden(true);
-        setShowOutput(true);
-      }, 1500);
+      setShouldLoadStrategy(true);
+      loadStrategy(strategyId);
     }
   };
 
@@ -124,16 +268,80 @@ export default function CreateScreens() {
    */
   const handleDirectStrategyExecution = () => {
     if (strategyId) {
+      clearSweep();
+      setIsSweepRunOpen(false);
       setShouldLoadStrategy(true);
-      setIsLoading(true);
-      setTimeout(() => {
-        setIsLoading(false);
-        setIsQueryHidden(true);
-        setShowOutput(true);
-      }, 1500);
+      setRunSettings(null);
+      setRunUniverse(null);
+      setRunCachedAt(null);
+      loadStrategy(strategyId);
     }
   };
 
+  /**
+   * Starts a parameter sweep built by the query editor
+   * Its heatmap replaces the output until one of its runs is opened
+   *
+   * @param {Object} newSweep - Sweep with one run per combination of values
+   */
+  const handleSweepStart = (newSweep) => {
+    setIsQueryPopupOpen(false);
+    setCurrentQuery(newSweep.query);
+    setStrategyId("");
+    setShouldLoadStrategy(false);
+    setSessionId("");
+    setRunCachedAt(null);
+    setIsSweepRunOpen(false);
+    setIsQueryHidden(true);
+    startSweep(newSweep);
+  };
+
+  /**
+   * Opens the full results of one run of the sweep
+   * Its query goes into the editor, so the run can be saved as a strategy
+   *
+   * @param {Object} run - Run of a heatmap cell
+   */
+  const handleOpenSweepRun = (run) => {
+    setCurrentQuery(run.query);
+    setDraftQuery(run.query);
+    setBuilderQuery({
+      text: run.query,
+      sessionId: run.sessionId,
+      settings: sweep.settings,
+    });
+    setSessionId(run.sessionId);
+    setRunSettings(sweep.settings);
+    setRunUniverse(sweep.universe);
+    setRunCachedAt(null);
+    setIsSweepRunOpen(true);
+  };
+
+  /**
+   * Goes back from a run of the sweep to its heatmap
+   */
+  const handleBackToSweep = () => {
+    setCurrentQuery(sweep.query);
+    setDraftQuery(sweep.query);
+    setBuilderQuery({ text: sweep.query });
+    setSessionId("");
+    setIsSweepRunOpen(false);
+  };
+
+  /**
+   * Excludes a company picked from the portfolio in the results from the
+   * universe of the next run
+   * @param {string} company - Company name
+   */
+  const handleExcludeCompany = (company) => {
+    setUniverse((current) =>
+      normalizeUniverse({
+        ...current,
+        excludeCompanies: [...current.excludeCompanies, company],
+      })
+    );
+  };
+
   /**
    * Handles strategy save action
    * Delegates to search input component's save method
@@ -209,18 +417,95 @@ export default function CreateScreens() {
                         Edit Query
                       </Button>
                     )}
+                    <Button
+                      variant="outlined"
+                      color="primary"
+                      onClick={() => setIsHistoryOpen(true)}
+                      startIcon={<HistoryIcon />}
+                      sx={{ ml: "auto", borderRadius: 1 }}
+                    >
+                      History
+                    </Button>
+                    <Button
+                      variant="outlined"
+                      color="primary"
+                      onClick={() => setIsCacheOpen(true)}
+                      startIcon={<StorageIcon />}
+                      sx={{ borderRadius: 1 }}
+                    >
+                      Cache
+                    </Button>
                   </Box>
+                  <QueryHistoryDrawer
+                    open={isHistoryOpen}
+                    onClose={() => setIsHistoryOpen(false)}
+                    onSelect={handleHistorySelect}
+                  />
+                  <ResultCacheDrawer
+                    open={isCacheOpen}
+                    onClose={() => setIsCacheOpen(false)}
+                  />
                   {/* Loading State */}
-                  {isLoading && <Preloader />}
+                  {isLoading && (
+                    <Preloader onCancel={cancelRequest} progress={progress} />
+                  )}
+                  {!isFailureDismissed && (
+                    <RunFailurePanel
+                      status={status}
+                      error={error}
+                      onRetry={retryRequest}
+                      onDismiss={() => setIsFailureDismissed(true)}
+                    />
+                  )}
 
                   {/* Always render SearchInput but control visibility */}
                   <Box sx={{ display: isQueryHidden ? "none" : "block" }}>
+                    <Box
+                      sx={{ display: "flex", justifyContent: "flex-end", mb: 2 }}
+                    >
+                      <ToggleButtonGroup
+                        value={editorMode}
+                        exclusive
+                        size="small"
+                        color="primary"
+                        onChange={(event, mode) => mode && setEditorMode(mode)}
+                        aria-label="Query editor mode"
+                      >
+                        <ToggleButton value="text">
+                          <NotesIcon fontSize="small" sx={{ mr: 1 }} />
+                          Text
+                        </ToggleButton>
+                        <ToggleButton value="builder">
+                          <ViewListIcon fontSize="small" sx={{ mr: 1 }} />
+                          Builder
+                        </ToggleButton>
+                      </ToggleButtonGroup>
+                    </Box>
+                    <UniversePanel
+                      universe={universe}
+                      onChange={setUniverse}
+                    />
+                    <BacktestSettingsPanel
+                      settings={backtestSettings}
+                      onChange={setBacktestSettings}
+                    />
+                    {editorMode === "builder" && (
+                      <QueryBuilder
+                        query={draftQuery}
+                        onChange={handleBuilderChange}
+                      />
+                    )}
                     <SearchInput
                       onSearchButtonClick={handleSearchButtonClick}
                       onDirectStrategyExecution={handleDirectStrategyExecution}
                       hasStrategyId={!!strategyId}
                       ref={searchInputRef}
                       initialQuery={currentQuery}
+                      syncedQuery={builderQuery}
+                      onQueryChange={handleDraftQueryChange}
+                      settings={backtestSettings}
+                      universe={universe}
+                      onSweepStart={handleSweepStart}
                     />
                   </Box>
 
@@ -234,25 +519,101 @@ export default function CreateScreens() {
                     <DialogContent>
                       <SearchInput
                         initialQuery={currentQuery}
-                        onSearchButtonClick={(query) => {
+                        onSearchButtonClick={(
+                          query,
+                          session_id,
+                          settings,
+                          runUniverse,
+                          cachedAt
+                        ) => {
                           setIsQueryPopupOpen(false);
-                          handleSearchButtonClick(query, sessionId);
+                          // The popup closes, so the main editor takes the
+                          // run over for saving and rerunning
+                          setBuilderQuery({
+                            text: query,
+                            sessionId: session_id,
+                            settings,
+                          });
+                          handleSearchButtonClick(
+                            query,
+                            session_id,
+                            settings,
+                            runUniverse,
+                            cachedAt
+                          );
                         }}
                         onDirectStrategyExecution={handleDirectStrategyExecution}
                         hasStrategyId={!!strategyId}
-                        ref={searchInputRef}
+                        settings={backtestSettings}
+                        universe={universe}
+                        onSweepStart={handleSweepStart}
                       />
                     </DialogContent>
                   </Dialog>
 
+                  {/* Parameter Sweep */}
+                  {sweep && !isSweepRunOpen && (
+                    <SweepHeatmap
+                      sweep={sweep}
+                      onOpenRun={handleOpenSweepRun}
+                      onStop={stopSweep}
+                      onClose={() => {
+                        clearSweep();
+                        setIsQueryHidden(false);
+                      }}
+                    />
+                  )}
+
                   {/* Search Output */}
-                  {showOutput && !isLoading && (
+                  {showOutput && (
                     <>
+                      {sweep && isSweepRunOpen && (
+                        <Button
+                          color="primary"
+                          onClick={handleBackToSweep}
+                          startIcon={<ArrowBackIcon />}
+                          sx={{ mb: 2 }}
+                        >
+                          Back to Sweep
+                        </Button>
+                      )}
+                      {runCachedAt && !shouldLoadStrategy && (
+                        <Alert
+                          severity="info"
+                          action={
+                            <Button
+                              color="inherit"
+                              size="small"
+                              onClick={() =>
+                                searchInputRef.current?.rerunQuery()
+                              }
+                            >
+                              Rerun
+                            </Button>
+                          }
+                          sx={{ mb: 2 }}
+                        >
+                          Cached result from{" "}
+                          {new Date(runCachedAt).toLocaleString()}
+                        </Alert>
+                      )}
+                      {isPartial && (
+                        <BacktestProgress
+                          progress={progress}
+                          completedHorizons={completedHorizons}
+                          onCancel={cancelRequest}
+                        />
+                      )}
                       <SearchOutput
-                        ref={searchInputRef}
+                        key={sessionId}
                         strategyId={strategyId}
                         sessionId={sessionId}
+                        settings={runSettings}
+                        universe={runUniverse}
+                        onExcludeCompany={handleExcludeCompany}
                         shouldLoadStrategy={shouldLoadStrategy}
+                        isPartial={isPartial}
+                        showRobustness={!isPartial}
                       />
                       <Box
                         sx={{
@@ -265,6 +626,7 @@ export default function CreateScreens() {
                           variant="contained"
                           color="primary"
                           onClick={handleSaveStrategyClick}
+                          disabled={isPartial}
                           startIcon={<SaveIcon />} // This automatically spaces the icon
                           sx={{
                             borderRadius: 1,
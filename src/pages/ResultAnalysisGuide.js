@@ -102,7 +102,7 @@ const sections = [
         title: "Performance Summary",
         description: [
           "Card showing return and risk percentages for 1-5 year investment periods",
-          "Comparison between your strategy and Nifty50 benchmark",
+          "Comparison between your strategy and the chosen benchmark (Nifty50 by default)",
           "Visual indicators for outperformance/underperformance",
           "Key metrics at a glance",
         ],
@@ -115,7 +115,7 @@ const sections = [
     icon: <Timeline />,
     description: [
       "Annual returns from 2000 to 2021 for your strategy",
-      "Side-by-side comparison with Nifty50 returns",
+      "Side-by-side comparison with the benchmark returns",
       "Visualization of outperformance/underperformance years",
       "Export option for the complete return series",
     ],
@@ -130,7 +130,7 @@ const sections = [
         icon: <ShowChart />,
         description: [
           "Line chart showing average returns for 1-10 year investment periods",
-          "Comparison between your strategy and Nifty50",
+          "Comparison between your strategy and the chosen benchmark",
           "Visualization of how returns stabilize with longer holding periods",
           "Hover interactivity to see exact return percentages",
         ],
@@ -141,7 +141,7 @@ const sections = [
         icon: <BarChart />,
         description: [
           "Line chart showing average risk (standard deviation) for 1-10 year periods",
-          "Comparison between your strategy and Nifty50",
+          "Comparison between your strategy and the chosen benchmark",
           "Visualization of risk reduction with longer holding periods",
           "Risk-return tradeoff insights",
         ],
@@ -152,7 +152,7 @@ const sections = [
         icon: <ShowChart />,
         description: [
           "Line chart showing risk-adjusted returns (Sharpe Ratio) for 1-10 year periods",
-          "Comparison between your strategy and Nifty50",
+          "Comparison between your strategy and the chosen benchmark",
           "Visualization of consistency in risk-adjusted performance",
           "Benchmark line at 1.0 for reference",
         ],
@@ -163,7 +163,7 @@ const sections = [
         icon: <BarChart />,
         description: [
           "Bar chart showing best and worst returns for each investment period (1-10 years)",
-          "Comparison between your strategy and Nifty50",
+          "Comparison between your strategy and the chosen benchmark",
           "Visualization of performance range and consistency",
           "Highlighting of extreme outcomes",
         ],
@@ -174,7 +174,7 @@ const sections = [
         icon: <BubbleChart />,
         description: [
           "Bubble chart comparing risk and return for 10-year periods",
-          "Comparison between your strategy and Nifty50",
+          "Comparison between your strategy and the chosen benchmark",
           "Bubble size represents investment period",
           "Efficient frontier visualization",
         ],
@@ -25,6 +25,8 @@ import {
   Divider,
   Pagination,
   Container,
+  Chip,
+  CircularProgress,
 } from "@mui/material";
 import AddIcon from "@mui/icons-material/Add";
 import Header from "../components/Header";
@@ -32,40 +34,69 @@ import theme from "../styles/theme";
 import { useNavigate } from "react-router-dom";
 import Footer from "../components/Footer";
 import useStrategy from "../hooks/useStrategy";
+import { useResult } from "../hooks/useResults";
+import { strategyResultKey } from "../utils/resultsStore";
+import { toQueryText } from "../utils/queryCodec";
+import { readBacktestSettings } from "../utils/backtestSettings";
+import { readUniverse } from "../utils/universe";
 import ArrowForwardIcon from "@mui/icons-material/ArrowForward";
 import { IconButton } from "@mui/material";
 
 /**
- * Mapping of operator signs to their display symbols
- * @type {Object.<string, string>}
+ * Returns the query text of a strategy record
+ * @param {Object} strategy - Strategy as returned by the strategy endpoints
+ * @param {string} [fallback] - Text used when the strategy has no query
+ * @returns {string} Query text for display and for reopening in the editor
  */
-const signMap = {
-  gt: ">",
-  gte: ">=",
-  lt: "<",
-  lte: "<=",
-  eq: "=",
-};
+const strategyQuery = (strategy, fallback) =>
+  toQueryText(strategy.strat_name || strategy.formatted_query, fallback);
 
 /**
- * Formats a query object into a human-readable string
- * @param {string} query - JSON string containing query parameters
- * @returns {string} Formatted query string
+ * Returns the backtest settings a strategy record was run with
+ * @param {Object} strategy - Strategy as returned by the strategy endpoints
+ * @returns {Object} Backtest settings for reopening in the editor
  */
-const formatQuery = (query) => {
-  try {
-    const parsedQuery = JSON.parse(query);
-    const filters = parsedQuery.filters.map((filter) => {
-      const { Data, Operator } = filter;
-      const { param, sign, threshold } = Data;
-      const mappedSign = signMap[sign] || sign;
-      return `${param.name} ${mappedSign} ${threshold} ${Operator}`;
-    });
-    return filters.join(" ").replace(/ AND$/, "");
-  } catch (error) {
-    console.error("Error parsing query:", error);
-    return "Invalid query";
+const strategySettings = (strategy) =>
+  readBacktestSettings(strategy.strat_name || strategy.formatted_query);
+
+/**
+ * Returns the universe a strategy record was run with
+ * @param {Object} strategy - Strategy as returned by the strategy endpoints
+ * @returns {Object} Universe for reopening in the editor
+ */
+const strategyUniverse = (strategy) =>
+  readUniverse(strategy.strat_name || strategy.formatted_query);
+
+/**
+ * Shows whether the results of a strategy are loading or were already
+ * loaded during this visit
+ *
+ * @param {Object} props - Component props
+ * @param {string|number} props.strategyId - Strategy identifier
+ * @returns {React.ReactElement|null} Status, or nothing before a load
+ */
+const ResultStatus = ({ strategyId }) => {
+  const { status } = useResult(strategyResultKey(strategyId));
+  if (status === "loading") {
+    return <CircularProgress size={14} sx={{ mr: 1 }} />;
   }
+  if (status === "success") {
+    return (
+      <Chip
+        size="small"
+        color="success"
+        variant="outlined"
+        label="Results ready"
+        sx={{ mr: 1, height: 20, fontSize: "0.65rem" }}
+      />
+    );
+  }
+  return null;
+};
+
+ResultStatus.propTypes = {
+  strategyId: PropTypes.oneOfType([PropTypes.string, PropTypes.number])
+    .isRequired,
 };
 
 /**
@@ -194,15 +225,27 @@ export default function Screens() {
     setPublicPage(page);
   };
 
-  const handleViewResults = (query, id) => {
+  const handleViewResults = (query, id, settings, universe) => {
     navigate("/create-screens", {
-      state: { initialQuery: query, strategyId: id, loadResults: true },
+      state: {
+        initialQuery: query,
+        strategyId: id,
+        loadResults: true,
+        settings,
+        universe,
+      },
     });
   };
 
-  const handleExecuteQuery = (query, id) => {
+  const handleExecuteQuery = (query, id, settings, universe) => {
     navigate("/create-screens", {
-      state: { initialQuery: query, strategyId: id, loadResults: false },
+      state: {
+        initialQuery: query,
+        strategyId: id,
+        loadResults: false,
+        settings,
+        universe,
+      },
     });
   };
 
@@ -303,10 +346,10 @@ export default function Screens() {
                   <Grid item xs={12} sm={6} lg={4} key={strategy.strategy_id}>
                     <ScreenCard
                       title={strategy.name || `Screen ${index + 1}`}
-                      query={strategy.formatted_query || "N/A"}
+                      query={strategyQuery(strategy)}
                       onViewResults={() =>
                         handleExecuteQuery(
-                          strategy.formatted_query,
+                          strategyQuery(strategy, ""),
                           strategy.strategy_id
                         )
                       }
@@ -360,7 +403,7 @@ export default function Screens() {
                               lineHeight: 1.3, // Tighter line height
                             }}
                           >
-                            {strategy.formatted_query || "N/A"}
+                            {strategyQuery(strategy)}
                           </Typography>
                         </CardContent>
                         <Box
@@ -372,12 +415,15 @@ export default function Screens() {
                             alignItems: "flex-end", // Align button to bottom
                           }}
                         >
+                          <ResultStatus strategyId={strategy.strategy_id} />
                           <IconButton
                             color="success"
                             onClick={() =>
                               handleViewResults(
-                                strategy.formatted_query,
-                                strategy.strategy_id
+                                strategyQuery(strategy, ""),
+                                strategy.strategy_id,
+                                strategySettings(strategy),
+                                strategyUniverse(strategy)
                               )
                             }
                             sx={{
@@ -514,7 +560,7 @@ export default function Screens() {
                             lineHeight: 1.3, // Tighter line height
                           }}
                         >
-                          {strategy.formatted_query || "N/A"}
+                          {strategyQuery(strategy)}
                         </Typography>
                       </CardContent>
                       <Box
@@ -530,8 +576,10 @@ export default function Screens() {
                           color="success"
                           onClick={() =>
                             handleExecuteQuery(
-                              strategy.formatted_query,
-                              strategy.strategy_id
+                              strategyQuery(strategy, ""),
+                              strategy.strategy_id,
+                              strategySettings(strategy),
+                              strategyUniverse(strategy)
                             )
                           }
                           sx={{
@@ -650,7 +698,7 @@ export default function Screens() {
                         <TableCell
                           sx={{ fontSize: "0.9rem", fontStyle: "italic" }}
                         >
-                          {strategy.formatted_query || "N/A"}
+                          {strategyQuery(strategy)}
                         </TableCell>
                         <TableCell align="center">
                           <Button
@@ -658,8 +706,10 @@ export default function Screens() {
                             color="success"
                             onClick={() =>
                               handleViewResults(
-                                strategy.formatted_query,
-                                strategy.strategy_id
+                                strategyQuery(strategy, ""),
+                                strategy.strategy_id,
+                                strategySettings(strategy),
+                                strategyUniverse(strategy)
                               )
                             }
                             sx={{
@@ -0,0 +1,273 @@
+/**
+ * API Client Module
+ * The one place that talks to the backend and knows its endpoints. Every
+ * request carries the stored bearer token, every failure rejects with an
+ * ApiError, and a 401 on a request that sent a token logs out and asks
+ * the user to log in again. Identical GETs in flight at the same time
+ * share one request. Requests go to the API base URL of the app
+ * configuration.
+ */
+
+import axios from "axios";
+import { API_ENDPOINTS, REQUEST_TIMEOUTS } from "../config/config";
+import { getToken, expireSession } from "./auth";
+import { getAppConfig } from "./appConfig";
+import { ApiError, API_ERROR_KINDS, toApiError } from "./apiErrors";
+
+/**
+ * Axios instance with the base URL, token and error interceptors
+ * @type {import("axios").AxiosInstance}
+ */
+const client = axios.create();
+
+client.interceptors.request.use((config) => {
+  config.baseURL = getAppConfig().apiBaseUrl;
+  const token = getToken();
+  if (token && !config.headers.Authorization) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
+client.interceptors.response.use(
+  (response) => response,
+  (error) => {
+    const apiError = toApiError(error);
+    if (
+      apiError.kind === API_ERROR_KINDS.UNAUTHORIZED &&
+      error.config?.headers?.Authorization &&
+      getToken()
+    ) {
+      expireSession();
+    }
+    return Promise.reject(apiError);
+  }
+);
+
+/**
+ * GETs in flight, by backend, token, URL and parameters, so a GET is never
+ * answered for another backend or account
+ * Entry shape: { promise, controller, callers }
+ * @type {Map<string, Object>}
+ */
+const inFlightGets = new Map();
+
+/**
+ * Follows a shared GET for one caller
+ * Aborting the caller's signal rejects only that caller; the request
+ * itself is aborted once every caller has gone.
+ *
+ * @param {string} key - Key of the shared GET
+ * @param {Object} entry - Entry of the shared GET
+ * @param {AbortSignal} [signal] - Signal of the caller
+ * @returns {Promise<*>} Body of the answer
+ */
+const followGet = (key, entry, signal) =>
+  new Promise((resolve, reject) => {
+    const leave = () => {
+      entry.callers -= 1;
+      if (entry.callers === 0 && inFlightGets.get(key) === entry) {
+        inFlightGets.delete(key);
+        entry.controller.abort();
+      }
+      reject(new ApiError(API_ERROR_KINDS.CANCELLED));
+    };
+    if (signal?.aborted) {
+      leave();
+      return;
+    }
+    signal?.addEventListener("abort", leave, { once: true });
+    entry.promise
+      .then(resolve, reject)
+      .finally(() => signal?.removeEventListener("abort", leave));
+  });
+
+/**
+ * Sends a GET, sharing the request with identical GETs in flight
+ *
+ * @param {string} url - Endpoint
+ * @param {Object} [options] - Request options
+ * @param {Object} [options.params] - Query parameters
+ * @param {AbortSignal} [options.signal] - Aborts the caller's request
+ * @param {number} [options.timeout] - Time limit in milliseconds
+ * @returns {Promise<*>} Body of the answer; rejects with an ApiError
+ */
+const get = (url, { params, signal, timeout } = {}) => {
+  const key = JSON.stringify([
+    getAppConfig().apiBaseUrl,
+    getToken(),
+    url,
+    params || {},
+  ]);
+  let entry = inFlightGets.get(key);
+  if (!entry) {
+    const controller = new AbortController();
+    entry = { controller, callers: 0 };
+    entry.promise = client
+      .get(url, { params, timeout, signal: controller.signal })
+      .then((response) => response.data)
+      .finally(() => {
+        if (inFlightGets.get(key) === entry) inFlightGets.delete(key);
+      });
+    // Callers that left do not see the shared rejection
+    entry.promise.catch(() => {});
+    inFlightGets.set(key, entry);
+  }
+  entry.callers += 1;
+  return followGet(key, entry, signal);
+};
+
+/**
+ * Sends a request with a body
+ *
+ * @param {string} method - "post", "put" or "delete"
+ * @param {string} url - Endpoint
+ * @param {*} [data] - Body
+ * @param {Object} [config] - Axios options, e.g. signal and timeout
+ * @returns {Promise<*>} Body of the answer; rejects with an ApiError
+ */
+const send = async (method, url, data, config) => {
+  const response = await client.request({ method, url, data, ...config });
+  return response.data;
+};
+
+// Authentication
+
+/**
+ * Page that starts the Google login
+ * @returns {string} Its address
+ */
+export const getGoogleLoginUrl = () =>
+  `${getAppConfig().apiBaseUrl}${API_ENDPOINTS.GOOGLE_LOGIN}`;
+
+/**
+ * Logs in
+ * @param {Object} credentials - Email and password
+ * @returns {Promise<{token: string, role: string}>} Session
+ */
+export const login = (credentials) =>
+  send("post", API_ENDPOINTS.LOGIN, credentials);
+
+/**
+ * Signs up
+ * @param {Object} details - Sign-up form
+ * @returns {Promise<{token: string, role: string}>} Session
+ */
+export const signup = (details) => send("post", API_ENDPOINTS.SIGNUP, details);
+
+/**
+ * Sends a password reset link
+ * @param {string} email - Email of the account
+ * @returns {Promise<{message?: string}>} Answer
+ */
+export const forgotPassword = (email) =>
+  send("post", API_ENDPOINTS.FORGOT_PASSWORD, { email });
+
+/**
+ * Sets a new password with a reset token
+ * @param {FormData} form - token and new_password
+ * @returns {Promise<{message?: string}>} Answer
+ */
+export const resetPassword = (form) =>
+  send("post", API_ENDPOINTS.RESET_PASSWORD, form, {
+    headers: { "Content-Type": "multipart/form-data" },
+  });
+
+/**
+ * Reads the profile of a user
+ * @param {string} email - Email of the user
+ * @returns {Promise<Object>} { user_details }
+ */
+export const getUserDetails = (email) =>
+  send("post", API_ENDPOINTS.GET_USER_DETAILS, { email });
+
+/**
+ * Updates the profile of the user
+ * @param {Object} details - Changed details
+ * @returns {Promise<{message?: string}>} Answer
+ */
+export const updateUserDetails = (details) =>
+  send("put", API_ENDPOINTS.UPDATE_USER_DETAILS, details);
+
+// Strategies
+
+/**
+ * Runs a screen and waits for its results
+ * @param {Object} body - { session_id, user_token, data }
+ * @param {Object} [options] - { signal }
+ * @returns {Promise<Object>} Execute response
+ */
+export const executeQuery = (body, { signal } = {}) =>
+  send("post", API_ENDPOINTS.EXECUTE_QUERY, body, {
+    signal,
+    timeout: REQUEST_TIMEOUTS.EXECUTE_QUERY,
+  });
+
+/**
+ * Submits a screen run as a backtest job
+ * @param {Object} body - Same body as executeQuery
+ * @param {Object} [options] - { signal }
+ * @returns {Promise<{job_id: string}>} Submitted job
+ */
+export const submitBacktestJob = (body, { signal } = {}) =>
+  send("post", API_ENDPOINTS.BACKTEST_JOBS, body, {
+    signal,
+    timeout: REQUEST_TIMEOUTS.SUBMIT_JOB,
+  });
+
+/**
+ * Polls a backtest job
+ * @param {string} jobId - Job identifier
+ * @param {Object} [options] - { signal }
+ * @returns {Promise<Object>} Job status
+ */
+export const getBacktestJob = (jobId, { signal } = {}) =>
+  get(`${API_ENDPOINTS.BACKTEST_JOBS}/${jobId}`, {
+    signal,
+    timeout: REQUEST_TIMEOUTS.GET_JOB,
+  });
+
+/**
+ * Cancels a backtest job
+ * @param {string} jobId - Job identifier
+ * @returns {Promise<Object>} Answer
+ */
+export const cancelBacktestJob = (jobId) =>
+  send("delete", `${API_ENDPOINTS.BACKTEST_JOBS}/${jobId}`);
+
+/**
+ * Saves the run of a session as a strategy
+ * @param {Object} body - { session_id, strat_name_alias, isPublic, settings? }
+ * @returns {Promise<Object>} Saved strategy
+ */
+export const saveStrategy = (body) =>
+  send("post", API_ENDPOINTS.SAVE_STRATEGY, body);
+
+/**
+ * Loads a saved strategy with its results
+ * @param {string|number} strategyId - Strategy identifier
+ * @param {Object} [options] - { signal }
+ * @returns {Promise<Object>} Strategy output (ippf, pfst, calyears)
+ */
+export const getStrategy = (strategyId, { signal } = {}) =>
+  get(API_ENDPOINTS.GET_STRATEGY, {
+    params: { strategy_id: strategyId },
+    signal,
+    timeout: REQUEST_TIMEOUTS.GET_STRATEGY,
+  });
+
+/**
+ * Lists the strategies of a user
+ * @param {Object} params - { user_id, page, page_size }
+ * @returns {Promise<{strategies: Array, pagination: Object}>} Page
+ */
+export const getUserStrategies = (params) =>
+  get(API_ENDPOINTS.GET_ALL_STRATEGIES_USER, { params });
+
+/**
+ * Lists public strategies
+ * @param {Object} params - { page, page_size }
+ * @returns {Promise<{strategies: Array, pagination: Object}>} Page
+ */
+export const getPublicStrategies = (params) =>
+  get(API_ENDPOINTS.GET_ALL_STRATEGIES, { params });
@@ -0,0 +1,133 @@
+/**
+ * API Errors Module
+ * Every failed API request rejects with an ApiError, whatever went wrong,
+ * so callers read one shape: a kind to branch on, the HTTP status when
+ * the server answered, and a message that can be shown as it is.
+ */
+
+/**
+ * Kinds of request failure
+ * @constant {Object.<string, string>}
+ */
+export const API_ERROR_KINDS = {
+  /** Aborted by the caller; usually not worth showing */
+  CANCELLED: "cancelled",
+  /** No answer within the request's time limit */
+  TIMEOUT: "timeout",
+  /** No answer at all, e.g. offline or the server is down */
+  NETWORK: "network",
+  /** 401: the session is missing or has expired */
+  UNAUTHORIZED: "unauthorized",
+  /** 403 */
+  FORBIDDEN: "forbidden",
+  /** 404 */
+  NOT_FOUND: "not_found",
+  /** Any other 4xx: the request was rejected, e.g. failed validation */
+  CLIENT: "client",
+  /** 5xx */
+  SERVER: "server",
+  /** Anything else, e.g. a bug while handling the response */
+  UNKNOWN: "unknown",
+};
+
+/**
+ * Messages shown when the server sends none
+ * @constant {Object.<string, string>}
+ */
+const DEFAULT_MESSAGES = {
+  [API_ERROR_KINDS.CANCELLED]: "The request was cancelled.",
+  [API_ERROR_KINDS.TIMEOUT]: "The server took too long to respond.",
+  [API_ERROR_KINDS.NETWORK]: "No response from server. Please try again.",
+  [API_ERROR_KINDS.UNAUTHORIZED]: "Your session has expired. Please log in.",
+  [API_ERROR_KINDS.FORBIDDEN]: "You do not have access to this.",
+  [API_ERROR_KINDS.NOT_FOUND]: "Not found.",
+  [API_ERROR_KINDS.CLIENT]: "The request was rejected.",
+  [API_ERROR_KINDS.SERVER]: "Something went wrong on the server.",
+  [API_ERROR_KINDS.UNKNOWN]: "Something went wrong.",
+};
+
+/**
+ * Error of a failed API request
+ */
+export class ApiError extends Error {
+  /**
+   * @param {string} kind - One of API_ERROR_KINDS
+   * @param {string} [message] - Message to show; the kind's default if
+   *   left out
+   * @param {Object} [details] - What else is known
+   * @param {number|null} [details.status] - HTTP status of the answer
+   * @param {*} [details.data] - Body of the answer
+   */
+  constructor(kind, message, { status = null, data = null } = {}) {
+    super(message || DEFAULT_MESSAGES[kind]);
+    this.name = "ApiError";
+    this.kind = kind;
+    this.status = status;
+    this.data = data;
+  }
+}
+
+/**
+ * Works out the kind of failure from an HTTP status
+ * @param {number} status - HTTP status
+ * @returns {string} One of API_ERROR_KINDS
+ */
+const kindOfStatus = (status) => {
+  if (status === 401) return API_ERROR_KINDS.UNAUTHORIZED;
+  if (status === 403) return API_ERROR_KINDS.FORBIDDEN;
+  if (status === 404) return API_ERROR_KINDS.NOT_FOUND;
+  if (status >= 500) return API_ERROR_KINDS.SERVER;
+  if (status >= 400) return API_ERROR_KINDS.CLIENT;
+  return API_ERROR_KINDS.UNKNOWN;
+};
+
+/**
+ * Reads the message the server sent with a failure
+ * FastAPI validation errors send detail as a list of { msg }
+ *
+ * @param {*} data - Body of the answer
+ * @returns {string|undefined} Message, if any
+ */
+const readServerMessage = (data) => {
+  if (typeof data === "string") return data.trim() || undefined;
+  const detail = data?.detail;
+  if (typeof detail === "string") return detail;
+  if (Array.isArray(detail)) {
+    const messages = detail.map((item) => item?.msg).filter(Boolean);
+    if (messages.length > 0) return messages.join(" ");
+  }
+  return typeof data?.message === "string" ? data.message : undefined;
+};
+
+/**
+ * Turns whatever a request threw into an ApiError
+ *
+ * @param {Error} error - Thrown error, usually an axios error
+ * @returns {ApiError} Normalized error; ApiErrors are returned unchanged
+ */
+export const toApiError = (error) => {
+  if (error instanceof ApiError) return error;
+  if (error?.code === "ERR_CANCELED" || error?.name === "CanceledError") {
+    return new ApiError(API_ERROR_KINDS.CANCELLED);
+  }
+  if (error?.code === "ECONNABORTED" || error?.code === "ETIMEDOUT") {
+    return new ApiError(API_ERROR_KINDS.TIMEOUT);
+  }
+  if (error?.response) {
+    const { status, data } = error.response;
+    return new ApiError(kindOfStatus(status), readServerMessage(data), {
+      status,
+      data,
+    });
+  }
+  if (error?.request) return new ApiError(API_ERROR_KINDS.NETWORK);
+  return new ApiError(API_ERROR_KINDS.UNKNOWN, error?.message);
+};
+
+/**
+ * Whether a request failed because it was cancelled
+ * @param {Error} error - Thrown error
+ * @returns {boolean} True for cancelled requests
+ */
+export const isCancelledError = (error) =>
+  error instanceof ApiError && error.kind === API_ERROR_KINDS.CANCELLED;
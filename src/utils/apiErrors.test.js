@@ -0,0 +1,45 @@
+import {
+  ApiError,
+  API_ERROR_KINDS,
+  toApiError,
+  isCancelledError,
+} from "./apiErrors";
+
+test("failed answers are read into one shape", () => {
+  const answer = (status, data) => toApiError({ response: { status, data } });
+
+  expect(answer(400, { detail: "Query is empty" })).toMatchObject({
+    kind: API_ERROR_KINDS.CLIENT,
+    status: 400,
+    message: "Query is empty",
+  });
+  expect(
+    answer(422, { detail: [{ msg: "field required" }, { msg: "too long" }] })
+      .message
+  ).toBe("field required too long");
+  expect(answer(404, { message: "No user" })).toMatchObject({
+    kind: API_ERROR_KINDS.NOT_FOUND,
+    message: "No user",
+  });
+  expect(answer(502, "Bad Gateway").message).toBe("Bad Gateway");
+  expect(answer(401, {})).toMatchObject({
+    kind: API_ERROR_KINDS.UNAUTHORIZED,
+    message: "Your session has expired. Please log in.",
+  });
+});
+
+test("requests without an answer are told apart", () => {
+  expect(toApiError({ code: "ECONNABORTED", request: {} }).kind).toBe(
+    API_ERROR_KINDS.TIMEOUT
+  );
+  expect(toApiError({ request: {} }).kind).toBe(API_ERROR_KINDS.NETWORK);
+  expect(toApiError(new TypeError("x is undefined"))).toMatchObject({
+    kind: API_ERROR_KINDS.UNKNOWN,
+    message: "x is undefined",
+  });
+
+  const cancelled = toApiError({ code: "ERR_CANCELED", name: "CanceledError" });
+  expect(isCancelledError(cancelled)).toBe(true);
+  expect(toApiError(cancelled)).toBe(cancelled);
+  expect(isCancelledError(new ApiError(API_ERROR_KINDS.TIMEOUT))).toBe(false);
+});
@@ -0,0 +1,165 @@
+/**
+ * App Configuration Module
+ * Settings read at runtime: the API base URL, the base of shared strategy
+ * links and the Google login client. They start from the build
+ * (config/config), are overridden by public/config.json, fetched once at
+ * startup so one build can be deployed anywhere, and then by the
+ * environment chosen in the switcher.
+ *
+ * config.json shape, every key optional:
+ * { apiBaseUrl, shareBaseUrl, googleClientId, environmentSwitcher,
+ *   environments: { <id>: { label, apiBaseUrl, shareBaseUrl,
+ *   googleClientId } } }
+ */
+
+import { BUILD_CONFIG } from "../config/config";
+import {
+  DEFAULT_ENVIRONMENT,
+  ENVIRONMENTS,
+  ENVIRONMENT_STORAGE_KEY,
+} from "../config/environments";
+import { removeToken } from "./auth";
+
+/**
+ * Settings an environment or config.json may set
+ * @constant {Array<string>}
+ */
+const SETTINGS = ["apiBaseUrl", "shareBaseUrl", "googleClientId"];
+
+/**
+ * Reads the settings set in a source, without trailing slashes on URLs
+ * @param {Object} [source] - Build, runtime or environment settings
+ * @returns {Object} Non-empty settings
+ */
+const pickSettings = (source) =>
+  Object.fromEntries(
+    SETTINGS.filter(
+      (setting) => typeof source?.[setting] === "string" && source[setting]
+    ).map((setting) => [setting, source[setting].replace(/\/+$/, "")])
+  );
+
+/**
+ * Lists the environments that can be chosen
+ * The built-in ones, changed or extended by config.json; one without an
+ * API base URL is left out, except the default environment.
+ *
+ * @param {Object} [runtime] - Contents of config.json
+ * @returns {Array<{id: string, label: string}>} Environments with their
+ *   settings
+ */
+export const getEnvironments = (runtime = {}) => {
+  const environments = { ...ENVIRONMENTS };
+  Object.entries(runtime.environments || {}).forEach(([id, environment]) => {
+    environments[id] = { ...environments[id], ...environment };
+  });
+  return Object.entries(environments)
+    .filter(([id, environment]) =>
+      id === DEFAULT_ENVIRONMENT ? true : Boolean(environment.apiBaseUrl)
+    )
+    .map(([id, environment]) => ({
+      id,
+      label: environment.label || id,
+      ...pickSettings(environment),
+    }));
+};
+
+/**
+ * Combines the build settings, config.json and the chosen environment
+ * The chosen environment only applies while the switcher is on, so a
+ * choice left in the browser cannot redirect a production app.
+ *
+ * @param {Object} build - Build settings
+ * @param {Object} [runtime] - Contents of config.json
+ * @param {string|null} [environmentId] - Environment chosen in the switcher
+ * @returns {Object} { apiBaseUrl, shareBaseUrl, googleClientId, environment,
+ *   environments, environmentSwitcher }
+ */
+export const resolveAppConfig = (build, runtime = {}, environmentId) => {
+  const environmentSwitcher =
+    process.env.NODE_ENV === "development" ||
+    runtime.environmentSwitcher === true;
+  const environments = getEnvironments(runtime);
+  const environment =
+    (environmentSwitcher &&
+      environments.find(({ id }) => id === environmentId)) ||
+    environments.find(({ id }) => id === DEFAULT_ENVIRONMENT);
+
+  return {
+    ...pickSettings(build),
+    ...pickSettings(runtime),
+    ...pickSettings(environment),
+    environment: environment.id,
+    environments,
+    environmentSwitcher,
+  };
+};
+
+/**
+ * Settings in use; the build settings until loadAppConfig resolves
+ * @type {Object}
+ */
+let appConfig = resolveAppConfig(BUILD_CONFIG);
+
+/**
+ * Settings in use
+ * @returns {Object} Resolved settings, see resolveAppConfig
+ */
+export const getAppConfig = () => appConfig;
+
+/**
+ * Fetches the runtime configuration
+ * A missing or unreadable file counts as empty, as the file is optional.
+ *
+ * @param {string} url - Address of config.json
+ * @returns {Promise<Object>} Its contents
+ */
+export const readRuntimeConfig = async (url) => {
+  try {
+    const response = await fetch(url, { cache: "no-store" });
+    // The development server answers unknown paths with index.html
+    const type = response.headers.get("content-type") || "";
+    if (!response.ok || !type.includes("json")) return {};
+    const config = await response.json();
+    return config && typeof config === "object" && !Array.isArray(config)
+      ? config
+      : {};
+  } catch (error) {
+    console.warn("Ignoring config.json:", error.message);
+    return {};
+  }
+};
+
+/**
+ * Loads config.json and resolves the settings; called once before the app
+ * renders
+ * @returns {Promise<Object>} Resolved settings; never rejects
+ */
+export const loadAppConfig = async () => {
+  const runtime = await readRuntimeConfig(
+    `${process.env.PUBLIC_URL}/config.json`
+  );
+  appConfig = resolveAppConfig(
+    BUILD_CONFIG,
+    runtime,
+    localStorage.getItem(ENVIRONMENT_STORAGE_KEY)
+  );
+  return appConfig;
+};
+
+/**
+ * Chooses the environment used from the next page load on
+ * Logs out, as a token is only valid on the backend that issued it.
+ *
+ * @param {string} environmentId - Environment id
+ * @returns {boolean} Whether the environment changed
+ */
+export const selectEnvironment = (environmentId) => {
+  if (environmentId === appConfig.environment) return false;
+  if (environmentId === DEFAULT_ENVIRONMENT) {
+    localStorage.removeItem(ENVIRONMENT_STORAGE_KEY);
+  } else {
+    localStorage.setItem(ENVIRONMENT_STORAGE_KEY, environmentId);
+  }
+  removeToken();
+  return true;
+};
@@ -0,0 +1,105 @@
+import {
+  getEnvironments,
+  readRuntimeConfig,
+  resolveAppConfig,
+} from "./appConfig";
+
+const build = {
+  apiBaseUrl: "https://example.com/api",
+  shareBaseUrl: "https://example.com/strategy/shared",
+  googleClientId: "build-client",
+};
+
+test("config.json overrides the build settings it names", () => {
+  const config = resolveAppConfig(build, {
+    apiBaseUrl: "https://api.example.org/",
+    googleClientId: "",
+  });
+
+  expect(config).toMatchObject({
+    apiBaseUrl: "https://api.example.org",
+    shareBaseUrl: "https://example.com/strategy/shared",
+    googleClientId: "build-client",
+    environment: "default",
+    environmentSwitcher: false,
+  });
+});
+
+test("environments without an API base URL are not offered", () => {
+  const environments = getEnvironments({
+    environments: {
+      staging: { apiBaseUrl: "https://staging.example.com/api" },
+      qa: { label: "QA" },
+    },
+  });
+
+  expect(environments.map(({ id }) => id)).toEqual([
+    "default",
+    "staging",
+    "mock",
+  ]);
+  expect(environments[1]).toEqual({
+    id: "staging",
+    label: "Staging",
+    apiBaseUrl: "https://staging.example.com/api",
+  });
+});
+
+test("the chosen environment only applies while the switcher is on", () => {
+  expect(resolveAppConfig(build, {}, "mock").apiBaseUrl).toBe(
+    "https://example.com/api"
+  );
+
+  const config = resolveAppConfig(
+    build,
+    { environmentSwitcher: true },
+    "mock"
+  );
+  expect(config).toMatchObject({
+    apiBaseUrl: "http://localhost:4000/api",
+    googleClientId: "build-client",
+    environment: "mock",
+    environmentSwitcher: true,
+  });
+  expect(
+    resolveAppConfig(build, { environmentSwitcher: true }, "gone").environment
+  ).toBe("default");
+});
+
+const originalFetch = global.fetch;
+afterEach(() => {
+  global.fetch = originalFetch;
+});
+
+/**
+ * Answers every fetch with a body of a content type
+ * @param {string} type - Content type
+ * @param {*} body - Parsed body
+ */
+const answer = (type, body) => {
+  global.fetch = jest.fn().mockResolvedValue({
+    ok: true,
+    headers: { get: () => type },
+    json: () => Promise.resolve(body),
+  });
+};
+
+test("config.json is read when the file is JSON", async () => {
+  answer("application/json", { apiBaseUrl: "https://api.example.org" });
+  await expect(readRuntimeConfig("/config.json")).resolves.toEqual({
+    apiBaseUrl: "https://api.example.org",
+  });
+  expect(global.fetch).toHaveBeenCalledWith("/config.json", {
+    cache: "no-store",
+  });
+});
+
+test("a missing or unreachable config.json counts as empty", async () => {
+  answer("text/html", "<!DOCTYPE html>");
+  await expect(readRuntimeConfig("/config.json")).resolves.toEqual({});
+
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+  global.fetch = jest.fn().mockRejectedValue(new Error("offline"));
+  await expect(readRuntimeConfig("/config.json")).resolves.toEqual({});
+  console.warn.mockRestore();
+});
@@ -54,3 +54,18 @@ export const getUserRole = () => {
  * @returns {boolean} True if a token exists, false otherwise
  */
 export const isAuthenticated = () => !!getToken();
+
+/**
+ * Window event fired when the server rejected the stored token
+ * @constant {string}
+ */
+export const AUTH_EXPIRED_EVENT = "authExpired";
+
+/**
+ * Logs out after the server rejected the stored token, and asks the user
+ * to log in again
+ */
+export const expireSession = () => {
+  removeToken();
+  window.dispatchEvent(new Event(AUTH_EXPIRED_EVENT));
+};
@@ -0,0 +1,57 @@
+/**
+ * Backtest Jobs Utilities Module
+ * Reads the status of asynchronous backtest jobs. In job mode the execute
+ * data is submitted to /strategy/jobs, which answers with a job id, and the
+ * job is polled until it ends.
+ *
+ * Job status shape:
+ *   { job_id, status, progress, output?, error? }
+ * status is "queued", "running", "done", "failed" or "cancelled" and
+ * progress a percentage. output holds the horizons finished so far in
+ * pfst, and the portfolio (ippf, calyears) once the backend has it.
+ */
+
+import { RESULT_HORIZONS } from "../config/backtest";
+
+/**
+ * Horizons present in partial results, in ascending order
+ * @param {Array<Object>} [pfst] - Per-horizon stats
+ * @returns {Array<number>} Horizons in years
+ */
+export const getCompletedHorizons = (pfst) =>
+  (pfst || [])
+    .map((stats) => Number(stats.nyears))
+    .filter((years) => RESULT_HORIZONS.includes(years))
+    .sort((a, b) => a - b);
+
+/**
+ * Reads a polled job status
+ * A job without a progress figure counts its finished horizons instead.
+ *
+ * @param {Object} job - Job status from the backend
+ * @returns {{done: boolean, failed: boolean, error: ?string,
+ *   progress: number, data: Object}} Status with the results so far in the
+ *   execute response shape
+ */
+export const readJobStatus = (job) => {
+  const output = job?.output || {};
+  const pfst = [...(output.pfst || [])].sort(
+    (a, b) => Number(a.nyears) - Number(b.nyears)
+  );
+  const reported = Number(job?.progress);
+  const progress = Number.isFinite(reported)
+    ? reported
+    : (getCompletedHorizons(pfst).length / RESULT_HORIZONS.length) * 100;
+  const done = job?.status === "done";
+
+  return {
+    done,
+    failed: job?.status === "failed" || job?.status === "cancelled",
+    error: job?.error || null,
+    progress: done ? 100 : Math.round(Math.min(100, Math.max(0, progress))),
+    data: {
+      status: "Success",
+      output: { ippf: {}, calyears: [], ...output, pfst },
+    },
+  };
+};
@@ -0,0 +1,27 @@
+import { readJobStatus, getCompletedHorizons } from "./backtestJobs";
+
+test("a running job reports the horizons finished so far", () => {
+  const status = readJobStatus({
+    job_id: "42",
+    status: "running",
+    output: { pfst: [{ nyears: 2 }, { nyears: "1" }] },
+  });
+  expect(status).toMatchObject({ done: false, failed: false, progress: 20 });
+  expect(status.data.output).toEqual({
+    ippf: {},
+    calyears: [],
+    pfst: [{ nyears: "1" }, { nyears: 2 }],
+  });
+  expect(getCompletedHorizons(status.data.output.pfst)).toEqual([1, 2]);
+});
+
+test("finished and failed jobs are recognised", () => {
+  expect(readJobStatus({ status: "done", progress: 90 })).toMatchObject({
+    done: true,
+    progress: 100,
+  });
+  expect(
+    readJobStatus({ status: "failed", progress: 140, error: "No data" })
+  ).toMatchObject({ failed: true, progress: 100, error: "No data" });
+  expect(readJobStatus({ status: "queued", progress: 0 }).progress).toBe(0);
+});
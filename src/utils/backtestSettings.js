@@ -0,0 +1,234 @@
+/**
+ * Backtest Settings Utilities Module
+ * Normalizes the backtest settings edited next to the query, converts them
+ * to the execute payload, reads them back from stored strategies and
+ * describes them for the results and shared pages.
+ *
+ * Payload shape, kept beside the filters in the execute data:
+ *   { startYear, endYear, rebalance, weighting, weightCap?, maxHoldings,
+ *     benchmark, customBenchmark?, brokerageBps, slippageBps, tax }
+ * weightCap is only sent for capped weighting and customBenchmark only for
+ * the custom benchmark; maxHoldings null means all.
+ *
+ * Costs and tax are not run parameters: the backend returns gross results
+ * and the net return is estimated on the client (see netReturns). The
+ * execute request carries them in a separate costs block,
+ *   { ..., settings: { startYear, ... }, costs: { brokerageBps,
+ *     slippageBps, tax } }
+ * only so the stored strategy reopens with them.
+ */
+
+import {
+  DATA_START_YEAR,
+  DATA_END_YEAR,
+  REBALANCE_FREQUENCIES,
+  WEIGHTING_SCHEMES,
+  BENCHMARKS,
+  TAX_TREATMENTS,
+  DEFAULT_BACKTEST_SETTINGS,
+} from "../config/backtest";
+import { readFilterLiteral } from "./queryCodec";
+
+/**
+ * Reads a number within bounds
+ * @param {*} value - Raw value
+ * @param {number} min - Lowest allowed value
+ * @param {number} max - Highest allowed value
+ * @param {number|null} fallback - Value used when the input is not a number
+ * @returns {number|null} Clamped number or the fallback
+ */
+const toBoundedNumber = (value, min, max, fallback) => {
+  const number = Number(value);
+  if (value === null || value === "" || !Number.isFinite(number)) {
+    return fallback;
+  }
+  return Math.min(Math.max(number, min), max);
+};
+
+/**
+ * Reads a whole number within bounds
+ * @param {*} value - Raw value
+ * @param {number} min - Lowest allowed value
+ * @param {number} max - Highest allowed value
+ * @param {number|null} fallback - Value used when the input is not a number
+ * @returns {number|null} Clamped whole number or the fallback
+ */
+const toWholeNumber = (value, min, max, fallback) => {
+  const number = toBoundedNumber(value, min, max, fallback);
+  return number === null ? null : Math.round(number);
+};
+
+/**
+ * Fills in defaults and brings every setting into its allowed range
+ * An end year before the start year is moved up to the start year, and a
+ * custom benchmark without a name falls back to the default benchmark
+ *
+ * @param {Object} [settings] - Partial or raw settings
+ * @returns {Object} Complete settings
+ */
+export const normalizeBacktestSettings = (settings = {}) => {
+  const merged = { ...DEFAULT_BACKTEST_SETTINGS, ...settings };
+  const startYear = toWholeNumber(
+    merged.startYear,
+    DATA_START_YEAR,
+    DATA_END_YEAR,
+    DEFAULT_BACKTEST_SETTINGS.startYear
+  );
+  const endYear = toWholeNumber(
+    merged.endYear,
+    startYear,
+    DATA_END_YEAR,
+    DEFAULT_BACKTEST_SETTINGS.endYear
+  );
+  const isKnown = (options, value) =>
+    options.some((option) => option.value === value);
+  const customBenchmark = String(merged.customBenchmark || "").trim();
+  const benchmark =
+    isKnown(BENCHMARKS, merged.benchmark) &&
+    (merged.benchmark !== "custom" || customBenchmark)
+      ? merged.benchmark
+      : DEFAULT_BACKTEST_SETTINGS.benchmark;
+
+  return {
+    startYear,
+    endYear,
+    rebalance: isKnown(REBALANCE_FREQUENCIES, merged.rebalance)
+      ? merged.rebalance
+      : DEFAULT_BACKTEST_SETTINGS.rebalance,
+    weighting: isKnown(WEIGHTING_SCHEMES, merged.weighting)
+      ? merged.weighting
+      : DEFAULT_BACKTEST_SETTINGS.weighting,
+    weightCap: toWholeNumber(
+      merged.weightCap,
+      1,
+      100,
+      DEFAULT_BACKTEST_SETTINGS.weightCap
+    ),
+    maxHoldings: toWholeNumber(merged.maxHoldings, 1, 500, null),
+    benchmark,
+    customBenchmark: benchmark === "custom" ? customBenchmark : "",
+    brokerageBps: toBoundedNumber(merged.brokerageBps, 0, 500, 0),
+    slippageBps: toBoundedNumber(merged.slippageBps, 0, 500, 0),
+    tax: isKnown(TAX_TREATMENTS, merged.tax)
+      ? merged.tax
+      : DEFAULT_BACKTEST_SETTINGS.tax,
+  };
+};
+
+/**
+ * Converts settings into the execute payload
+ * @param {Object} settings - Settings as edited
+ * @returns {Object} Payload settings
+ */
+export const toSettingsPayload = (settings) => {
+  const { weightCap, customBenchmark, ...rest } =
+    normalizeBacktestSettings(settings);
+  return {
+    ...rest,
+    ...(rest.weighting === "capped" && { weightCap }),
+    ...(rest.benchmark === "custom" && { customBenchmark }),
+  };
+};
+
+/**
+ * Settings that only feed the client-side net estimate
+ * @constant {Array<string>}
+ */
+const COST_SETTINGS = ["brokerageBps", "slippageBps", "tax"];
+
+/**
+ * Moves the costs out of the run settings of execute data before it is
+ * sent, so the backend does not apply them on top of the net estimate
+ *
+ * @param {Object} data - Execute data ({ filters, settings, ... })
+ * @returns {Object} Execute request data with a separate costs block
+ */
+export const toExecutePayload = (data) => {
+  if (!data?.settings) return data;
+  const settings = { ...data.settings };
+  // Data read back from a stored strategy already has its costs apart
+  const costs = { ...data.costs };
+  COST_SETTINGS.forEach((setting) => {
+    if (setting in settings) {
+      costs[setting] = settings[setting];
+      delete settings[setting];
+    }
+  });
+  return { ...data, settings, costs };
+};
+
+/**
+ * Reads the settings a strategy was run with
+ * Strategies saved before settings existed ran with the defaults; the
+ * costs are read from their own block or, for older runs, the settings.
+ *
+ * @param {string|Object} stored - strat_name literal or execute data
+ * @returns {Object} Complete settings
+ */
+export const readBacktestSettings = (stored) => {
+  if (!stored) return normalizeBacktestSettings();
+  try {
+    const { settings, costs } = readFilterLiteral(stored);
+    return normalizeBacktestSettings({ ...settings, ...costs });
+  } catch (error) {
+    return normalizeBacktestSettings();
+  }
+};
+
+/**
+ * Returns the display name of the benchmark in the settings
+ * @param {Object} settings - Settings
+ * @returns {string} Benchmark name, e.g. "Nifty Midcap 150"
+ */
+export const getBenchmarkName = (settings) => {
+  const { benchmark, customBenchmark } = normalizeBacktestSettings(settings);
+  return benchmark === "custom"
+    ? customBenchmark
+    : BENCHMARKS.find((option) => option.value === benchmark).label;
+};
+
+/**
+ * Lists settings as label/value pairs for display
+ * @param {Object} settings - Settings
+ * @returns {Array<{label: string, value: string}>} Display rows
+ */
+export const describeBacktestSettings = (settings) => {
+  const {
+    startYear,
+    endYear,
+    rebalance,
+    weighting,
+    weightCap,
+    maxHoldings,
+    brokerageBps,
+    slippageBps,
+    tax,
+  } = normalizeBacktestSettings(settings);
+  const labelOf = (options, value) =>
+    options.find((option) => option.value === value).label;
+
+  return [
+    { label: "Period", value: `${startYear}–${endYear}` },
+    { label: "Rebalance", value: labelOf(REBALANCE_FREQUENCIES, rebalance) },
+    {
+      label: "Weighting",
+      value:
+        weighting === "capped"
+          ? `${labelOf(WEIGHTING_SCHEMES, weighting)} (${weightCap}% cap)`
+          : labelOf(WEIGHTING_SCHEMES, weighting),
+    },
+    {
+      label: "Max holdings",
+      value: maxHoldings ? String(maxHoldings) : "All that pass",
+    },
+    { label: "Benchmark", value: getBenchmarkName(settings) },
+    {
+      label: "Costs",
+      value:
+        brokerageBps || slippageBps
+          ? `${brokerageBps} bps brokerage + ${slippageBps} bps slippage`
+          : "None",
+    },
+    { label: "Tax", value: labelOf(TAX_TREATMENTS, tax) },
+  ];
+};
@@ -0,0 +1,125 @@
+import {
+  normalizeBacktestSettings,
+  toSettingsPayload,
+  readBacktestSettings,
+  toExecutePayload,
+  describeBacktestSettings,
+  getBenchmarkName,
+} from "./backtestSettings";
+import { DEFAULT_BACKTEST_SETTINGS } from "../config/backtest";
+
+test("settings are completed and kept within the data range", () => {
+  expect(
+    normalizeBacktestSettings({
+      startYear: "2005",
+      endYear: 2001,
+      rebalance: "weekly",
+      maxHoldings: "",
+    })
+  ).toEqual({
+    ...DEFAULT_BACKTEST_SETTINGS,
+    startYear: 2005,
+    endYear: 2005,
+  });
+  expect(normalizeBacktestSettings({ startYear: 1980 }).startYear).toBe(1999);
+});
+
+test("the payload only carries the weight cap for capped weighting", () => {
+  expect(toSettingsPayload({ weighting: "equal", weightCap: 5 })).toEqual({
+    startYear: 1999,
+    endYear: 2022,
+    rebalance: "annual",
+    weighting: "equal",
+    maxHoldings: null,
+    benchmark: "nifty50",
+    brokerageBps: 0,
+    slippageBps: 0,
+    tax: "none",
+  });
+  expect(
+    toSettingsPayload({ weighting: "capped", weightCap: "5", maxHoldings: "25" })
+  ).toMatchObject({ weighting: "capped", weightCap: 5, maxHoldings: 25 });
+});
+
+test("stored strategies read back their settings, older ones the defaults", () => {
+  const stored =
+    "{filters: [{Data: {param: {name: Average DE, id: 0}, period: 5, sign: lt, threshold: 1}}], " +
+    "settings: {startYear: 2010, endYear: 2020, rebalance: quarterly, weighting: market_cap, maxHoldings: None}}";
+  const settings = readBacktestSettings(stored);
+  expect(settings).toMatchObject({
+    startYear: 2010,
+    endYear: 2020,
+    rebalance: "quarterly",
+    weighting: "market_cap",
+    maxHoldings: null,
+  });
+  expect(describeBacktestSettings(settings)).toEqual([
+    { label: "Period", value: "2010–2020" },
+    { label: "Rebalance", value: "Quarterly" },
+    { label: "Weighting", value: "Market-cap weight" },
+    { label: "Max holdings", value: "All that pass" },
+    { label: "Benchmark", value: "Nifty50" },
+    { label: "Costs", value: "None" },
+    { label: "Tax", value: "Pre-tax" },
+  ]);
+
+  expect(
+    readBacktestSettings(
+      "{filters: [{Data: {param: {name: Average DE, id: 0}, period: 5, sign: lt, threshold: 1}}]}"
+    )
+  ).toEqual(DEFAULT_BACKTEST_SETTINGS);
+  expect(readBacktestSettings("{not valid")).toEqual(DEFAULT_BACKTEST_SETTINGS);
+});
+
+test("the benchmark is named for labels and a custom one needs a name", () => {
+  expect(getBenchmarkName({ benchmark: "midcap150" })).toBe("Nifty Midcap 150");
+  expect(
+    toSettingsPayload({ benchmark: "custom", customBenchmark: " Nifty Next 50 " })
+  ).toMatchObject({ benchmark: "custom", customBenchmark: "Nifty Next 50" });
+  expect(getBenchmarkName({ benchmark: "custom", customBenchmark: "" })).toBe(
+    "Nifty50"
+  );
+  expect(getBenchmarkName(readBacktestSettings(""))).toBe("Nifty50");
+});
+
+test("costs are kept in basis points and unknown tax treatments ignored", () => {
+  const settings = normalizeBacktestSettings({
+    brokerageBps: "2.5",
+    slippageBps: -4,
+    tax: "flat",
+  });
+  expect(settings).toMatchObject({ brokerageBps: 2.5, slippageBps: 0, tax: "none" });
+  expect(
+    describeBacktestSettings({ brokerageBps: 10, slippageBps: 15, tax: "india" }).slice(-2)
+  ).toEqual([
+    { label: "Costs", value: "10 bps brokerage + 15 bps slippage" },
+    { label: "Tax", value: "Indian STCG/LTCG" },
+  ]);
+});
+
+test("costs are sent apart from the run settings and read back", () => {
+  const data = {
+    filters: [],
+    settings: toSettingsPayload({
+      startYear: 2010,
+      brokerageBps: 10,
+      slippageBps: 15,
+      tax: "india",
+    }),
+  };
+  const sent = toExecutePayload(data);
+
+  expect(sent.settings).not.toHaveProperty("brokerageBps");
+  expect(sent.settings).not.toHaveProperty("tax");
+  expect(sent.costs).toEqual({
+    brokerageBps: 10,
+    slippageBps: 15,
+    tax: "india",
+  });
+  expect(readBacktestSettings(sent)).toEqual(
+    normalizeBacktestSettings(data.settings)
+  );
+  // Runs from before the costs block kept them in the settings
+  expect(readBacktestSettings(data)).toEqual(readBacktestSettings(sent));
+  expect(toExecutePayload(sent)).toEqual(sent);
+});
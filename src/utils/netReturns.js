@@ -0,0 +1,101 @@
+/**
+ * Net Returns Utilities Module
+ * Estimates returns net of trading costs and capital gains tax from the
+ * gross results of a run and its backtest settings.
+ *
+ * Turnover is read from the yearly holdings (ippf): the share of names that
+ * are new compared with the year before, averaged over the years. Every
+ * replaced name is bought and sold, so costs are charged twice on the
+ * turnover, and tax is charged on the gains realized by the turnover.
+ * Holdings are only known per year, so more frequent rebalancing is costed
+ * at the yearly turnover.
+ */
+
+import { STCG_RATE, LTCG_RATE } from "../config/backtest";
+import { normalizeBacktestSettings } from "./backtestSettings";
+
+/**
+ * Splits one year of holdings into company names
+ * @param {string} stocks - Holdings as stored, e.g. '["A", "B"]'
+ * @returns {Array<string>} Company names
+ */
+const parseHoldings = (stocks) =>
+  String(stocks || "")
+    .replace(/[[\]"]/g, "")
+    .split(", ")
+    .map((name) => name.trim())
+    .filter(Boolean);
+
+/**
+ * Average share of holdings replaced each year
+ * @param {Object} [ippf] - Holdings by year
+ * @returns {number} Turnover between 0 and 1; 1 when it cannot be measured
+ */
+export const getAnnualTurnover = (ippf) => {
+  const holdings = Object.keys(ippf || {})
+    .filter((year) => !isNaN(year))
+    .sort((a, b) => a - b)
+    .map((year) => parseHoldings(ippf[year]));
+
+  const turnovers = holdings.slice(1).flatMap((current, index) => {
+    if (!current.length) return [];
+    const previous = new Set(holdings[index]);
+    const replaced = current.filter((name) => !previous.has(name)).length;
+    return [replaced / current.length];
+  });
+
+  return turnovers.length
+    ? turnovers.reduce((sum, turnover) => sum + turnover, 0) / turnovers.length
+    : 1;
+};
+
+/**
+ * Tax rate on realized gains
+ * Names sold at an annual rebalance have been held a year and pay LTCG;
+ * more frequent rebalancing sells within the year and pays STCG
+ *
+ * @param {Object} settings - Backtest settings
+ * @returns {number} Tax rate between 0 and 1
+ */
+export const getTaxRate = (settings) => {
+  const { tax, rebalance } = normalizeBacktestSettings(settings);
+  if (tax !== "india") return 0;
+  return rebalance === "annual" ? LTCG_RATE : STCG_RATE;
+};
+
+/**
+ * Whether the settings take anything off the gross return
+ * @param {Object} settings - Backtest settings
+ * @returns {boolean} True when costs or tax are set
+ */
+export const hasCosts = (settings) => {
+  const { brokerageBps, slippageBps, tax } =
+    normalizeBacktestSettings(settings);
+  return brokerageBps + slippageBps > 0 || tax !== "none";
+};
+
+/**
+ * Collects what the net estimate needs from the settings and holdings
+ * @param {Object} settings - Backtest settings
+ * @param {Object} [ippf] - Holdings by year
+ * @returns {{turnover: number, costRate: number, taxRate: number}} Assumptions
+ */
+export const getCostAssumptions = (settings, ippf) => {
+  const { brokerageBps, slippageBps } = normalizeBacktestSettings(settings);
+  return {
+    turnover: getAnnualTurnover(ippf),
+    costRate: (brokerageBps + slippageBps) / 10000,
+    taxRate: getTaxRate(settings),
+  };
+};
+
+/**
+ * Estimates the yearly return net of costs and tax
+ * @param {number} gross - Gross yearly return as a fraction, e.g. 0.18
+ * @param {Object} assumptions - Result of getCostAssumptions
+ * @returns {number} Net yearly return as a fraction
+ */
+export const estimateNetReturn = (gross, { turnover, costRate, taxRate }) => {
+  const afterCosts = (Number(gross) || 0) - turnover * 2 * costRate;
+  return afterCosts - Math.max(afterCosts, 0) * turnover * taxRate;
+};
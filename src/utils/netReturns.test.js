@@ -0,0 +1,37 @@
+import {
+  getAnnualTurnover,
+  getTaxRate,
+  hasCosts,
+  getCostAssumptions,
+  estimateNetReturn,
+} from "./netReturns";
+
+test("turnover is the average share of new names each year", () => {
+  const ippf = {
+    2001: '["A", "B", "C", "D"]',
+    2002: '["A", "B", "E", "F"]',
+    2003: '["A", "B", "E", "F"]',
+    count: "4",
+  };
+  expect(getAnnualTurnover(ippf)).toBeCloseTo(0.25);
+  expect(getAnnualTurnover({ 2001: '["A"]' })).toBe(1);
+  expect(getAnnualTurnover(undefined)).toBe(1);
+});
+
+test("Indian tax depends on how long names are held", () => {
+  expect(getTaxRate({ tax: "india", rebalance: "annual" })).toBe(0.125);
+  expect(getTaxRate({ tax: "india", rebalance: "quarterly" })).toBe(0.2);
+  expect(getTaxRate({ rebalance: "quarterly" })).toBe(0);
+  expect(hasCosts({})).toBe(false);
+  expect(hasCosts({ slippageBps: 5 })).toBe(true);
+});
+
+test("net return takes costs on both sides and tax on realized gains", () => {
+  const assumptions = getCostAssumptions(
+    { brokerageBps: 20, slippageBps: 30, tax: "india", rebalance: "quarterly" },
+    { 2001: '["A", "B"]', 2002: '["C", "D"]' }
+  );
+  expect(assumptions).toEqual({ turnover: 1, costRate: 0.005, taxRate: 0.2 });
+  expect(estimateNetReturn(0.2, assumptions)).toBeCloseTo(0.152);
+  expect(estimateNetReturn(-0.1, assumptions)).toBeCloseTo(-0.11);
+});
@@ -0,0 +1,97 @@
+/**
+ * Parameter Sweep Module
+ * Expands a query whose thresholds or periods are ranges into one query per
+ * combination of values, and lays the runs out as the rows and columns of
+ * the sweep's heatmap. The ranges are the sweeps returned by analyzeQuery.
+ */
+
+import { formatNumber } from "./queryCodec";
+
+/**
+ * Writes one value of a range the way it is written in a query
+ * @param {number} value - Value
+ * @param {boolean} percent - Whether the range carried a "%" suffix
+ * @returns {string} Value text
+ */
+const formatValue = (value, percent) =>
+  `${formatNumber(value)}${percent ? "%" : ""}`;
+
+/**
+ * Lists every combination of the values of the sweeps
+ * The first sweep varies slowest
+ *
+ * @param {string} text - Query text with the ranges
+ * @param {Array<Object>} sweeps - Sweeps from analyzeQuery, in text order
+ * @returns {Array<{query: string, values: Array<number>}>} Query of each
+ *   combination, with every range replaced by one of its values, and the
+ *   values used, one per sweep
+ */
+export const expandSweep = (text, sweeps) =>
+  sweeps
+    .reduce(
+      (combinations, sweep) =>
+        combinations.flatMap((values) =>
+          sweep.values.map((value) => [...values, value])
+        ),
+      [[]]
+    )
+    .map((values) => ({
+      query: sweeps.reduceRight(
+        (query, sweep, index) =>
+          query.slice(0, sweep.start) +
+          formatValue(values[index], sweep.percent) +
+          query.slice(sweep.end),
+        text
+      ),
+      values,
+    }));
+
+/**
+ * Describes what a sweep varies
+ * @param {Object} sweep - Sweep from analyzeQuery
+ * @returns {string} Label, e.g. "Average ROCE threshold"
+ */
+export const describeSweep = (sweep) =>
+  `${sweep.metric.name} ${
+    sweep.kind === "period" ? "period (years)" : "threshold"
+  }`;
+
+/**
+ * Lays the runs of a sweep out as a grid
+ * The values of the first sweep are the columns and those of the second,
+ * if any, the rows; a single sweep is one row.
+ *
+ * @param {Array<Object>} sweeps - Sweeps from analyzeQuery
+ * @param {Array<Object>} runs - Runs in the order of expandSweep
+ * @returns {{columns: Array<number>, rows: Array<{value: number|null,
+ *   runs: Array<Object>}>}} Column values and the runs of each row
+ */
+export const getSweepGrid = (sweeps, runs) => {
+  const [columnSweep, rowSweep] = sweeps;
+  const rowValues = rowSweep ? rowSweep.values : [null];
+  return {
+    columns: columnSweep.values,
+    rows: rowValues.map((value, row) => ({
+      value,
+      runs: columnSweep.values.map(
+        (_, column) => runs[column * rowValues.length + row]
+      ),
+    })),
+  };
+};
+
+/**
+ * Reads one measure of a run for one holding period
+ *
+ * @param {Object} [response] - Execute response ({ output: { pfst } })
+ * @param {string} measure - Field of the portfolio statistics
+ * @param {number} horizon - Holding period in years
+ * @returns {number|null} Value, or null when the run has none
+ */
+export const readSweepMeasure = (response, measure, horizon) => {
+  const stats = response?.output?.pfst?.find(
+    (entry) => Number(entry.nyears) === horizon
+  );
+  const value = parseFloat(stats?.[measure]);
+  return Number.isFinite(value) ? value : null;
+};
@@ -0,0 +1,81 @@
+import {
+  expandSweep,
+  describeSweep,
+  getSweepGrid,
+  readSweepMeasure,
+} from "./parameterSweep";
+import { analyzeQuery, buildFilters } from "./queryParser";
+
+const metrics = [
+  { id: 1, name: "Average DE", unit: "ratio" },
+  { id: 2, name: "Average ROCE", unit: "percent" },
+];
+
+test("a sweep expands into one query per combination", () => {
+  const text =
+    "Average ROCE {3..5 step 2} Years > {10..20 step 5} AND\nAverage DE 5 Years < 1";
+  const { sweeps, diagnostics } = analyzeQuery(text, metrics);
+  expect(diagnostics).toEqual([]);
+  expect(sweeps.map(describeSweep)).toEqual([
+    "Average ROCE period (years)",
+    "Average ROCE threshold",
+  ]);
+
+  const runs = expandSweep(text, sweeps);
+  expect(runs.map((run) => run.values)).toEqual([
+    [3, 10],
+    [3, 15],
+    [3, 20],
+    [5, 10],
+    [5, 15],
+    [5, 20],
+  ]);
+  expect(runs[4].query).toBe(
+    "Average ROCE 5 Years > 15 AND\nAverage DE 5 Years < 1"
+  );
+  const { tree, sweeps: none } = analyzeQuery(runs[4].query, metrics);
+  expect(none).toEqual([]);
+  expect(buildFilters(tree).filters[0].Data).toMatchObject({
+    period: 5,
+    threshold: 15,
+  });
+});
+
+test("percent ranges keep their suffix", () => {
+  const text = "Average DE 5 Years < {40..60 step 20}%";
+  const { sweeps } = analyzeQuery(text, metrics);
+  expect(expandSweep(text, sweeps).map((run) => run.query)).toEqual([
+    "Average DE 5 Years < 40%",
+    "Average DE 5 Years < 60%",
+  ]);
+});
+
+test("the runs are laid out with the first sweep as columns", () => {
+  const sweeps = [{ values: [1, 2, 3] }, { values: [10, 20] }];
+  const runs = ["1/10", "1/20", "2/10", "2/20", "3/10", "3/20"];
+  expect(getSweepGrid(sweeps, runs)).toEqual({
+    columns: [1, 2, 3],
+    rows: [
+      { value: 10, runs: ["1/10", "2/10", "3/10"] },
+      { value: 20, runs: ["1/20", "2/20", "3/20"] },
+    ],
+  });
+  expect(getSweepGrid([{ values: [1, 2] }], ["1", "2"]).rows).toEqual([
+    { value: null, runs: ["1", "2"] },
+  ]);
+});
+
+test("measures are read for one holding period", () => {
+  const response = {
+    output: {
+      pfst: [
+        { nyears: 1, cagr_mean: "0.12" },
+        { nyears: 5, cagr_mean: "0.18", sharpe_ratio: null },
+      ],
+    },
+  };
+  expect(readSweepMeasure(response, "cagr_mean", 5)).toBe(0.18);
+  expect(readSweepMeasure(response, "sharpe_ratio", 5)).toBeNull();
+  expect(readSweepMeasure(response, "cagr_mean", 3)).toBeNull();
+  expect(readSweepMeasure(null, "cagr_mean", 1)).toBeNull();
+});
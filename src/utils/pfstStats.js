@@ -0,0 +1,26 @@
+/**
+ * Portfolio Statistics Utilities Module
+ * Reads the portfolio statistics of a run (pfst), one row per holding
+ * period. The results highlights, the robustness check and the query
+ * history all average them the same way, weighted by the number of years.
+ */
+
+/**
+ * Averages one statistic over the holding periods, weighted by the number
+ * of years
+ *
+ * @param {Array<Object>} [pfst] - Portfolio statistics per holding period
+ * @param {string} field - Statistic, e.g. "cagr_mean"
+ * @returns {number|null} Average, or null without statistics
+ */
+export const weightedAverage = (pfst, field) => {
+  if (!Array.isArray(pfst) || pfst.length === 0) return null;
+  let totalWeight = 0;
+  let total = 0;
+  pfst.forEach((stats) => {
+    const weight = Number(stats.nyears) || 0;
+    totalWeight += weight;
+    total += (parseFloat(stats[field]) || 0) * weight;
+  });
+  return totalWeight > 0 ? total / totalWeight : null;
+};
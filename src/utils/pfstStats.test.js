@@ -0,0 +1,12 @@
+import { weightedAverage } from "./pfstStats";
+
+test("statistics are averaged weighted by the holding period", () => {
+  const pfst = [
+    { nyears: 1, cagr_mean: "0.1" },
+    { nyears: 3, cagr_mean: "0.2" },
+  ];
+  expect(weightedAverage(pfst, "cagr_mean")).toBeCloseTo(0.175);
+  expect(weightedAverage([], "cagr_mean")).toBeNull();
+  expect(weightedAverage(undefined, "cagr_mean")).toBeNull();
+  expect(weightedAverage([{ cagr_mean: "0.1" }], "cagr_mean")).toBeNull();
+});
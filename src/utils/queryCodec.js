@@ -0,0 +1,559 @@
+/**
+ * Query Codec Module
+ * Converts between editor query text and the filter JSON sent to and
+ * stored by the backend. This is the only place that knows how a saved
+ * strategy is turned back into text.
+ *
+ * The backend stores filters in strat_name as an unquoted JS-like literal:
+ *   {filters: [{Data: {param: {name: Average DE, id: 0}, period: 5,
+ *     sign: lt, threshold: 200}}, {Data: {...}, Operator: AND}]}
+ * readFilterLiteral accepts that form as well as plain JSON. Bare values
+ * end at the next ",", so string values are sent through
+ * escapeLiteralStrings, and in either form a backslash keeps the next
+ * character: {excludeSectors: [Oil\, Gas & Consumable Fuels]}.
+ * A ranking clause is stored beside the filters:
+ *   {filters: [...], ranking: {method: score, factors: [{param: {...},
+ *     period: 5, weight: 0.5}, ...], order: desc, limit: 25}}
+ */
+
+import {
+  analyzeQuery,
+  buildFilters,
+  QueryParseError,
+  DEFAULT_CONSIS_PERIOD,
+  DEFAULT_CONSIS_WINDOW,
+  BETWEEN_SIGN,
+} from "./queryParser";
+import { resolveMetric } from "../config/metrics";
+
+/**
+ * Mapping of backend sign codes to comparison symbols
+ * @constant {Object.<string, string>}
+ */
+export const SIGN_SYMBOLS = {
+  gt: ">",
+  gte: ">=",
+  lt: "<",
+  lte: "<=",
+  eq: "=",
+  neq: "!=",
+};
+
+/**
+ * Applies a function to every string in a decoded value
+ * @param {*} value - Decoded value
+ * @param {Function} transform - Maps one string
+ * @returns {*} Copy with transformed strings
+ */
+const mapStrings = (value, transform) => {
+  if (typeof value === "string") return transform(value);
+  if (Array.isArray(value)) {
+    return value.map((item) => mapStrings(item, transform));
+  }
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [
+        key,
+        mapStrings(item, transform),
+      ])
+    );
+  }
+  return value;
+};
+
+/**
+ * Escapes every string value of execute data, so values such as sector
+ * and company names with commas survive the unquoted strat_name literal
+ * Backslashes, the characters ending a bare value, and an opening bracket
+ * or quote are escaped.
+ *
+ * @param {*} value - Execute data or a part of it
+ * @returns {*} Copy with escaped strings
+ */
+export const escapeLiteralStrings = (value) =>
+  mapStrings(value, (text) => text.replace(/[\\,}\]]|^[{["']/g, "\\$&"));
+
+/**
+ * Removes the escapes of escapeLiteralStrings from decoded JSON
+ * @param {*} value - Decoded value
+ * @returns {*} Copy with plain strings
+ */
+const unescapeLiteralStrings = (value) =>
+  mapStrings(value, (text) => text.replace(/\\(.)/g, "$1"));
+
+/**
+ * Reads a JS-like literal whose keys and string values may be unquoted
+ * Bare values run until the next unescaped ",", "}" or "]" and are
+ * trimmed; numeric-looking bare values become numbers.
+ *
+ * @param {string} source - Literal text
+ * @returns {*} Decoded value
+ * @throws {Error} When the literal is malformed
+ */
+const readLiteral = (source) => {
+  let pos = 0;
+
+  const skipSpace = () => {
+    while (/\s/.test(source[pos] || "")) pos += 1;
+  };
+
+  const fail = (message) => {
+    throw new Error(`${message} at position ${pos}`);
+  };
+
+  const readBare = (stops) => {
+    let result = "";
+    while (pos < source.length && !stops.includes(source[pos])) {
+      if (source[pos] === "\\" && pos + 1 < source.length) pos += 1;
+      result += source[pos];
+      pos += 1;
+    }
+    return result.trim();
+  };
+
+  const readQuoted = () => {
+    const quote = source[pos];
+    let result = "";
+    pos += 1;
+    while (pos < source.length && source[pos] !== quote) {
+      if (source[pos] === "\\") pos += 1;
+      result += source[pos];
+      pos += 1;
+    }
+    if (source[pos] !== quote) fail("Unterminated string");
+    pos += 1;
+    return result;
+  };
+
+  const readValue = () => {
+    skipSpace();
+    const char = source[pos];
+    if (char === "{") return readObject();
+    if (char === "[") return readArray();
+    if (char === '"' || char === "'") return readQuoted();
+    const bare = readBare([",", "}", "]"]);
+    if (bare === "") fail("Missing value");
+    if (/^-?(\d+(\.\d*)?|\.\d+)([eE][-+]?\d+)?$/.test(bare)) return Number(bare);
+    if (bare === "true" || bare === "false") return bare === "true";
+    if (bare === "null" || bare === "None") return null;
+    return bare;
+  };
+
+  const readObject = () => {
+    const result = {};
+    pos += 1;
+    skipSpace();
+    if (source[pos] === "}") {
+      pos += 1;
+      return result;
+    }
+    for (;;) {
+      skipSpace();
+      const key =
+        source[pos] === '"' || source[pos] === "'"
+          ? readQuoted()
+          : readBare([":"]);
+      skipSpace();
+      if (source[pos] !== ":") fail("Expected ':'");
+      pos += 1;
+      result[key] = readValue();
+      skipSpace();
+      if (source[pos] === ",") {
+        pos += 1;
+      } else if (source[pos] === "}") {
+        pos += 1;
+        return result;
+      } else {
+        fail("Expected ',' or '}'");
+      }
+    }
+  };
+
+  const readArray = () => {
+    const result = [];
+    pos += 1;
+    skipSpace();
+    if (source[pos] === "]") {
+      pos += 1;
+      return result;
+    }
+    for (;;) {
+      result.push(readValue());
+      skipSpace();
+      if (source[pos] === ",") {
+        pos += 1;
+      } else if (source[pos] === "]") {
+        pos += 1;
+        return result;
+      } else {
+        fail("Expected ',' or ']'");
+      }
+    }
+  };
+
+  const value = readValue();
+  skipSpace();
+  if (pos < source.length) fail("Unexpected trailing text");
+  return value;
+};
+
+/**
+ * Decodes stored filters from JSON, the unquoted strat_name literal or an
+ * already decoded object
+ *
+ * @param {string|Object} stored - Stored filter payload
+ * @returns {{filters: Array<Object>}} Filter payload
+ * @throws {Error} When the payload cannot be read
+ */
+export const readFilterLiteral = (stored) => {
+  if (stored && typeof stored === "object") return stored;
+  const text = String(stored || "").trim();
+  try {
+    return unescapeLiteralStrings(JSON.parse(text));
+  } catch (error) {
+    return readLiteral(text);
+  }
+};
+
+/**
+ * Works out the connector between each pair of siblings in a filter list
+ * Lists written by this client repeat one connector on every sibling.
+ * The backend omits Operator on the first filter and binds each Operator
+ * to the filter before it; older clients bound it to the filter after it.
+ *
+ * @param {Array<Object>} filters - Sibling filters
+ * @returns {Array<string>} Connector between filters[i] and filters[i + 1]
+ */
+const siblingConnectors = (filters) => {
+  const bindsToPrevious = !filters[0]?.Operator;
+  return filters.slice(1).map((filter, index) => {
+    const operator = bindsToPrevious
+      ? filter.Operator
+      : filters[index].Operator;
+    return (operator || "AND").toUpperCase();
+  });
+};
+
+/**
+ * Reads the consistency requirement of a stored condition
+ * Filters saved before consisWindow existed carry only consisPeriod;
+ * the default (all of the last 10 years) yields no modifier.
+ *
+ * @param {Object} data - Stored Data object
+ * @returns {{count: number, window: number}|null} Consistency or null
+ */
+const readConsistency = (data) => {
+  const count = Number(data.consisPeriod ?? DEFAULT_CONSIS_PERIOD);
+  const window = Number(data.consisWindow ?? DEFAULT_CONSIS_WINDOW);
+  if (count === DEFAULT_CONSIS_PERIOD && window === DEFAULT_CONSIS_WINDOW) {
+    return null;
+  }
+  return { count, window };
+};
+
+/**
+ * Resolves a stored param against the registry, keeping the stored name
+ * and id when the metric is unknown
+ *
+ * @param {{name: string, id: number}} param - Stored param object
+ * @returns {{id: number, name: string, unit?: string}} Node metric
+ */
+const toNodeMetric = (param) => {
+  const metric = resolveMetric(param);
+  return {
+    id: metric ? metric.id : param.id,
+    name: metric ? metric.name : param.name,
+    unit: metric?.unit,
+  };
+};
+
+/**
+ * Converts one stored filter into a tree node
+ * @param {Object} filter - Stored filter ({Data} or {Group}, optionally Not)
+ * @returns {Object} Condition, group or not node
+ * @throws {Error} When the filter has neither Data nor Group
+ */
+const filterToNode = (filter) => {
+  if (filter.Not === true || filter.Not === "true") {
+    return { type: "not", child: filterToNode({ ...filter, Not: false }) };
+  }
+  if (filter.Group) return filtersToTree(filter.Group.filters || []);
+  const data = filter.Data;
+  if (!data || !data.param) throw new Error("Filter has no Data");
+  const consistency = readConsistency(data);
+  const compareTo = data.compareParam && {
+    metric: toNodeMetric(data.compareParam),
+    period: Number(data.comparePeriod),
+  };
+  return {
+    type: "condition",
+    metric: toNodeMetric(data.param),
+    period: Number(data.period),
+    sign: data.sign,
+    ...(compareTo ? { compareTo } : { threshold: Number(data.threshold) }),
+    ...(data.upperThreshold !== undefined && {
+      upperThreshold: Number(data.upperThreshold),
+    }),
+    ...(consistency && { consistency }),
+  };
+};
+
+/**
+ * Rebuilds the ranking clause from its stored payload
+ * @param {Object} [stored] - Stored ranking
+ * @returns {Object|null} Ranking as returned by analyzeQuery, or null when
+ *   there is none or it cannot be read
+ */
+export const readRanking = (stored) => {
+  const factors = (stored?.factors || []).filter((factor) => factor?.param);
+  if (factors.length === 0) return null;
+  const toTerm = (factor) => ({
+    weight: Number(factor.weight ?? 1),
+    metric: toNodeMetric(factor.param),
+    period: Number(factor.period),
+  });
+  const limit = Number(stored.limit);
+  if (stored.method === "rank") {
+    const { metric, period } = toTerm(factors[0]);
+    const order = String(stored.order).toLowerCase() === "asc" ? "asc" : "desc";
+    return { type: "rank", metric, period, order, limit };
+  }
+  return { type: "score", terms: factors.map(toTerm), limit };
+};
+
+/**
+ * Rebuilds a condition tree from a stored filter list
+ * Mixed connectors are grouped with AND before OR, like the parser does
+ *
+ * @param {Array<Object>} filters - Stored filter list
+ * @returns {Object} Root node
+ * @throws {Error} When the list is empty
+ */
+export const filtersToTree = (filters) => {
+  if (!filters || filters.length === 0) throw new Error("No filters");
+  const nodes = filters.map(filterToNode);
+  const connectors = siblingConnectors(filters);
+
+  const orTerms = [[nodes[0]]];
+  connectors.forEach((connector, index) => {
+    if (connector === "OR") orTerms.push([]);
+    orTerms[orTerms.length - 1].push(nodes[index + 1]);
+  });
+
+  const andGroups = orTerms.map((term) =>
+    term.length === 1 ? term[0] : { type: "group", operator: "AND", children: term }
+  );
+  return andGroups.length === 1
+    ? andGroups[0]
+    : { type: "group", operator: "OR", children: andGroups };
+};
+
+/**
+ * Prints a number the way the parser reads it, without an exponent
+ * The digits are those of the shortest JS form, so nothing is lost.
+ *
+ * @param {number} value - Number
+ * @returns {string} Decimal text, e.g. "0.0000001" rather than "1e-7"
+ */
+export const formatNumber = (value) => {
+  const text = String(value);
+  const match = text.match(/^(-?)(\d)(?:\.(\d+))?e([-+]\d+)$/);
+  if (!match) return text;
+  const [, sign, head, tail = "", exponent] = match;
+  const digits = `${head}${tail}`;
+  const point = 1 + Number(exponent);
+  if (point <= 0) return `${sign}0.${"0".repeat(-point)}${digits}`;
+  return point >= digits.length
+    ? `${sign}${digits.padEnd(point, "0")}`
+    : `${sign}${digits.slice(0, point)}.${digits.slice(point)}`;
+};
+
+/**
+ * Prints a condition node
+ * @param {Object} node - Condition node
+ * @returns {string} Condition text
+ */
+const conditionToText = (node) => {
+  const comparison =
+    node.sign === BETWEEN_SIGN
+      ? `BETWEEN ${formatNumber(node.threshold)} AND ${formatNumber(
+          node.upperThreshold
+        )}`
+      : `${SIGN_SYMBOLS[node.sign] || node.sign} ${
+          node.compareTo
+            ? `${node.compareTo.metric.name} ${node.compareTo.period} Years`
+            : formatNumber(node.threshold)
+        }`;
+  const text = `${node.metric.name} ${node.period} Years ${comparison}`;
+  if (!node.consistency) return text;
+  const { count, window } = node.consistency;
+  return `${text} in ${count} of last ${window} years`;
+};
+
+/**
+ * Prints a tree node; connectors outside parentheses end their line
+ * Child groups are parenthesized unless they are AND groups inside an OR
+ * group, where precedence already groups them the same way. A negated
+ * group is always parenthesized.
+ *
+ * @param {Object} node - Tree node
+ * @param {boolean} topLevel - Whether the node is outside all parentheses
+ * @returns {string} Query text
+ */
+const nodeToText = (node, topLevel) => {
+  if (node.type === "not") {
+    return node.child.type === "group"
+      ? `NOT (${nodeToText(node.child, false)})`
+      : `NOT ${nodeToText(node.child, false)}`;
+  }
+  if (node.type !== "group") return conditionToText(node);
+  const separator = topLevel ? ` ${node.operator}\n` : ` ${node.operator} `;
+  return node.children
+    .map((child) => {
+      const needsParens =
+        child.type === "group" &&
+        !(child.operator === "AND" && node.operator === "OR");
+      const text = nodeToText(child, topLevel && !needsParens);
+      return needsParens ? `(${text})` : text;
+    })
+    .join(separator);
+};
+
+/**
+ * Prints one weighted SCORE term; a weight of 1 is left out
+ * @param {{weight: number, metric: Object, period: number}} term - Term
+ * @param {boolean} first - Whether the term opens the score
+ * @returns {string} Term text with its leading sign
+ */
+const scoreTermToText = ({ weight, metric, period }, first) => {
+  const size = Math.abs(weight);
+  const factor = `${size === 1 ? "" : `${formatNumber(size)}*`}${metric.name} ${period} Years`;
+  if (first) return weight < 0 ? `-${factor}` : factor;
+  return weight < 0 ? ` - ${factor}` : ` + ${factor}`;
+};
+
+/**
+ * Prints a ranking clause
+ * @param {Object} ranking - Ranking from analyzeQuery or readRanking
+ * @returns {string} Clause text, e.g. "RANK BY Average ROCE 5 Years DESC LIMIT 25"
+ */
+export const rankingToText = (ranking) => {
+  const body =
+    ranking.type === "rank"
+      ? `RANK BY ${ranking.metric.name} ${ranking.period} Years ${ranking.order.toUpperCase()}`
+      : `SCORE ${ranking.terms
+          .map((term, index) => scoreTermToText(term, index === 0))
+          .join("")}`;
+  return `${body} LIMIT ${ranking.limit}`;
+};
+
+/**
+ * Prints a condition tree as editor query text
+ * The ranking clause, if any, goes on its own last line
+ *
+ * @param {Object} tree - Root node
+ * @param {Object|null} [ranking] - Ranking clause
+ * @returns {string} Query text
+ */
+export const treeToText = (tree, ranking = null) => {
+  const text = nodeToText(tree, true);
+  return ranking ? `${text}\n${rankingToText(ranking)}` : text;
+};
+
+/**
+ * Converts editor query text into the execute payload
+ * @param {string} text - Query text
+ * @returns {{filters: Array<Object>, ranking?: Object}} Filter payload
+ * @throws {QueryParseError} When the text does not parse
+ */
+export const textToFilters = (text) => {
+  const { tree, ranking, diagnostics } = analyzeQuery(text);
+  if (diagnostics.length > 0) {
+    const [first] = diagnostics;
+    throw new QueryParseError(first.message, first.start, first.end);
+  }
+  return buildFilters(tree, ranking);
+};
+
+/**
+ * Converts a stored or freshly built filter payload into query text
+ * @param {string|Object} stored - Filter payload, JSON or strat_name literal
+ * @returns {string} Query text
+ * @throws {Error} When the payload cannot be read
+ */
+export const filtersToText = (stored) => {
+  const payload = readFilterLiteral(stored);
+  return treeToText(
+    filtersToTree(payload.filters),
+    readRanking(payload.ranking)
+  );
+};
+
+/**
+ * Reads the ranking clause a strategy was run with
+ * @param {string|Object} stored - strat_name literal or execute data
+ * @returns {Object|null} Ranking, or null for filter-only strategies and
+ *   anything that cannot be read
+ */
+export const readStoredRanking = (stored) => {
+  if (!stored) return null;
+  try {
+    return readRanking(readFilterLiteral(stored).ranking);
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Describes a ranking clause in words for the results pages
+ * @param {Object} ranking - Ranking
+ * @returns {string} e.g. "Top 25 by Average ROCE 5 Years (highest first)"
+ */
+export const describeRanking = (ranking) => {
+  if (ranking.type === "rank") {
+    const order = ranking.order === "asc" ? "lowest" : "highest";
+    return `Top ${ranking.limit} by ${ranking.metric.name} ${ranking.period} Years (${order} first)`;
+  }
+  const terms = ranking.terms
+    .map(({ weight, metric, period }) => `${weight} × ${metric.name} ${period} Years`)
+    .join(", ");
+  return `Top ${ranking.limit} by score of ${terms}`;
+};
+
+/**
+ * Returns display text for whatever a strategy record carries
+ * Filter payloads are decoded; anything else is assumed to already be
+ * query text and is returned unchanged
+ *
+ * @param {string|Object} value - strat_name, filter JSON or query text
+ * @param {string} [fallback="N/A"] - Text used when nothing can be shown
+ * @returns {string} Query text
+ */
+export const toQueryText = (value, fallback = "N/A") => {
+  if (!value) return fallback;
+  if (typeof value === "string" && !value.trim().startsWith("{")) {
+    return value;
+  }
+  try {
+    return filtersToText(value);
+  } catch (error) {
+    console.error("Error decoding query:", error);
+    return fallback;
+  }
+};
+
+/**
+ * Puts each top-level connector at the end of its own line, the layout the
+ * editor keeps while typing. The AND of a BETWEEN range stays inline.
+ *
+ * @param {string} input - Query text
+ * @returns {string} Reformatted query text
+ */
+export const breakLines = (input) =>
+  input
+    .replace(
+      /(?<!\bBETWEEN\s+-?(?:\d+(?:\.\d*)?|\.\d+)%?\s*)\b(AND|OR)\b(?!\n)/gi,
+      "$1\n"
+    )
+    .replace(/\n\s+/g, "\n")
+    .trim();
@@ -0,0 +1,125 @@
+import {
+  breakLines,
+  describeRanking,
+  filtersToText,
+  formatNumber,
+  readFilterLiteral,
+  readStoredRanking,
+  textToFilters,
+  toQueryText,
+} from "./queryCodec";
+
+const storedLiteral =
+  "{filters: [{Data: {param: {name: Average DE, id: 0}, period: 5, sign: lt, threshold: 200}}, " +
+  "{Data: {param: {name: Average ROCE, id: 1}, period: 5, sign: gte, threshold: 15}, Operator: AND}, " +
+  "{Data: {param: {name: NetSales CAGR, id: 7}, period: 5, sign: gte, threshold: 15}, Operator: AND}]}";
+
+test("reads the unquoted strat_name literal stored by the backend", () => {
+  const { filters } = readFilterLiteral(storedLiteral);
+  expect(filters).toHaveLength(3);
+  expect(filters[0].Data).toEqual({
+    param: { name: "Average DE", id: 0 },
+    period: 5,
+    sign: "lt",
+    threshold: 200,
+  });
+  expect(filters[2].Operator).toBe("AND");
+});
+
+test("prints stored filters with their periods", () => {
+  expect(filtersToText(storedLiteral)).toBe(
+    "Average DE 5 Years < 200 AND\nAverage ROCE 5 Years >= 15 AND\nNetSales CAGR 5 Years >= 15"
+  );
+});
+
+test("text and filter JSON round-trip losslessly", () => {
+  const text =
+    "Average DE 5 Years < 0.5 AND\n(Average ROCE 5 Years >= 15 OR PE (Trailing) 1 Years < 30) OR\nDE CAGR 3 Years < -5";
+  const filters = textToFilters(text);
+  expect(filtersToText(filters)).toBe(text);
+  expect(textToFilters(filtersToText(JSON.stringify(filters)))).toEqual(
+    filters
+  );
+});
+
+test("very small and large thresholds print without exponents", () => {
+  expect(formatNumber(1e-7)).toBe("0.0000001");
+  expect(formatNumber(-1.25e-8)).toBe("-0.0000000125");
+  expect(formatNumber(1.5e21)).toBe("1500000000000000000000");
+  expect(formatNumber(0.5)).toBe("0.5");
+
+  const text =
+    "Average ROCE 5 Years > 0.0000001 AND\nAverage DE 5 Years BETWEEN 0.00000001 AND 2";
+  expect(filtersToText(textToFilters(text))).toBe(text);
+});
+
+test("mixed connectors from older clients keep AND before OR", () => {
+  const legacy = {
+    filters: [
+      { Data: { param: { name: "Average DE", id: 1 }, period: 2, sign: "lt", threshold: 1 }, Operator: "OR" },
+      { Data: { param: { name: "Average ROE", id: 3 }, period: 3, sign: "gt", threshold: 20 }, Operator: "AND" },
+      { Data: { param: { name: "Average ROCE", id: 2 }, period: 4, sign: "gt", threshold: 15 }, Operator: "AND" },
+    ],
+  };
+  expect(filtersToText(legacy)).toBe(
+    "Average DE 2 Years < 1 OR\nAverage ROE 3 Years > 20 AND\nAverage ROCE 4 Years > 15"
+  );
+});
+
+test("plain text passes through and broken payloads fall back", () => {
+  expect(toQueryText("Average DE 5 Years < 1")).toBe("Average DE 5 Years < 1");
+  expect(toQueryText("{filters: [", "N/A")).toBe("N/A");
+  expect(toQueryText(undefined)).toBe("N/A");
+});
+
+test("consistency modifiers survive reopening a saved strategy", () => {
+  const text =
+    "Average ROCE 3 Years > 15 in 7 of last 10 years AND\nAverage DE 5 Years < 1";
+  const filters = textToFilters(text);
+  expect(filtersToText(filters)).toBe(text);
+  expect(
+    filtersToText(
+      "{filters: [{Data: {param: {name: Average ROE, id: 2}, period: 5, sign: gt, threshold: 18, consisPeriod: 6}}]}"
+    )
+  ).toBe("Average ROE 5 Years > 18 in 6 of last 10 years");
+  expect(filtersToText(textToFilters("Average ROE 5 Years > 18 CONSISTENT 6"))).toBe(
+    "Average ROE 5 Years > 18 in 6 of last 10 years"
+  );
+});
+
+test("BETWEEN, != and NOT print back to the same text", () => {
+  const text =
+    "Average DE 5 Years BETWEEN 0.2 AND 0.5 AND\nNOT (Average ROE 3 Years != 0 OR NOT PE (Trailing) 1 Years > 40)";
+  expect(filtersToText(textToFilters(text))).toBe(text);
+  expect(breakLines("Average DE 5 Years BETWEEN 1 AND 2 AND Average ROE 3 Years > 15")).toBe(
+    "Average DE 5 Years BETWEEN 1 AND 2 AND\nAverage ROE 3 Years > 15"
+  );
+});
+
+test("metric-versus-metric conditions are saved and displayed", () => {
+  const text = "PAT CAGR 5 Years > NetSales CAGR 5 Years AND\nAverage ROCE 5 Years >= Average ROE 5 Years";
+  expect(filtersToText(textToFilters(text))).toBe(text);
+  expect(
+    toQueryText(
+      "{filters: [{Data: {param: {name: Average ROCE, id: 1}, period: 3, sign: gt, compareParam: {name: Average ROE, id: 2}, comparePeriod: 5, consisPeriod: 10}}]}"
+    )
+  ).toBe("Average ROCE 3 Years > Average ROE 5 Years");
+});
+
+test("ranking clauses round-trip through the stored payload", () => {
+  const text =
+    "Average DE 5 Years < 0.5 AND\nAverage ROCE 5 Years >= 15\nSCORE 0.5*Average ROCE 5 Years - 0.5*PE (Trailing) 1 Years LIMIT 25";
+  const payload = textToFilters(text);
+  expect(payload.ranking.limit).toBe(25);
+  expect(filtersToText(payload)).toBe(text);
+  expect(
+    filtersToText(
+      "{filters: [{Data: {param: {name: Average DE, id: 0}, period: 5, sign: lt, threshold: 1}}], " +
+        "ranking: {method: rank, factors: [{param: {name: Average ROCE, id: 1}, period: 3, weight: 1}], order: asc, limit: 10}}"
+    )
+  ).toBe("Average DE 5 Years < 1\nRANK BY Average ROCE 3 Years ASC LIMIT 10");
+  expect(describeRanking(readStoredRanking(payload))).toBe(
+    "Top 25 by score of 0.5 × Average ROCE 5 Years, -0.5 × PE (Trailing) 1 Years"
+  );
+  expect(readStoredRanking(storedLiteral)).toBeNull();
+});
@@ -0,0 +1,485 @@
+/**
+ * Query Completion Module
+ * Suggests what can be typed at the cursor of the screener query editor.
+ * The text before the cursor is tokenized with the query tokenizer and run
+ * through a small state machine that follows the grammar in queryParser:
+ * at the start of a condition it offers metrics, after a metric periods and
+ * operators, after an operator typical values for that metric, and after a
+ * value the connectors, a closing parenthesis, consistency modifiers and
+ * the ranking clauses, which are then completed word by word.
+ */
+
+import { tokenize, SIGN_CODES } from "./queryParser";
+import {
+  METRICS,
+  ALL_PERIODS,
+  DEFAULT_PERIOD,
+  matchMetricPhrase,
+} from "../config/metrics";
+
+/**
+ * Kinds of completion items, used for grouping and icons
+ * @constant {Object.<string, string>}
+ */
+export const COMPLETION_KINDS = {
+  METRIC: "metric",
+  PERIOD: "period",
+  OPERATOR: "operator",
+  VALUE: "value",
+  CONNECTOR: "connector",
+  MODIFIER: "modifier",
+  RANKING: "ranking",
+};
+
+/**
+ * Consistency modifiers offered once a condition has its value
+ * @constant {Array<string>}
+ */
+const CONSISTENCY_MODIFIERS = [
+  "in 7 of last 10 years",
+  "in 4 of last 5 years",
+  "in 3 of last 3 years",
+  "CONSISTENT 7",
+];
+
+/**
+ * Numbers of stocks offered after LIMIT
+ * @constant {Array<number>}
+ */
+const LIMIT_SUGGESTIONS = [25, 10, 50];
+
+/**
+ * Most tokens a partly typed metric name can span
+ * @constant {number}
+ */
+const MAX_PHRASE_TOKENS = 6;
+
+/**
+ * States that expect a metric, with the state that follows the metric and
+ * the state field that holds it
+ * @constant {Object.<string, {next: string, field: string}>}
+ */
+const METRIC_STATES = {
+  operand: { next: "period", field: "metric" },
+  value: { next: "rightPeriod", field: "rightMetric" },
+  rankMetric: { next: "rankPeriod", field: "metric" },
+  scoreTerm: { next: "scorePeriod", field: "metric" },
+};
+
+/**
+ * Builds a completion item
+ * @param {string} kind - One of COMPLETION_KINDS
+ * @param {string} insert - Text inserted into the editor
+ * @param {string} [detail] - Secondary text shown next to the label
+ * @param {Object} [extra] - Additional fields (label, suffix, match, metric)
+ * @returns {Object} Completion item
+ */
+const item = (kind, insert, detail = "", extra = {}) => ({
+  kind,
+  insert,
+  label: insert,
+  detail,
+  suffix: " ",
+  match: [insert],
+  ...extra,
+});
+
+/**
+ * Metric items, optionally restricted to one unit
+ * @param {Array<Object>} metrics - Metric catalog
+ * @param {string} [unit] - Only offer metrics in this unit
+ * @returns {Array<Object>} Completion items
+ */
+const metricItems = (metrics, unit) =>
+  metrics
+    .filter((metric) => !unit || metric.unit === unit)
+    .map((metric) =>
+      item(COMPLETION_KINDS.METRIC, metric.name, metric.category || "", {
+        match: [metric.name, ...(metric.aliases || [])],
+        metric,
+      })
+    );
+
+/**
+ * Period items for a metric, its default period first
+ * @param {Object} metric - Metric definition
+ * @returns {Array<Object>} Completion items
+ */
+const periodItems = (metric) => {
+  const fallback = metric.defaultPeriod || DEFAULT_PERIOD;
+  const periods = metric.periods || ALL_PERIODS;
+  return [fallback, ...periods.filter((period) => period !== fallback)].map(
+    (period) =>
+      item(
+        COMPLETION_KINDS.PERIOD,
+        `${period} Years`,
+        period === fallback ? "default period" : "",
+        { match: [`${period} Years`, String(period)] }
+      )
+  );
+};
+
+/**
+ * Operator items, including BETWEEN
+ * @returns {Array<Object>} Completion items
+ */
+const operatorItems = () => [
+  ...Object.keys(SIGN_CODES).map((symbol) =>
+    item(COMPLETION_KINDS.OPERATOR, symbol)
+  ),
+  item(COMPLETION_KINDS.OPERATOR, "BETWEEN", "range, e.g. BETWEEN 10 AND 20"),
+];
+
+/**
+ * Typical value items for a metric, median first
+ * @param {Object} metric - Metric definition
+ * @returns {Array<Object>} Completion items
+ */
+const valueItems = (metric) => {
+  const typical = metric.typicalValues;
+  if (!typical) return [];
+  return [
+    item(COMPLETION_KINDS.VALUE, String(typical.median), "median"),
+    item(COMPLETION_KINDS.VALUE, String(typical.high), "top quartile"),
+    item(COMPLETION_KINDS.VALUE, String(typical.low), "bottom quartile"),
+  ];
+};
+
+/**
+ * Items that can follow a complete condition
+ * @param {number} depth - Number of open parentheses
+ * @returns {Array<Object>} Completion items
+ */
+const followItems = (depth) => [
+  item(COMPLETION_KINDS.CONNECTOR, "AND", "", { suffix: "\n" }),
+  item(COMPLETION_KINDS.CONNECTOR, "OR", "", { suffix: "\n" }),
+  ...(depth > 0
+    ? [item(COMPLETION_KINDS.CONNECTOR, ")", "close group")]
+    : []),
+  ...CONSISTENCY_MODIFIERS.map((modifier) =>
+    item(COMPLETION_KINDS.MODIFIER, modifier, "consistency")
+  ),
+  ...(depth === 0
+    ? [
+        item(COMPLETION_KINDS.RANKING, "RANK BY", "keep the top stocks by a metric"),
+        item(COMPLETION_KINDS.RANKING, "SCORE", "keep the top stocks by a weighted score"),
+      ]
+    : []),
+];
+
+/**
+ * Ranking keyword items
+ * @param {Array<string>} words - Keywords to offer
+ * @returns {Array<Object>} Completion items
+ */
+const rankingItems = (words) =>
+  words.map((word) =>
+    item(
+      COMPLETION_KINDS.RANKING,
+      word,
+      {
+        ASC: "lowest first",
+        DESC: "highest first",
+        LIMIT: "number of stocks to keep",
+        "+": "add a factor",
+        "-": "subtract a factor",
+      }[word] || ""
+    )
+  );
+
+/**
+ * Whether a token is a negative number, which starts the next SCORE term
+ * @param {Object} token - Token
+ * @returns {boolean} True for e.g. "-0.5"
+ */
+const isSignedNumber = (token) =>
+  token.type === "NUMBER" && token.value.startsWith("-");
+
+/**
+ * Resolves the metric phrase a state has collected, as the parser does
+ * A known name followed by no other word is the metric it names; any other
+ * phrase is matched loosely, and one that matches no metric is unknown.
+ *
+ * @param {Object} state - State with a phrase
+ * @param {Array<Object>} metrics - Metric catalog
+ * @returns {Object} State after the metric
+ */
+const resolvePhrase = (state, metrics) => {
+  const { from, words, metric } = state.phrase;
+  const resolved =
+    words.length === 1 && metric
+      ? metric
+      : matchMetricPhrase(words.join(" "), metrics)?.metric;
+  const settled = { ...state, phrase: null };
+  if (!resolved) return { ...settled, expect: "unknown" };
+  const { next, field } = METRIC_STATES[from];
+  return { ...settled, expect: next, [field]: resolved };
+};
+
+/**
+ * Advances the completion state by one token
+ * States name what is expected next; "unknown" waits for the next AND/OR.
+ * Where a metric is expected, the metric and the words after it are
+ * collected into a phrase, resolved once another token follows.
+ *
+ * @param {Object} state - Current state
+ * @param {Object} token - Next token
+ * @param {Array<Object>} metrics - Metric catalog
+ * @returns {Object} Next state
+ */
+const step = (state, token, metrics) => {
+  const { expect, depth, phrase } = state;
+  const to = (next, fields = {}) => ({ ...state, ...fields, expect: next });
+
+  if (phrase) {
+    if (token.type === "WORD") {
+      const words = [...phrase.words, token.value];
+      return { ...state, phrase: { ...phrase, words } };
+    }
+    return step(resolvePhrase(state, metrics), token, metrics);
+  }
+  if (METRIC_STATES[expect] && ["METRIC", "WORD"].includes(token.type)) {
+    const metric = token.type === "METRIC" ? token.value : null;
+    const word = metric ? token.text : token.value;
+    return { ...state, phrase: { from: expect, words: [word], metric } };
+  }
+
+  if (token.type === "RPAREN") return to("follow", { depth: Math.max(depth - 1, 0) });
+  if ((token.type === "AND" && expect !== "betweenAnd") || token.type === "OR") {
+    return to("operand", { metric: null });
+  }
+
+  switch (expect) {
+    case "operand":
+      if (token.type === "NOT") return state;
+      if (token.type === "LPAREN") return to("operand", { depth: depth + 1 });
+      break;
+    case "period":
+      if (token.type === "NUMBER") return to("years");
+      if (token.type === "COMPARATOR") return to("value");
+      if (token.type === "BETWEEN") return to("betweenLow");
+      break;
+    case "years":
+      if (token.type === "YEARS") return to("comparator");
+      break;
+    case "comparator":
+      if (token.type === "COMPARATOR") return to("value");
+      if (token.type === "BETWEEN") return to("betweenLow");
+      break;
+    case "value":
+      if (token.type === "NUMBER") return to("follow");
+      break;
+    case "rightPeriod":
+      if (token.type === "NUMBER") return to("rightYears");
+      return step(to("follow"), token, metrics);
+    case "rightYears":
+      if (token.type === "YEARS") return to("follow");
+      break;
+    case "betweenLow":
+      if (token.type === "NUMBER") return to("betweenAnd");
+      break;
+    case "betweenAnd":
+      if (token.type === "AND") return to("betweenHigh");
+      break;
+    case "betweenHigh":
+      if (token.type === "NUMBER") return to("follow");
+      break;
+    case "follow":
+      if (token.type === "IN") return to("modifier");
+      if (token.type === "CONSISTENT") return to("modifierCount");
+      if (token.type === "RANK") return to("rankBy");
+      if (token.type === "SCORE") return to("scoreTerm");
+      break;
+    case "modifier":
+      if (token.type === "YEARS") return to("follow");
+      return state;
+    case "modifierCount":
+      if (token.type === "NUMBER") return to("follow");
+      break;
+    case "rankBy":
+      if (token.type === "BY") return to("rankMetric");
+      break;
+    case "rankMetric":
+      break;
+    case "rankPeriod":
+      if (token.type === "NUMBER") return to("rankYears");
+      return step(to("rankOrder"), token, metrics);
+    case "rankYears":
+      if (token.type === "YEARS") return to("rankOrder");
+      break;
+    case "rankOrder":
+      if (token.type === "ASC" || token.type === "DESC") return to("limit");
+      if (token.type === "LIMIT") return to("limitCount");
+      break;
+    case "limit":
+      if (token.type === "LIMIT") return to("limitCount");
+      break;
+    case "limitCount":
+      if (token.type === "NUMBER") return to("done");
+      break;
+    case "scoreTerm":
+      if (["NUMBER", "STAR", "MINUS"].includes(token.type)) return state;
+      break;
+    case "scorePeriod":
+      if (token.type === "NUMBER" && !isSignedNumber(token)) {
+        return to("scoreYears");
+      }
+      return step(to("scoreNext"), token, metrics);
+    case "scoreYears":
+      if (token.type === "YEARS") return to("scoreNext");
+      break;
+    case "scoreNext":
+      if (["PLUS", "MINUS"].includes(token.type) || isSignedNumber(token)) {
+        return to("scoreTerm", { metric: null });
+      }
+      if (token.type === "LIMIT") return to("limitCount");
+      break;
+    default:
+      return state;
+  }
+  return to("unknown");
+};
+
+/**
+ * Lists the items offered in a state
+ * @param {Object} state - Completion state
+ * @param {Array<Object>} metrics - Metric catalog
+ * @returns {Array<Object>} Completion items
+ */
+const itemsFor = (state, metrics) => {
+  const { expect, metric, rightMetric, depth } = state;
+  switch (expect) {
+    case "operand":
+      return [
+        ...metricItems(metrics),
+        item(COMPLETION_KINDS.CONNECTOR, "(", "open group", { suffix: "" }),
+        item(COMPLETION_KINDS.OPERATOR, "NOT", "exclude matches"),
+      ];
+    case "period":
+      return [...operatorItems(), ...periodItems(metric)];
+    case "years":
+      return [item(COMPLETION_KINDS.PERIOD, "Years")];
+    case "comparator":
+      return operatorItems();
+    case "value":
+      return [...valueItems(metric), ...metricItems(metrics, metric.unit)];
+    case "rightPeriod":
+      return [...periodItems(rightMetric), ...followItems(depth)];
+    case "rightYears":
+      return [item(COMPLETION_KINDS.PERIOD, "Years")];
+    case "betweenLow":
+      return valueItems(metric).filter((value) => value.detail !== "top quartile");
+    case "betweenAnd":
+      return [item(COMPLETION_KINDS.CONNECTOR, "AND", "upper bound follows")];
+    case "betweenHigh":
+      return valueItems(metric).filter(
+        (value) => value.detail !== "bottom quartile"
+      );
+    case "follow":
+      return followItems(depth);
+    case "rankBy":
+      return rankingItems(["BY"]);
+    case "rankMetric":
+    case "scoreTerm":
+      return metricItems(metrics);
+    case "rankPeriod":
+      return [...periodItems(metric), ...rankingItems(["DESC", "ASC", "LIMIT"])];
+    case "rankYears":
+    case "scoreYears":
+      return [item(COMPLETION_KINDS.PERIOD, "Years")];
+    case "rankOrder":
+      return rankingItems(["DESC", "ASC", "LIMIT"]);
+    case "limit":
+      return rankingItems(["LIMIT"]);
+    case "limitCount":
+      return LIMIT_SUGGESTIONS.map((limit) =>
+        item(COMPLETION_KINDS.VALUE, String(limit), "stocks")
+      );
+    case "scorePeriod":
+      return [...periodItems(metric), ...rankingItems(["+", "-", "LIMIT"])];
+    case "scoreNext":
+      return rankingItems(["+", "-", "LIMIT"]);
+    default:
+      return [];
+  }
+};
+
+/**
+ * Finds completions for the cursor position
+ * The word being typed at the cursor (including a partly typed metric
+ * phrase of several words) is the filter and is replaced on insertion
+ *
+ * @param {string} text - Editor text
+ * @param {number} cursor - Cursor offset
+ * @param {Array<Object>} [metrics] - Metric catalog, defaults to the registry
+ * @returns {{from: number, to: number, items: Array<Object>}} Range to
+ *   replace and the matching items
+ */
+export const getCompletions = (text, cursor, metrics = METRICS) => {
+  const prefix = text.slice(0, cursor);
+  const tokens = tokenize(prefix, metrics);
+  let from = cursor;
+
+  const last = tokens[tokens.length - 1];
+  if (last && last.end === cursor) {
+    // A metric name may span several tokens, e.g. "PE (Tr" or "Average R"
+    const names = metrics.flatMap((metric) =>
+      [metric.name, ...(metric.aliases || [])].map((name) => name.toLowerCase())
+    );
+    const first = Math.max(tokens.length - MAX_PHRASE_TOKENS, 0);
+    const start = tokens.slice(first).findIndex(({ start: offset }) => {
+      const phrase = prefix.slice(offset).toLowerCase();
+      return !phrase.includes("\n") && names.some((name) => name.startsWith(phrase));
+    });
+    if (start !== -1) {
+      from = tokens[first + start].start;
+      tokens.splice(first + start);
+    } else if (
+      !["LPAREN", "RPAREN", "STAR", "PLUS", "MINUS"].includes(last.type)
+    ) {
+      // Otherwise the token touching the cursor is still being typed
+      from = tokens.pop().start;
+    }
+  }
+
+  const reached = tokens.reduce((state, token) => step(state, token, metrics), {
+    expect: "operand",
+    depth: 0,
+    metric: null,
+    phrase: null,
+  });
+  const state = reached.phrase ? resolvePhrase(reached, metrics) : reached;
+  const typed = text.slice(from, cursor).toLowerCase();
+  const items = itemsFor(state, metrics).filter(
+    (candidate) =>
+      !typed ||
+      candidate.match.some(
+        (phrase) =>
+          phrase.toLowerCase().startsWith(typed) &&
+          phrase.toLowerCase() !== typed
+      )
+  );
+
+  const rest = text.slice(cursor).match(/^[^\s()]*/)[0];
+  return { from, to: cursor + rest.length, items };
+};
+
+/**
+ * Inserts a completion item into the editor text
+ * @param {string} text - Editor text
+ * @param {{from: number, to: number}} range - Range returned by getCompletions
+ * @param {Object} completion - Chosen item
+ * @returns {{text: string, cursor: number}} New text and cursor offset
+ */
+export const applyCompletion = (text, range, completion) => {
+  const before = text.slice(0, range.from);
+  const after = text.slice(range.to);
+  const lead =
+    before && !/[\s(*-]$/.test(before) && completion.insert !== ")" ? " " : "";
+  const suffix = /^\s/.test(after) ? "" : completion.suffix;
+  const inserted = `${lead}${completion.insert}${suffix}`;
+  return {
+    text: `${before}${inserted}${after}`,
+    cursor: before.length + inserted.length,
+  };
+};
@@ -0,0 +1,76 @@
+import { getCompletions, applyCompletion } from "./queryCompletion";
+
+const labels = (text, cursor = text.length) =>
+  getCompletions(text, cursor).items.map((item) => item.label);
+
+test("suggestions follow the grammar at the end of the text", () => {
+  expect(labels("Average R")).toEqual(["Average ROCE", "Average ROE"]);
+  expect(labels("Average ROCE ")).toEqual(
+    expect.arrayContaining([">", ">=", "BETWEEN", "5 Years"])
+  );
+  expect(labels("Average ROCE 5 Years > ")).toEqual(
+    expect.arrayContaining(["14", "22", "8", "Average ROE", "ROE CAGR"])
+  );
+  expect(labels("Average ROCE 5 Years > ")).not.toContain("Average DE");
+  expect(labels("(Average ROCE 5 Years > 15 ")).toEqual(
+    expect.arrayContaining(["AND", "OR", ")", "in 7 of last 10 years"])
+  );
+  expect(labels("Average ROCE 5 Years > 15 ")).not.toContain(")");
+  expect(labels("Average DE 5 Years BETWEEN 0.1 ")).toEqual(["AND"]);
+});
+
+test("the cursor position decides the context, not the end of the text", () => {
+  const text = "Average DE 5 Years < 1 AND\nAverage ROE 3 Years > 15";
+  const cursor = text.indexOf("<");
+  expect(labels(text, cursor)).toEqual(expect.arrayContaining(["<", "BETWEEN"]));
+
+  const partial = "PE (Tr AND\nAverage ROE 3 Years > 15";
+  const range = getCompletions(partial, 6);
+  expect(range.items.map((item) => item.label)).toEqual(["PE (Trailing)"]);
+  const updated = applyCompletion(partial, range, range.items[0]);
+  expect(updated.text).toBe("PE (Trailing) AND\nAverage ROE 3 Years > 15");
+  expect(updated.cursor).toBe("PE (Trailing)".length);
+});
+
+test("connectors end their line when inserted", () => {
+  const text = "Average DE 5 Years < 1 ";
+  const range = getCompletions(text, text.length);
+  const and = range.items.find((item) => item.label === "AND");
+  expect(applyCompletion(text, range, and).text).toBe(
+    "Average DE 5 Years < 1 AND\n"
+  );
+});
+
+test("ranking clauses are offered after a condition and completed", () => {
+  expect(labels("Average DE 5 Years < 1 ")).toEqual(
+    expect.arrayContaining(["RANK BY", "SCORE"])
+  );
+  expect(labels("(Average DE 5 Years < 1 ")).not.toContain("RANK BY");
+  expect(labels("Average DE 5 Years < 1\nRANK BY ")).toContain("Average ROCE");
+  expect(labels("Average DE 5 Years < 1\nRANK BY Average ROCE 5 Years ")).toEqual(
+    ["DESC", "ASC", "LIMIT"]
+  );
+  expect(labels("Average DE 5 Years < 1\nRANK BY Average ROCE DESC LIMIT ")).toEqual(
+    ["25", "10", "50"]
+  );
+  expect(
+    labels("Average DE 5 Years < 1\nSCORE 0.5*Average ROCE 5 Years ")
+  ).toEqual(["+", "-", "LIMIT"]);
+  expect(
+    labels("Average DE 5 Years < 1\nSCORE 0.5*Average ROCE 5 Years + 0.5*-")
+  ).toContain("PE (Trailing)");
+});
+
+test("loose metric phrases are resolved before the next suggestion", () => {
+  expect(labels("return on capitl employed ")).toEqual(
+    expect.arrayContaining([">", "BETWEEN", "5 Years"])
+  );
+  expect(labels("Price to earning 1 Years < ")).toEqual(
+    expect.arrayContaining(["PE (Trailing)"])
+  );
+  expect(labels("Average DE 5 Years < 1\nRANK BY return on capitl employed ")).toEqual(
+    expect.arrayContaining(["DESC", "ASC", "LIMIT"])
+  );
+  expect(labels("Market capitalization ")).toEqual([]);
+  expect(labels("ROCE Avg ")).toEqual([]);
+});
@@ -0,0 +1,150 @@
+/**
+ * Query History Utilities Module
+ * Keeps a local history of executed screener queries in local storage,
+ * with their session ids, backtest settings, universes, run times, headline figures
+ * and, space permitting, the full results so a past run can be reopened
+ * offline.
+ * Like cached results, runs are kept with their scope, the API base URL and
+ * user (see resultCache), and only the runs of the current scope are shown,
+ * as their sessions and results belong to that backend and account.
+ * Changes are broadcast with a "queryHistoryChanged" window event.
+ */
+
+import { getResultCacheScope, isCurrentScope } from "./resultCache";
+import { weightedAverage } from "./pfstStats";
+
+/**
+ * Local storage key of the history list
+ * @constant {string}
+ */
+const STORAGE_KEY = "queryHistory";
+
+/**
+ * Number of runs kept; older runs are dropped first
+ * @constant {number}
+ */
+export const MAX_HISTORY_ENTRIES = 20;
+
+/**
+ * Number of most recent runs whose full results are stored
+ * @constant {number}
+ */
+const MAX_STORED_RESPONSES = 10;
+
+/**
+ * Headline figures of a run, averaged over the holding periods the way the
+ * results page computes its highlights
+ *
+ * @param {Array<Object>} pfst - Per-horizon statistics from the backend
+ * @returns {{cagr: number, risk: number}|null} Mean CAGR and downside
+ *   deviation as fractions, or null without data
+ */
+export const summarizePfst = (pfst) => {
+  const cagr = weightedAverage(pfst, "cagr_mean");
+  if (cagr === null) return null;
+  return { cagr, risk: weightedAverage(pfst, "cagr_dwn_std") };
+};
+
+/**
+ * Reads the stored runs of every scope, newest first
+ * @returns {Array<Object>} History entries
+ */
+const readAllEntries = () => {
+  try {
+    const entries = JSON.parse(localStorage.getItem(STORAGE_KEY) || "[]");
+    return Array.isArray(entries) ? entries : [];
+  } catch (error) {
+    console.error("Error reading query history:", error);
+    return [];
+  }
+};
+
+/**
+ * Reads the history of the current scope, newest first
+ * @returns {Array<Object>} History entries
+ */
+export const getQueryHistory = () =>
+  readAllEntries().filter((entry) => isCurrentScope(entry.scope));
+
+/**
+ * Writes the history of the current scope, keeping the runs of other
+ * scopes after it and dropping stored results of older runs until it fits
+ * Runs from before scoping are dropped.
+ *
+ * @param {Array<Object>} entries - History entries, newest first
+ */
+const writeQueryHistory = (entries) => {
+  const others = readAllEntries().filter(
+    (entry) => entry.scope && !isCurrentScope(entry.scope)
+  );
+  let pending = [...entries, ...others];
+  for (;;) {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(pending));
+      break;
+    } catch (error) {
+      const oldest = pending.map((entry) => !!entry.response).lastIndexOf(true);
+      if (oldest === -1) {
+        console.error("Error saving query history:", error);
+        break;
+      }
+      pending = pending.map((entry, index) =>
+        index === oldest ? { ...entry, response: null } : entry
+      );
+    }
+  }
+  window.dispatchEvent(new Event("queryHistoryChanged"));
+};
+
+/**
+ * Records an executed query
+ *
+ * @param {Object} run - Executed run
+ * @param {string} run.query - Query text as written in the editor
+ * @param {string} run.sessionId - Session identifier sent with the run
+ * @param {Object} [run.settings] - Backtest settings sent with the run
+ * @param {Object} [run.universe] - Universe constraints sent with the run
+ * @param {Object} [run.response] - Execute response ({ output: {pfst, ...} })
+ * @returns {Object} The stored entry
+ */
+export const addQueryHistoryEntry = ({
+  query,
+  sessionId,
+  settings,
+  universe,
+  response,
+}) => {
+  const entry = {
+    id: `${sessionId}-${Date.now()}`,
+    query,
+    sessionId,
+    scope: getResultCacheScope(),
+    settings: settings || null,
+    universe: universe || null,
+    executedAt: new Date().toISOString(),
+    summary: summarizePfst(response?.output?.pfst),
+    response: response?.output ? response : null,
+  };
+  const entries = [entry, ...getQueryHistory()]
+    .slice(0, MAX_HISTORY_ENTRIES)
+    .map((item, index) =>
+      index < MAX_STORED_RESPONSES ? item : { ...item, response: null }
+    );
+  writeQueryHistory(entries);
+  return entry;
+};
+
+/**
+ * Removes one run from the history
+ * @param {string} id - Entry id
+ */
+export const removeQueryHistoryEntry = (id) => {
+  writeQueryHistory(getQueryHistory().filter((entry) => entry.id !== id));
+};
+
+/**
+ * Removes every run of the current scope from the history
+ */
+export const clearQueryHistory = () => {
+  writeQueryHistory([]);
+};
@@ -0,0 +1,71 @@
+import {
+  summarizePfst,
+  addQueryHistoryEntry,
+  getQueryHistory,
+  removeQueryHistoryEntry,
+  MAX_HISTORY_ENTRIES,
+} from "./queryHistory";
+
+const response = {
+  status: "Success",
+  output: {
+    pfst: [
+      { nyears: "1", cagr_mean: "0.30", cagr_dwn_std: "0.10" },
+      { nyears: "3", cagr_mean: "0.10", cagr_dwn_std: "0.02" },
+    ],
+  },
+};
+
+beforeEach(() => localStorage.clear());
+
+test("headline CAGR and risk are weighted by horizon length", () => {
+  const summary = summarizePfst(response.output.pfst);
+  expect(summary.cagr).toBeCloseTo(0.15);
+  expect(summary.risk).toBeCloseTo(0.04);
+  expect(summarizePfst([])).toBeNull();
+});
+
+test("runs are kept newest first up to the limit", () => {
+  for (let run = 0; run < MAX_HISTORY_ENTRIES + 2; run++) {
+    addQueryHistoryEntry({ query: `Run ${run}`, sessionId: `s${run}`, response });
+  }
+  const entries = getQueryHistory();
+  expect(entries).toHaveLength(MAX_HISTORY_ENTRIES);
+  expect(entries[0]).toMatchObject({ query: `Run ${MAX_HISTORY_ENTRIES + 1}` });
+  expect(entries[0].response).toEqual(response);
+  expect(entries[entries.length - 1].response).toBeNull();
+  expect(entries[entries.length - 1].summary.cagr).toBeCloseTo(0.15);
+
+  removeQueryHistoryEntry(entries[0].id);
+  expect(getQueryHistory()).toHaveLength(MAX_HISTORY_ENTRIES - 1);
+});
+
+test("results are dropped before the run itself when storage is full", () => {
+  const setItem = Storage.prototype.setItem;
+  const spy = jest
+    .spyOn(Storage.prototype, "setItem")
+    .mockImplementation(function (key, value) {
+      if (value.includes("pfst")) throw new Error("QuotaExceededError");
+      return setItem.call(this, key, value);
+    });
+
+  addQueryHistoryEntry({ query: "Big run", sessionId: "s1", response });
+  spy.mockRestore();
+
+  const [entry] = getQueryHistory();
+  expect(entry).toMatchObject({ query: "Big run", sessionId: "s1", response: null });
+  expect(entry.summary.cagr).toBeCloseTo(0.15);
+});
+
+test("runs of another backend or user are kept but not shown", () => {
+  localStorage.setItem("userName", "a@example.com");
+  addQueryHistoryEntry({ query: "Run of A", sessionId: "a1", response });
+
+  localStorage.setItem("userName", "b@example.com");
+  expect(getQueryHistory()).toEqual([]);
+  addQueryHistoryEntry({ query: "Run of B", sessionId: "b1", response });
+  expect(getQueryHistory().map((entry) => entry.query)).toEqual(["Run of B"]);
+
+  localStorage.setItem("userName", "a@example.com");
+  expect(getQueryHistory().map((entry) => entry.query)).toEqual(["Run of A"]);
+});
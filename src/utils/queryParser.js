@@ -0,0 +1,1015 @@
+/**
+ * Query Parser Module
+ * Tokenizes and parses the screener query language into a condition tree
+ * and converts that tree into the filter payload for /strategy/execute
+ *
+ * Grammar (AND binds tighter than OR):
+ *   query     := orExpr [ ranking ]
+ *   orExpr    := andExpr ( OR andExpr )*
+ *   andExpr   := primary ( AND primary )*
+ *   primary   := NOT primary | "(" orExpr ")" | condition
+ *   condition := operand comparison [ consistency ]
+ *   operand   := METRIC [ PERIOD ( "Year" | "Years" ) ]
+ *   comparison := COMPARATOR ( NUMBER | operand )
+ *                | BETWEEN NUMBER AND NUMBER
+ *   consistency := IN COUNT OF [ LAST ] WINDOW ( "Year" | "Years" )
+ *                | CONSISTENT COUNT
+ *   ranking   := ( RANK BY operand [ ASC | DESC ]
+ *                | SCORE term ( ( "+" | "-" ) term )* ) LIMIT COUNT
+ *   term      := [ "-" ] [ NUMBER "*" ] [ "-" ] operand
+ *
+ * The consistency modifier asks for the condition to hold in COUNT of the
+ * last WINDOW years ("in 7 of 10 years"); CONSISTENT 7 is short for
+ * "in 7 of 10 years". Without it the condition must hold in all of the
+ * last 10 years.
+ *
+ * Metrics may be written by name or alias ("ROCE", "P/E", "return on
+ * capital employed"); other phrases are matched loosely, tolerating case,
+ * punctuation, plurals and small typos. The period may be left out
+ * ("P/E < 15"), in which case the metric's default period applies.
+ *
+ * The right-hand side of a comparison may be another metric with its own
+ * period ("PAT CAGR 5 Years > NetSales CAGR 5 Years"); both sides must be
+ * in the same unit.
+ *
+ * The AND inside BETWEEN belongs to the range and never combines
+ * conditions. NOT binds tightest: "NOT A AND B" negates only A.
+ *
+ * The optional ranking clause ends the query and keeps the COUNT stocks
+ * that rank best among those passing the conditions: RANK BY orders them by
+ * one metric (highest first unless ASC), SCORE by a weighted sum of metrics
+ * ("SCORE 0.5*ROCE + 0.5*-PE"), highest first.
+ *
+ * A dangling AND/OR at the very end of the conditions is ignored, since the
+ * editor inserts a line break after each connector as it is typed.
+ *
+ * Numbers may be signed decimals with an optional "%" suffix. Percent
+ * metrics (returns, growth rates) are already expressed in percentage
+ * points, so "22" and "22%" are the same threshold. Ratio and multiple
+ * metrics (DE, PE, Price / CFO) take plain numbers, and "%" divides by
+ * 100, so "Average DE 5 Years < 50%" is the same as "< 0.5".
+ *
+ * For a parameter sweep the threshold or period of up to MAX_SWEEP_RANGES
+ * conditions may be a range, "{FROM..TO step STEP}" (step 1 when left
+ * out), e.g. "Average ROCE 5 Years > {10..25 step 5}". The tree then holds
+ * the first value of each range and analyzeQuery lists the ranges as
+ * sweeps; ranges anywhere else are reported as errors.
+ */
+
+import {
+  ALL_PERIODS,
+  DEFAULT_PERIOD,
+  METRICS,
+  matchMetricPhrase,
+} from "../config/metrics";
+
+/**
+ * Mapping of comparison symbols to the sign codes understood by the backend
+ * @constant {Object.<string, string>}
+ */
+export const SIGN_CODES = {
+  ">": "gt",
+  ">=": "gte",
+  "<": "lt",
+  "<=": "lte",
+  "=": "eq",
+  "!=": "neq",
+};
+
+/**
+ * Sign code of a BETWEEN range; the bounds are threshold and upperThreshold
+ * @constant {string}
+ */
+export const BETWEEN_SIGN = "between";
+
+/**
+ * Default number of years a condition must hold (consisPeriod)
+ * @constant {number}
+ */
+export const DEFAULT_CONSIS_PERIOD = 10;
+
+/**
+ * Default and largest consistency window in years (consisWindow)
+ * @constant {number}
+ */
+export const DEFAULT_CONSIS_WINDOW = 10;
+
+/**
+ * Largest number of stocks a ranking may keep
+ * @constant {number}
+ */
+export const MAX_RANK_LIMIT = 500;
+
+/**
+ * Largest number of ranges a sweep may have
+ * @constant {number}
+ */
+export const MAX_SWEEP_RANGES = 2;
+
+/**
+ * Largest number of runs a sweep may expand into
+ * @constant {number}
+ */
+export const MAX_SWEEP_RUNS = 50;
+
+/**
+ * Pattern of a sweep range, "{FROM..TO}" or "{FROM..TO step STEP}"
+ * @constant {RegExp}
+ */
+const RANGE_PATTERN =
+  /^\{\s*(-?(?:\d+(?:\.\d*)?|\.\d+))\s*\.\.\s*(-?(?:\d+(?:\.\d*)?|\.\d+))(?:\s+step\s+(\d+(?:\.\d*)?|\.\d+))?\s*\}(%?)/i;
+
+/**
+ * Lists the values of a sweep range, both ends included
+ * Steps are rounded so "{0.1..0.3 step 0.1}" gives 0.1, 0.2 and 0.3
+ *
+ * @param {{from: number, to: number, step: number}} range - Range
+ * @returns {Array<number>} Values, empty when the range is not well formed
+ */
+export const getRangeValues = ({ from, to, step }) => {
+  if (!(step > 0) || from > to) return [];
+  const count = Math.floor(parseFloat(((to - from) / step).toPrecision(12)));
+  return Array.from({ length: count + 1 }, (_, i) =>
+    parseFloat((from + i * step).toPrecision(12))
+  );
+};
+
+/**
+ * Converts a written value into the threshold sent to the backend
+ *
+ * @param {number} value - Numeric part of the value
+ * @param {boolean} percent - Whether the value carried a "%" suffix
+ * @param {{unit?: string}} metric - Metric the value is compared against
+ * @returns {number} Threshold in the metric's native unit
+ */
+export const toThreshold = (value, percent, metric) => {
+  if (!percent || metric.unit === "percent") return value;
+  return parseFloat((value / 100).toPrecision(12));
+};
+
+/**
+ * Error raised when a query cannot be tokenized or parsed
+ * Carries the character offsets of the offending text
+ */
+export class QueryParseError extends Error {
+  /**
+   * @param {string} message - Human readable description of the problem
+   * @param {number} start - Offset of the first offending character
+   * @param {number} end - Offset just past the last offending character
+   */
+  constructor(message, start, end) {
+    super(message);
+    this.name = "QueryParseError";
+    this.start = start;
+    this.end = end;
+  }
+}
+
+/**
+ * Words that introduce or continue a consistency modifier
+ * @constant {Array<string>}
+ */
+const CONSISTENCY_KEYWORDS = ["IN", "OF", "LAST", "CONSISTENT"];
+
+/**
+ * Words that introduce or continue a ranking clause
+ * @constant {Array<string>}
+ */
+const RANKING_KEYWORDS = ["RANK", "BY", "ASC", "DESC", "LIMIT", "SCORE"];
+
+/**
+ * Token types that start a ranking clause
+ * @constant {Array<string>}
+ */
+const RANKING_TOKENS = ["RANK", "SCORE"];
+
+/**
+ * Token types of the arithmetic symbols used in SCORE weights
+ * @constant {Object.<string, string>}
+ */
+const ARITHMETIC_TOKENS = { "*": "STAR", "+": "PLUS", "-": "MINUS" };
+
+const isWordChar = (char) => !!char && /[A-Za-z0-9_]/.test(char);
+
+/**
+ * Finds the metric name or alias that starts at the given offset
+ *
+ * @param {Array<{metric: Object, name: string}>} names - Names and aliases,
+ *   lower-cased and ordered longest first
+ * @param {string} text - Raw query text
+ * @param {string} lowerText - Lower-cased query text
+ * @param {number} pos - Offset to match at
+ * @returns {{metric: Object, name: string}|undefined} Matching entry
+ */
+const matchMetric = (names, text, lowerText, pos) =>
+  names.find(
+    ({ name }) =>
+      lowerText.startsWith(name, pos) &&
+      !(isWordChar(name[0]) && isWordChar(text[pos - 1])) &&
+      !(isWordChar(name[name.length - 1]) &&
+        isWordChar(text[pos + name.length]))
+  );
+
+/**
+ * Splits query text into tokens
+ * Metric names and aliases are matched first (longest wins) because
+ * several of them contain spaces, slashes or parentheses, e.g.
+ * "PE (1 Yr Forward)" or "P/E"
+ *
+ * @param {string} text - Raw query text
+ * @param {Array<{id: number, name: string, unit?: string}>} metrics - Metric catalog
+ * @returns {Array<Object>} Tokens with type, value, start and end offsets;
+ *   characters that start no token become INVALID tokens
+ */
+export const tokenize = (text, metrics) => {
+  const names = metrics
+    .flatMap((metric) =>
+      [metric.name, ...(metric.aliases || [])].map((name) => ({
+        metric,
+        name: name.toLowerCase(),
+      }))
+    )
+    .sort((a, b) => b.name.length - a.name.length);
+  const lowerText = text.toLowerCase();
+  const tokens = [];
+  let pos = 0;
+
+  while (pos < text.length) {
+    const char = text[pos];
+
+    if (/\s/.test(char)) {
+      pos += 1;
+      continue;
+    }
+
+    const match = matchMetric(names, text, lowerText, pos);
+    if (match) {
+      const end = pos + match.name.length;
+      tokens.push({
+        type: "METRIC",
+        value: match.metric,
+        text: text.slice(pos, end),
+        start: pos,
+        end,
+      });
+      pos = end;
+      continue;
+    }
+
+    if (char === "(" || char === ")") {
+      tokens.push({
+        type: char === "(" ? "LPAREN" : "RPAREN",
+        value: char,
+        start: pos,
+        end: pos + 1,
+      });
+      pos += 1;
+      continue;
+    }
+
+    const comparator = text.slice(pos).match(/^(>=|<=|!=|>|<|=)/);
+    if (comparator) {
+      tokens.push({
+        type: "COMPARATOR",
+        value: comparator[1],
+        start: pos,
+        end: pos + comparator[1].length,
+      });
+      pos += comparator[1].length;
+      continue;
+    }
+
+    // A range stands wherever a number may and reads as its first value
+    const range = text.slice(pos).match(RANGE_PATTERN);
+    if (range) {
+      const from = Number(range[1]);
+      tokens.push({
+        type: "NUMBER",
+        value: range[0],
+        number: from,
+        percent: range[4] === "%",
+        range: { from, to: Number(range[2]), step: Number(range[3] || 1) },
+        start: pos,
+        end: pos + range[0].length,
+      });
+      pos += range[0].length;
+      continue;
+    }
+
+    const number = text.slice(pos).match(/^(-?(?:\d+(?:\.\d*)?|\.\d+))(%?)/);
+    if (number) {
+      tokens.push({
+        type: "NUMBER",
+        value: number[0],
+        number: Number(number[1]),
+        percent: number[2] === "%",
+        start: pos,
+        end: pos + number[0].length,
+      });
+      pos += number[0].length;
+      continue;
+    }
+
+    if (ARITHMETIC_TOKENS[char]) {
+      tokens.push({
+        type: ARITHMETIC_TOKENS[char],
+        value: char,
+        start: pos,
+        end: pos + 1,
+      });
+      pos += 1;
+      continue;
+    }
+
+    const word = text.slice(pos).match(/^[A-Za-z_][A-Za-z0-9_]*/);
+    if (word) {
+      const upper = word[0].toUpperCase();
+      let type = "WORD";
+      if (upper === "AND" || upper === "OR") type = upper;
+      else if (upper === "YEAR" || upper === "YEARS") type = "YEARS";
+      else if (upper === "NOT" || upper === "BETWEEN") type = upper;
+      else if (CONSISTENCY_KEYWORDS.includes(upper)) type = upper;
+      else if (RANKING_KEYWORDS.includes(upper)) type = upper;
+      tokens.push({
+        type,
+        value: word[0],
+        start: pos,
+        end: pos + word[0].length,
+      });
+      pos += word[0].length;
+      continue;
+    }
+
+    tokens.push({ type: "INVALID", value: char, start: pos, end: pos + 1 });
+    pos += 1;
+  }
+
+  return tokens;
+};
+
+/**
+ * Token types that can end a condition, used to resynchronize after errors
+ * @constant {Array<string>}
+ */
+const BOUNDARY_TOKENS = ["AND", "OR", "RPAREN", ...RANKING_TOKENS];
+
+/**
+ * Describes a token for use in diagnostic messages
+ * @param {Object} token - Token to describe
+ * @returns {string} Quoted token text
+ */
+const describe = (token) => `'${token.value.name || token.value}'`;
+
+/**
+ * Recursive descent parser over a token list
+ * Produces condition, NOT and AND/OR group nodes, and the ranking clause
+ * separately. Errors are recorded as diagnostics and the parser skips ahead
+ * to the next AND, OR, closing parenthesis or ranking clause, so one bad
+ * condition does not hide problems in the others.
+ */
+class Parser {
+  constructor(tokens, text, metrics) {
+    this.tokens = tokens;
+    this.index = 0;
+    this.text = text;
+    this.textLength = text.length;
+    this.metrics = metrics;
+    this.diagnostics = [];
+    this.resolutions = [];
+    this.rankings = [];
+    this.sweeps = [];
+    this.placedRanges = new Set();
+  }
+
+  peek() {
+    return this.tokens[this.index];
+  }
+
+  next() {
+    const token = this.tokens[this.index];
+    this.index += 1;
+    return token;
+  }
+
+  report(message, start, end) {
+    this.diagnostics.push(new QueryParseError(message, start, end));
+  }
+
+  fail(message, token) {
+    if (token) throw new QueryParseError(message, token.start, token.end);
+    throw new QueryParseError(message, this.textLength, this.textLength);
+  }
+
+  expect(type, message) {
+    const token = this.peek();
+    if (token?.type === "INVALID") {
+      this.fail(`unexpected character ${describe(token)}`, token);
+    }
+    if (!token || token.type !== type) this.fail(message, token);
+    return this.next();
+  }
+
+  synchronize() {
+    while (this.peek() && !BOUNDARY_TOKENS.includes(this.peek().type)) {
+      this.next();
+    }
+  }
+
+  parseQuery() {
+    if (this.tokens.length === 0) {
+      this.report("query is empty", 0, this.textLength);
+      return null;
+    }
+    const node = this.parseOr();
+    while (this.peek()) {
+      const extra = this.peek();
+      if (RANKING_TOKENS.includes(extra.type)) {
+        if (this.rankings.length > 0) {
+          this.report(
+            "only one RANK BY or SCORE clause is allowed",
+            extra.start,
+            extra.end
+          );
+        }
+        this.parseRanking();
+        continue;
+      }
+      this.next();
+      if (extra.type !== "RPAREN") {
+        // Only the end of a ranking clause stops short of these
+        const last = this.tokens[this.tokens.length - 1];
+        this.report("the ranking clause must end the query", extra.start, last.end);
+        this.index = this.tokens.length;
+        break;
+      }
+      this.report("unmatched closing parenthesis", extra.start, extra.end);
+      while (["AND", "OR"].includes(this.peek()?.type)) this.next();
+      if (this.peek() && !BOUNDARY_TOKENS.includes(this.peek().type)) {
+        this.parseOr();
+      }
+    }
+    return node;
+  }
+
+  parseBinary(operator, parseOperand) {
+    const children = [parseOperand()];
+    for (;;) {
+      const token = this.peek();
+      if (token?.type === operator) {
+        this.next();
+        // A trailing connector at the end of the conditions is ignored
+        if (!this.peek() || RANKING_TOKENS.includes(this.peek().type)) break;
+        children.push(parseOperand());
+      } else if (
+        operator === "AND" &&
+        token &&
+        !BOUNDARY_TOKENS.includes(token.type)
+      ) {
+        this.report(
+          `missing AND/OR before ${describe(token)}`,
+          token.start,
+          token.end
+        );
+        children.push(parseOperand());
+      } else {
+        break;
+      }
+    }
+    return children.length === 1
+      ? children[0]
+      : { type: "group", operator, children };
+  }
+
+  parseOr() {
+    return this.parseBinary("OR", () => this.parseAnd());
+  }
+
+  parseAnd() {
+    return this.parseBinary("AND", () => this.parsePrimary());
+  }
+
+  parsePrimary() {
+    const token = this.peek();
+    if (token?.type === "NOT") {
+      this.next();
+      const operand = this.parsePrimary();
+      // NOT NOT x is just x
+      return operand.type === "not"
+        ? operand.child
+        : { type: "not", child: operand };
+    }
+    if (token?.type === "LPAREN") {
+      this.next();
+      const node = this.parseOr();
+      if (this.peek()?.type === "RPAREN") {
+        this.next();
+      } else {
+        this.report("missing closing parenthesis", token.start, token.end);
+      }
+      return node;
+    }
+    try {
+      return this.parseCondition();
+    } catch (error) {
+      if (!(error instanceof QueryParseError)) throw error;
+      this.diagnostics.push(error);
+      this.synchronize();
+      return { type: "invalid" };
+    }
+  }
+
+  parseMetric() {
+    const token = this.peek();
+    // Words left after a known name, as in "ROCE Avg", make the whole
+    // phrase another metric rather than a missing operator
+    const extended =
+      token?.type === "METRIC" &&
+      this.tokens[this.index + 1]?.type === "WORD";
+    if (token?.type === "WORD" || extended) {
+      // Join adjacent unknown words into one phrase and match it loosely
+      const first = token;
+      let last = this.next();
+      while (this.peek()?.type === "WORD") last = this.next();
+      const phrase = this.text.slice(first.start, last.end);
+      const match = matchMetricPhrase(phrase, this.metrics);
+      if (!match) {
+        this.fail(`unknown metric '${phrase.replace(/\s+/g, " ")}'`, {
+          start: first.start,
+          end: last.end,
+        });
+      }
+      return {
+        type: "METRIC",
+        value: match.metric,
+        text: phrase,
+        fuzzy: match.fuzzy,
+        start: first.start,
+        end: last.end,
+      };
+    }
+    if (!token || BOUNDARY_TOKENS.includes(token.type)) {
+      this.fail("missing condition", token);
+    }
+    return this.expect("METRIC", `expected a metric name, found ${describe(token)}`);
+  }
+
+  parseOperand(sweepable = false) {
+    const metricToken = this.parseMetric();
+    const metric = {
+      id: metricToken.value.id,
+      name: metricToken.value.name,
+      unit: metricToken.value.unit,
+    };
+    // A signed number is never a period; in a SCORE it starts the next term
+    if (this.peek()?.type !== "NUMBER" || this.peek().value.startsWith("-")) {
+      const period = metricToken.value.defaultPeriod || DEFAULT_PERIOD;
+      this.resolve(metricToken, metric, period, true);
+      return { metric, period, start: metricToken.start, end: metricToken.end };
+    }
+    const periodToken = this.expect(
+      "NUMBER",
+      `missing period after '${metricToken.value.name}'`
+    );
+    const period = periodToken.number;
+    const periods = metricToken.value.periods || ALL_PERIODS;
+    const values =
+      sweepable && periodToken.range
+        ? this.sweep(periodToken, "period", metric)
+        : [period];
+    if (
+      periodToken.percent ||
+      values.some((value) => !periods.includes(value))
+    ) {
+      this.fail(
+        `period must be ${Math.min(...periods)}–${Math.max(...periods)}`,
+        periodToken
+      );
+    }
+    const yearsToken = this.expect("YEARS", "missing 'Years' after the period");
+    this.resolve(metricToken, metric, period, false);
+    return {
+      metric,
+      period,
+      start: metricToken.start,
+      end: yearsToken.end,
+    };
+  }
+
+  resolve(metricToken, metric, period, defaultPeriod) {
+    this.resolutions.push({
+      phrase: metricToken.text,
+      metric,
+      period,
+      defaultPeriod,
+      fuzzy: !!metricToken.fuzzy,
+      start: metricToken.start,
+      end: metricToken.end,
+    });
+  }
+
+  // Records a range written in place of a threshold or period
+  sweep(token, kind, metric) {
+    this.placedRanges.add(token);
+    const { from, to, step } = token.range;
+    if (from > to) this.fail("range start is greater than its end", token);
+    const values = getRangeValues(token.range);
+    if (values.length === 0) this.fail("range step must be positive", token);
+    if (values.length < 2) {
+      this.fail("range must have at least two values", token);
+    }
+    this.sweeps.push({
+      kind,
+      metric,
+      values,
+      percent: token.percent,
+      step,
+      token,
+      start: token.start,
+      end: token.end,
+    });
+    return values;
+  }
+
+  parseCondition() {
+    const operand = this.parseOperand(true);
+    const comparison = this.parseComparison(operand.metric);
+    const modifier = this.parseConsistency();
+
+    return {
+      type: "condition",
+      metric: operand.metric,
+      period: operand.period,
+      sign: comparison.sign,
+      ...(comparison.compareTo
+        ? { compareTo: comparison.compareTo }
+        : { threshold: comparison.threshold }),
+      ...(comparison.upperThreshold !== undefined && {
+        upperThreshold: comparison.upperThreshold,
+      }),
+      ...(modifier && {
+        consistency: { count: modifier.count, window: modifier.window },
+      }),
+      start: operand.start,
+      end: modifier ? modifier.end : comparison.end,
+    };
+  }
+
+  parseComparison(metric) {
+    const between = this.peek();
+    if (between?.type !== "BETWEEN") {
+      const comparator = this.expect("COMPARATOR", "missing operator");
+      if (["METRIC", "WORD"].includes(this.peek()?.type)) {
+        const other = this.parseOperand();
+        if (other.metric.unit !== metric.unit) {
+          this.fail(
+            `cannot compare '${metric.name}' (${metric.unit}) with '${other.metric.name}' (${other.metric.unit})`,
+            other
+          );
+        }
+        return {
+          sign: SIGN_CODES[comparator.value],
+          compareTo: { metric: other.metric, period: other.period },
+          end: other.end,
+        };
+      }
+      const valueToken = this.expect("NUMBER", "missing value");
+      if (valueToken.range) this.sweep(valueToken, "threshold", metric);
+      return {
+        sign: SIGN_CODES[comparator.value],
+        threshold: toThreshold(valueToken.number, valueToken.percent, metric),
+        end: valueToken.end,
+      };
+    }
+    this.next();
+    const lowToken = this.expect("NUMBER", "missing lower bound after BETWEEN");
+    this.expect("AND", "missing AND between the bounds");
+    const highToken = this.expect("NUMBER", "missing upper bound after AND");
+    const low = toThreshold(lowToken.number, lowToken.percent, metric);
+    const high = toThreshold(highToken.number, highToken.percent, metric);
+    if (low > high) {
+      this.fail("lower bound is greater than upper bound", {
+        start: lowToken.start,
+        end: highToken.end,
+      });
+    }
+    return {
+      sign: BETWEEN_SIGN,
+      threshold: low,
+      upperThreshold: high,
+      end: highToken.end,
+    };
+  }
+
+  parseConsistency() {
+    const keyword = this.peek();
+    if (keyword?.type !== "IN" && keyword?.type !== "CONSISTENT") {
+      return null;
+    }
+    this.next();
+    const countToken = this.expect(
+      "NUMBER",
+      `missing number of years after '${keyword.value}'`
+    );
+    let windowToken = null;
+    let end = countToken.end;
+    if (keyword.type === "IN") {
+      this.expect("OF", "missing 'of' in 'in N of M years'");
+      if (this.peek()?.type === "LAST") this.next();
+      windowToken = this.expect("NUMBER", "missing number of years after 'of'");
+      end = this.expect("YEARS", "missing 'years' after the window").end;
+    }
+
+    const window = windowToken ? windowToken.number : DEFAULT_CONSIS_WINDOW;
+    if (
+      windowToken &&
+      (windowToken.percent ||
+        !Number.isInteger(window) ||
+        window < 1 ||
+        window > DEFAULT_CONSIS_WINDOW)
+    ) {
+      this.fail(
+        `consistency window must be 1–${DEFAULT_CONSIS_WINDOW} years`,
+        windowToken
+      );
+    }
+    const count = countToken.number;
+    if (
+      countToken.percent ||
+      !Number.isInteger(count) ||
+      count < 1 ||
+      count > window
+    ) {
+      this.fail(`consistency must be 1–${window} years`, countToken);
+    }
+    return { count, window, end };
+  }
+
+  parseRanking() {
+    const keyword = this.next();
+    try {
+      const ranking =
+        keyword.type === "RANK" ? this.parseRankBy() : this.parseScore();
+      this.expect("LIMIT", `missing LIMIT after ${keyword.value}`);
+      const limitToken = this.expect(
+        "NUMBER",
+        "missing number of stocks after LIMIT"
+      );
+      const limit = limitToken.number;
+      if (
+        limitToken.percent ||
+        !Number.isInteger(limit) ||
+        limit < 1 ||
+        limit > MAX_RANK_LIMIT
+      ) {
+        this.fail(`LIMIT must be 1–${MAX_RANK_LIMIT} stocks`, limitToken);
+      }
+      this.rankings.push({
+        ...ranking,
+        limit,
+        start: keyword.start,
+        end: limitToken.end,
+      });
+    } catch (error) {
+      if (!(error instanceof QueryParseError)) throw error;
+      this.diagnostics.push(error);
+      while (this.peek() && !RANKING_TOKENS.includes(this.peek().type)) {
+        this.next();
+      }
+    }
+  }
+
+  parseRankBy() {
+    this.expect("BY", "missing BY after RANK");
+    const operand = this.parseOperand();
+    const order = ["ASC", "DESC"].includes(this.peek()?.type)
+      ? this.next().type.toLowerCase()
+      : "desc";
+    return {
+      type: "rank",
+      metric: operand.metric,
+      period: operand.period,
+      order,
+    };
+  }
+
+  parseScore() {
+    const terms = [this.parseScoreTerm(1)];
+    for (;;) {
+      const token = this.peek();
+      if (token?.type === "NUMBER" && token.value.startsWith("-")) {
+        terms.push(this.parseScoreTerm(1));
+      } else if (["PLUS", "MINUS"].includes(token?.type)) {
+        this.next();
+        terms.push(this.parseScoreTerm(token.type === "MINUS" ? -1 : 1));
+      } else {
+        break;
+      }
+    }
+    return { type: "score", terms };
+  }
+
+  parseScoreTerm(sign) {
+    let weight = sign;
+    if (this.peek()?.type === "MINUS") {
+      this.next();
+      weight = -weight;
+    }
+    if (this.peek()?.type === "NUMBER") {
+      const weightToken = this.next();
+      if (weightToken.percent || weightToken.number === 0) {
+        this.fail("weight must be a non-zero number", weightToken);
+      }
+      this.expect("STAR", "missing '*' after the weight");
+      weight *= weightToken.number;
+      if (this.peek()?.type === "MINUS") {
+        this.next();
+        weight = -weight;
+      }
+    }
+    const operand = this.parseOperand();
+    return { weight, metric: operand.metric, period: operand.period };
+  }
+}
+
+/**
+ * Converts a character offset into a 1-based line and column
+ *
+ * @param {string} text - Query text
+ * @param {number} offset - Character offset
+ * @returns {{line: number, column: number}} Position in the text
+ */
+export const getLineColumn = (text, offset) => {
+  const before = text.slice(0, offset).split("\n");
+  return { line: before.length, column: before[before.length - 1].length + 1 };
+};
+
+/**
+ * Parses query text and collects every problem found
+ *
+ * @param {string} text - Raw query text
+ * @param {Array<Object>} [metrics] - Metric catalog, defaults to the registry
+ * @returns {{tree: Object|null, ranking: Object|null,
+ *   diagnostics: Array<Object>, resolutions: Array<Object>}} Condition tree
+ *   and ranking clause (only meaningful when there are no diagnostics);
+ *   diagnostics with message, start, end, line and column; and how each
+ *   metric phrase was resolved (phrase, metric, period, defaultPeriod,
+ *   fuzzy, start, end), both ordered by position; and the sweep ranges
+ *   (kind "threshold" or "period", metric, values, percent, step, start,
+ *   end) in the order they are written
+ */
+export const analyzeQuery = (text, metrics = METRICS) => {
+  const tokens = tokenize(text, metrics);
+  const parser = new Parser(tokens, text, metrics);
+  const tree = parser.parseQuery();
+  const ranking = parser.rankings[0] || null;
+  tokens
+    .filter((token) => token.range && !parser.placedRanges.has(token))
+    .forEach((token) =>
+      parser.report(
+        "a range can only replace the threshold or period of a condition",
+        token.start,
+        token.end
+      )
+    );
+  parser.sweeps.slice(MAX_SWEEP_RANGES).forEach((sweep) =>
+    parser.report(
+      `a sweep may have at most ${MAX_SWEEP_RANGES} ranges`,
+      sweep.start,
+      sweep.end
+    )
+  );
+  const sweeps = parser.sweeps
+    .slice(0, MAX_SWEEP_RANGES)
+    .map(({ token, ...sweep }) => sweep);
+  const runs = sweeps.reduce((total, sweep) => total * sweep.values.length, 1);
+  if (runs > MAX_SWEEP_RUNS) {
+    const last = sweeps[sweeps.length - 1];
+    parser.report(
+      `a sweep is limited to ${MAX_SWEEP_RUNS} runs, this one has ${runs}`,
+      last.start,
+      last.end
+    );
+  }
+  const diagnostics = parser.diagnostics
+    .sort((a, b) => a.start - b.start)
+    .map((error) => ({
+      message: error.message,
+      start: error.start,
+      end: error.end,
+      ...getLineColumn(text, error.start),
+    }));
+  const resolutions = parser.resolutions.sort((a, b) => a.start - b.start);
+  return { tree, ranking, diagnostics, resolutions, sweeps };
+};
+
+/**
+ * Parses query text into a condition tree
+ *
+ * @param {string} text - Raw query text
+ * @param {Array<Object>} [metrics] - Metric catalog, defaults to the registry
+ * @returns {Object} Root node: a condition, a not node or an AND/OR group
+ * @throws {QueryParseError} For the first problem when the query is not well formed
+ */
+export const parseQuery = (text, metrics = METRICS) => {
+  const { tree, diagnostics } = analyzeQuery(text, metrics);
+  if (diagnostics.length > 0) {
+    const [first] = diagnostics;
+    throw new QueryParseError(first.message, first.start, first.end);
+  }
+  return tree;
+};
+
+/**
+ * Converts one tree node into its payload representation
+ * A negated condition or group is flagged with Not: true
+ *
+ * @param {Object} node - Condition, group or not node
+ * @returns {Object} Payload node without the Operator field
+ */
+const nodeToFilter = (node) => {
+  if (node.type === "not") return { ...nodeToFilter(node.child), Not: true };
+  if (node.type === "group") {
+    return { Group: { filters: groupToFilters(node) } };
+  }
+  return {
+    Data: {
+      param: { name: node.metric.name, id: node.metric.id },
+      period: node.period,
+      sign: node.sign,
+      ...(node.compareTo
+        ? {
+            compareParam: {
+              name: node.compareTo.metric.name,
+              id: node.compareTo.metric.id,
+            },
+            comparePeriod: node.compareTo.period,
+          }
+        : { threshold: node.threshold }),
+      ...(node.upperThreshold !== undefined && {
+        upperThreshold: node.upperThreshold,
+      }),
+      consisPeriod: node.consistency
+        ? node.consistency.count
+        : DEFAULT_CONSIS_PERIOD,
+      ...(node.consistency && { consisWindow: node.consistency.window }),
+    },
+  };
+};
+
+/**
+ * Converts a group's children into a filter list
+ * Every sibling carries the group's connector, so a list never mixes AND
+ * and OR and reads the same whichever neighbour the Operator is bound to
+ *
+ * @param {Object} group - Group node
+ * @returns {Array<Object>} Filter list
+ */
+const groupToFilters = (group) =>
+  group.children.map((child) => ({
+    ...nodeToFilter(child),
+    Operator: group.operator,
+  }));
+
+/**
+ * Converts a ranking clause into its payload representation
+ * RANK BY is sent as a single factor of weight 1; SCORE sends every
+ * weighted factor and always keeps the highest scores
+ *
+ * @param {Object} ranking - Ranking from analyzeQuery
+ * @returns {Object} { method, factors: [{param, period, weight}], order, limit }
+ */
+const rankingToPayload = (ranking) => {
+  const factor = ({ metric, period }, weight) => ({
+    param: { name: metric.name, id: metric.id },
+    period,
+    weight,
+  });
+  return {
+    method: ranking.type,
+    factors:
+      ranking.type === "rank"
+        ? [factor(ranking, 1)]
+        : ranking.terms.map((term) => factor(term, term.weight)),
+    order: ranking.type === "rank" ? ranking.order : "desc",
+    limit: ranking.limit,
+  };
+};
+
+/**
+ * Converts a condition tree into the /strategy/execute filter payload
+ * Nested groups are emitted as { Group: { filters: [...] }, Operator }
+ * and negated nodes additionally carry Not: true. A metric-versus-metric
+ * condition sends compareParam and comparePeriod instead of threshold.
+ * A ranking clause is sent beside the filters.
+ *
+ * @param {Object} tree - Root node returned by parseQuery
+ * @param {Object|null} [ranking] - Ranking returned by analyzeQuery
+ * @returns {{filters: Array<Object>, ranking?: Object}} Execute payload
+ */
+export const buildFilters = (tree, ranking = null) => ({
+  filters:
+    tree.type === "group"
+      ? groupToFilters(tree)
+      : [{ ...nodeToFilter(tree), Operator: "AND" }],
+  ...(ranking && { ranking: rankingToPayload(ranking) }),
+});
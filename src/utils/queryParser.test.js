@@ -0,0 +1,349 @@
+import {
+  analyzeQuery,
+  parseQuery,
+  buildFilters,
+  QueryParseError,
+} from "./queryParser";
+
+const metrics = [
+  { id: 1, name: "Average DE", unit: "ratio" },
+  { id: 2, name: "Average ROCE", unit: "percent" },
+  { id: 3, name: "Average ROE", unit: "percent" },
+  { id: 5, name: "DE CAGR", unit: "percent" },
+  { id: 8, name: "NetSales CAGR", unit: "percent" },
+  { id: 16, name: "PE (Trailing)", unit: "multiple" },
+];
+
+const condition = (name, period, sign, threshold) =>
+  expect.objectContaining({
+    type: "condition",
+    metric: expect.objectContaining({ name }),
+    period,
+    sign,
+    threshold,
+  });
+
+test("AND binds tighter than OR", () => {
+  const tree = parseQuery(
+    "Average DE 5 Years < 200 AND Average ROCE 5 Years >= 15 OR Average ROE 3 Years > 20",
+    metrics
+  );
+  expect(tree).toEqual({
+    type: "group",
+    operator: "OR",
+    children: [
+      {
+        type: "group",
+        operator: "AND",
+        children: [
+          condition("Average DE", 5, "lt", 200),
+          condition("Average ROCE", 5, "gte", 15),
+        ],
+      },
+      condition("Average ROE", 3, "gt", 20),
+    ],
+  });
+});
+
+test("parentheses override precedence and nest in the payload", () => {
+  const tree = parseQuery(
+    "Average DE 5 Years < 200 AND\n(Average ROCE 5 Years >= 15 OR PE (Trailing) 1 Years < 30)",
+    metrics
+  );
+  const { filters } = buildFilters(tree);
+  expect(filters).toHaveLength(2);
+  expect(filters[0].Operator).toBe("AND");
+  expect(filters[0].Data.param).toEqual({ name: "Average DE", id: 1 });
+  expect(filters[1].Operator).toBe("AND");
+  expect(filters[1].Group.filters.map((f) => f.Operator)).toEqual([
+    "OR",
+    "OR",
+  ]);
+  expect(filters[1].Group.filters[1].Data.param.name).toBe("PE (Trailing)");
+});
+
+test("a single condition becomes a one-element filter list", () => {
+  const { filters } = buildFilters(
+    parseQuery("NetSales CAGR 5 Years >= 15", metrics)
+  );
+  expect(filters).toEqual([
+    {
+      Data: {
+        param: { name: "NetSales CAGR", id: 8 },
+        period: 5,
+        sign: "gte",
+        threshold: 15,
+        consisPeriod: 10,
+      },
+      Operator: "AND",
+    },
+  ]);
+});
+
+test("malformed queries raise errors with offsets", () => {
+  expect(() => parseQuery("(Average DE 5 Years < 200", metrics)).toThrow(
+    "missing closing parenthesis"
+  );
+  expect(() => parseQuery("Average DE 5 Years 200", metrics)).toThrow(
+    QueryParseError
+  );
+  expect(() => parseQuery("Average DE 12 Years < 200", metrics)).toThrow(
+    expect.objectContaining({
+      message: "period must be 1–10",
+      start: 11,
+      end: 13,
+    })
+  );
+});
+
+test("thresholds accept signed decimals and percentages", () => {
+  const threshold = (text) => parseQuery(text, metrics).threshold;
+  expect(threshold("DE CAGR 3 Years < -5")).toBe(-5);
+  expect(threshold("Average DE 5 Years < 0.5")).toBe(0.5);
+  expect(threshold("Average ROCE 5 Years > 22%")).toBe(22);
+  expect(threshold("Average ROCE 5 Years > 22")).toBe(22);
+  expect(threshold("Average DE 5 Years < 50%")).toBe(0.5);
+  expect(threshold("PE (Trailing) 1 Years < 7%")).toBe(0.07);
+  expect(() => parseQuery("Average DE 2.5 Years < 1", metrics)).toThrow(
+    "period must be 1–10"
+  );
+});
+
+test("diagnostics cover every failing line with line and column", () => {
+  const text = [
+    "Average DE 5 Years < 0.5 AND",
+    "ROCE Avg 5 Years > 15 AND",
+    "Average ROE 12 Years > 20 AND",
+    "NetSales CAGR 5 Years 15 AND",
+    "PE (Trailing) 1 Years < 30 AND",
+  ].join("\n");
+  const { diagnostics } = analyzeQuery(text, metrics);
+  expect(
+    diagnostics.map(({ message, line, column }) => [message, line, column])
+  ).toEqual([
+    ["unknown metric 'ROCE Avg'", 2, 1],
+    ["period must be 1–10", 3, 13],
+    ["missing operator", 4, 23],
+  ]);
+});
+
+test("adjacent conditions without a connector are reported", () => {
+  const { diagnostics } = analyzeQuery(
+    "Average DE 5 Years < 1\nAverage ROE 5 Years > 15)",
+    metrics
+  );
+  expect(diagnostics.map((d) => d.message)).toEqual([
+    "missing AND/OR before 'Average ROE'",
+    "unmatched closing parenthesis",
+  ]);
+});
+
+test("the registry is the default catalog and supplies backend ids", () => {
+  const { filters } = buildFilters(parseQuery("Average DE 5 Years < 200"));
+  expect(filters[0].Data.param).toEqual({ name: "Average DE", id: 0 });
+});
+
+test("consistency modifiers set consisPeriod and consisWindow", () => {
+  const data = (text) => buildFilters(parseQuery(text, metrics)).filters[0].Data;
+  expect(data("Average ROCE 3 Years > 15 in 7 of 10 years")).toMatchObject({
+    consisPeriod: 7,
+    consisWindow: 10,
+  });
+  expect(data("Average ROCE 3 Years > 15 IN 4 OF LAST 5 YEARS")).toMatchObject({
+    consisPeriod: 4,
+    consisWindow: 5,
+  });
+  expect(data("Average ROCE 3 Years > 15 CONSISTENT 7")).toMatchObject({
+    consisPeriod: 7,
+    consisWindow: 10,
+  });
+  expect(data("Average ROCE 3 Years > 15")).not.toHaveProperty("consisWindow");
+  expect(
+    analyzeQuery(
+      "Average ROCE 3 Years > 15 in 8 of 5 years AND\nAverage DE 5 Years < 1 CONSISTENT",
+      metrics
+    ).diagnostics.map((d) => d.message)
+  ).toEqual([
+    "consistency must be 1–5 years",
+    "missing number of years after 'CONSISTENT'",
+  ]);
+});
+
+test("BETWEEN, != and NOT reach the payload", () => {
+  const { filters } = buildFilters(
+    parseQuery(
+      "Average DE 5 Years BETWEEN 0.2 AND 50% AND\nNOT (Average ROE 3 Years != 0 OR NOT PE (Trailing) 1 Years > 40)",
+      metrics
+    )
+  );
+  expect(filters).toHaveLength(2);
+  expect(filters[0].Data).toMatchObject({
+    sign: "between",
+    threshold: 0.2,
+    upperThreshold: 0.5,
+  });
+  expect(filters[1].Not).toBe(true);
+  expect(filters[1].Group.filters[0].Data.sign).toBe("neq");
+  expect(filters[1].Group.filters[0]).not.toHaveProperty("Not");
+  expect(filters[1].Group.filters[1].Not).toBe(true);
+  expect(parseQuery("NOT NOT Average DE 5 Years < 1", metrics).type).toBe(
+    "condition"
+  );
+  expect(() =>
+    parseQuery("Average DE 5 Years BETWEEN 2 AND 1", metrics)
+  ).toThrow("lower bound is greater than upper bound");
+});
+
+test("the right-hand side can be another metric with its own period", () => {
+  const { filters } = buildFilters(
+    parseQuery("DE CAGR 5 Years > NetSales CAGR 3 Years in 6 of 8 years", metrics)
+  );
+  expect(filters[0].Data).toEqual({
+    param: { name: "DE CAGR", id: 5 },
+    period: 5,
+    sign: "gt",
+    compareParam: { name: "NetSales CAGR", id: 8 },
+    comparePeriod: 3,
+    consisPeriod: 6,
+    consisWindow: 8,
+  });
+  expect(() =>
+    parseQuery("Average ROCE 5 Years > Average DE 5 Years", metrics)
+  ).toThrow("cannot compare 'Average ROCE' (percent) with 'Average DE' (ratio)");
+  expect(() => parseQuery("Average ROCE 5 Years > ROCE Avg", metrics)).toThrow(
+    "unknown metric 'ROCE Avg'"
+  );
+});
+
+test("aliases and loose phrases resolve to registry metrics", () => {
+  const { tree, diagnostics, resolutions } = analyzeQuery(
+    "Price to earning < 15 AND\nreturn on capitl employed 3 years > 22%"
+  );
+  expect(diagnostics).toEqual([]);
+  expect(tree.children).toEqual([
+    condition("PE (Trailing)", 1, "lt", 15),
+    condition("Average ROCE", 3, "gt", 22),
+  ]);
+  expect(
+    resolutions.map(({ phrase, metric, defaultPeriod, fuzzy }) => [
+      phrase,
+      metric.name,
+      defaultPeriod,
+      fuzzy,
+    ])
+  ).toEqual([
+    ["Price to earning", "PE (Trailing)", true, false],
+    ["return on capitl employed", "Average ROCE", false, true],
+  ]);
+  expect(parseQuery("ROCE > 15").period).toBe(5);
+  expect(parseQuery("P/E <= 20").metric.name).toBe("PE (Trailing)");
+  expect(() => parseQuery("Market capitalization > 500")).toThrow(
+    "unknown metric 'Market capitalization'"
+  );
+  expect(() => parseQuery("ROCE Avg 5 Years > 3")).toThrow(
+    "unknown metric 'ROCE Avg'"
+  );
+});
+
+test("RANK BY and SCORE keep the top stocks and reach the payload", () => {
+  const ranked = analyzeQuery(
+    "Average DE 5 Years < 1 AND\nRANK BY Average ROCE 3 Years LIMIT 25",
+    metrics
+  );
+  expect(ranked.diagnostics).toEqual([]);
+  expect(ranked.tree).toEqual(condition("Average DE", 5, "lt", 1));
+  expect(buildFilters(ranked.tree, ranked.ranking).ranking).toEqual({
+    method: "rank",
+    factors: [{ param: { name: "Average ROCE", id: 2 }, period: 3, weight: 1 }],
+    order: "desc",
+    limit: 25,
+  });
+
+  const scored = analyzeQuery(
+    "Average DE 5 Years < 1\nSCORE 0.5*Average ROCE 5 Years + 0.5*-PE (Trailing) -0.25*Average DE LIMIT 30",
+    metrics
+  );
+  expect(scored.diagnostics).toEqual([]);
+  expect(
+    buildFilters(scored.tree, scored.ranking).ranking.factors.map(
+      ({ param, period, weight }) => [param.name, period, weight]
+    )
+  ).toEqual([
+    ["Average ROCE", 5, 0.5],
+    ["PE (Trailing)", 5, -0.5],
+    ["Average DE", 5, -0.25],
+  ]);
+  expect(buildFilters(scored.tree).ranking).toBeUndefined();
+});
+
+test("ranking clauses are validated", () => {
+  const messages = (text) =>
+    analyzeQuery(text, metrics).diagnostics.map((d) => d.message);
+  expect(messages("Average DE 5 Years < 1 RANK BY Average ROE ASC")).toEqual([
+    "missing LIMIT after RANK",
+  ]);
+  expect(messages("Average DE 5 Years < 1 SCORE 0.5 Average ROE LIMIT 10")).toEqual([
+    "missing '*' after the weight",
+  ]);
+  expect(
+    messages("Average DE 5 Years < 1 RANK BY Average ROE LIMIT 0")
+  ).toEqual(["LIMIT must be 1–500 stocks"]);
+  expect(
+    messages(
+      "Average DE 5 Years < 1 RANK BY Average ROE LIMIT 5 AND Average ROCE 5 Years > 1"
+    )
+  ).toEqual(["the ranking clause must end the query"]);
+  expect(
+    messages(
+      "Average DE 5 Years < 1 RANK BY Average ROE LIMIT 5 SCORE Average ROCE LIMIT 5"
+    )
+  ).toEqual(["only one RANK BY or SCORE clause is allowed"]);
+});
+
+test("ranges replace a threshold or period for a sweep", () => {
+  const { tree, sweeps, diagnostics } = analyzeQuery(
+    "Average ROCE 5 Years > {10..25 step 5} AND\nAverage DE {3..5} Years < 1",
+    metrics
+  );
+  expect(diagnostics).toEqual([]);
+  expect(tree.children[0]).toEqual(condition("Average ROCE", 5, "gt", 10));
+  expect(tree.children[1]).toEqual(condition("Average DE", 3, "lt", 1));
+  expect(
+    sweeps.map(({ kind, metric, values }) => [kind, metric.name, values])
+  ).toEqual([
+    ["threshold", "Average ROCE", [10, 15, 20, 25]],
+    ["period", "Average DE", [3, 4, 5]],
+  ]);
+  expect(
+    analyzeQuery("Average DE 5 Years < {0.1..0.3 step 0.1}", metrics).sweeps[0]
+      .values
+  ).toEqual([0.1, 0.2, 0.3]);
+});
+
+test("ranges are validated", () => {
+  const messages = (text) =>
+    analyzeQuery(text, metrics).diagnostics.map((d) => d.message);
+  expect(messages("Average DE 5 Years < {5..1}")).toEqual([
+    "range start is greater than its end",
+  ]);
+  expect(messages("Average DE 5 Years < {1..5 step 0}")).toEqual([
+    "range step must be positive",
+  ]);
+  expect(messages("Average DE {5..12} Years < 1")).toEqual([
+    "period must be 1–10",
+  ]);
+  expect(messages("Average DE 5 Years BETWEEN {1..3} AND 5")).toEqual([
+    "a range can only replace the threshold or period of a condition",
+  ]);
+  expect(
+    messages("Average DE 5 Years < 1 RANK BY Average ROE LIMIT {10..20}")
+  ).toEqual(["a range can only replace the threshold or period of a condition"]);
+  expect(
+    messages(
+      "Average DE {1..2} Years < {1..2} AND\nAverage ROE 5 Years > {1..2}"
+    )
+  ).toEqual(["a sweep may have at most 2 ranges"]);
+  expect(
+    messages("Average DE 5 Years < {1..10} AND\nAverage ROE 5 Years > {1..6}")
+  ).toEqual(["a sweep is limited to 50 runs, this one has 60"]);
+});
@@ -0,0 +1,128 @@
+/**
+ * Query Rows Module
+ * Converts between the parser's condition tree and the row model used by
+ * the visual query builder. A row list reads top to bottom like the text:
+ * every row after the first carries the AND/OR connector that joins it to
+ * the row above, and AND binds tighter than OR exactly as in the parser.
+ *
+ * Row shapes:
+ *   { type: "condition", negated, node }  node is a parser condition node
+ *   { type: "group", negated, rows }      rows is a nested row list
+ */
+
+import { DEFAULT_PERIOD, METRICS } from "../config/metrics";
+
+/**
+ * Turns one tree node into a row, folding NOT into the negated flag
+ * @param {Object} node - Condition, group or not node
+ * @returns {Object} Row
+ */
+const nodeToRow = (node) => {
+  if (node.type === "not") {
+    const row = nodeToRow(node.child);
+    return { ...row, negated: !row.negated };
+  }
+  if (node.type === "group") {
+    return { type: "group", negated: false, rows: treeToRows(node) };
+  }
+  return { type: "condition", negated: false, node };
+};
+
+/**
+ * Flattens a condition tree into a row list
+ * An OR group of AND groups becomes one list with mixed connectors; any
+ * other nesting becomes a group row
+ *
+ * @param {Object|null} tree - Root node from parseQuery
+ * @returns {Array<Object>} Row list
+ */
+export const treeToRows = (tree) => {
+  if (!tree) return [];
+  if (tree.type !== "group") return [nodeToRow(tree)];
+
+  const rows = [];
+  tree.children.forEach((child, index) => {
+    const connector = index === 0 ? undefined : tree.operator;
+    const members =
+      tree.operator === "OR" && child.type === "group" && child.operator === "AND"
+        ? child.children.map((member, memberIndex) => ({
+            ...nodeToRow(member),
+            connector: memberIndex === 0 ? connector : "AND",
+          }))
+        : [{ ...nodeToRow(child), connector }];
+    rows.push(...members);
+  });
+  rows[0] = { ...rows[0], connector: undefined };
+  return rows;
+};
+
+/**
+ * Turns one row back into a tree node
+ * @param {Object} row - Row
+ * @returns {Object|null} Tree node, null for an empty group
+ */
+const rowToNode = (row) => {
+  const node = row.type === "group" ? rowsToTree(row.rows) : row.node;
+  if (!node) return null;
+  return row.negated ? { type: "not", child: node } : node;
+};
+
+/**
+ * Rebuilds a condition tree from a row list, grouping AND before OR
+ * Empty groups are dropped
+ *
+ * @param {Array<Object>} rows - Row list
+ * @returns {Object|null} Root node, null when there are no conditions
+ */
+export const rowsToTree = (rows) => {
+  const orTerms = [];
+  rows.forEach((row, index) => {
+    const node = rowToNode(row);
+    if (!node) return;
+    if (orTerms.length === 0 || (index > 0 && row.connector === "OR")) {
+      orTerms.push([]);
+    }
+    orTerms[orTerms.length - 1].push(node);
+  });
+  if (orTerms.length === 0) return null;
+
+  const andGroups = orTerms.map((term) =>
+    term.length === 1 ? term[0] : { type: "group", operator: "AND", children: term }
+  );
+  return andGroups.length === 1
+    ? andGroups[0]
+    : { type: "group", operator: "OR", children: andGroups };
+};
+
+/**
+ * Creates the condition row added by the builder's "Add condition" button
+ * @param {string} [connector] - Connector to the row above
+ * @returns {Object} Row
+ */
+export const createConditionRow = (connector) => {
+  const [metric] = METRICS;
+  return {
+    type: "condition",
+    negated: false,
+    connector,
+    node: {
+      type: "condition",
+      metric: { id: metric.id, name: metric.name, unit: metric.unit },
+      period: metric.defaultPeriod || DEFAULT_PERIOD,
+      sign: "gt",
+      threshold: 0,
+    },
+  };
+};
+
+/**
+ * Creates the group row added by the builder's "Add group" button
+ * @param {string} [connector] - Connector to the row above
+ * @returns {Object} Row holding one condition
+ */
+export const createGroupRow = (connector) => ({
+  type: "group",
+  negated: false,
+  connector,
+  rows: [createConditionRow()],
+});
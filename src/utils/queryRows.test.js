@@ -0,0 +1,39 @@
+import { parseQuery } from "./queryParser";
+import { treeToText } from "./queryCodec";
+import { treeToRows, rowsToTree, createConditionRow } from "./queryRows";
+
+const roundTrip = (text) => treeToText(rowsToTree(treeToRows(parseQuery(text))));
+
+test("rows read like the text with one connector per row", () => {
+  const rows = treeToRows(
+    parseQuery(
+      "Average DE 5 Years < 1 AND Average ROE 3 Years > 15 OR NOT (PAT CAGR 5 Years > 10 OR PE (Trailing) 1 Years < 20)"
+    )
+  );
+  expect(rows.map((row) => [row.type, row.connector, row.negated])).toEqual([
+    ["condition", undefined, false],
+    ["condition", "AND", false],
+    ["group", "OR", true],
+  ]);
+  expect(rows[2].rows.map((row) => row.connector)).toEqual([undefined, "OR"]);
+});
+
+test("switching between text and rows keeps every condition", () => {
+  [
+    "Average DE 5 Years < 1 AND\nAverage ROE 3 Years > 15 OR\nPAT CAGR 5 Years > 10",
+    "Average DE 5 Years BETWEEN 0.2 AND 0.5 AND\n(Average ROE 3 Years != 0 OR NOT PE (Trailing) 1 Years > 40)",
+    "PAT CAGR 5 Years > NetSales CAGR 5 Years in 7 of last 10 years",
+  ].forEach((text) => expect(roundTrip(text)).toBe(text));
+});
+
+test("added rows and emptied groups produce valid text", () => {
+  const rows = [
+    createConditionRow(),
+    { type: "group", negated: false, connector: "OR", rows: [] },
+    createConditionRow("OR"),
+  ];
+  expect(treeToText(rowsToTree(rows))).toBe(
+    "Average DE 5 Years > 0 OR\nAverage DE 5 Years > 0"
+  );
+  expect(rowsToTree([])).toBeNull();
+});
@@ -0,0 +1,316 @@
+/**
+ * Result Cache Utilities Module
+ * Caches execute responses in IndexedDB so that running an identical query
+ * again shows its results at once instead of starting a new backtest.
+ * Entries are content-addressed: keyed by a hash of the canonical JSON of
+ * the execute data, i.e. the filters with their ranking, the backtest
+ * settings and the universe, without the costs, which only change the net
+ * estimate made on the client, together with its scope: the API base URL and
+ * the user the run was made against, as a result and its session belong to
+ * one backend and account. The canonical JSON is kept with the entry and
+ * compared on reads, so a hash collision is a miss, never a wrong result.
+ *
+ * Entry shape:
+ *   { key, payload, scope, query, sessionId, response, cachedAt, size }
+ * sessionId is the server session of the cached run, which saving the
+ * strategy refers to. Changes are broadcast with a "resultCacheChanged"
+ * window event.
+ */
+
+import { DEFAULT_RESULT_CACHE_TTL } from "../config/resultCache";
+import { getAppConfig } from "./appConfig";
+import { toExecutePayload } from "./backtestSettings";
+
+/** IndexedDB database, object store and schema version */
+const DB_NAME = "resultCache";
+const STORE_NAME = "results";
+const DB_VERSION = 2;
+
+/**
+ * Local storage key of the chosen time-to-live
+ * @constant {string}
+ */
+const TTL_STORAGE_KEY = "resultCacheTtl";
+
+/**
+ * Serializes a value as JSON with object keys in sorted order, so equal
+ * data always gives the same text
+ *
+ * @param {*} value - JSON-compatible value
+ * @returns {string} Canonical JSON
+ */
+export const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value
+      .map((item) => (item === undefined ? "null" : canonicalJson(item)))
+      .join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+/**
+ * 53-bit string hash (cyrb53), as hex
+ * @param {string} text - Text to hash
+ * @returns {string} Hash
+ */
+const hashText = (text) => {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i);
+    h1 = Math.imul(h1 ^ code, 2654435761);
+    h2 = Math.imul(h2 ^ code, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507);
+  h1 ^= Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507);
+  h2 ^= Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16);
+};
+
+/**
+ * Backend and user runs are currently made against
+ * @returns {{apiBaseUrl: string, user: string|null}} Scope
+ */
+export const getResultCacheScope = () => ({
+  apiBaseUrl: getAppConfig().apiBaseUrl,
+  user: localStorage.getItem("userName") || null,
+});
+
+/**
+ * Whether something kept locally was made against the current scope
+ * Anything without a scope predates scoping and belongs to none.
+ *
+ * @param {Object} [scope] - Scope stored with it
+ * @returns {boolean} True when it may be shown
+ */
+export const isCurrentScope = (scope) =>
+  Boolean(scope) &&
+  canonicalJson(scope) === canonicalJson(getResultCacheScope());
+
+/**
+ * Canonical JSON an entry is stored and looked up under
+ * @param {Object} data - Execute data
+ * @param {Object} scope - Scope, see getResultCacheScope
+ * @returns {string} Payload
+ */
+const toPayload = (data, scope) => {
+  const { costs, ...run } = toExecutePayload(data);
+  return canonicalJson({ data: run, scope });
+};
+
+/**
+ * Cache key of the execute data
+ * @param {Object} data - Execute data ({ filters, ranking?, settings, universe })
+ * @param {Object} [scope] - Scope, the current one by default
+ * @returns {string} Key
+ */
+export const getResultCacheKey = (data, scope = getResultCacheScope()) =>
+  hashText(toPayload(data, scope));
+
+/**
+ * Reads the chosen time-to-live
+ * @returns {number} Time-to-live in milliseconds
+ */
+export const getResultCacheTtl = () => {
+  const stored = Number(localStorage.getItem(TTL_STORAGE_KEY));
+  return stored > 0 ? stored : DEFAULT_RESULT_CACHE_TTL;
+};
+
+/**
+ * Stores the chosen time-to-live
+ * @param {number} ttl - Time-to-live in milliseconds
+ */
+export const setResultCacheTtl = (ttl) => {
+  localStorage.setItem(TTL_STORAGE_KEY, String(ttl));
+  window.dispatchEvent(new Event("resultCacheChanged"));
+};
+
+/**
+ * Whether an entry is younger than the time-to-live
+ * @param {Object} entry - Cache entry
+ * @param {number} ttl - Time-to-live in milliseconds
+ * @param {number} [now] - Current time
+ * @returns {boolean} True while the entry may be served
+ */
+export const isCacheEntryFresh = (entry, ttl, now = Date.now()) =>
+  Boolean(entry) && now - entry.cachedAt < ttl;
+
+/** Open database; rejected when IndexedDB is unavailable */
+let databasePromise = null;
+
+/**
+ * Opens the cache database, creating its store on first use
+ * @returns {Promise<IDBDatabase>} Database
+ */
+const openDatabase = () => {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === "undefined") {
+        reject(new Error("IndexedDB is not available"));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const database = request.result;
+        // Entries of version 1 were not scoped to a backend and user
+        if (database.objectStoreNames.contains(STORE_NAME)) {
+          database.deleteObjectStore(STORE_NAME);
+        }
+        database.createObjectStore(STORE_NAME, { keyPath: "key" });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return databasePromise;
+};
+
+/**
+ * Runs one request against the object store
+ *
+ * @param {string} mode - "readonly" or "readwrite"
+ * @param {Function} makeRequest - Receives the store, returns an IDBRequest
+ * @returns {Promise<*>} Result of the request once its transaction ends
+ */
+const runTransaction = async (mode, makeRequest) => {
+  const database = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction(STORE_NAME, mode);
+    const request = makeRequest(transaction.objectStore(STORE_NAME));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+/**
+ * Notifies listeners that the cache changed
+ */
+const notifyChange = () => {
+  window.dispatchEvent(new Event("resultCacheChanged"));
+};
+
+/**
+ * Removes one entry
+ * @param {string} key - Entry key
+ * @returns {Promise<void>}
+ */
+export const removeCachedResult = async (key) => {
+  try {
+    await runTransaction("readwrite", (store) => store.delete(key));
+    notifyChange();
+  } catch (error) {
+    console.error("Error removing cached result:", error);
+  }
+};
+
+/**
+ * Looks up the result of identical execute data
+ * Expired entries are removed on the way.
+ *
+ * @param {Object} data - Execute data
+ * @returns {Promise<Object|null>} Fresh entry, or null on a miss
+ */
+export const readCachedResult = async (data) => {
+  const payload = toPayload(data, getResultCacheScope());
+  const key = hashText(payload);
+  try {
+    const entry = await runTransaction("readonly", (store) => store.get(key));
+    if (!entry || entry.payload !== payload) return null;
+    if (!isCacheEntryFresh(entry, getResultCacheTtl())) {
+      await removeCachedResult(key);
+      return null;
+    }
+    return entry;
+  } catch (error) {
+    console.error("Error reading result cache:", error);
+    return null;
+  }
+};
+
+/**
+ * Caches the response of a run
+ *
+ * @param {Object} data - Execute data the run was made with
+ * @param {Object} run - Run details
+ * @param {string} run.query - Query text
+ * @param {string} run.sessionId - Server session of the run
+ * @param {Object} run.response - Execute response
+ * @returns {Promise<void>}
+ */
+export const writeCachedResult = async (
+  data,
+  { query, sessionId, response }
+) => {
+  const scope = getResultCacheScope();
+  const payload = toPayload(data, scope);
+  const entry = {
+    key: hashText(payload),
+    payload,
+    scope,
+    query,
+    sessionId,
+    response,
+    cachedAt: Date.now(),
+    size: payload.length + JSON.stringify(response).length,
+  };
+  try {
+    await runTransaction("readwrite", (store) => store.put(entry));
+    notifyChange();
+  } catch (error) {
+    console.error("Error writing result cache:", error);
+  }
+};
+
+/**
+ * Lists the cached entries of the current scope, newest first, without
+ * their responses
+ * Expired entries are removed first.
+ *
+ * @returns {Promise<Array<Object>>} Entries
+ */
+export const listCachedResults = async () => {
+  try {
+    const entries = await runTransaction("readonly", (store) =>
+      store.getAll()
+    );
+    const ttl = getResultCacheTtl();
+    const expired = entries.filter((entry) => !isCacheEntryFresh(entry, ttl));
+    if (expired.length > 0) {
+      await runTransaction("readwrite", (store) => {
+        expired.forEach((entry) => store.delete(entry.key));
+        return store.count();
+      });
+    }
+    return entries
+      .filter(
+        (entry) => isCacheEntryFresh(entry, ttl) && isCurrentScope(entry.scope)
+      )
+      .sort((a, b) => b.cachedAt - a.cachedAt)
+      .map(({ response, ...entry }) => entry);
+  } catch (error) {
+    console.error("Error listing result cache:", error);
+    return [];
+  }
+};
+
+/**
+ * Removes every entry
+ * @returns {Promise<void>}
+ */
+export const clearResultCache = async () => {
+  try {
+    await runTransaction("readwrite", (store) => store.clear());
+    notifyChange();
+  } catch (error) {
+    console.error("Error clearing result cache:", error);
+  }
+};
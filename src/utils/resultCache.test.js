@@ -0,0 +1,72 @@
+import {
+  canonicalJson,
+  getResultCacheKey,
+  isCacheEntryFresh,
+} from "./resultCache";
+
+test("equal execute data gives the same key whatever its key order", () => {
+  const data = {
+    filters: [{ Data: { param: { name: "Average DE", id: 0 }, period: 5 } }],
+    settings: { startYear: 1999, endYear: 2022, customBenchmark: undefined },
+  };
+  const reordered = {
+    settings: { endYear: 2022, startYear: 1999 },
+    filters: [{ Data: { period: 5, param: { id: 0, name: "Average DE" } } }],
+  };
+  expect(canonicalJson(reordered)).toBe(
+    '{"filters":[{"Data":{"param":{"id":0,"name":"Average DE"},"period":5}}],' +
+      '"settings":{"endYear":2022,"startYear":1999}}'
+  );
+  expect(getResultCacheKey(reordered)).toBe(getResultCacheKey(data));
+  expect(
+    getResultCacheKey({ ...data, settings: { startYear: 2000, endYear: 2022 } })
+  ).not.toBe(getResultCacheKey(data));
+});
+
+test("data run against another backend or user is another entry", () => {
+  const data = { filters: [], settings: { startYear: 1999, endYear: 2022 } };
+  const scope = {
+    apiBaseUrl: "https://example.com/api",
+    user: "a@example.com",
+  };
+
+  expect(getResultCacheKey(data, { ...scope })).toBe(
+    getResultCacheKey(data, scope)
+  );
+  expect(
+    getResultCacheKey(data, {
+      ...scope,
+      apiBaseUrl: "http://localhost:4000/api",
+    })
+  ).not.toBe(getResultCacheKey(data, scope));
+  expect(getResultCacheKey(data, { ...scope, user: "b@example.com" })).not.toBe(
+    getResultCacheKey(data, scope)
+  );
+});
+
+test("entries expire after the time-to-live", () => {
+  const entry = { cachedAt: 1000 };
+  expect(isCacheEntryFresh(entry, 500, 1499)).toBe(true);
+  expect(isCacheEntryFresh(entry, 500, 1500)).toBe(false);
+  expect(isCacheEntryFresh(null, 500, 1000)).toBe(false);
+});
+
+test("costs do not change the key, as the backend result is gross", () => {
+  const data = {
+    filters: [],
+    settings: { startYear: 1999, endYear: 2022, brokerageBps: 0, tax: "none" },
+  };
+
+  expect(
+    getResultCacheKey({
+      ...data,
+      settings: { ...data.settings, brokerageBps: 25, tax: "india" },
+    })
+  ).toBe(getResultCacheKey(data));
+  expect(
+    getResultCacheKey({
+      ...data,
+      settings: { ...data.settings, startYear: 2005 },
+    })
+  ).not.toBe(getResultCacheKey(data));
+});
@@ -0,0 +1,292 @@
+/**
+ * Results Store Module
+ * Holds the results of screen runs and loaded strategies outside React, so
+ * every component showing a result follows it as it changes. Results are
+ * keyed by session or strategy id, and each key has its own loading and
+ * error state, so several results can be held, or be in flight, at once.
+ *
+ * Entry shape: { status, data, error, progress, requestId, updatedAt }
+ * status is "idle", "loading", "success", "error" or "cancelled". data is
+ * the execute response ({ output: {...} }) and is kept while the key
+ * reloads. Requests that report progress (backtest jobs) set progress, a
+ * percentage, and may set partial data while loading; progress is null
+ * otherwise. Requests in flight can be cancelled, and the last request of
+ * a key can be run again.
+ */
+
+/**
+ * Entry returned for keys that hold nothing; shared so selectors stay stable
+ * @constant {Object}
+ */
+export const IDLE_RESULT = Object.freeze({
+  status: "idle",
+  data: null,
+  error: null,
+  progress: null,
+  requestId: 0,
+  updatedAt: null,
+});
+
+/**
+ * Key of the result of a screen run
+ * @param {string} sessionId - Session the query was executed in
+ * @returns {string} Result key
+ */
+export const sessionResultKey = (sessionId) => `session:${sessionId}`;
+
+/**
+ * Key of the result of a saved strategy
+ * @param {string|number} strategyId - Strategy identifier
+ * @returns {string} Result key
+ */
+export const strategyResultKey = (strategyId) => `strategy:${strategyId}`;
+
+/**
+ * Creates an empty results store
+ *
+ * @returns {Object} Store with subscribe/getSnapshot for useSyncExternalStore
+ *   and functions to read and update results
+ */
+export const createResultsStore = () => {
+  let results = {};
+  let lastRequestId = 0;
+  const listeners = new Set();
+  /** Abort controllers of the requests in flight, by key */
+  const controllers = new Map();
+  /** Functions running the last request of each key again */
+  const retries = new Map();
+
+  /**
+   * Aborts the request in flight on a key, if any
+   * @param {string} key - Result key
+   * @returns {boolean} Whether a request was aborted
+   */
+  const abortRequest = (key) => {
+    const controller = controllers.get(key);
+    if (!controller) return false;
+    controllers.delete(key);
+    controller.abort();
+    return true;
+  };
+
+  /**
+   * Replaces the entry of a key and notifies subscribers
+   * @param {string} key - Result key
+   * @param {Object} changes - Fields to change
+   */
+  const update = (key, changes) => {
+    results = {
+      ...results,
+      [key]: {
+        ...(results[key] || IDLE_RESULT),
+        ...changes,
+        updatedAt: Date.now(),
+      },
+    };
+    listeners.forEach((listener) => listener());
+  };
+
+  /**
+   * Registers a listener called after every change
+   * @param {Function} listener - Change listener
+   * @returns {Function} Unsubscribe function
+   */
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  /**
+   * All entries by key; a new object after every change
+   * @returns {Object} Entries by key
+   */
+  const getSnapshot = () => results;
+
+  /**
+   * Entry of one key
+   * @param {string} [key] - Result key
+   * @returns {Object} Entry, or IDLE_RESULT when the key holds nothing
+   */
+  const getResult = (key) => (key && results[key]) || IDLE_RESULT;
+
+  /**
+   * Marks a key as loading
+   * A later request on the same key supersedes this one
+   *
+   * @param {string} key - Result key
+   * @returns {number} Request id to settle the request with
+   */
+  const startRequest = (key) => {
+    lastRequestId += 1;
+    update(key, {
+      status: "loading",
+      error: null,
+      progress: null,
+      requestId: lastRequestId,
+    });
+    return lastRequestId;
+  };
+
+  /**
+   * Stores the response of a request unless it was superseded
+   * @param {string} key - Result key
+   * @param {number} requestId - Id returned by startRequest
+   * @param {Object} data - Response
+   * @returns {boolean} Whether the response was stored
+   */
+  const resolveRequest = (key, requestId, data) => {
+    if (getResult(key).requestId !== requestId) return false;
+    update(key, { status: "success", data, error: null, progress: null });
+    return true;
+  };
+
+  /**
+   * Stores the progress of a request still loading unless it was superseded
+   *
+   * @param {string} key - Result key
+   * @param {number} requestId - Id returned by startRequest
+   * @param {number} progress - Percentage done
+   * @param {Object} [data] - Partial response
+   * @returns {boolean} Whether the progress was stored
+   */
+  const reportProgress = (key, requestId, progress, data) => {
+    const current = getResult(key);
+    if (current.requestId !== requestId || current.status !== "loading") {
+      return false;
+    }
+    update(key, { progress, ...(data !== undefined && { data }) });
+    return true;
+  };
+
+  /**
+   * Stores the failure of a request unless it was superseded
+   * The data of an earlier success is kept
+   *
+   * @param {string} key - Result key
+   * @param {number} requestId - Id returned by startRequest
+   * @param {*} error - Error to show
+   * @returns {boolean} Whether the failure was stored
+   */
+  const rejectRequest = (key, requestId, error) => {
+    if (getResult(key).requestId !== requestId) return false;
+    update(key, { status: "error", error, progress: null });
+    return true;
+  };
+
+  /**
+   * Runs a request and keeps its outcome under a key
+   * The request gets an AbortSignal and a function reporting its progress
+   * and partial response; a request still in flight on the key is aborted
+   * first.
+   *
+   * @param {string} key - Result key
+   * @param {Function} request - Async function of (signal, report)
+   *   returning the response
+   * @param {Function} [toError] - Turns a thrown error into the stored error
+   * @returns {Promise<Object>} Response; rejects with the thrown error
+   */
+  const runRequest = async (key, request, toError = (error) => error) => {
+    abortRequest(key);
+    const controller = new AbortController();
+    controllers.set(key, controller);
+    retries.set(key, () => runRequest(key, request, toError));
+    const requestId = startRequest(key);
+    try {
+      const data = await request(controller.signal, (progress, partial) =>
+        reportProgress(key, requestId, progress, partial)
+      );
+      resolveRequest(key, requestId, data);
+      return data;
+    } catch (error) {
+      rejectRequest(key, requestId, toError(error));
+      throw error;
+    } finally {
+      if (controllers.get(key) === controller) controllers.delete(key);
+    }
+  };
+
+  /**
+   * Cancels the request in flight on a key
+   * The data of an earlier success is kept
+   *
+   * @param {string} key - Result key
+   * @returns {boolean} Whether a request was cancelled
+   */
+  const cancelRequest = (key) => {
+    if (!abortRequest(key)) return false;
+    lastRequestId += 1;
+    update(key, {
+      status: "cancelled",
+      error: null,
+      progress: null,
+      requestId: lastRequestId,
+    });
+    return true;
+  };
+
+  /**
+   * Runs the last request of a key again, e.g. after it failed
+   * @param {string} key - Result key
+   * @returns {Promise<Object>} Response; rejects like runRequest
+   */
+  const retryRequest = (key) => {
+    const retry = retries.get(key);
+    return retry ? retry() : Promise.resolve(getResult(key).data);
+  };
+
+  /**
+   * Stores a result obtained elsewhere, e.g. from the query history
+   * Requests still in flight on the key are superseded
+   *
+   * @param {string} key - Result key
+   * @param {Object} data - Response
+   */
+  const setResult = (key, data) => {
+    abortRequest(key);
+    retries.delete(key);
+    lastRequestId += 1;
+    update(key, {
+      status: "success",
+      data,
+      error: null,
+      progress: null,
+      requestId: lastRequestId,
+    });
+  };
+
+  /**
+   * Forgets the result of a key
+   * @param {string} key - Result key
+   */
+  const removeResult = (key) => {
+    abortRequest(key);
+    retries.delete(key);
+    if (!results[key]) return;
+    results = { ...results };
+    delete results[key];
+    listeners.forEach((listener) => listener());
+  };
+
+  return {
+    subscribe,
+    getSnapshot,
+    getResult,
+    startRequest,
+    resolveRequest,
+    rejectRequest,
+    reportProgress,
+    runRequest,
+    cancelRequest,
+    retryRequest,
+    setResult,
+    removeResult,
+  };
+};
+
+/**
+ * Store shared by the whole app
+ * @type {Object}
+ */
+const resultsStore = createResultsStore();
+
+export default resultsStore;
@@ -0,0 +1,113 @@
+import {
+  createResultsStore,
+  sessionResultKey,
+  strategyResultKey,
+  IDLE_RESULT,
+} from "./resultsStore";
+
+test("results are kept per key with their own loading and error state", async () => {
+  const store = createResultsStore();
+  const changes = jest.fn();
+  store.subscribe(changes);
+
+  let respond;
+  const run = store.runRequest(
+    sessionResultKey("a"),
+    () => new Promise((resolve) => (respond = resolve))
+  );
+  await expect(
+    store.runRequest(
+      strategyResultKey(7),
+      async () => {
+        throw new Error("Not found");
+      },
+      (error) => error.message
+    )
+  ).rejects.toThrow("Not found");
+  expect(store.getResult("session:a").status).toBe("loading");
+  respond({ output: { pfst: [1] } });
+  await run;
+
+  expect(store.getResult("session:a")).toMatchObject({
+    status: "success",
+    data: { output: { pfst: [1] } },
+  });
+  expect(store.getResult("strategy:7")).toMatchObject({
+    status: "error",
+    error: "Not found",
+  });
+  expect(store.getResult("session:b")).toBe(IDLE_RESULT);
+  expect(changes).toHaveBeenCalledTimes(4);
+});
+
+test("a superseded request does not overwrite the newer result", () => {
+  const store = createResultsStore();
+  const key = sessionResultKey("a");
+  const first = store.startRequest(key);
+  store.setResult(key, { output: "restored" });
+
+  expect(store.resolveRequest(key, first, { output: "stale" })).toBe(false);
+  expect(store.rejectRequest(key, first, "timed out")).toBe(false);
+  expect(store.getResult(key).data).toEqual({ output: "restored" });
+
+  const snapshot = store.getSnapshot();
+  store.removeResult(key);
+  expect(store.getSnapshot()).not.toBe(snapshot);
+  expect(store.getResult(key)).toBe(IDLE_RESULT);
+});
+
+test("a cancelled request is aborted and can be retried", async () => {
+  const store = createResultsStore();
+  const key = strategyResultKey(7);
+  let attempts = 0;
+  let signal;
+  const run = store.runRequest(key, (requestSignal) => {
+    attempts += 1;
+    signal = requestSignal;
+    return attempts === 1
+      ? new Promise((resolve, reject) =>
+          requestSignal.addEventListener("abort", () =>
+            reject(new Error("canceled"))
+          )
+        )
+      : Promise.resolve({ output: "loaded" });
+  });
+
+  expect(store.cancelRequest(key)).toBe(true);
+  expect(signal.aborted).toBe(true);
+  await expect(run).rejects.toThrow("canceled");
+  expect(store.getResult(key).status).toBe("cancelled");
+  expect(store.cancelRequest(key)).toBe(false);
+
+  await expect(store.retryRequest(key)).resolves.toEqual({ output: "loaded" });
+  expect(store.getResult(key)).toMatchObject({
+    status: "success",
+    data: { output: "loaded" },
+  });
+});
+
+test("a job shows its progress and partial results while loading", async () => {
+  const store = createResultsStore();
+  const key = sessionResultKey("job");
+  let report;
+  let finish;
+  const run = store.runRequest(key, (signal, reportProgress) => {
+    report = reportProgress;
+    return new Promise((resolve) => (finish = resolve));
+  });
+
+  expect(report(40, { output: { pfst: [1, 2] } })).toBe(true);
+  expect(store.getResult(key)).toMatchObject({
+    status: "loading",
+    progress: 40,
+    data: { output: { pfst: [1, 2] } },
+  });
+
+  finish({ output: { pfst: [1, 2, 3] } });
+  await run;
+  expect(store.getResult(key)).toMatchObject({
+    status: "success",
+    progress: null,
+  });
+  expect(report(100)).toBe(false);
+});
@@ -0,0 +1,222 @@
+/**
+ * Robustness Check Module
+ * Builds the variants of a strategy that the robustness check runs, each
+ * with one condition's threshold moved by a few percent or its period by a
+ * year, and measures how far the results of the variants move from the
+ * strategy's own. A strategy whose results hold up under small changes is
+ * less likely to be fitted to its exact parameters.
+ */
+
+import { ALL_PERIODS, getMetricById } from "../config/metrics";
+import {
+  THRESHOLD_PERTURBATIONS,
+  PERIOD_PERTURBATIONS,
+  ROBUSTNESS_TOLERANCE,
+  ROBUSTNESS_RATINGS,
+} from "../config/robustness";
+import { SWEEP_MEASURES } from "../config/sweep";
+import { buildFilters } from "./queryParser";
+import { weightedAverage } from "./pfstStats";
+import {
+  readFilterLiteral,
+  filtersToTree,
+  readRanking,
+  treeToText,
+} from "./queryCodec";
+
+/**
+ * Lists the conditions of a tree in query order
+ * @param {Object} node - Tree node
+ * @returns {Array<Object>} Condition nodes
+ */
+const listConditions = (node) => {
+  if (node.type === "condition") return [node];
+  if (node.type === "not") return listConditions(node.child);
+  return node.children.flatMap(listConditions);
+};
+
+/**
+ * Copies a tree with one condition replaced
+ * @param {Object} node - Tree node
+ * @param {Object} target - Condition to replace
+ * @param {Object} replacement - Condition put in its place
+ * @returns {Object} Copied node
+ */
+const replaceCondition = (node, target, replacement) => {
+  if (node === target) return replacement;
+  if (node.type === "not") {
+    return {
+      ...node,
+      child: replaceCondition(node.child, target, replacement),
+    };
+  }
+  if (node.type === "group") {
+    return {
+      ...node,
+      children: node.children.map((child) =>
+        replaceCondition(child, target, replacement)
+      ),
+    };
+  }
+  return node;
+};
+
+/**
+ * Rounds away the float noise of a scaled threshold
+ * @param {number} value - Value
+ * @returns {number} Rounded value
+ */
+const round = (value) => parseFloat(value.toPrecision(12));
+
+/**
+ * Lists the changes tried on one condition
+ * A threshold of 0 has no relative change and stays, while the other bound
+ * of a BETWEEN still moves; periods stay among the periods the metric
+ * accepts
+ *
+ * @param {Object} condition - Condition node
+ * @returns {Array<{kind: string, change: string, condition: Object}>}
+ *   Changed conditions with a label of the change, e.g. "+10%"
+ */
+const perturbCondition = (condition) => {
+  const changes = [];
+  const bounds = ["threshold", "upperThreshold"].filter(
+    (bound) => condition[bound] !== undefined && condition[bound] !== 0
+  );
+  if (bounds.length > 0) {
+    THRESHOLD_PERTURBATIONS.forEach((step) => {
+      changes.push({
+        kind: "threshold",
+        change: `${step > 0 ? "+" : "−"}${Math.abs(step * 100)}%`,
+        condition: {
+          ...condition,
+          ...Object.fromEntries(
+            bounds.map((bound) => [
+              bound,
+              round(condition[bound] * (1 + step)),
+            ])
+          ),
+        },
+      });
+    });
+  }
+  const periods = getMetricById(condition.metric.id)?.periods || ALL_PERIODS;
+  PERIOD_PERTURBATIONS.forEach((step) => {
+    const period = condition.period + step;
+    if (!periods.includes(period)) return;
+    changes.push({
+      kind: "period",
+      change: `${step > 0 ? "+" : "−"}${Math.abs(step)} ${
+        Math.abs(step) === 1 ? "year" : "years"
+      }`,
+      condition: { ...condition, period },
+    });
+  });
+  return changes;
+};
+
+/**
+ * Builds the variants a robustness check runs
+ * The variants keep the settings, universe and ranking of the strategy
+ *
+ * @param {string|Object} stored - strat_name literal or execute data of
+ *   the strategy
+ * @returns {{conditions: Array<string>, variants: Array<Object>}} Text of
+ *   each condition, and the variants as { condition (index), kind, change,
+ *   query, data } where data is the execute data of the variant
+ * @throws {Error} When the execute data cannot be read
+ */
+export const getRobustnessVariants = (stored) => {
+  const payload = readFilterLiteral(stored);
+  const tree = filtersToTree(payload.filters);
+  const ranking = readRanking(payload.ranking);
+  const conditions = listConditions(tree);
+
+  return {
+    conditions: conditions.map((condition) => treeToText(condition)),
+    variants: conditions.flatMap((condition, index) =>
+      perturbCondition(condition).map((perturbation) => {
+        const variantTree = replaceCondition(
+          tree,
+          condition,
+          perturbation.condition
+        );
+        return {
+          condition: index,
+          kind: perturbation.kind,
+          change: perturbation.change,
+          query: treeToText(variantTree, ranking),
+          data: { ...payload, ...buildFilters(variantTree, ranking) },
+        };
+      })
+    ),
+  };
+};
+
+/**
+ * Measures how far the results of the variants move from the strategy's
+ *
+ * For every condition and measure (mean CAGR, downside risk, Sharpe) the
+ * shifts span from the lowest to the highest change of the weighted
+ * average, 0 included. The score is 100 when no variant moves any measure
+ * and drops to 0 as the average relative shift reaches
+ * ROBUSTNESS_TOLERANCE. Variants without results are left out.
+ *
+ * @param {Object} baseResponse - Execute response of the strategy
+ * @param {Array<string>} conditions - Conditions from getRobustnessVariants
+ * @param {Array<Object>} variants - Variants from getRobustnessVariants
+ * @param {Array<Object|null>} responses - Execute response of each variant
+ * @returns {{conditions: Array<Object>, score: number|null, rating:
+ *   Object|null}} Per condition its text and the { low, high } shift of
+ *   each measure; the score and its rating, null until a variant ran
+ */
+export const summarizeRobustness = (
+  baseResponse,
+  conditions,
+  variants,
+  responses
+) => {
+  const base = Object.fromEntries(
+    SWEEP_MEASURES.map(({ value }) => [
+      value,
+      weightedAverage(baseResponse?.output?.pfst, value),
+    ])
+  );
+  const summary = conditions.map((text) => ({
+    text,
+    shifts: Object.fromEntries(
+      SWEEP_MEASURES.map(({ value }) => [value, { low: 0, high: 0 }])
+    ),
+  }));
+  const relativeShifts = [];
+
+  variants.forEach((variant, index) => {
+    const pfst = responses[index]?.output?.pfst;
+    if (!pfst || pfst.length === 0) return;
+    SWEEP_MEASURES.forEach(({ value }) => {
+      if (base[value] === null) return;
+      const shift = weightedAverage(pfst, value) - base[value];
+      const range = summary[variant.condition].shifts[value];
+      range.low = Math.min(range.low, shift);
+      range.high = Math.max(range.high, shift);
+      if (base[value] !== 0) {
+        relativeShifts.push(Math.min(1, Math.abs(shift / base[value])));
+      }
+    });
+  });
+
+  if (relativeShifts.length === 0) {
+    return { conditions: summary, score: null, rating: null };
+  }
+  const meanShift =
+    relativeShifts.reduce((total, shift) => total + shift, 0) /
+    relativeShifts.length;
+  const score = Math.round(
+    100 * (1 - Math.min(1, meanShift / ROBUSTNESS_TOLERANCE))
+  );
+  return {
+    conditions: summary,
+    score,
+    rating: ROBUSTNESS_RATINGS.find((rating) => score >= rating.min),
+  };
+};
@@ -0,0 +1,98 @@
+import { getRobustnessVariants, summarizeRobustness } from "./robustness";
+import { textToFilters } from "./queryCodec";
+
+const executeData = {
+  ...textToFilters(
+    "Average ROCE 10 Years > 20 AND\nAverage DE 1 Years < 0\nRANK BY Average ROE 5 Years DESC LIMIT 25"
+  ),
+  settings: { rebalance: "annual" },
+};
+
+test("each threshold and period is perturbed in its own variant", () => {
+  const { conditions, variants } = getRobustnessVariants(
+    JSON.stringify(executeData)
+  );
+  expect(conditions).toEqual([
+    "Average ROCE 10 Years > 20",
+    "Average DE 1 Years < 0",
+  ]);
+  expect(
+    variants.map(({ condition, kind, change }) => [condition, kind, change])
+  ).toEqual([
+    [0, "threshold", "−20%"],
+    [0, "threshold", "−10%"],
+    [0, "threshold", "+10%"],
+    [0, "threshold", "+20%"],
+    [0, "period", "−1 year"],
+    [1, "period", "+1 year"],
+  ]);
+  expect(variants[2].query).toBe(
+    "Average ROCE 10 Years > 22 AND\nAverage DE 1 Years < 0\nRANK BY Average ROE 5 Years DESC LIMIT 25"
+  );
+  expect(variants[2].data.settings).toEqual({ rebalance: "annual" });
+  expect(variants[2].data.ranking.limit).toBe(25);
+  expect(variants[4].data.filters[0].Data).toMatchObject({
+    period: 9,
+    threshold: 20,
+  });
+  expect(variants[5].data.filters[1].Data.period).toBe(2);
+});
+
+test("a BETWEEN from 0 still moves its upper bound", () => {
+  const { variants } = getRobustnessVariants({
+    ...textToFilters("Average DE 5 Years BETWEEN 0 AND 2"),
+    settings: {},
+  });
+  const thresholds = variants.filter(({ kind }) => kind === "threshold");
+
+  expect(thresholds.map(({ query }) => query)).toEqual([
+    "Average DE 5 Years BETWEEN 0 AND 1.6",
+    "Average DE 5 Years BETWEEN 0 AND 1.8",
+    "Average DE 5 Years BETWEEN 0 AND 2.2",
+    "Average DE 5 Years BETWEEN 0 AND 2.4",
+  ]);
+});
+
+test("the shifts of the variants are summarized and scored", () => {
+  const response = (cagr, risk, sharpe) => ({
+    output: {
+      pfst: [
+        {
+          nyears: 1,
+          cagr_mean: cagr,
+          cagr_dwn_std: risk,
+          sharpe_ratio: sharpe,
+        },
+      ],
+    },
+  });
+  const base = response(0.2, 0.1, 1);
+  const variants = [{ condition: 0 }, { condition: 0 }, { condition: 1 }];
+
+  const none = summarizeRobustness(base, ["A", "B"], variants, [
+    null,
+    null,
+    null,
+  ]);
+  expect(none.score).toBeNull();
+
+  const summary = summarizeRobustness(base, ["A", "B"], variants, [
+    response(0.18, 0.1, 1),
+    response(0.22, 0.1, 1),
+    null,
+  ]);
+  expect(summary.conditions[0].shifts.cagr_mean.low).toBeCloseTo(-0.02);
+  expect(summary.conditions[0].shifts.cagr_mean.high).toBeCloseTo(0.02);
+  expect(summary.conditions[1].shifts.cagr_mean).toEqual({ low: 0, high: 0 });
+  // Mean relative shift of 1/30 against a tolerance of 0.5
+  expect(summary.score).toBe(93);
+  expect(summary.rating.label).toBe("Robust");
+
+  const fragile = summarizeRobustness(base, ["A", "B"], variants, [
+    response(0.05, 0.3, 0.2),
+    null,
+    null,
+  ]);
+  expect(fragile.score).toBe(0);
+  expect(fragile.rating.label).toBe("Fragile");
+});
@@ -0,0 +1,159 @@
+/**
+ * Universe Utilities Module
+ * Normalizes the universe constraints edited above the query, reads the
+ * company lists pasted into them, reads them back from stored strategies
+ * and describes them for chips.
+ *
+ * Payload shape, sent beside the filters in the execute data:
+ *   { includeSectors, excludeSectors, marketCaps, excludeCompanies }
+ * Every field is a list; an empty list does not limit the universe.
+ * includeSectors keeps only companies in those sectors or industries.
+ */
+
+import { MARKET_CAP_BUCKETS, DEFAULT_UNIVERSE } from "../config/universe";
+import { readFilterLiteral } from "./queryCodec";
+
+/**
+ * Column headers that may come along when companies are copied from a
+ * spreadsheet, including the portfolio export
+ * @constant {Array<string>}
+ */
+const HEADER_CELLS = ["company", "company name", "name", "sl. no.", "year"];
+
+/**
+ * Trims names and drops empty and repeated ones, ignoring case
+ * @param {*} names - Raw list
+ * @returns {Array<string>} Unique names in their first spelling
+ */
+const uniqueNames = (names) => {
+  const seen = new Set();
+  return (Array.isArray(names) ? names : [])
+    .map((name) => String(name ?? "").trim())
+    .filter((name) => {
+      const key = name.toLowerCase();
+      if (!name || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+};
+
+/**
+ * Fills in defaults and cleans every constraint
+ * A sector both included and excluded is only excluded
+ *
+ * @param {Object} [universe] - Partial or raw universe
+ * @returns {Object} Complete universe
+ */
+export const normalizeUniverse = (universe = {}) => {
+  const merged = { ...DEFAULT_UNIVERSE, ...universe };
+  const excludeSectors = uniqueNames(merged.excludeSectors);
+  const excluded = excludeSectors.map((sector) => sector.toLowerCase());
+  return {
+    includeSectors: uniqueNames(merged.includeSectors).filter(
+      (sector) => !excluded.includes(sector.toLowerCase())
+    ),
+    excludeSectors,
+    marketCaps: MARKET_CAP_BUCKETS.map((bucket) => bucket.value).filter(
+      (bucket) => (merged.marketCaps || []).includes(bucket)
+    ),
+    excludeCompanies: uniqueNames(merged.excludeCompanies),
+  };
+};
+
+/**
+ * Whether the universe limits the screen at all
+ * @param {Object} universe - Universe
+ * @returns {boolean} True when any constraint is set
+ */
+export const hasUniverseConstraints = (universe) =>
+  Object.values(normalizeUniverse(universe)).some((list) => list.length > 0);
+
+/**
+ * Reads company names pasted from a spreadsheet or typed as a list
+ * Rows are split on line breaks and cells on tabs; a single line is split
+ * on commas or semicolons. Numbers and column headers are skipped, so rows
+ * of the portfolio export can be pasted as they are.
+ *
+ * @param {string} text - Pasted text
+ * @returns {Array<string>} Company names
+ */
+export const parseCompanyList = (text) => {
+  const source = String(text || "").trim();
+  const separator = /[\r\n\t]/.test(source) ? /[\r\n\t]+/ : /[,;]+/;
+  return uniqueNames(
+    source
+      .split(separator)
+      .map((cell) => cell.trim().replace(/^"(.*)"$/, "$1").trim())
+      .filter(
+        (cell) =>
+          !/^[\d.,\s]+$/.test(cell) &&
+          !HEADER_CELLS.includes(cell.toLowerCase())
+      )
+  );
+};
+
+/**
+ * Reads the universe a strategy was run with
+ * Strategies saved before universes existed ran on every company
+ *
+ * @param {string|Object} stored - strat_name literal or execute data
+ * @returns {Object} Complete universe
+ */
+export const readUniverse = (stored) => {
+  if (!stored) return normalizeUniverse();
+  try {
+    return normalizeUniverse(readFilterLiteral(stored).universe);
+  } catch (error) {
+    return normalizeUniverse();
+  }
+};
+
+/**
+ * Lists the set constraints as label/value pairs for chips
+ * Long company lists are counted rather than spelled out
+ *
+ * @param {Object} universe - Universe
+ * @returns {Array<{key: string, label: string, value: string}>} Display rows
+ */
+export const describeUniverse = (universe) => {
+  const { includeSectors, excludeSectors, marketCaps, excludeCompanies } =
+    normalizeUniverse(universe);
+  const rows = [];
+  if (includeSectors.length > 0) {
+    rows.push({
+      key: "includeSectors",
+      label: "Sectors",
+      value: includeSectors.join(", "),
+    });
+  }
+  if (excludeSectors.length > 0) {
+    rows.push({
+      key: "excludeSectors",
+      label: "Excluding sectors",
+      value: excludeSectors.join(", "),
+    });
+  }
+  if (marketCaps.length > 0) {
+    rows.push({
+      key: "marketCaps",
+      label: "Market cap",
+      value: marketCaps
+        .map(
+          (value) =>
+            MARKET_CAP_BUCKETS.find((bucket) => bucket.value === value).label
+        )
+        .join(", "),
+    });
+  }
+  if (excludeCompanies.length > 0) {
+    rows.push({
+      key: "excludeCompanies",
+      label: "Excluding",
+      value:
+        excludeCompanies.length > 3
+          ? `${excludeCompanies.length} companies`
+          : excludeCompanies.join(", "),
+    });
+  }
+  return rows;
+};
@@ -0,0 +1,88 @@
+import {
+  normalizeUniverse,
+  hasUniverseConstraints,
+  parseCompanyList,
+  readUniverse,
+  describeUniverse,
+} from "./universe";
+import { DEFAULT_UNIVERSE } from "../config/universe";
+import { escapeLiteralStrings } from "./queryCodec";
+
+test("constraints are cleaned and an excluded sector wins", () => {
+  expect(
+    normalizeUniverse({
+      includeSectors: [" Power ", "Realty", "power"],
+      excludeSectors: ["realty"],
+      marketCaps: ["small", "mega", "large"],
+    })
+  ).toEqual({
+    includeSectors: ["Power"],
+    excludeSectors: ["realty"],
+    marketCaps: ["large", "small"],
+    excludeCompanies: [],
+  });
+  expect(hasUniverseConstraints({})).toBe(false);
+  expect(hasUniverseConstraints({ excludeCompanies: ["Infosys Ltd."] })).toBe(
+    true
+  );
+});
+
+test("companies pasted from a spreadsheet are read without numbers or headers", () => {
+  expect(
+    parseCompanyList(
+      "Sl. No.\tYear\tCompany Name\r\n1\t2021\tInfosys Ltd.\r\n2\t2021\t\"Tata Motors Ltd.\"\r\n3\t2022\tinfosys ltd.\r\n"
+    )
+  ).toEqual(["Infosys Ltd.", "Tata Motors Ltd."]);
+  expect(parseCompanyList("Infosys Ltd., Wipro Ltd.; ITC Ltd.")).toEqual([
+    "Infosys Ltd.",
+    "Wipro Ltd.",
+    "ITC Ltd.",
+  ]);
+  expect(parseCompanyList("  ")).toEqual([]);
+});
+
+test("stored strategies read back their universe and describe it", () => {
+  const stored =
+    "{filters: [{Data: {param: {name: Average DE, id: 0}, period: 5, sign: lt, threshold: 1}}], " +
+    "universe: {includeSectors: [Information Technology], excludeSectors: [], marketCaps: [large, mid], " +
+    "excludeCompanies: [A Ltd., B Ltd., C Ltd., D Ltd.]}}";
+  expect(describeUniverse(readUniverse(stored))).toEqual([
+    { key: "includeSectors", label: "Sectors", value: "Information Technology" },
+    { key: "marketCaps", label: "Market cap", value: "Large cap, Mid cap" },
+    { key: "excludeCompanies", label: "Excluding", value: "4 companies" },
+  ]);
+  expect(readUniverse("{filters: []}")).toEqual(DEFAULT_UNIVERSE);
+  expect(readUniverse("{not valid")).toEqual(DEFAULT_UNIVERSE);
+});
+
+/**
+ * Writes a value the way the backend stores strat_name: unquoted keys and
+ * string values
+ * @param {*} value - Execute data
+ * @returns {string} Unquoted literal
+ */
+const toUnquotedLiteral = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(toUnquotedLiteral).join(", ")}]`;
+  }
+  if (value && typeof value === "object") {
+    const fields = Object.entries(value).map(
+      ([key, item]) => `${key}: ${toUnquotedLiteral(item)}`
+    );
+    return `{${fields.join(", ")}}`;
+  }
+  return String(value);
+};
+
+test("names with commas survive the unquoted and JSON stored forms", () => {
+  const universe = {
+    includeSectors: ["Oil, Gas & Consumable Fuels", "Power"],
+    excludeSectors: ["Media, Entertainment & Publication"],
+    marketCaps: ["large"],
+    excludeCompanies: ["Foo, Bar Ltd.", "C:\\Path} Ltd.", "'Quoted' Ltd."],
+  };
+  const sent = escapeLiteralStrings({ filters: [], universe });
+
+  expect(readUniverse(toUnquotedLiteral(sent))).toEqual(universe);
+  expect(readUniverse(JSON.stringify(sent))).toEqual(universe);
+});